@@ -159,6 +159,7 @@ module.exports = {
     config.plugins.push(
       new webpack.EnvironmentPlugin({
         TRANSLATION_HOST: '',
+        DDS_SERVICES_FIXTURES_HOST: '',
         STORYBOOK_USE_RTL: false,
       }),
       new webpack.DefinePlugin({
@@ -86,6 +86,30 @@ module.exports = {
     __dirname,
     '../lib/internal/vendor/@carbon/ibmdotcom-services'
   ),
+  servicesStoreCJSSrcDir: path.resolve(
+    path.dirname(
+      require.resolve('@carbon/ibmdotcom-services-store/package.json')
+    ),
+    'lib'
+  ),
+  servicesStoreESSrcDir: path.resolve(
+    path.dirname(
+      require.resolve('@carbon/ibmdotcom-services-store/package.json')
+    ),
+    'es'
+  ),
+  servicesStoreVendorSrcDir: path.resolve(
+    __dirname,
+    '../src/internal/vendor/@carbon/ibmdotcom-services-store'
+  ),
+  servicesStoreVendorESDstDir: path.resolve(
+    __dirname,
+    '../es/internal/vendor/@carbon/ibmdotcom-services-store'
+  ),
+  servicesStoreVendorCJSDstDir: path.resolve(
+    __dirname,
+    '../lib/internal/vendor/@carbon/ibmdotcom-services-store'
+  ),
   utilitiesCJSSrcDir: path.resolve(__dirname, '../../utilities/lib'),
   utilitiesESSrcDir: path.resolve(__dirname, '../../utilities/es'),
   utilitiesVendorSrcDir: path.resolve(
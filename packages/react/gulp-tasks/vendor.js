@@ -28,6 +28,11 @@ const {
   servicesVendorSrcDir,
   servicesVendorCJSDstDir,
   servicesVendorESDstDir,
+  servicesStoreCJSSrcDir,
+  servicesStoreESSrcDir,
+  servicesStoreVendorSrcDir,
+  servicesStoreVendorCJSDstDir,
+  servicesStoreVendorESDstDir,
   utilitiesCJSSrcDir,
   utilitiesESSrcDir,
   utilitiesVendorSrcDir,
@@ -268,6 +273,30 @@ const servicesVendorCJSDst = () =>
     .src([`${servicesCJSSrcDir}/**/*`, '!**/*-{test,story}.js'])
     .pipe(gulp.dest(servicesVendorCJSDstDir));
 
+/**
+ * Generates `src/internal/vendor` contents.
+ */
+const servicesStoreVendorSrc = () =>
+  gulp
+    .src([`${servicesStoreESSrcDir}/**/*`, '!**/*-{test,story}.js'])
+    .pipe(gulp.dest(servicesStoreVendorSrcDir));
+
+/**
+ * Generate `es/internal/vendor` contents.
+ */
+const servicesStoreVendorESDst = () =>
+  gulp
+    .src([`${servicesStoreESSrcDir}/**/*`, '!**/*-{test,story}.js'])
+    .pipe(gulp.dest(servicesStoreVendorESDstDir));
+
+/**
+ * Generate `lib/internal/vendor` contents.
+ */
+const servicesStoreVendorCJSDst = () =>
+  gulp
+    .src([`${servicesStoreCJSSrcDir}/**/*`, '!**/*-{test,story}.js'])
+    .pipe(gulp.dest(servicesStoreVendorCJSDstDir));
+
 /**
  * Generates `src/internal/vendor` contents.
  */
@@ -303,6 +332,11 @@ module.exports = {
     servicesVendorESDst,
     servicesVendorCJSDst
   ),
+  servicesStoreVendor: gulp.parallel(
+    servicesStoreVendorSrc,
+    servicesStoreVendorESDst,
+    servicesStoreVendorCJSDst
+  ),
   utilitiesVendor: gulp.parallel(
     utilitiesVendorSrc,
     utilitiesVendorESDst,
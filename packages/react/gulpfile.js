@@ -13,6 +13,7 @@ const vendor = require('./gulp-tasks/vendor');
 
 gulp.task('vendor:carbon-components-react', vendor.carbonComponentsReact);
 gulp.task('vendor:services', vendor.servicesVendor);
+gulp.task('vendor:services-store', vendor.servicesStoreVendor);
 gulp.task('vendor:utilities', vendor.utilitiesVendor);
 
 gulp.task(
@@ -20,6 +21,7 @@ gulp.task(
   gulp.series(
     gulp.task('vendor:carbon-components-react'),
     gulp.task('vendor:services'),
+    gulp.task('vendor:services-store'),
     gulp.task('vendor:utilities')
   )
 );
@@ -20,7 +20,8 @@ const { prefix } = settings;
  * IBM Logo 8-bar component.
  */
 const IbmLogo = ({ autoid, logoData, isSearchActive }) => {
-  const useAlternateLogo = MastheadLogoAPI.setMastheadLogo(logoData);
+  const { logo, campaign, variant } =
+    MastheadLogoAPI.resolveMastheadLogo(logoData) || {};
   const logoClasses = cx({
     [`${prefix}--header__logo`]: true,
     [`${prefix}--search-active`]: isSearchActive,
@@ -29,22 +30,24 @@ const IbmLogo = ({ autoid, logoData, isSearchActive }) => {
   return (
     <div className={logoClasses}>
       <ConditionalWrapper
-        condition={logoData && logoData.tooltip !== undefined}
+        condition={logo && logo.tooltip !== undefined}
         wrapper={children => (
-          <TooltipDefinition tooltipText={logoData.tooltip}>
+          <TooltipDefinition tooltipText={logo.tooltip}>
             {children}
           </TooltipDefinition>
         )}>
-        {useAlternateLogo ? (
+        {logo ? (
           <a // eslint-disable-line
             aria-label="IBM®"
             data-autoid={autoid}
-            href={`https://www.ibm.com${logoData.path}`}
-            dangerouslySetInnerHTML={{ __html: logoData.svg }}
+            data-campaign={campaign}
+            data-campaign-variant={variant}
+            href={`https://www.ibm.com${logo.path}`}
+            dangerouslySetInnerHTML={{ __html: logo.svg }}
           />
         ) : (
           <a aria-label="IBM®" data-autoid={autoid} href={`http://www.ibm.com`}>
-            {!useAlternateLogo && <MastheadLogo />}
+            <MastheadLogo />
           </a>
         )}
       </ConditionalWrapper>
@@ -66,16 +69,31 @@ IbmLogo.propTypes = {
   isSearchActive: PropTypes.bool,
 
   /**
-   * Masthead logo object
+   * Masthead logo object, or an array of those as campaigns in the order of precedence
    * See [mastheadLogo](#mastheadlogo)
    * for details.
    */
-  logoData: PropTypes.shape({
-    svg: PropTypes.string,
-    tooltip: PropTypes.string,
-    denyList: PropTypes.array,
-    allowList: PropTypes.array,
-    expire: PropTypes.string,
-    path: PropTypes.string,
-  }),
+  logoData: PropTypes.oneOfType([
+    PropTypes.shape({
+      id: PropTypes.string,
+      svg: PropTypes.string,
+      tooltip: PropTypes.string,
+      denylist: PropTypes.array,
+      allowlist: PropTypes.array,
+      locales: PropTypes.arrayOf(PropTypes.string),
+      start: PropTypes.string,
+      end: PropTypes.string,
+      variants: PropTypes.arrayOf(
+        PropTypes.shape({
+          id: PropTypes.string,
+          weight: PropTypes.number,
+          svg: PropTypes.string,
+          tooltip: PropTypes.string,
+          path: PropTypes.string,
+        })
+      ),
+      path: PropTypes.string,
+    }),
+    PropTypes.arrayOf(PropTypes.object),
+  ]),
 };
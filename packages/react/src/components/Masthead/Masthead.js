@@ -7,8 +7,11 @@
 
 import { baseFontSize, breakpoints } from '@carbon/layout';
 import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  useTranslation,
+  useUserStatus,
+} from '../../internal/vendor/@carbon/ibmdotcom-services-store/react';
 import cx from 'classnames';
-import { DDS_CUSTOM_PROFILE_LOGIN } from '../../internal/FeatureFlags';
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
 import deprecate from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/deprecate/deprecate.js';
 import { globalInit } from '../../internal/vendor/@carbon/ibmdotcom-services/services/global/global';
@@ -22,12 +25,11 @@ import MastheadLeftNav from './MastheadLeftNav';
 import MastheadProfile from './MastheadProfile';
 import MastheadSearch from './MastheadSearch';
 import MastheadTopNav from './MastheadTopNav';
-import ProfileAPI from '../../internal/vendor/@carbon/ibmdotcom-services/services/Profile/Profile';
 import PropTypes from 'prop-types';
 import root from 'window-or-global';
 import settings from 'carbon-components/es/globals/js/settings';
 import SkipToContent from '../../internal/vendor/carbon-components-react/components/UIShell/SkipToContent';
-import TranslationAPI from '../../internal/vendor/@carbon/ibmdotcom-services/services/Translation/Translation';
+import { useFeatureFlag } from '../../internal/hooks/useFeatureFlag';
 import User20 from '@carbon/icons-react/es/user/20';
 import UserOnline20 from '@carbon/icons-react/es/user--online/20';
 
@@ -66,12 +68,13 @@ const Masthead = ({
   ...mastheadProps
 }) => {
   /**
-   * Returns IBM.com authenticated status
+   * The IBM.com authentication status, `undefined` until it's loaded
    *
-   * @param {boolean} isAuthenticated Whether the user is authenticated to IBM.com
-   * @returns {*} The user status
+   * @type {object}
    */
-  const [isAuthenticated, setStatus] = useState(false);
+  const userStatus = useUserStatus();
+  const isAuthenticated =
+    Boolean(userStatus) && userStatus.user !== 'Unauthenticated';
 
   /**
    * Returns state of search status
@@ -80,6 +83,7 @@ const Masthead = ({
    * @returns {*} The active search status
    */
   const [isSearchActive, setIsSearchActive] = useState(searchOpenOnload);
+  const customProfileLoginEnabled = useFeatureFlag('DDS_CUSTOM_PROFILE_LOGIN');
   const searchIconButton = useRef(null);
 
   const handleChangeSearchActive = useCallback((event, { isOpen }) => {
@@ -94,44 +98,13 @@ const Masthead = ({
     globalInit();
   }, []);
 
-  useEffect(() => {
-    let unmounted = false;
-    (async () => {
-      const status = await ProfileAPI.getUserStatus();
-      if (!unmounted) {
-        setStatus(status.user !== 'Unauthenticated');
-      }
-    })();
-    return () => {
-      unmounted = true;
-    };
-  }, []);
-
-  let [mastheadData, setMastheadData] = useState([]);
-  let [searchData, setSearchData] = useState([]);
-  const [profileData, setProfileData] = useState({
+  const translation = useTranslation();
+  let mastheadData = translation?.mastheadNav?.links ?? [];
+  const searchData = translation?.masthead?.search;
+  const profileData = translation?.profileMenu ?? {
     signedin: [],
     signedout: [],
-  });
-
-  useEffect(() => {
-    let unmounted = false;
-    (async () => {
-      try {
-        const pageData = await TranslationAPI.getTranslation();
-        if (!unmounted) {
-          setMastheadData(pageData.mastheadNav.links);
-          setProfileData(pageData.profileMenu);
-          setSearchData(pageData.masthead.search);
-        }
-      } catch (error) {
-        console.error('Error populating masthead data:', error);
-      }
-    })();
-    return () => {
-      unmounted = true;
-    };
-  }, []);
+  };
 
   /**
    * Forces profile menu position to fixed to prevent scrolling
@@ -431,7 +404,7 @@ const Masthead = ({
                           : profileData.signedout
                       }
                       {...(mastheadProps.customProfileLogin &&
-                      DDS_CUSTOM_PROFILE_LOGIN
+                      customProfileLoginEnabled
                         ? {
                             customProfileLogin:
                               mastheadProps.customProfileLogin,
@@ -41,6 +41,14 @@ const _redirectUrl =
   process.env.SEARCH_REDIRECT_ENDPOINT ||
   `https://www.ibm.com/search?lnk=mhsrch`;
 
+/**
+ * The time (in milliseconds) to wait for the user to stop typing before fetching the suggestions
+ *
+ * @type {number}
+ * @private
+ */
+const _typeaheadDebounce = 150;
+
 /**
  * Converts the string to lower case and trims extra white space
  *
@@ -139,6 +147,10 @@ const MastheadSearch = forwardRef(
     const [state, dispatch] = useReducer(_reducer, _initialState);
 
     const [isSearchActive, setIsSearchActive] = useState(searchOpenOnload);
+
+    // The search queries of this search box supersede the previous ones, without affecting other search boxes
+    const [searchSession] = useState(() => SearchTypeaheadAPI.createSession());
+    useEffect(() => () => searchSession.abort(), [searchSession]);
     useEffect(() => {
       setIsSearchActive(propIsSearchActive);
     }, [propIsSearchActive]);
@@ -478,9 +490,19 @@ const MastheadSearch = forwardRef(
 
       if (request.reason === 'input-changed') {
         // if the search input has changed
-        let response = rest.customTypeaheadApi
-          ? await rest.customTypeaheadApi(searchValue)
-          : await SearchTypeaheadAPI.getResults(searchValue);
+        let response;
+        try {
+          response = rest.customTypeaheadApi
+            ? await rest.customTypeaheadApi(searchValue)
+            : await searchSession.getResults(searchValue, '', {
+                debounce: _typeaheadDebounce,
+              });
+        } catch (error) {
+          // Ignores the results of the search query superseded by a newer one
+          if (error.name !== 'AbortError') {
+            throw error;
+          }
+        }
 
         if (response !== undefined) {
           dispatch({
@@ -15,16 +15,20 @@ const { stablePrefix } = ddsSettings;
 
 jest.mock(
   '../../../internal/vendor/@carbon/ibmdotcom-services/services/SearchTypeahead/SearchTypeahead',
-  () => ({
-    getResults: jest.fn(() =>
+  () => {
+    const getResults = jest.fn(() =>
       Promise.resolve([
         ['red hat', '0'],
         ['red hat linux', '1'],
         ['red hat enterprise linux x3500 7977', '2'],
         ['red hat acquisition', '3'],
       ])
-    ),
-  })
+    );
+    return {
+      getResults,
+      createSession: () => ({ getResults, abort: () => {} }),
+    };
+  }
 );
 
 describe('MastheadSearch', () => {
@@ -1,23 +1,19 @@
 /**
- * Copyright IBM Corp. 2016, 2021
+ * Copyright IBM Corp. 2016, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, { useCallback, useEffect, useRef } from 'react';
-import { breakpoints } from '@carbon/layout';
+import React, {
+  forwardRef,
+  useEffect,
+  useImperativeHandle,
+  useMemo,
+  useRef,
+} from 'react';
 import PropTypes from 'prop-types';
-import settings from 'carbon-components/es/globals/js/settings';
-
-const { prefix } = settings;
-
-/**
- * Amount of columns used for calculation.
- *
- * @private
- */
-const colSpan = 3;
+import scrollAnimations from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/scrollAnimations/scrollAnimations';
 
 /**
  * Utility handles fade transition for selected elements.
@@ -47,203 +43,98 @@ const colSpan = 3;
  *   --#{$dds-prefix}--fade-in-out-delay: 250ms;
  * }
  *
+ * To play the animations again, call `replay()` of the ref:
+ *
+ * const ref = useRef();
+ * <ScrollAnimations ref={ref} selectorTargets={selectorTargets}>
+ *   // some content
+ * </ScrollAnimations>
+ * ref.current.replay();
+ *
+ * The animations are turned off for the users preferring reduced motion.
  */
-const ScrollAnimations = ({
-  animation,
-  children,
-  selectorTargets,
-  keepAnimations,
-}) => {
-  /**
-   * Outer div component ref for using with query selector.
-   *
-   * @private
-   */
-  const componentRef = useRef(null);
-
-  /**
-   * Intersection Observer that watches outer viewport.
-   *
-   * @private
-   */
-  const rootObserver = useRef(null);
-
-  /**
-   * Intersection observer that watches the inner viewport.
-   *
-   * @private
-   */
-  const innerObserver = useRef(null);
-
-  /**
-   * Resize observer to trigger rootMargin recalculations
-   *
-   * @private
-   */
-  const resizeObserver = useRef(null);
-
-  /**
-   * Scroll animation class to be applied when element is within viewport.
-   *
-   * @private
-   */
-  const effectClass = useRef(null);
-
-  /**
-   * Scroll animation to be applied when elements are out of view.
-   *
-   * @private
-   */
-  const exitEffectClass = useRef(null);
-
-  /**
-   * Create observers upon render and update.
-   */
-  useEffect(() => {
-    setAnimationClasses();
-    rootObserver.current = new IntersectionObserver(handleExit);
-    resizeObserver.current = new ResizeObserver(handleResize);
-
-    if (selectorTargets) {
-      componentRef.current?.querySelectorAll(selectorTargets).forEach(item => {
-        rootObserver?.current.observe(item);
-      });
-    }
-    resizeObserver.current.observe(document.documentElement);
-
-    return () => {
-      rootObserver.current.disconnect();
-      innerObserver.current.disconnect();
-      resizeObserver.current.disconnect();
-      rootObserver.current = null;
-      innerObserver.current = null;
-      resizeObserver.current = null;
-    };
-  }, [
-    componentRef,
-    selectorTargets,
-    setAnimationClasses,
-    handleEntrance,
-    handleResize,
-  ]);
-
-  /**
-   * Handler to add recalculated rootMargin to a new instance of
-   * inner observer after clearing old one first.
-   *
-   * The calculation is done to retrieve the best fitting top and bottom
-   * margin for the fade animation to trigger/remove from elements in a
-   * user's screen.
-   *
-   * The resulting value is the optimal point where a user's attention will be
-   * grabbed by the animation without restricting their view and perception of
-   * the adopting website. The displayed elements will keep the user's attention
-   * for a longer time as they scroll down the website.
-   *
-   * @private
-   */
-  const handleResize = useCallback(() => {
-    if (innerObserver.current) {
-      innerObserver.current.disconnect();
-      innerObserver.current = null;
-    }
-
-    innerObserver.current = new IntersectionObserver(handleEntrance, {
-      rootMargin: `-${(
-        (document.documentElement.clientHeight * colSpan) /
-        breakpoints.max.columns
-      ).toString()}px 0px`,
-    });
-
-    if (selectorTargets) {
-      componentRef.current?.querySelectorAll(selectorTargets).forEach(item => {
-        innerObserver?.current.observe(item);
-      });
-    }
-  }, [componentRef, innerObserver, selectorTargets, handleEntrance]);
-
-  /**
-   * Handler to add fade animation to element
-   *
-   * @param {*} records observed elements
-   * @private
-   *
-   */
-  const handleEntrance = useCallback(
-    records => {
-      records.forEach(({ intersectionRatio, target }) => {
-        if (intersectionRatio > 0) {
-          target.classList.remove(exitEffectClass.current);
-          target.classList.add(effectClass.current);
-          if (!keepAnimations) {
-            rootObserver.current.unobserve(target);
-            innerObserver.current.unobserve(target);
-          }
-        }
-      });
+const ScrollAnimations = forwardRef(
+  (
+    {
+      animation,
+      children,
+      selectorTargets,
+      keepAnimations,
+      stagger,
+      thresholds,
     },
-    [keepAnimations, rootObserver, innerObserver]
-  );
-
-  /**
-   * Handler to remove element from view
-   *
-   * @param {*} records observed elements
-   * @private
-   *
-   */
-  function handleExit(records) {
-    records.forEach(({ intersectionRatio, target }) => {
-      if (intersectionRatio == 0) {
-        target.classList.remove(effectClass.current);
-        target.classList.add(exitEffectClass.current);
+    ref
+  ) => {
+    /**
+     * Outer div component ref for using with query selector.
+     *
+     * @private
+     */
+    const componentRef = useRef(null);
+
+    /**
+     * The handle of the scroll animations engine.
+     *
+     * @private
+     */
+    const scrollAnimationsRef = useRef(null);
+
+    /**
+     * The thresholds compared by value, so an inline object (e.g. `{ sm: 0, lg: 0.25 }`)
+     * doesn't rebuild the observers of the engine upon every render.
+     *
+     * @private
+     */
+    const thresholdsKey = JSON.stringify(thresholds);
+    const stableThresholds = useMemo(
+      () =>
+        thresholdsKey === undefined ? undefined : JSON.parse(thresholdsKey),
+      [thresholdsKey]
+    );
+
+    /**
+     * Create the scroll animations engine upon render, and apply the changes upon update.
+     */
+    useEffect(() => {
+      const options = {
+        getTargets: () =>
+          !selectorTargets || !componentRef.current
+            ? []
+            : Array.from(
+                componentRef.current.querySelectorAll(selectorTargets)
+              ),
+        animation,
+        keepAnimation: keepAnimations,
+        stagger,
+        thresholds: stableThresholds,
+      };
+      if (!scrollAnimationsRef.current) {
+        scrollAnimationsRef.current = scrollAnimations(options);
+      } else {
+        scrollAnimationsRef.current.update(options);
       }
-    });
+    }, [animation, selectorTargets, keepAnimations, stagger, stableThresholds]);
+
+    useEffect(
+      () => () => {
+        scrollAnimationsRef.current = scrollAnimationsRef.current?.release();
+      },
+      []
+    );
+
+    useImperativeHandle(
+      ref,
+      () => ({
+        replay(targets) {
+          scrollAnimationsRef.current?.replay(targets);
+        },
+      }),
+      []
+    );
+
+    return <div ref={componentRef}>{children}</div>;
   }
-
-  const setAnimationClasses = useCallback(() => {
-    switch (animation) {
-      case 'slide-up':
-        effectClass.current = `${prefix}--slide-in`;
-        exitEffectClass.current = `${prefix}--slide-up`;
-        break;
-      case 'slide-up-right':
-        effectClass.current = `${prefix}--slide-in`;
-        exitEffectClass.current = `${prefix}--slide-up-right`;
-        break;
-      case 'slide-right':
-        effectClass.current = `${prefix}--slide-in`;
-        exitEffectClass.current = `${prefix}--slide-right`;
-        break;
-      case 'slide-down-right':
-        effectClass.current = `${prefix}--slide-in`;
-        exitEffectClass.current = `${prefix}--slide-down-right`;
-        break;
-      case 'slide-down':
-        effectClass.current = `${prefix}--slide-in`;
-        exitEffectClass.current = `${prefix}--slide-down`;
-        break;
-      case 'slide-down-left':
-        effectClass.current = `${prefix}--slide-in`;
-        exitEffectClass.current = `${prefix}--slide-down-left`;
-        break;
-      case 'slide-left':
-        effectClass.current = `${prefix}--slide-in`;
-        exitEffectClass.current = `${prefix}--slide-left`;
-        break;
-      case 'slide-up-left':
-        effectClass.current = `${prefix}--slide-in`;
-        exitEffectClass.current = `${prefix}--slide-up-left`;
-        break;
-      default:
-        effectClass.current = `${prefix}--fade-in`;
-        exitEffectClass.current = `${prefix}--fade-out`;
-        break;
-    }
-  }, [animation, effectClass, exitEffectClass]);
-
-  return <div ref={componentRef}>{children}</div>;
-};
+);
 
 ScrollAnimations.propTypes = {
   /**
@@ -268,6 +159,20 @@ ScrollAnimations.propTypes = {
    * Boolean to define if animation is continuous
    */
   keepAnimations: PropTypes.bool,
+
+  /**
+   * The delay in milliseconds between the siblings scrolling into view together
+   */
+  stagger: PropTypes.number,
+
+  /**
+   * The ratio of a target to be in the viewport to start its animation,
+   * or the ratios keyed by the breakpoint, e.g. `{ sm: 0, lg: 0.25 }`
+   */
+  thresholds: PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.objectOf(PropTypes.number),
+  ]),
 };
 
 export default ScrollAnimations;
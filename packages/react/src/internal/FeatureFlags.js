@@ -5,8 +5,11 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import featureFlags from './vendor/@carbon/ibmdotcom-utilities/utilities/featureflag/featureFlags';
+
 /**
  * This file contains the list of the default values of compile-time feature flags.
+ * They are registered as the defaults of the runtime feature flags, see `useFeatureFlag()`.
  */
 
 /**
@@ -71,3 +74,14 @@ export const DDS_LEADSPACE_WITH_SEARCH =
  */
 export const DDS_NOTICE_CHOICE =
   process.env.DDS_NOTICE_CHOICE === 'true' || DDS_FLAGS_ALL || false;
+
+featureFlags.define({
+  DDS_FLAGS_ALL,
+  DDS_AUDIO_PLAYER,
+  DDS_CARD_WITH_PICTOGRAM,
+  DDS_CUSTOM_PROFILE_LOGIN,
+  DDS_LANGUAGE_SELECTOR,
+  DDS_CONTENTBLOCK_HEADLINES,
+  DDS_LEADSPACE_WITH_SEARCH,
+  DDS_NOTICE_CHOICE,
+});
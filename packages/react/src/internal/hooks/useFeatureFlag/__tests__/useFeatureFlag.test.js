@@ -0,0 +1,38 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+import { act } from 'react-dom/test-utils';
+import featureFlags from '../../../vendor/@carbon/ibmdotcom-utilities/utilities/featureflag/featureFlags';
+import { mount } from 'enzyme';
+import React from 'react';
+import useFeatureFlag from '../useFeatureFlag';
+
+describe('useFeatureFlag hook', () => {
+  afterEach(() => {
+    featureFlags.reset();
+  });
+
+  it('should re-render upon the change in the feature flag', () => {
+    const values = [];
+
+    /**
+     * writing test component here that uses the useFeatureFlag hook
+     *
+     * @returns {*} null
+     */
+    function TestComponent() {
+      values.push(useFeatureFlag('DDS_CUSTOM_PROFILE_LOGIN'));
+      return null;
+    }
+    const wrapper = mount(<TestComponent />);
+    act(() => {
+      featureFlags.set({ DDS_CUSTOM_PROFILE_LOGIN: true });
+    });
+    expect(values[0]).toBe(false);
+    expect(values[values.length - 1]).toBe(true);
+    wrapper.unmount();
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+import '../../FeatureFlags';
+import { useEffect, useState } from 'react';
+import featureFlags from '../../vendor/@carbon/ibmdotcom-utilities/utilities/featureflag/featureFlags';
+
+/**
+ * observes a feature flag, so the component re-renders when the flag
+ * is changed at runtime
+ *
+ * @param {string} name name of the feature flag, e.g. `DDS_CUSTOM_PROFILE_LOGIN`
+ * @returns {boolean} `true` if the feature flag is enabled
+ */
+function useFeatureFlag(name) {
+  const [enabled, setEnabled] = useState(() => featureFlags.isEnabled(name));
+
+  useEffect(() => {
+    setEnabled(featureFlags.isEnabled(name));
+    return featureFlags.subscribe(() => {
+      setEnabled(featureFlags.isEnabled(name));
+    });
+  }, [name]);
+
+  return enabled;
+}
+
+export default useFeatureFlag;
@@ -0,0 +1,52 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { setLanguage } from '../actions/localeAPI';
+import { setUserStatus } from '../actions/profileAPI';
+import { createStore } from '../store';
+import { createSignal, select, subscribe } from '../observable';
+
+describe('Observable API for the Redux store', () => {
+  it('selects a value with a path', () => {
+    const store = createStore({ localeAPI: { language: 'lang-foo' } });
+    expect(select('localeAPI.language', store)).toBe('lang-foo');
+    expect(select('translateAPI.translations.lang-foo', store)).toBeUndefined();
+  });
+
+  it('selects a value with a selector', () => {
+    const store = createStore({ localeAPI: { language: 'lang-foo' } });
+    expect(select(state => state.localeAPI.language, store)).toBe('lang-foo');
+  });
+
+  it('notifies the change in the value', () => {
+    const store = createStore({ localeAPI: { language: 'lang-foo' } });
+    const callback = jest.fn();
+    const unsubscribe = subscribe('localeAPI.language', callback, { store });
+    store.dispatch(setUserStatus({ user: 'Unauthenticated' }));
+    expect(callback).not.toHaveBeenCalled();
+    store.dispatch(setLanguage('lang-bar'));
+    expect(callback).toHaveBeenCalledWith('lang-bar', 'lang-foo');
+    unsubscribe();
+    store.dispatch(setLanguage('lang-baz'));
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('supports the Svelte store contract with signals', () => {
+    const store = createStore({ localeAPI: { language: 'lang-foo' } });
+    const signal = createSignal('localeAPI.language', store);
+    const callback = jest.fn();
+    const unsubscribe = signal.subscribe(callback);
+    expect(callback).toHaveBeenCalledWith('lang-foo');
+    store.dispatch(setLanguage('lang-bar'));
+    expect(signal.value).toBe('lang-bar');
+    unsubscribe();
+    store.dispatch(setLanguage('lang-baz'));
+    expect(callback.mock.calls).toEqual([['lang-foo'], ['lang-bar']]);
+  });
+});
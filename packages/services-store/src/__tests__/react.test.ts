@@ -0,0 +1,103 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { createElement } from 'react';
+import { render, unmountComponentAtNode } from 'react-dom';
+import { act } from 'react-dom/test-utils';
+import LocaleAPI from '@carbon/ibmdotcom-services/es/services/Locale/Locale.js';
+import ProfileAPI from '@carbon/ibmdotcom-services/es/services/Profile/Profile.js';
+import TranslateAPI from '@carbon/ibmdotcom-services/es/services/Translation/Translation.js';
+import { setLanguage } from '../actions/localeAPI';
+import { createStore } from '../store';
+import { useLocale, useStoreValue, useTranslation, useUserStatus } from '../react';
+
+jest.mock('@carbon/ibmdotcom-services/es/services/Locale/Locale');
+jest.mock('@carbon/ibmdotcom-services/es/services/Profile/Profile');
+jest.mock('@carbon/ibmdotcom-services/es/services/Translation/Translation');
+
+describe('React hooks for the Redux store', () => {
+  let container: HTMLElement;
+  let values: any[];
+
+  /**
+   * Renders a component calling the given hook.
+   *
+   * @param hook The hook.
+   */
+  async function renderHook(hook: () => any) {
+    await act(async () => {
+      render(
+        createElement(() => {
+          values.push(hook());
+          return null;
+        }),
+        container
+      );
+    });
+  }
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    values = [];
+    LocaleAPI.getLocale.mockResolvedValue({ cc: 'us', lc: 'en' });
+    LocaleAPI.getList.mockResolvedValue({ regionList: [] });
+    ProfileAPI.getUserStatus.mockResolvedValue({ user: 'Unauthenticated' });
+    TranslateAPI.getTranslation.mockResolvedValue({ footerMenu: [] });
+  });
+
+  afterEach(() => {
+    unmountComponentAtNode(container);
+    jest.resetAllMocks();
+  });
+
+  it('observes a value in the store', async () => {
+    const store = createStore({ localeAPI: { language: 'lang-foo' } });
+    await renderHook(() => useStoreValue('localeAPI.language', store));
+    await act(async () => {
+      store.dispatch(setLanguage('lang-bar'));
+    });
+    expect(values[0]).toBe('lang-foo');
+    expect(values[values.length - 1]).toBe('lang-bar');
+  });
+
+  it('loads and observes the language and the locale list data', async () => {
+    const store = createStore({});
+    await renderHook(() => useLocale(undefined, store));
+    expect(values[0]).toEqual({ language: undefined, localeList: undefined });
+    expect(values[values.length - 1]).toEqual({ language: 'en-us', localeList: { regionList: [] } });
+    expect(LocaleAPI.getList).toHaveBeenCalledWith({ cc: 'us', lc: 'en' });
+  });
+
+  it('loads and observes the translation data', async () => {
+    const store = createStore({});
+    await renderHook(() => useTranslation('en-US', 'endpoint-foo', store));
+    expect(TranslateAPI.getTranslation).toHaveBeenCalledWith({ cc: 'us', lc: 'en' }, 'endpoint-foo');
+    expect(values[values.length - 1]).toEqual({ footerMenu: [] });
+  });
+
+  it('uses the translation data in the store', async () => {
+    const store = createStore({ translateAPI: { translations: { 'en-US': { footerMenu: [] } } } });
+    await renderHook(() => useTranslation('en-US', undefined, store));
+    expect(TranslateAPI.getTranslation).not.toHaveBeenCalled();
+    expect(values[0]).toEqual({ footerMenu: [] });
+  });
+
+  it('loads and observes the user authentication status', async () => {
+    const store = createStore({});
+    await renderHook(() => useUserStatus(store));
+    expect(values[values.length - 1]).toEqual({ user: 'Unauthenticated' });
+  });
+
+  it('shares the request for the user authentication status in progress', async () => {
+    const store = createStore({});
+    await renderHook(() => [useUserStatus(store), useUserStatus(store)]);
+    expect(ProfileAPI.getUserStatus).toHaveBeenCalledTimes(1);
+    expect(values[values.length - 1]).toEqual([{ user: 'Unauthenticated' }, { user: 'Unauthenticated' }]);
+  });
+});
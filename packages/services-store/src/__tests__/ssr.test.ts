@@ -0,0 +1,98 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { AnyAction } from 'redux';
+import { ThunkDispatch } from 'redux-thunk';
+import LocaleAPI from '@carbon/ibmdotcom-services/es/services/Locale/Locale.js';
+import ProfileAPI from '@carbon/ibmdotcom-services/es/services/Profile/Profile.js';
+import TranslateAPI from '@carbon/ibmdotcom-services/es/services/Translation/Translation.js';
+import { LocaleList } from '../types/localeAPI';
+import { Translation } from '../types/translateAPI';
+import { loadLocaleList } from '../actions/localeAPI';
+import { loadTranslation } from '../actions/translateAPI';
+import { createStore } from '../store';
+import { preloadState, serializeState } from '../ssr';
+
+jest.mock('@carbon/ibmdotcom-services/es/services/Locale/Locale');
+jest.mock('@carbon/ibmdotcom-services/es/services/Profile/Profile');
+jest.mock('@carbon/ibmdotcom-services/es/services/Translation/Translation');
+
+const mockLocaleList: Partial<LocaleList> = {
+  regionList: [{ key: 'region-key-foo', name: 'region-foo', countryList: [] }],
+};
+
+const mockTranslation: Partial<Translation> = {
+  footerMenu: [{ title: '</script><script>alert(1)</script>', links: [] }],
+};
+
+describe('Server-side rendering support', () => {
+  beforeEach(() => {
+    LocaleAPI.getLocale.mockResolvedValue({ cc: 'us', lc: 'en' });
+    LocaleAPI.getList.mockResolvedValue(mockLocaleList);
+    ProfileAPI.getUserStatus.mockResolvedValue({ user: 'Unauthenticated' });
+    TranslateAPI.getTranslation.mockResolvedValue(mockTranslation);
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('loads all the data', async () => {
+    const store = await preloadState({ language: 'en-US', dataEndpoint: 'endpoint-foo' });
+    const { localeAPI, profileAPI, translateAPI } = store.getState();
+    expect(LocaleAPI.getLocale).not.toHaveBeenCalled();
+    expect(TranslateAPI.getTranslation).toHaveBeenCalledWith({ cc: 'us', lc: 'en' }, 'endpoint-foo');
+    expect(localeAPI.language).toBe('en-US');
+    expect(localeAPI.localeLists['en-US']).toEqual(mockLocaleList as LocaleList);
+    expect(translateAPI.translations['en-US']).toEqual(mockTranslation as Translation);
+    expect(profileAPI.request).toEqual({ user: 'Unauthenticated' });
+  });
+
+  it('loads the language from the service if not given', async () => {
+    const store = await preloadState({ userStatus: false });
+    const { localeAPI, profileAPI } = store.getState();
+    expect(localeAPI.language).toBe('en-us');
+    expect(ProfileAPI.getUserStatus).not.toHaveBeenCalled();
+    expect(profileAPI.request).toBeUndefined();
+  });
+
+  it('waits for the rest of the requests if one fails', async () => {
+    ProfileAPI.getUserStatus.mockRejectedValue(new Error('error-getuserstatus'));
+    TranslateAPI.getTranslation.mockRejectedValue(new Error('error-gettranslation'));
+    const store = await preloadState({ language: 'en-US' });
+    const { localeAPI, profileAPI, translateAPI } = store.getState();
+    expect(localeAPI.localeLists['en-US']).toEqual(mockLocaleList as LocaleList);
+    expect(profileAPI.errorGetUserStatus.message).toBe('error-getuserstatus');
+    expect(translateAPI.errorsRequestTranslation['en-US'].message).toBe('error-gettranslation');
+  });
+
+  it('serializes the state safely for embedding', async () => {
+    TranslateAPI.getTranslation.mockRejectedValue(new Error('error-gettranslation'));
+    const store = await preloadState({ language: 'en-US' });
+    const serialized = serializeState({ ...store.getState(), foo: '\u2028&\u2029' });
+    expect(serialized).not.toMatch(/[<>&\u2028\u2029]/);
+    const state = JSON.parse(serialized);
+    expect(state.foo).toBe('\u2028&\u2029');
+    expect(state.localeAPI.requestLanguage).toBeUndefined();
+    expect(state.translateAPI.errorsRequestTranslation).toBeUndefined();
+    expect(state.translateAPI.errorTypesRequestTranslation).toBeUndefined();
+  });
+
+  it('skips the requests for the data from the server', async () => {
+    const store = await preloadState({ language: 'en-US' });
+    jest.clearAllMocks();
+    const clientStore = createStore(JSON.parse(serializeState(store.getState())));
+    const { dispatch }: { dispatch: ThunkDispatch<any, void, AnyAction> } = clientStore;
+    expect(await dispatch(loadLocaleList())).toEqual(mockLocaleList as LocaleList);
+    expect(await dispatch(loadTranslation())).toEqual(mockTranslation as Translation);
+    expect(LocaleAPI.getLocale).not.toHaveBeenCalled();
+    expect(LocaleAPI.getList).not.toHaveBeenCalled();
+    expect(TranslateAPI.getTranslation).not.toHaveBeenCalled();
+  });
+});
@@ -12,9 +12,10 @@ import { AnyAction } from 'redux';
 import thunk, { ThunkDispatch } from 'redux-thunk';
 import LocaleAPI from '@carbon/ibmdotcom-services/es/services/Locale/Locale.js';
 import TranslateAPI from '@carbon/ibmdotcom-services/es/services/Translation/Translation.js';
+import { CACHE_ACTION } from '../../types/cache';
 import { LOCALE_API_ACTION } from '../../types/localeAPI';
 import { TRANSLATE_API_ACTION, Translation, TranslateAPIState } from '../../types/translateAPI';
-import { setTranslation, loadTranslation } from '../translateAPI';
+import { setTranslation, loadTranslation, refetchTranslation } from '../translateAPI';
 import convertValue from '../../../tests/utils/convert-value';
 
 jest.mock('@carbon/ibmdotcom-services/es/services/Locale/Locale');
@@ -169,4 +170,57 @@ describe('Redux actions for `TranslateAPI`', () => {
       },
     ]);
   });
+
+  it('loads the stale translation data again', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(2000);
+    TranslateAPI.getTranslation.mockResolvedValue(mockTranslation);
+    const store = mockStore({
+      translateAPI: {
+        cacheOptions: { maxAge: 500 },
+        requestsTranslation: {
+          'ko-KR': Promise.resolve(mockTranslation as Translation),
+        },
+        timestampsTranslation: {
+          'ko-KR': 1000,
+        },
+      },
+    });
+    expect(await store.dispatch(loadTranslation('ko-KR'))).toEqual(mockTranslation as Translation);
+    expect(convertValue(store.getActions())).toEqual([
+      {
+        type: TRANSLATE_API_ACTION.SET_REQUEST_TRANSLATION_IN_PROGRESS,
+        language: 'ko-KR',
+        request: 'PROMISE',
+      },
+      {
+        type: TRANSLATE_API_ACTION.SET_TRANSLATION,
+        language: 'ko-KR',
+        translation: mockTranslation,
+      },
+    ]);
+    jest.restoreAllMocks();
+  });
+
+  it('dispatches the action to invalidate and load translation data again', async () => {
+    TranslateAPI.getTranslation.mockResolvedValue(mockTranslation);
+    const store = mockStore();
+    expect(await store.dispatch(refetchTranslation('ko-KR'))).toEqual(mockTranslation as Translation);
+    expect(convertValue(store.getActions())).toEqual([
+      {
+        type: CACHE_ACTION.INVALIDATE_CACHE,
+        slice: 'translateAPI',
+        key: 'ko-KR',
+      },
+      {
+        type: TRANSLATE_API_ACTION.SET_REQUEST_TRANSLATION_IN_PROGRESS,
+        language: 'ko-KR',
+        request: 'PROMISE',
+      },
+      {
+        type: TRANSLATE_API_ACTION.SET_TRANSLATION,
+        language: 'ko-KR',
+        translation: mockTranslation,
+      },
+    ]);
+  });
 });
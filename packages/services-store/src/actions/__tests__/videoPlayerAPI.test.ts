@@ -18,8 +18,8 @@ import convertValue from '../../../tests/utils/convert-value';
 jest.mock('@carbon/ibmdotcom-services/es/services/KalturaPlayer/KalturaPlayer');
 
 const mockStore = configureMockStore<
-  { mediaPlayerAPI: MediaPlayerAPIState },
-  ThunkDispatch<{ mediaPlayerAPI: MediaPlayerAPIState }, void, AnyAction>
+  { kalturaPlayerAPI: MediaPlayerAPIState },
+  ThunkDispatch<{ kalturaPlayerAPI: MediaPlayerAPIState }, void, AnyAction>
 >([thunk]);
 
 const mockMediaData: Partial<MediaData> = {
@@ -62,7 +62,7 @@ describe('Redux actions for `TranslateAPI`', () => {
   it('caches the loaded video data', async () => {
     KalturaPlayerAPI.api.mockResolvedValue(mockMediaData);
     const store = mockStore({
-      mediaPlayerAPI: {
+      kalturaPlayerAPI: {
         requestsMediaData: {
           'video-id-foo': Promise.resolve(mockMediaData as MediaData),
         },
@@ -98,7 +98,7 @@ describe('Redux actions for `TranslateAPI`', () => {
 
   it('caches the error in loading video data', async () => {
     const store = mockStore({
-      mediaPlayerAPI: {
+      kalturaPlayerAPI: {
         requestsMediaData: {
           'video-id-foo': Promise.reject(new Error('error-getvideodata')),
         },
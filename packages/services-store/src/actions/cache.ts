@@ -0,0 +1,51 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { CACHE_ACTION, CACHE_SLICE, CacheOptions } from '../types/cache';
+
+/**
+ * @param slice The Redux substate.
+ * @param options The cache options.
+ * @returns A Redux action to set the cache options of the given Redux substate.
+ */
+export function setCacheOptions(slice: CACHE_SLICE, options: CacheOptions) {
+  return {
+    type: CACHE_ACTION.SET_CACHE_OPTIONS,
+    slice,
+    options,
+  };
+}
+
+/**
+ * @param slice The Redux substate.
+ * @param [key] The key of the data, e.g. the language. If not given, all the data in the Redux substate is marked as stale.
+ * @returns A Redux action to mark the cached data as stale, so it's loaded again next time.
+ */
+export function invalidateCache(slice: CACHE_SLICE, key?: string) {
+  return {
+    type: CACHE_ACTION.INVALIDATE_CACHE,
+    slice,
+    key,
+  };
+}
+
+/**
+ * A Redux action to work with the cache of keyed data.
+ */
+export type CacheActions = ReturnType<typeof setCacheOptions> | ReturnType<typeof invalidateCache>;
+
+/**
+ * @param timestamp The time the data was loaded.
+ * @param [options] The cache options.
+ * @returns `true` if the data loaded at the given time is stale.
+ * @private
+ */
+export function isStale(timestamp: number | undefined, { maxAge }: CacheOptions = {}) {
+  return maxAge !== undefined && timestamp !== undefined && Date.now() - timestamp > maxAge;
+}
@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -10,6 +10,8 @@
 import { ThunkAction } from 'redux-thunk';
 import KalturaPlayerAPI from '@carbon/ibmdotcom-services/es/services/KalturaPlayer/KalturaPlayer.js';
 import { MediaData, MEDIA_PLAYER_API_ACTION, MediaPlayerAPIState } from '../types/kalturaPlayerAPI';
+import { CACHE_SLICE } from '../types/cache';
+import { CacheActions, invalidateCache, isStale } from './cache';
 
 /**
  * @param mediaId A language.
@@ -65,11 +67,12 @@ export type MediaPlayerAPIActions =
  */
 export function loadMediaData(
   mediaId: string
-): ThunkAction<Promise<MediaData>, { mediaPlayerAPI: MediaPlayerAPIState }, void, MediaPlayerAPIActions> {
+): ThunkAction<Promise<MediaData>, { kalturaPlayerAPI: MediaPlayerAPIState }, void, MediaPlayerAPIActions> {
   return async (dispatch, getState) => {
-    const { requestsMediaData = {} } = getState().mediaPlayerAPI ?? {};
+    const { requestsMediaData = {}, requestsMediaDataInProgress = {}, timestampsMediaData = {}, cacheOptions } =
+      getState().kalturaPlayerAPI ?? {};
     const { [mediaId]: requestMediaData } = requestsMediaData;
-    if (requestMediaData) {
+    if (requestMediaData && (requestsMediaDataInProgress[mediaId] || !isStale(timestampsMediaData[mediaId], cacheOptions))) {
       return requestMediaData;
     }
     const promiseVideoData: Promise<MediaData> = KalturaPlayerAPI.api(mediaId);
@@ -82,3 +85,16 @@ export function loadMediaData(
     return promiseVideoData;
   };
 }
+
+/**
+ * @param mediaId The video ID.
+ * @returns A Redux action that marks the media data as stale and sends a REST call for it again.
+ */
+export function refetchMediaData(
+  mediaId: string
+): ThunkAction<Promise<MediaData>, { kalturaPlayerAPI: MediaPlayerAPIState }, void, MediaPlayerAPIActions | CacheActions> {
+  return async dispatch => {
+    dispatch(invalidateCache(CACHE_SLICE.KALTURA_PLAYER_API, mediaId));
+    return dispatch(loadMediaData(mediaId));
+  };
+}
@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -10,6 +10,8 @@
 import { ThunkAction } from 'redux-thunk';
 import LocaleAPI from '@carbon/ibmdotcom-services/es/services/Locale/Locale.js';
 import { LocaleList, LOCALE_API_ACTION, LocaleAPIState } from '../types/localeAPI';
+import { CACHE_SLICE } from '../types/cache';
+import { CacheActions, invalidateCache, isStale } from './cache';
 
 /**
  * @param request The promise of the REST call for language data that is in progress.
@@ -130,9 +132,13 @@ export function loadLocaleList(
 ): ThunkAction<Promise<LocaleList>, { localeAPI: LocaleAPIState }, void, LocaleAPIActions> {
   return async (dispatch, getState) => {
     const effectiveLanguage: string = language ?? (await dispatch(loadLanguage()));
-    const { requestsLocaleList = {} } = getState().localeAPI ?? {};
+    const { requestsLocaleList = {}, requestsLocaleListInProgress = {}, timestampsLocaleList = {}, cacheOptions } =
+      getState().localeAPI ?? {};
     const { [effectiveLanguage]: requestLocaleList } = requestsLocaleList;
-    if (requestLocaleList) {
+    if (
+      requestLocaleList &&
+      (requestsLocaleListInProgress[effectiveLanguage] || !isStale(timestampsLocaleList[effectiveLanguage], cacheOptions))
+    ) {
       return requestLocaleList;
     }
     const [primary, country] = effectiveLanguage.split('-');
@@ -149,3 +155,17 @@ export function loadLocaleList(
     return promiseLocaleList;
   };
 }
+
+/**
+ * @param [language] The language. If not given, the default language from DDO is used.
+ * @returns A Redux action that marks the locale list data as stale and sends a REST call for it again.
+ */
+export function refetchLocaleList(
+  language?: string
+): ThunkAction<Promise<LocaleList>, { localeAPI: LocaleAPIState }, void, LocaleAPIActions | CacheActions> {
+  return async dispatch => {
+    const effectiveLanguage: string = language ?? (await dispatch(loadLanguage()));
+    dispatch(invalidateCache(CACHE_SLICE.LOCALE_API, effectiveLanguage));
+    return dispatch(loadLocaleList(effectiveLanguage));
+  };
+}
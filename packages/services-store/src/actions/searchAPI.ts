@@ -1,15 +1,18 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
 import { ThunkAction } from 'redux-thunk';
+import ConfigAPI from '@carbon/ibmdotcom-services/es/services/Config/Config.js';
 import { loadLanguage } from './localeAPI';
 import { SEARCH_API_ACTION, SearchAPIState } from '../types/searchAPI';
+import { CACHE_SLICE } from '../types/cache';
+import { CacheActions, invalidateCache, isStale } from './cache';
 
 /**
  * @param language The locale.
@@ -18,8 +21,9 @@ import { SEARCH_API_ACTION, SearchAPIState } from '../types/searchAPI';
  */
 function getSearchEndpoint(language: string, searchQueryString: string) {
   const [primary, country] = language!.split('-');
-  return `${(process && process.env.SEARCH_TYPEAHEAD_API) ||
-    'https://www-api.ibm.com'}/search/typeahead/v1?lang=${primary}&cc=${country}&query=${searchQueryString}`;
+  return `${ConfigAPI.get('searchTypeaheadHost') || 'https://www-api.ibm.com'}/search/typeahead/${ConfigAPI.get(
+    'searchTypeaheadVersion'
+  ) || 'v1'}?lang=${primary}&cc=${country}&query=${searchQueryString}`;
 }
 
 /**
@@ -100,9 +104,14 @@ export function loadSearchResults(
     dispatch(setCurrentSearchQueryString(searchQueryString));
     // TODO: Can we go without casts without making `LocaleAPI` types a hard-dependency?
     const language: string = await dispatch(loadLanguage() as any);
-    const { requestsSearchResults = {} } = getState().searchAPI ?? {};
+    const { requestsSearchResults = {}, requestsSearchResultsInProgress = {}, timestampsSearchResults = {}, cacheOptions } =
+      getState().searchAPI ?? {};
     const requestSearchResults = requestsSearchResults?.[searchQueryString]?.[language];
-    if (requestSearchResults) {
+    if (
+      requestSearchResults &&
+      (requestsSearchResultsInProgress[searchQueryString]?.[language] ||
+        !isStale(timestampsSearchResults[searchQueryString], cacheOptions))
+    ) {
       return requestSearchResults;
     }
     const request = fetch(getSearchEndpoint(language, searchQueryString))
@@ -118,3 +127,16 @@ export function loadSearchResults(
     return request;
   };
 }
+
+/**
+ * @param searchQueryString The search query string.
+ * @returns A Redux action that marks the search results as stale and sends a REST call for them again.
+ */
+export function refetchSearchResults(
+  searchQueryString: string
+): ThunkAction<Promise<string[]>, { searchAPI: SearchAPIState }, void, SearchAPIActions | CacheActions> {
+  return async dispatch => {
+    dispatch(invalidateCache(CACHE_SLICE.SEARCH_API, searchQueryString));
+    return dispatch(loadSearchResults(searchQueryString));
+  };
+}
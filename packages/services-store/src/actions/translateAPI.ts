@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -9,6 +9,8 @@
 
 import { ThunkAction } from 'redux-thunk';
 import TranslateAPI from '@carbon/ibmdotcom-services/es/services/Translation/Translation.js';
+import { CACHE_SLICE } from '../types/cache';
+import { CacheActions, invalidateCache, isStale } from './cache';
 import { loadLanguage } from './localeAPI';
 import { Translation, TRANSLATE_API_ACTION, TranslateAPIState } from '../types/translateAPI';
 
@@ -61,6 +63,19 @@ export type TranslateAPIActions =
   | ReturnType<typeof setErrorRequestTranslation>
   | ReturnType<typeof setTranslation>;
 
+/**
+ * @param [language] The language. If not given, the default language from DDO is used.
+ * @returns A Redux action that resolves to the given language, or to the default language from DDO.
+ * @private
+ */
+function resolveLanguage(
+  language?: string
+): ThunkAction<Promise<string>, { translateAPI: TranslateAPIState }, void, TranslateAPIActions> {
+  return async dispatch =>
+    // TODO: Can we go without casts without making `LocaleAPI` types a hard-dependency?
+    language ?? dispatch(loadLanguage() as any);
+}
+
 /**
  * @param language The language. If not given, the default language from DDO is used.
  * @param dataEndpoint The translation endpoint to fetch from if not using default dds endpoint
@@ -71,11 +86,14 @@ export function loadTranslation(
   dataEndpoint?: string
 ): ThunkAction<Promise<Translation>, { translateAPI: TranslateAPIState }, void, TranslateAPIActions> {
   return async (dispatch, getState) => {
-    // TODO: Can we go without casts without making `LocaleAPI` types a hard-dependency?
-    const effectiveLanguage: string = language ?? (await dispatch(loadLanguage() as any));
-    const { requestsTranslation = {} } = getState().translateAPI ?? {};
+    const effectiveLanguage = await dispatch(resolveLanguage(language));
+    const { requestsTranslation = {}, requestsTranslationInProgress = {}, timestampsTranslation = {}, cacheOptions } =
+      getState().translateAPI ?? {};
     const { [effectiveLanguage]: requestTranslation } = requestsTranslation;
-    if (requestTranslation) {
+    if (
+      requestTranslation &&
+      (requestsTranslationInProgress[effectiveLanguage] || !isStale(timestampsTranslation[effectiveLanguage], cacheOptions))
+    ) {
       return requestTranslation;
     }
     const [primary, country] = effectiveLanguage.split('-');
@@ -95,3 +113,19 @@ export function loadTranslation(
     return promiseTranslation;
   };
 }
+
+/**
+ * @param [language] The language. If not given, the default language from DDO is used.
+ * @param [dataEndpoint] The endpoint of the translation data.
+ * @returns A Redux action that marks the translation data as stale and sends a REST call for it again.
+ */
+export function refetchTranslation(
+  language?: string,
+  dataEndpoint?: string
+): ThunkAction<Promise<Translation>, { translateAPI: TranslateAPIState }, void, TranslateAPIActions | CacheActions> {
+  return async dispatch => {
+    const effectiveLanguage = await dispatch(resolveLanguage(language));
+    dispatch(invalidateCache(CACHE_SLICE.TRANSLATE_API, effectiveLanguage));
+    return dispatch(loadTranslation(effectiveLanguage, dataEndpoint));
+  };
+}
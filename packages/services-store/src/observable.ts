@@ -0,0 +1,110 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Store } from 'redux';
+import defaultStore from './store';
+
+/**
+ * A function to pick a value from the Redux store state.
+ */
+export type Selector<T> = (state: { [key: string]: any }) => T;
+
+/**
+ * A value in the Redux store, that can be used as a Svelte store.
+ */
+export interface Signal<T> {
+  /**
+   * The current value.
+   */
+  readonly value: T;
+
+  /**
+   * @param callback The callback, called with the current value right away and with the new value every time it changes.
+   * @returns The function to stop observing the value.
+   */
+  subscribe(callback: (value: T) => void): () => void;
+}
+
+/**
+ * @param path The dot-separated path of the value in the Redux store state, e.g. `localeAPI.language`, or a selector function.
+ * @returns The selector function.
+ */
+function toSelector<T>(path: string | Selector<T>): Selector<T> {
+  if (typeof path === 'function') {
+    return path;
+  }
+  const keys = path.split('.');
+  return state => keys.reduce((acc, key) => acc?.[key], state as any);
+}
+
+/**
+ * @param path The dot-separated path of the value in the Redux store state, e.g. `localeAPI.language`, or a selector function.
+ * @param [store] The Redux store. The default store for Carbon for IBM.com is used if not given.
+ * @returns The current value.
+ */
+export function select<T = any>(path: string | Selector<T>, store: Store<any, any> = defaultStore): T {
+  return toSelector(path)(store.getState());
+}
+
+/**
+ * Observes a value in the Redux store, without depending on any JavaScript framework.
+ *
+ * @param path The dot-separated path of the value in the Redux store state, e.g. `localeAPI.language`, or a selector function.
+ * @param callback The callback, called with the new and old values every time the value changes.
+ * @param [options] The options.
+ * @param [options.store] The Redux store. The default store for Carbon for IBM.com is used if not given.
+ * @returns The function to stop observing the value.
+ * @example
+ * import { subscribe } from '@carbon/ibmdotcom-services-store/es/observable.js';
+ *
+ * const unsubscribe = subscribe('localeAPI.language', language => {
+ *   document.documentElement.lang = language;
+ * });
+ */
+export function subscribe<T = any>(
+  path: string | Selector<T>,
+  callback: (value: T, oldValue: T) => void,
+  { store = defaultStore }: { store?: Store<any, any> } = {}
+) {
+  const selector = toSelector(path);
+  let value = selector(store.getState());
+  return store.subscribe(() => {
+    const oldValue = value;
+    value = selector(store.getState());
+    if (value !== oldValue) {
+      callback(value, oldValue);
+    }
+  });
+}
+
+/**
+ * @param path The dot-separated path of the value in the Redux store state, e.g. `localeAPI.language`, or a selector function.
+ * @param [store] The Redux store. The default store for Carbon for IBM.com is used if not given.
+ * @returns The signal of the value, that follows the Svelte store contract.
+ * @example
+ * import { createSignal } from '@carbon/ibmdotcom-services-store/es/observable.js';
+ *
+ * const language = createSignal('localeAPI.language');
+ * console.log(language.value);
+ * language.subscribe(value => {
+ *   console.log(value);
+ * });
+ */
+export function createSignal<T = any>(path: string | Selector<T>, store: Store<any, any> = defaultStore): Signal<T> {
+  const selector = toSelector(path);
+  return {
+    get value() {
+      return select(selector, store);
+    },
+    subscribe(callback) {
+      callback(select(selector, store));
+      return subscribe(selector, value => callback(value), { store });
+    },
+  };
+}
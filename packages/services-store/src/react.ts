@@ -0,0 +1,119 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { AnyAction, Store } from 'redux';
+import { ThunkDispatch } from 'redux-thunk';
+import defaultStore from './store';
+import { Selector, select, subscribe } from './observable';
+import { loadLanguage, loadLocaleList } from './actions/localeAPI';
+import { loadTranslation } from './actions/translateAPI';
+import { loadUserStatus } from './actions/profileAPI';
+import { LocaleList } from './types/localeAPI';
+import { Translation } from './types/translateAPI';
+import { UserStatus } from './types/profileAPI';
+
+/**
+ * @param store A Redux store.
+ * @param action A `redux-thunk` action.
+ */
+function load(store: Store<any, any>, action: any) {
+  // The errors are in the Redux store state
+  (store.dispatch as ThunkDispatch<any, void, AnyAction>)(action).catch(() => {});
+}
+
+/**
+ * A React hook to observe a value in the Redux store.
+ *
+ * @param path The dot-separated path of the value in the Redux store state, e.g. `localeAPI.language`,
+ *   or a selector function. The selector function should be memoized, e.g. with `useCallback()`.
+ * @param [store] The Redux store. The default store for Carbon for IBM.com is used if not given.
+ * @returns The current value.
+ */
+export function useStoreValue<T = any>(path: string | Selector<T>, store: Store<any, any> = defaultStore): T {
+  const [value, setValue] = useState<T>(() => select(path, store));
+  useEffect(() => {
+    // Catches up with the change between the render and the subscription
+    setValue(() => select(path, store));
+    return subscribe(path, newValue => setValue(() => newValue), { store });
+  }, [path, store]);
+  return value;
+}
+
+/**
+ * A React hook to load and observe the language and the locale list data.
+ *
+ * @param [language] The language. If not given, the default language from DDO is used.
+ * @param [store] The Redux store. The default store for Carbon for IBM.com is used if not given.
+ * @returns The language, and the locale list data once it's loaded.
+ */
+export function useLocale(language?: string, store: Store<any, any> = defaultStore) {
+  useEffect(() => {
+    if (!language) {
+      load(store, loadLanguage());
+    }
+  }, [language, store]);
+  const effectiveLanguage: string | undefined = useStoreValue(
+    useCallback(state => language ?? state.localeAPI?.language, [language]),
+    store
+  );
+  useEffect(() => {
+    if (effectiveLanguage) {
+      load(store, loadLocaleList(effectiveLanguage));
+    }
+  }, [effectiveLanguage, store]);
+  const localeList: LocaleList | undefined = useStoreValue(
+    useCallback(state => state.localeAPI?.localeLists?.[effectiveLanguage!], [effectiveLanguage]),
+    store
+  );
+  return { language: effectiveLanguage, localeList };
+}
+
+/**
+ * A React hook to load and observe the translation data.
+ *
+ * @param [language] The language. If not given, the default language from DDO is used.
+ * @param [dataEndpoint] The endpoint of the translation data.
+ * @param [store] The Redux store. The default store for Carbon for IBM.com is used if not given.
+ * @returns The translation data, once it's loaded.
+ * @example
+ * import { useTranslation } from '@carbon/ibmdotcom-services-store/es/react.js';
+ *
+ * function Footer() {
+ *   const translation = useTranslation();
+ *   return <FooterNav groups={translation?.footerMenu ?? []} />;
+ * }
+ */
+export function useTranslation(language?: string, dataEndpoint?: string, store: Store<any, any> = defaultStore) {
+  useEffect(() => {
+    load(store, loadTranslation(language, dataEndpoint));
+  }, [language, dataEndpoint, store]);
+  const translation: Translation | undefined = useStoreValue(
+    useCallback(state => state.translateAPI?.translations?.[language ?? state.localeAPI?.language], [language]),
+    store
+  );
+  return translation;
+}
+
+/**
+ * A React hook to load and observe the user authentication status.
+ *
+ * @param [store] The Redux store. The default store for Carbon for IBM.com is used if not given.
+ * @returns The user authentication status, once it's loaded.
+ */
+export function useUserStatus(store: Store<any, any> = defaultStore) {
+  useEffect(() => {
+    // `loadUserStatus()` sends the request every time it is dispatched
+    if (!select('profileAPI.request', store) && !select('profileAPI.requestUserStatus', store)) {
+      load(store, loadUserStatus());
+    }
+  }, [store]);
+  const userStatus: UserStatus | undefined = useStoreValue('profileAPI.request', store);
+  return userStatus;
+}
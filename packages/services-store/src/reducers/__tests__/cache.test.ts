@@ -0,0 +1,97 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { CACHE_SLICE } from '../../types/cache';
+import { Translation } from '../../types/translateAPI';
+import { invalidateCache, setCacheOptions } from '../../actions/cache';
+import { setSearchResults } from '../../actions/searchAPI';
+import { setTranslation } from '../../actions/translateAPI';
+import convertValue from '../../../tests/utils/convert-value';
+import searchReducer from '../searchAPI';
+import translateReducer from '../translateAPI';
+
+describe('Redux reducers for the cache of keyed data', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now++);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should evict the least recently loaded data exceeding the size limit', () => {
+    const state = ['lang-foo', 'lang-bar', 'lang-baz'].reduce(
+      (acc, language) => translateReducer(acc, setTranslation(language, {} as Translation)),
+      translateReducer({}, setCacheOptions(CACHE_SLICE.TRANSLATE_API, { limit: 2 }))
+    );
+    expect(convertValue(state)).toEqual({
+      cacheOptions: { limit: 2 },
+      requestsTranslationInProgress: {
+        'lang-bar': false,
+        'lang-baz': false,
+      },
+      requestsTranslation: {
+        'lang-bar': 'PROMISE',
+        'lang-baz': 'PROMISE',
+      },
+      translations: {
+        'lang-bar': {},
+        'lang-baz': {},
+      },
+      timestampsTranslation: {
+        'lang-bar': 1001,
+        'lang-baz': 1002,
+      },
+    });
+  });
+
+  it('should evict the data exceeding the new size limit', () => {
+    const state = ['lang-foo', 'lang-bar'].reduce(
+      (acc, language) => translateReducer(acc, setTranslation(language, {} as Translation)),
+      {}
+    );
+    const { translations } = translateReducer(state, setCacheOptions(CACHE_SLICE.TRANSLATE_API, { limit: 1 }));
+    expect(Object.keys(translations!)).toEqual(['lang-bar']);
+  });
+
+  it('should limit the search results by default', () => {
+    let state = {};
+    for (let i = 0; i < 51; ++i) {
+      state = searchReducer(state, setSearchResults('lang-foo', `search-query-string-${i}`, []));
+    }
+    const { searchResults = {} } = searchReducer(state, setSearchResults('lang-foo', 'search-query-string-foo', []));
+    expect(Object.keys(searchResults).length).toBe(50);
+    expect(searchResults['search-query-string-0']).toBeUndefined();
+    expect(searchResults['search-query-string-1']).toBeUndefined();
+    expect(searchResults['search-query-string-foo']).toEqual({ 'lang-foo': [] });
+  });
+
+  it('should invalidate the data of the given key while keeping the data', () => {
+    const state = ['lang-foo', 'lang-bar'].reduce(
+      (acc, language) => translateReducer(acc, setTranslation(language, {} as Translation)),
+      {}
+    );
+    const { requestsTranslation, translations } = translateReducer(state, invalidateCache(CACHE_SLICE.TRANSLATE_API, 'lang-foo'));
+    expect(Object.keys(requestsTranslation!)).toEqual(['lang-bar']);
+    expect(Object.keys(translations!)).toEqual(['lang-foo', 'lang-bar']);
+  });
+
+  it('should invalidate all the data', () => {
+    const state = translateReducer({}, setTranslation('lang-foo', {} as Translation));
+    expect(translateReducer(state, invalidateCache(CACHE_SLICE.TRANSLATE_API)).requestsTranslation).toEqual({});
+  });
+
+  it('should ignore the action for another Redux substate', () => {
+    const state = translateReducer({}, setTranslation('lang-foo', {} as Translation));
+    expect(translateReducer(state, invalidateCache(CACHE_SLICE.SEARCH_API))).toBe(state);
+  });
+});
@@ -28,6 +28,7 @@ describe('Redux reducers for `CloudAccountAuthAPI`', () => {
       )
     ).toEqual({
       errorGetUserStatus: 'error-user-status',
+      errorTypeGetUserStatus: 'unknown',
     });
   });
 
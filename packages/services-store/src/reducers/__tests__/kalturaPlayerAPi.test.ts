@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -19,6 +19,14 @@ const mockMediaData: Partial<MediaData> = {
 };
 
 describe('Redux reducers for `KalturaPlayerAPI`', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   it('should return the state unmodified for unknown action', () => {
     const state = {
       mediaData: {
@@ -64,6 +72,9 @@ describe('Redux reducers for `KalturaPlayerAPI`', () => {
       errorsRequestMediaData: {
         'video-id-foo': 'error-getvideodata',
       },
+      timestampsMediaData: {
+        'video-id-foo': 1000,
+      },
     });
   });
 
@@ -86,6 +97,9 @@ describe('Redux reducers for `KalturaPlayerAPI`', () => {
       mediaData: {
         'video-id-foo': mockMediaData,
       },
+      timestampsMediaData: {
+        'video-id-foo': 1000,
+      },
     });
   });
 });
@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -57,6 +57,14 @@ const mockLocaleList: LocaleList = {
 };
 
 describe('Redux reducers for `LocaleAPI`', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   it('should return the state unmodified for unknown action', () => {
     const state = { language: 'lang-foo' };
     expect(reducer(state, {} as LocaleAPIActions)).toEqual(state);
@@ -86,6 +94,7 @@ describe('Redux reducers for `LocaleAPI`', () => {
     ).toEqual({
       requestLanguageInProgress: false,
       errorRequestLanguage: 'error-lang',
+      errorTypeRequestLanguage: 'unknown',
     });
   });
 
@@ -140,6 +149,12 @@ describe('Redux reducers for `LocaleAPI`', () => {
       errorsRequestLocaleList: {
         'lang-foo': 'error-lang',
       },
+      errorTypesRequestLocaleList: {
+        'lang-foo': 'unknown',
+      },
+      timestampsLocaleList: {
+        'lang-foo': 1000,
+      },
     });
   });
 
@@ -162,6 +177,9 @@ describe('Redux reducers for `LocaleAPI`', () => {
       localeLists: {
         'lang-foo': mockLocaleList,
       },
+      timestampsLocaleList: {
+        'lang-foo': 1000,
+      },
     });
   });
 });
@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -9,6 +9,7 @@
 
 import { PROFILE_API_ACTION, ProfileAPIState } from '../../types/profileAPI';
 import { ProfileAPIActions } from '../../actions/profileAPI';
+import { SERVICE_ERROR_TYPE } from '../../types/serviceError';
 import convertValue from '../../../tests/utils/convert-value';
 import reducer from '../profileAPI';
 
@@ -18,6 +19,19 @@ describe('Redux reducers for `ProfileAPI`', () => {
     expect(reducer(state, {} as ProfileAPIActions)).toEqual(state);
   });
 
+  it('should support setting the request in progress for user authentication status', () => {
+    expect(
+      convertValue(
+        reducer({} as ProfileAPIState, {
+          type: PROFILE_API_ACTION.SET_REQUEST_USER_STATUS_IN_PROGRESS,
+          request: Promise.resolve({ user: 'test.user@ibm.com' }),
+        })
+      )
+    ).toEqual({
+      requestUserStatus: 'PROMISE',
+    });
+  });
+
   it('should support setting error in monitoring user authentication status', () => {
     expect(
       convertValue(
@@ -28,6 +42,22 @@ describe('Redux reducers for `ProfileAPI`', () => {
       )
     ).toEqual({
       errorGetUserStatus: 'error-user-status',
+      errorTypeGetUserStatus: 'unknown',
+    });
+  });
+
+  it('should save the classification of the error in monitoring user authentication status', () => {
+    const error = Object.assign(new Error('error-user-status'), { type: SERVICE_ERROR_TYPE.NETWORK });
+    expect(
+      convertValue(
+        reducer({} as ProfileAPIState, {
+          type: PROFILE_API_ACTION.SET_ERROR_REQUEST_USER_STATUS,
+          error,
+        })
+      )
+    ).toEqual({
+      errorGetUserStatus: 'error-user-status',
+      errorTypeGetUserStatus: 'network',
     });
   });
 
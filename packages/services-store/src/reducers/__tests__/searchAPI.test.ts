@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -13,6 +13,14 @@ import convertValue from '../../../tests/utils/convert-value';
 import reducer from '../searchAPI';
 
 describe('Redux reducers for `SearchAPI`', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   it('should return the state unmodified for unknown action', () => {
     const state = { currentSearchQueryString: 'search-query-string-foo' };
     expect(reducer(state, {} as SearchAPIActions)).toEqual(state);
@@ -64,6 +72,9 @@ describe('Redux reducers for `SearchAPI`', () => {
           'lang-foo': 'error-loadsearchquerystring',
         },
       },
+      timestampsSearchResults: {
+        'search-query-string-foo': 1000,
+      },
     });
   });
 
@@ -93,6 +104,9 @@ describe('Redux reducers for `SearchAPI`', () => {
           'lang-foo': ['foo'],
         },
       },
+      timestampsSearchResults: {
+        'search-query-string-foo': 1000,
+      },
     });
   });
 });
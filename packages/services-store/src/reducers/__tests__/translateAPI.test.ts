@@ -34,6 +34,14 @@ const mockTranslation: Partial<Translation> = {
 };
 
 describe('Redux reducers for `LocaleAPI`', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   it('should return the state unmodified for unknown action', () => {
     const state = {
       translations: {
@@ -79,6 +87,12 @@ describe('Redux reducers for `LocaleAPI`', () => {
       errorsRequestTranslation: {
         'lang-foo': 'error-lang',
       },
+      errorTypesRequestTranslation: {
+        'lang-foo': 'unknown',
+      },
+      timestampsTranslation: {
+        'lang-foo': 1000,
+      },
     });
   });
 
@@ -101,6 +115,9 @@ describe('Redux reducers for `LocaleAPI`', () => {
       translations: {
         'lang-foo': mockTranslation,
       },
+      timestampsTranslation: {
+        'lang-foo': 1000,
+      },
     });
   });
 });
@@ -0,0 +1,116 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { CACHE_ACTION, CACHE_SLICE, CacheState } from '../types/cache';
+import { CacheActions, invalidateCache, setCacheOptions } from '../actions/cache';
+
+/**
+ * The properties of a Redux substate with the cache of keyed data.
+ */
+export interface CacheFields {
+  /**
+   * The name of the property of the timestamps of the data, e.g. `timestampsTranslation`.
+   */
+  timestamps: string;
+
+  /**
+   * The name of the property of the requests, e.g. `requestsTranslation`.
+   */
+  requests: string;
+
+  /**
+   * The names of all the keyed properties, whose values are evicted together.
+   */
+  keyed: string[];
+
+  /**
+   * The default maximum number of the keys to keep the data for.
+   */
+  defaultLimit?: number;
+}
+
+/**
+ * @param state A Redux substate.
+ * @param fields The properties of the Redux substate.
+ * @param [keep] The key to keep the data for.
+ * @returns The given Redux substate, with the data for the least recently loaded keys evicted if it exceeds the size limit.
+ */
+function evict<T extends CacheState>(state: T, fields: CacheFields, keep?: string): T {
+  const { limit = fields.defaultLimit } = state.cacheOptions ?? {};
+  const timestamps: { [key: string]: number } = state[fields.timestamps] ?? {};
+  const keys = Object.keys(timestamps);
+  if (limit === undefined || keys.length <= limit) {
+    return state;
+  }
+  const evicted = keys
+    .filter(key => key !== keep)
+    .sort((a, b) => timestamps[a] - timestamps[b])
+    .slice(0, keys.length - limit);
+  return fields.keyed.reduce((acc, field) => {
+    if (!acc[field]) {
+      return acc;
+    }
+    const values = { ...acc[field] };
+    evicted.forEach(key => {
+      delete values[key];
+    });
+    return { ...acc, [field]: values };
+  }, state as { [field: string]: any }) as T;
+}
+
+/**
+ * @param state A Redux substate.
+ * @param key The key of the data that has just been loaded, or failed to load.
+ * @param fields The properties of the Redux substate.
+ * @returns The given Redux substate, with the timestamp for the given key updated and the data exceeding the size limit evicted.
+ */
+export function touchCache<T extends CacheState>(state: T, key: string, fields: CacheFields): T {
+  return evict(
+    {
+      ...state,
+      [fields.timestamps]: {
+        ...(state[fields.timestamps] ?? {}),
+        [key]: Date.now(),
+      },
+    },
+    fields,
+    key
+  );
+}
+
+/**
+ * @param state A Redux substate.
+ * @param action A Redux action to work with the cache of keyed data.
+ * @param slice The name of the Redux substate.
+ * @param fields The properties of the Redux substate.
+ * @returns The new Redux substate, or the given one if the action is for another Redux substate.
+ */
+export function reduceCache<T extends CacheState>(state: T, action: CacheActions, slice: CACHE_SLICE, fields: CacheFields): T {
+  if (action.slice !== slice) {
+    return state;
+  }
+  switch (action.type) {
+    case CACHE_ACTION.SET_CACHE_OPTIONS: {
+      const { options } = action as ReturnType<typeof setCacheOptions>;
+      return evict({ ...state, cacheOptions: { ...state.cacheOptions, ...options } }, fields);
+    }
+    case CACHE_ACTION.INVALIDATE_CACHE: {
+      const { key } = action as ReturnType<typeof invalidateCache>;
+      // Keeps the data so it can be rendered until the new one is loaded, and the timestamp as the clue for eviction
+      const requests = { ...(state[fields.requests] ?? {}) };
+      if (key === undefined) {
+        return { ...state, [fields.requests]: {} };
+      }
+      delete requests[key];
+      return { ...state, [fields.requests]: requests };
+    }
+    default:
+      return state;
+  }
+}
@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2021
+ * Copyright IBM Corp. 2021, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -9,6 +9,7 @@
 
 import { CLOUD_ACCOUNT_AUTH_API_ACTION, CloudAccountAuthAPIState } from '../types/cloudAccountAuthAPI';
 import { setErrorRequestUserStatus, setUserStatus, CloudAccountAuthAPIActions } from '../actions/cloudAccountAuthAPI';
+import { getServiceErrorType } from '../types/serviceError';
 
 /**
  * @param state The state for cloud account auth API.
@@ -25,6 +26,7 @@ export default function reducer(
       return {
         ...state,
         errorGetUserStatus,
+        errorTypeGetUserStatus: getServiceErrorType(errorGetUserStatus),
       };
     }
     case CLOUD_ACCOUNT_AUTH_API_ACTION.SET_USER_STATUS: {
@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -14,13 +14,28 @@ import {
   setErrorRequestMediaData,
   setMediaData,
 } from '../actions/kalturaPlayerAPI';
+import { CACHE_ACTION, CACHE_SLICE } from '../types/cache';
+import { CacheActions } from '../actions/cache';
+import { reduceCache, touchCache } from './cache';
+
+/**
+ * The properties of the media data cache.
+ */
+const cacheFields = {
+  timestamps: 'timestampsMediaData',
+  requests: 'requestsMediaData',
+  keyed: ['mediaData', 'requestsMediaData', 'requestsMediaDataInProgress', 'errorsRequestMediaData', 'timestampsMediaData'],
+};
 
 /**
  * @param state The state for media player API.
  * @param action The action.
  * @returns The new state for media player API.
  */
-export default function reducer(state: MediaPlayerAPIState = {}, action: MediaPlayerAPIActions): MediaPlayerAPIState {
+export default function reducer(
+  state: MediaPlayerAPIState = {},
+  action: MediaPlayerAPIActions | CacheActions
+): MediaPlayerAPIState {
   switch (action.type) {
     case MEDIA_PLAYER_API_ACTION.SET_REQUEST_MEDIA_DATA_IN_PROGRESS: {
       const { mediaId, request } = action as ReturnType<typeof setRequestMediaDataInProgress>;
@@ -38,37 +53,48 @@ export default function reducer(state: MediaPlayerAPIState = {}, action: MediaPl
     }
     case MEDIA_PLAYER_API_ACTION.SET_ERROR_REQUEST_MEDIA_DATA: {
       const { mediaId, error } = action as ReturnType<typeof setErrorRequestMediaData>;
-      return {
-        ...state,
-        requestsMediaDataInProgress: {
-          ...(state.requestsMediaDataInProgress || {}),
-          [mediaId]: false,
+      return touchCache(
+        {
+          ...state,
+          requestsMediaDataInProgress: {
+            ...(state.requestsMediaDataInProgress || {}),
+            [mediaId]: false,
+          },
+          errorsRequestMediaData: {
+            ...(state.errorsRequestMediaData || {}),
+            [mediaId]: error,
+          },
         },
-        errorsRequestMediaData: {
-          ...(state.errorsRequestMediaData || {}),
-          [mediaId]: error,
-        },
-      };
+        mediaId,
+        cacheFields
+      );
     }
     case MEDIA_PLAYER_API_ACTION.SET_MEDIA_DATA: {
       const { mediaId, mediaData } = action as ReturnType<typeof setMediaData>;
-      return {
-        ...state,
-        // If application sets language data without making a REST call, mark the request as resolved already
-        requestsMediaDataInProgress: {
-          ...(state.requestsMediaDataInProgress || {}),
-          [mediaId]: false,
+      return touchCache(
+        {
+          ...state,
+          // If application sets language data without making a REST call, mark the request as resolved already
+          requestsMediaDataInProgress: {
+            ...(state.requestsMediaDataInProgress || {}),
+            [mediaId]: false,
+          },
+          requestsMediaData: {
+            ...(state.requestsMediaData || {}),
+            [mediaId]: Promise.resolve(mediaData),
+          },
+          mediaData: {
+            ...(state.mediaData || {}),
+            [mediaId]: mediaData,
+          },
         },
-        requestsMediaData: {
-          ...(state.requestsMediaData || {}),
-          [mediaId]: Promise.resolve(mediaData),
-        },
-        mediaData: {
-          ...(state.mediaData || {}),
-          [mediaId]: mediaData,
-        },
-      };
+        mediaId,
+        cacheFields
+      );
     }
+    case CACHE_ACTION.SET_CACHE_OPTIONS:
+    case CACHE_ACTION.INVALIDATE_CACHE:
+      return reduceCache(state, action as CacheActions, CACHE_SLICE.KALTURA_PLAYER_API, cacheFields);
     default:
       return state;
   }
@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -17,13 +17,33 @@ import {
   setErrorRequestLocaleList,
   setLocaleList,
 } from '../actions/localeAPI';
+import { CACHE_ACTION, CACHE_SLICE } from '../types/cache';
+import { getServiceErrorType } from '../types/serviceError';
+import { CacheActions } from '../actions/cache';
+import { reduceCache, touchCache } from './cache';
+
+/**
+ * The properties of the locale list data cache.
+ */
+const cacheFields = {
+  timestamps: 'timestampsLocaleList',
+  requests: 'requestsLocaleList',
+  keyed: [
+    'localeLists',
+    'requestsLocaleList',
+    'requestsLocaleListInProgress',
+    'errorsRequestLocaleList',
+    'errorTypesRequestLocaleList',
+    'timestampsLocaleList',
+  ],
+};
 
 /**
  * @param state The state for locale API.
  * @param action The action.
  * @returns The new state for locale API.
  */
-export default function reducer(state: LocaleAPIState = {}, action: LocaleAPIActions): LocaleAPIState {
+export default function reducer(state: LocaleAPIState = {}, action: LocaleAPIActions | CacheActions): LocaleAPIState {
   switch (action.type) {
     case LOCALE_API_ACTION.SET_REQUEST_LANGUAGE_IN_PROGRESS: {
       const { request: requestLanguage } = action as ReturnType<typeof setRequestLanguageInProgress>;
@@ -39,6 +59,7 @@ export default function reducer(state: LocaleAPIState = {}, action: LocaleAPIAct
         ...state,
         requestLanguageInProgress: false,
         errorRequestLanguage,
+        errorTypeRequestLanguage: getServiceErrorType(errorRequestLanguage),
       };
     }
     case LOCALE_API_ACTION.SET_LANGUAGE: {
@@ -67,37 +88,52 @@ export default function reducer(state: LocaleAPIState = {}, action: LocaleAPIAct
     }
     case LOCALE_API_ACTION.SET_ERROR_REQUEST_LOCALE_LIST: {
       const { language, error } = action as ReturnType<typeof setErrorRequestLocaleList>;
-      return {
-        ...state,
-        requestsLocaleListInProgress: {
-          ...(state.requestsLocaleListInProgress || {}),
-          [language]: false,
-        },
-        errorsRequestLocaleList: {
-          ...(state.errorsRequestLocaleList || {}),
-          [language]: error,
+      return touchCache(
+        {
+          ...state,
+          requestsLocaleListInProgress: {
+            ...(state.requestsLocaleListInProgress || {}),
+            [language]: false,
+          },
+          errorsRequestLocaleList: {
+            ...(state.errorsRequestLocaleList || {}),
+            [language]: error,
+          },
+          errorTypesRequestLocaleList: {
+            ...(state.errorTypesRequestLocaleList || {}),
+            [language]: getServiceErrorType(error),
+          },
         },
-      };
+        language,
+        cacheFields
+      );
     }
     case LOCALE_API_ACTION.SET_LOCALE_LIST: {
       const { language, localeList } = action as ReturnType<typeof setLocaleList>;
-      return {
-        ...state,
-        // If application sets language data without making a REST call, mark the request as resolved already
-        requestsLocaleListInProgress: {
-          ...(state.requestsLocaleListInProgress || {}),
-          [language]: false,
-        },
-        requestsLocaleList: {
-          ...(state.requestsLocaleList || {}),
-          [language]: Promise.resolve(localeList),
-        },
-        localeLists: {
-          ...(state.localeLists || {}),
-          [language]: localeList,
+      return touchCache(
+        {
+          ...state,
+          // If application sets language data without making a REST call, mark the request as resolved already
+          requestsLocaleListInProgress: {
+            ...(state.requestsLocaleListInProgress || {}),
+            [language]: false,
+          },
+          requestsLocaleList: {
+            ...(state.requestsLocaleList || {}),
+            [language]: Promise.resolve(localeList),
+          },
+          localeLists: {
+            ...(state.localeLists || {}),
+            [language]: localeList,
+          },
         },
-      };
+        language,
+        cacheFields
+      );
     }
+    case CACHE_ACTION.SET_CACHE_OPTIONS:
+    case CACHE_ACTION.INVALIDATE_CACHE:
+      return reduceCache(state, action as CacheActions, CACHE_SLICE.LOCALE_API, cacheFields);
     default:
       return state;
   }
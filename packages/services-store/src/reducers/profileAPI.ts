@@ -1,14 +1,20 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
 import { PROFILE_API_ACTION, ProfileAPIState } from '../types/profileAPI';
-import { setErrorRequestUserStatus, setUserStatus, ProfileAPIActions } from '../actions/profileAPI';
+import {
+  setErrorRequestUserStatus,
+  setRequestUserStatusInProgress,
+  setUserStatus,
+  ProfileAPIActions,
+} from '../actions/profileAPI';
+import { getServiceErrorType } from '../types/serviceError';
 
 /**
  * @param state The state for profile API.
@@ -17,11 +23,21 @@ import { setErrorRequestUserStatus, setUserStatus, ProfileAPIActions } from '../
  */
 export default function reducer(state: ProfileAPIState = {}, action: ProfileAPIActions): ProfileAPIState {
   switch (action.type) {
+    case PROFILE_API_ACTION.SET_REQUEST_USER_STATUS_IN_PROGRESS: {
+      const { request: requestUserStatus } = action as ReturnType<typeof setRequestUserStatusInProgress>;
+      return {
+        ...state,
+        requestUserStatus,
+      };
+    }
     case PROFILE_API_ACTION.SET_ERROR_REQUEST_USER_STATUS: {
       const { error: errorGetUserStatus } = action as ReturnType<typeof setErrorRequestUserStatus>;
       return {
         ...state,
+        // Lets the next call retry
+        requestUserStatus: undefined,
         errorGetUserStatus,
+        errorTypeGetUserStatus: getServiceErrorType(errorGetUserStatus),
       };
     }
     case PROFILE_API_ACTION.SET_USER_STATUS: {
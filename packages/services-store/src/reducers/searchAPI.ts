@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -15,13 +15,33 @@ import {
   setSearchResults,
   SearchAPIActions,
 } from '../actions/searchAPI';
+import { CACHE_ACTION, CACHE_SLICE } from '../types/cache';
+import { CacheActions } from '../actions/cache';
+import { reduceCache, touchCache } from './cache';
+
+/**
+ * The properties of the search results cache, keyed by the search query string.
+ * Up to 50 search query strings are kept by default, given long-lived pages may run a lot of searches.
+ */
+const cacheFields = {
+  timestamps: 'timestampsSearchResults',
+  requests: 'requestsSearchResults',
+  keyed: [
+    'searchResults',
+    'requestsSearchResults',
+    'requestsSearchResultsInProgress',
+    'errorsRequestSearchResults',
+    'timestampsSearchResults',
+  ],
+  defaultLimit: 50,
+};
 
 /**
  * @param state The state for search API.
  * @param action The action.
  * @returns The new state for search API.
  */
-export default function reducer(state: SearchAPIState = {}, action: SearchAPIActions): SearchAPIState {
+export default function reducer(state: SearchAPIState = {}, action: SearchAPIActions | CacheActions): SearchAPIState {
   switch (action.type) {
     case SEARCH_API_ACTION.SET_CURRENT_SEARCH_QUERY_STRING: {
       const { searchQueryString } = action as ReturnType<typeof setCurrentSearchQueryString>;
@@ -60,23 +80,27 @@ export default function reducer(state: SearchAPIState = {}, action: SearchAPIAct
         requestsSearchResultsInProgress: oldRequestsSearchResultsInProgress = {},
         errorsRequestSearchResults: oldErrorsRequestSearchResults = {},
       } = state;
-      return {
-        ...state,
-        requestsSearchResultsInProgress: {
-          ...oldRequestsSearchResultsInProgress,
-          [searchQueryString]: {
-            ...(oldRequestsSearchResultsInProgress[searchQueryString] ?? {}),
-            [language]: false,
+      return touchCache(
+        {
+          ...state,
+          requestsSearchResultsInProgress: {
+            ...oldRequestsSearchResultsInProgress,
+            [searchQueryString]: {
+              ...(oldRequestsSearchResultsInProgress[searchQueryString] ?? {}),
+              [language]: false,
+            },
           },
-        },
-        errorsRequestSearchResults: {
-          ...oldErrorsRequestSearchResults,
-          [searchQueryString]: {
-            ...(oldErrorsRequestSearchResults[searchQueryString] ?? {}),
-            [language]: error,
+          errorsRequestSearchResults: {
+            ...oldErrorsRequestSearchResults,
+            [searchQueryString]: {
+              ...(oldErrorsRequestSearchResults[searchQueryString] ?? {}),
+              [language]: error,
+            },
           },
         },
-      };
+        searchQueryString,
+        cacheFields
+      );
     }
     case SEARCH_API_ACTION.SET_SEARCH_RESULTS: {
       const { language, searchQueryString, results } = action as ReturnType<typeof setSearchResults>;
@@ -85,31 +109,38 @@ export default function reducer(state: SearchAPIState = {}, action: SearchAPIAct
         requestsSearchResults: oldRequestsSearchResults = {},
         searchResults: oldSearchResults = {},
       } = state;
-      return {
-        ...state,
-        requestsSearchResultsInProgress: {
-          ...oldRequestsSearchResultsInProgress,
-          [searchQueryString]: {
-            ...(oldRequestsSearchResultsInProgress[searchQueryString] ?? {}),
-            [language]: false,
+      return touchCache(
+        {
+          ...state,
+          requestsSearchResultsInProgress: {
+            ...oldRequestsSearchResultsInProgress,
+            [searchQueryString]: {
+              ...(oldRequestsSearchResultsInProgress[searchQueryString] ?? {}),
+              [language]: false,
+            },
           },
-        },
-        requestsSearchResults: {
-          ...oldRequestsSearchResults,
-          [searchQueryString]: {
-            ...(oldRequestsSearchResults[searchQueryString] ?? {}),
-            [language]: Promise.resolve(results),
+          requestsSearchResults: {
+            ...oldRequestsSearchResults,
+            [searchQueryString]: {
+              ...(oldRequestsSearchResults[searchQueryString] ?? {}),
+              [language]: Promise.resolve(results),
+            },
           },
-        },
-        searchResults: {
-          ...oldSearchResults,
-          [searchQueryString]: {
-            ...(oldSearchResults[searchQueryString] ?? {}),
-            [language]: results,
+          searchResults: {
+            ...oldSearchResults,
+            [searchQueryString]: {
+              ...(oldSearchResults[searchQueryString] ?? {}),
+              [language]: results,
+            },
           },
         },
-      };
+        searchQueryString,
+        cacheFields
+      );
     }
+    case CACHE_ACTION.SET_CACHE_OPTIONS:
+    case CACHE_ACTION.INVALIDATE_CACHE:
+      return reduceCache(state, action as CacheActions, CACHE_SLICE.SEARCH_API, cacheFields);
     default:
       return state;
   }
@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -14,13 +14,33 @@ import {
   setErrorRequestTranslation,
   setTranslation,
 } from '../actions/translateAPI';
+import { CACHE_ACTION, CACHE_SLICE } from '../types/cache';
+import { getServiceErrorType } from '../types/serviceError';
+import { CacheActions } from '../actions/cache';
+import { reduceCache, touchCache } from './cache';
+
+/**
+ * The properties of the translation data cache.
+ */
+const cacheFields = {
+  timestamps: 'timestampsTranslation',
+  requests: 'requestsTranslation',
+  keyed: [
+    'translations',
+    'requestsTranslation',
+    'requestsTranslationInProgress',
+    'errorsRequestTranslation',
+    'errorTypesRequestTranslation',
+    'timestampsTranslation',
+  ],
+};
 
 /**
  * @param state The state for translate API.
  * @param action The action.
  * @returns The new state for translate API.
  */
-export default function reducer(state: TranslateAPIState = {}, action: TranslateAPIActions): TranslateAPIState {
+export default function reducer(state: TranslateAPIState = {}, action: TranslateAPIActions | CacheActions): TranslateAPIState {
   switch (action.type) {
     case TRANSLATE_API_ACTION.SET_REQUEST_TRANSLATION_IN_PROGRESS: {
       const { language, request } = action as ReturnType<typeof setRequestTranslationInProgress>;
@@ -38,37 +58,52 @@ export default function reducer(state: TranslateAPIState = {}, action: Translate
     }
     case TRANSLATE_API_ACTION.SET_ERROR_REQUEST_TRANSLATION: {
       const { language, error } = action as ReturnType<typeof setErrorRequestTranslation>;
-      return {
-        ...state,
-        requestsTranslationInProgress: {
-          ...(state.requestsTranslationInProgress || {}),
-          [language]: false,
+      return touchCache(
+        {
+          ...state,
+          requestsTranslationInProgress: {
+            ...(state.requestsTranslationInProgress || {}),
+            [language]: false,
+          },
+          errorsRequestTranslation: {
+            ...(state.errorsRequestTranslation || {}),
+            [language]: error,
+          },
+          errorTypesRequestTranslation: {
+            ...(state.errorTypesRequestTranslation || {}),
+            [language]: getServiceErrorType(error),
+          },
         },
-        errorsRequestTranslation: {
-          ...(state.errorsRequestTranslation || {}),
-          [language]: error,
-        },
-      };
+        language,
+        cacheFields
+      );
     }
     case TRANSLATE_API_ACTION.SET_TRANSLATION: {
       const { language, translation } = action as ReturnType<typeof setTranslation>;
-      return {
-        ...state,
-        // If application sets language data without making a REST call, mark the request as resolved already
-        requestsTranslationInProgress: {
-          ...(state.requestsTranslationInProgress || {}),
-          [language]: false,
+      return touchCache(
+        {
+          ...state,
+          // If application sets language data without making a REST call, mark the request as resolved already
+          requestsTranslationInProgress: {
+            ...(state.requestsTranslationInProgress || {}),
+            [language]: false,
+          },
+          requestsTranslation: {
+            ...(state.requestsTranslation || {}),
+            [language]: Promise.resolve(translation),
+          },
+          translations: {
+            ...(state.translations || {}),
+            [language]: translation,
+          },
         },
-        requestsTranslation: {
-          ...(state.requestsTranslation || {}),
-          [language]: Promise.resolve(translation),
-        },
-        translations: {
-          ...(state.translations || {}),
-          [language]: translation,
-        },
-      };
+        language,
+        cacheFields
+      );
     }
+    case CACHE_ACTION.SET_CACHE_OPTIONS:
+    case CACHE_ACTION.INVALIDATE_CACHE:
+      return reduceCache(state, action as CacheActions, CACHE_SLICE.TRANSLATE_API, cacheFields);
     default:
       return state;
   }
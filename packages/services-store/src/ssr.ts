@@ -0,0 +1,102 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { AnyAction, Store } from 'redux';
+import { ThunkDispatch } from 'redux-thunk';
+import { createStore } from './store';
+import { loadLanguage, loadLocaleList, setLanguage } from './actions/localeAPI';
+import { loadTranslation } from './actions/translateAPI';
+import { loadUserStatus } from './actions/profileAPI';
+
+/**
+ * The characters to escape in the serialized state, so it can be safely embedded in a `<script>` tag.
+ */
+const escapedChars: { [char: string]: string } = {
+  '<': '\\u003C',
+  '>': '\\u003E',
+  '&': '\\u0026',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029',
+};
+
+/**
+ * Options for `preloadState()`.
+ */
+export interface PreloadStateOptions {
+  /**
+   * The language, e.g. `en-US`. If not given, the language is determined by `LocaleAPI`.
+   */
+  language?: string;
+
+  /**
+   * The endpoint of the translation data.
+   */
+  dataEndpoint?: string;
+
+  /**
+   * The store to load the data to. A new store is created if not given.
+   */
+  store?: Store<any, any>;
+
+  /**
+   * `true` to load the user authentication status.
+   */
+  userStatus?: boolean;
+}
+
+/**
+ * Loads the language, locale list, translation and user authentication status data to a Redux store,
+ * typically in a Node.js server for server-side rendering.
+ * Failed requests are left to the client to retry.
+ *
+ * Note that the server does not see the cookies of the browser.
+ * Therefore the user authentication status loaded here is for the initial render only, and the client refreshes it.
+ *
+ * @param [options] The options.
+ * @returns The store, once all the requests are settled.
+ * @example
+ * import { preloadState, serializeState } from '@carbon/ibmdotcom-services-store/es/ssr.js';
+ *
+ * const store = await preloadState({ language: 'en-US' });
+ * const script = `<script>window.__PRELOADED_STATE__ = ${serializeState(store.getState())};</script>`;
+ */
+export async function preloadState({
+  language,
+  dataEndpoint,
+  store = createStore({}),
+  userStatus = true,
+}: PreloadStateOptions = {}) {
+  const { dispatch }: { dispatch: ThunkDispatch<any, void, AnyAction> } = store;
+  if (language) {
+    dispatch(setLanguage(language));
+  }
+  const requests: Promise<unknown>[] = [
+    dispatch(loadLanguage()),
+    dispatch(loadLocaleList(language)),
+    dispatch(loadTranslation(language, dataEndpoint)),
+  ];
+  if (userStatus) {
+    requests.push(dispatch(loadUserStatus()));
+  }
+  await Promise.all(requests.map(request => request.catch(() => undefined)));
+  return store;
+}
+
+/**
+ * Serializes the given Redux store state to JSON that can be safely embedded in a `<script>` tag.
+ * Request promises and errors are omitted, so the client sends again the requests that failed in the server.
+ *
+ * @param state The Redux store state.
+ * @returns The serialized state.
+ */
+export function serializeState(state: { [key: string]: any }) {
+  return JSON.stringify(state, (key, value) =>
+    /^error/.test(key) || value instanceof Promise || value instanceof Error ? undefined : value
+  ).replace(/[<>&\u2028\u2029]/g, char => escapedChars[char]);
+}
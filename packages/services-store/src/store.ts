@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -20,11 +20,41 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 /**
- * @param initialState The initial state.
+ * Marks the data in the given state, e.g. one serialized by the server with `serializeState()`, as already loaded.
+ * The request promises are not serialized, so the `redux-thunk` actions would otherwise send the requests again.
+ * User authentication status is not marked, given it depends on the cookies of the browser.
+ *
+ * @param state The state.
+ * @returns The state with the data marked as already loaded.
+ */
+export function hydrateState(state: { [key: string]: any }) {
+  const { localeAPI, translateAPI } = state;
+  const resolveAll = (data: { [language: string]: any } = {}) =>
+    Object.keys(data).reduce((acc, language) => ({ ...acc, [language]: Promise.resolve(data[language]) }), {});
+  return {
+    ...state,
+    ...(localeAPI && {
+      localeAPI: {
+        ...localeAPI,
+        ...(localeAPI.language && !localeAPI.requestLanguage && { requestLanguage: Promise.resolve(localeAPI.language) }),
+        requestsLocaleList: { ...resolveAll(localeAPI.localeLists), ...localeAPI.requestsLocaleList },
+      },
+    }),
+    ...(translateAPI && {
+      translateAPI: {
+        ...translateAPI,
+        requestsTranslation: { ...resolveAll(translateAPI.translations), ...translateAPI.requestsTranslation },
+      },
+    }),
+  };
+}
+
+/**
+ * @param initialState The initial state, e.g. one serialized by the server with `serializeState()`.
  * @returns The default Redux store for Carbon for IBM.com.
  */
 export function createStore(initialState = root.__PRELOADED_STATE__) {
-  return reduxCreateStore(reducers, initialState ?? {}, applyMiddleware(...middlewares));
+  return reduxCreateStore(reducers, hydrateState(initialState ?? {}), applyMiddleware(...middlewares));
 }
 
 const store = createStore();
@@ -0,0 +1,74 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * The Redux action ID for the cache of keyed data.
+ */
+export enum CACHE_ACTION {
+  /**
+   * One to set the cache options of a Redux substate.
+   */
+  SET_CACHE_OPTIONS = 'SET_CACHE_OPTIONS',
+
+  /**
+   * One to mark the cached data of a Redux substate as stale, so it's loaded again next time.
+   */
+  INVALIDATE_CACHE = 'INVALIDATE_CACHE',
+}
+
+/**
+ * The Redux substates with the cache of keyed data.
+ */
+export enum CACHE_SLICE {
+  /**
+   * The one for the locale list data.
+   */
+  LOCALE_API = 'localeAPI',
+
+  /**
+   * The one for the translation data.
+   */
+  TRANSLATE_API = 'translateAPI',
+
+  /**
+   * The one for the media data.
+   */
+  KALTURA_PLAYER_API = 'kalturaPlayerAPI',
+
+  /**
+   * The one for the search results.
+   */
+  SEARCH_API = 'searchAPI',
+}
+
+/**
+ * The cache options of a Redux substate.
+ */
+export interface CacheOptions {
+  /**
+   * The maximum number of the keys to keep the data for. The data for the least recently loaded keys is evicted first.
+   */
+  limit?: number;
+
+  /**
+   * The time (in milliseconds) after which the data is considered stale and is loaded again next time.
+   * The stale data is kept in the state until the new data is loaded.
+   */
+  maxAge?: number;
+}
+
+/**
+ * The Redux substate properties for the cache options.
+ */
+export interface CacheState {
+  /**
+   * The cache options.
+   */
+  cacheOptions?: CacheOptions;
+}
@@ -1,12 +1,14 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2021
+ * Copyright IBM Corp. 2021, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import { SERVICE_ERROR_TYPE } from './serviceError';
+
 /**
  * The user authentication status, etc.
  */
@@ -51,6 +53,12 @@ export interface CloudAccountAuthAPIState {
    */
   errorGetUserStatus?: Error;
 
+  /**
+   * The classification of the error from the call for the user authentication status,
+   * e.g. to tell "offline" from "not logged in".
+   */
+  errorTypeGetUserStatus?: SERVICE_ERROR_TYPE;
+
   /**
    * The user authentication status.
    */
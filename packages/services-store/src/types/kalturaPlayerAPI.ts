@@ -1,12 +1,14 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import { CacheState } from './cache';
+
 /**
  * The media data for ibm.com sites
  */
@@ -50,7 +52,7 @@ export enum MEDIA_PLAYER_API_ACTION {
 /**
  * A Redux substate for `MediaPlayerAPI`.
  */
-export interface MediaPlayerAPIState {
+export interface MediaPlayerAPIState extends CacheState {
   /**
    * The media data, keyed by the media ID.
    */
@@ -70,4 +72,9 @@ export interface MediaPlayerAPIState {
    * The errors from the requests for the media data, keyed by the media  ID.
    */
   errorsRequestMediaData?: { [mediaId: string]: Error };
+
+  /**
+   * The times the requests for the media data were settled, keyed by the media ID.
+   */
+  timestampsMediaData?: { [mediaId: string]: number };
 }
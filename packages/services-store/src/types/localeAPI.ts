@@ -1,12 +1,15 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import { CacheState } from './cache';
+import { SERVICE_ERROR_TYPE } from './serviceError';
+
 /**
  * The translation data for locale modal.
  */
@@ -128,7 +131,7 @@ export enum LOCALE_API_ACTION {
 /**
  * A Redux substate for `LocaleAPI`.
  */
-export interface LocaleAPIState {
+export interface LocaleAPIState extends CacheState {
   /**
    * The language data.
    */
@@ -149,6 +152,11 @@ export interface LocaleAPIState {
    */
   errorRequestLanguage?: Error;
 
+  /**
+   * The classification of the error from the request for the language data.
+   */
+  errorTypeRequestLanguage?: SERVICE_ERROR_TYPE;
+
   /**
    * The locale list data, keyed by the language.
    */
@@ -168,4 +176,14 @@ export interface LocaleAPIState {
    * The errors from the requests for the locale list data, keyed by the language.
    */
   errorsRequestLocaleList?: { [language: string]: Error };
+
+  /**
+   * The classifications of the errors from the requests for the locale list data, keyed by the language.
+   */
+  errorTypesRequestLocaleList?: { [language: string]: SERVICE_ERROR_TYPE };
+
+  /**
+   * The times the requests for the locale list data were settled, keyed by the language.
+   */
+  timestampsLocaleList?: { [language: string]: number };
 }
@@ -1,12 +1,14 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import { CacheState } from './cache';
+
 /**
  * The Redux action ID for search API.
  */
@@ -35,7 +37,7 @@ export enum SEARCH_API_ACTION {
 /**
  * A Redux substate for search API.
  */
-export interface SearchAPIState {
+export interface SearchAPIState extends CacheState {
   /**
    * The current search query string.
    */
@@ -60,4 +62,9 @@ export interface SearchAPIState {
    * The errors from the requests for the search results, keyed by the search query string and the language.
    */
   errorsRequestSearchResults?: { [searchQueryString: string]: { [language: string]: Error } };
+
+  /**
+   * The times the requests for the search results were settled, keyed by the search query string.
+   */
+  timestampsSearchResults?: { [searchQueryString: string]: number };
 }
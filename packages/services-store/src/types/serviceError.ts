@@ -0,0 +1,49 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * The classification of the errors from the services, e.g. to tell "offline" from "not logged in".
+ */
+export enum SERVICE_ERROR_TYPE {
+  /**
+   * The request did not get a response, e.g. when offline.
+   */
+  NETWORK = 'network',
+
+  /**
+   * The request timed out.
+   */
+  TIMEOUT = 'timeout',
+
+  /**
+   * The response has an HTTP error status.
+   */
+  HTTP = 'http',
+
+  /**
+   * The response cannot be parsed.
+   */
+  PARSE = 'parse',
+
+  /**
+   * Other errors.
+   */
+  UNKNOWN = 'unknown',
+}
+
+/**
+ * @param error An error from the services.
+ * @returns The classification of the given error, set in `DDSServiceError` of `@carbon/ibmdotcom-services`.
+ */
+export function getServiceErrorType(error: Error): SERVICE_ERROR_TYPE {
+  const { type } = (error ?? {}) as { type?: string };
+  return Object.values(SERVICE_ERROR_TYPE).includes(type as SERVICE_ERROR_TYPE)
+    ? (type as SERVICE_ERROR_TYPE)
+    : SERVICE_ERROR_TYPE.UNKNOWN;
+}
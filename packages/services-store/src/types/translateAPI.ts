@@ -7,6 +7,9 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import { CacheState } from './cache';
+import { SERVICE_ERROR_TYPE } from './serviceError';
+
 /**
  * A link item.
  * Used for masthead, footer, etc.
@@ -118,16 +121,61 @@ export interface LeavingIBMLabels {
 }
 
 /**
- * Masthead logo tooltip
+ * A variant of a masthead logo campaign
+ */
+export interface MastheadLogoVariant {
+  /**
+   * The variant ID, to keep the user on the same variant and for analytics.
+   * The index of the variant in `variants` by default.
+   */
+  id?: string;
+
+  /**
+   * The relative weight of the variant in the random selection, `1` by default.
+   */
+  weight?: number;
+
+  /**
+   * The SVG of the logo, the one of the campaign by default.
+   */
+  svg?: string;
+  tooltip?: string;
+  path?: string;
+  href?: string;
+}
+
+/**
+ * Masthead logo campaign
  */
 export interface MastheadLogoData {
+  /**
+   * The campaign ID, for the sticky variant assignment and for analytics.
+   */
+  id?: string;
+
   svg?: string;
   tooltip?: string;
-  denylist: [];
-  allowlist: [];
-  end: string;
-  path: string;
-  href: string;
+
+  /**
+   * The paths (exact paths, globs or regular expressions starting with `^`) not to show the logo on.
+   */
+  denylist?: (string | RegExp)[];
+
+  /**
+   * The paths (exact paths, globs or regular expressions starting with `^`) to show the logo on, empty for all pages.
+   */
+  allowlist: (string | RegExp)[];
+
+  /**
+   * The locales (`cc-lc` or `lc`) to show the logo on, all locales if not set.
+   */
+  locales?: string[];
+
+  start?: string;
+  end?: string;
+  variants?: MastheadLogoVariant[];
+  path?: string;
+  href?: string;
 }
 
 /**
@@ -186,7 +234,7 @@ export interface Translation {
    * Cloud masthead items
    */
   masthead: {
-    logo: MastheadLogoData;
+    logo: MastheadLogoData | MastheadLogoData[];
     contact: MastheadProfileContent;
     profileMenu: {
       signedout: MastheadProfileContent;
@@ -228,7 +276,7 @@ export enum TRANSLATE_API_ACTION {
 /**
  * A Redux substate for `TranslateAPI`.
  */
-export interface TranslateAPIState {
+export interface TranslateAPIState extends CacheState {
   /**
    * The translation data, keyed by the language.
    */
@@ -248,4 +296,14 @@ export interface TranslateAPIState {
    * The errors from the requests for the translation data, keyed by the language.
    */
   errorsRequestTranslation?: { [language: string]: Error };
+
+  /**
+   * The classifications of the errors from the requests for the translation data, keyed by the language.
+   */
+  errorTypesRequestTranslation?: { [language: string]: SERVICE_ERROR_TYPE };
+
+  /**
+   * The times the requests for the translation data were settled, keyed by the language.
+   */
+  timestampsTranslation?: { [language: string]: number };
 }
@@ -0,0 +1,103 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { registerFixture, resolveFixture } from '..';
+import countryList from '../data/countrylist.json';
+import { createServer } from '../server';
+import http from 'http';
+
+/**
+ * @param {number} port The server port
+ * @param {string} path The request path
+ * @returns {Promise<object>} The status code, headers and body of the response
+ */
+const get = (port, path) =>
+  new Promise((resolve, reject) => {
+    http
+      .get(
+        { port, path, headers: { origin: 'http://localhost:9000' } },
+        res => {
+          let body = '';
+          res.on('data', chunk => {
+            body += chunk;
+          });
+          res.on('end', () =>
+            resolve({ statusCode: res.statusCode, headers: res.headers, body })
+          );
+        }
+      )
+      .on('error', reject);
+  });
+
+describe('services fixtures', () => {
+  it('should resolve the fixture for the country list', () => {
+    const fixture = resolveFixture(
+      '/common/js/dynamicnav/www/countrylist/jsononly/deen-utf8.json'
+    );
+
+    expect(fixture.name).toBe('countrylist');
+    expect(JSON.parse(fixture.body)).toEqual(countryList);
+  });
+
+  it('should resolve the Kaltura player script', () => {
+    const fixture = resolveFixture(
+      '/p/1773841/sp/177384100/embedIframeJs/uiconf_id/27941801/partner_id/1773841'
+    );
+
+    expect(fixture.contentType).toBe('application/javascript; charset=utf-8');
+    expect(fixture.body).toContain('window.ddsFixturesKalturaMedia = {');
+    expect(fixture.body).toContain('window.kWidget = {');
+  });
+
+  it('should return undefined for unknown paths', () => {
+    expect(resolveFixture('/foo')).toBeUndefined();
+  });
+
+  it('should support registering fixtures', () => {
+    registerFixture({
+      name: 'profile-authenticated',
+      pattern: /^\/v1\/mgmt\/idaas\/user\/status\/$/,
+      fixture: { user: 'Authenticated' },
+    });
+
+    expect(
+      JSON.parse(resolveFixture('/v1/mgmt/idaas/user/status/').body)
+    ).toEqual({ user: 'Authenticated' });
+  });
+
+  describe('server', () => {
+    let server;
+
+    beforeEach(done => {
+      jest.useRealTimers();
+      server = createServer().listen(0, done);
+    });
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    it('should respond with the recorded response', async () => {
+      const { statusCode, headers, body } = await get(
+        server.address().port,
+        '/search/typeahead/v1?lang=en&cc=us&query=red%20hat'
+      );
+
+      expect(statusCode).toBe(200);
+      expect(headers['access-control-allow-origin']).toBe(
+        'http://localhost:9000'
+      );
+      expect(JSON.parse(body).response[0]).toEqual(['red hat', '0']);
+    });
+
+    it('should respond with 404 for unknown paths', async () => {
+      const { statusCode } = await get(server.address().port, '/foo');
+
+      expect(statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The directory of the recorded responses.
+ *
+ * @type {string}
+ */
+const dataDir = path.resolve(__dirname, 'data');
+
+/**
+ * A placeholder for Kaltura thumbnails.
+ *
+ * @type {string}
+ */
+const thumbnail =
+  '<svg xmlns="http://www.w3.org/2000/svg" width="640" height="360" viewBox="0 0 640 360"><rect width="640" height="360" fill="#8d8d8d"/></svg>';
+
+/**
+ * The fixtures, in the order they are matched against the request path.
+ * `fixture` is either a file name in `dataDir` or a function returning the response body.
+ *
+ * @type {object[]}
+ */
+const fixtures = [
+  {
+    name: 'countrylist',
+    pattern: /^\/common\/js\/dynamicnav\/www\/countrylist\/jsononly\/[\w-]+-utf8\.json$/,
+    fixture: 'countrylist.json',
+  },
+  {
+    name: 'translation',
+    pattern: /^\/common\/carbon-for-ibm-dotcom\/translations\/[\w-]+\/\w+\.json$/,
+    fixture: 'translation.json',
+  },
+  {
+    name: 'profile',
+    pattern: /^\/v\d+\/mgmt\/idaas\/user\/status\/?$/,
+    fixture: 'profile-status.json',
+  },
+  {
+    name: 'search-typeahead',
+    pattern: /^\/search\/typeahead\/v\d+\/?$/,
+    fixture: 'search-typeahead.json',
+  },
+  {
+    name: 'marketing-search',
+    pattern: /^\/marketplace\/api\/search\/v\d+\/combined_suggestions\/?$/,
+    fixture: 'marketing-search.json',
+  },
+  {
+    name: 'geolocation',
+    pattern: /^\/webmaster\/dbip\/?$/,
+    fixture: 'geolocation.json',
+  },
+  {
+    name: 'kaltura-embed',
+    pattern: /^\/p\/\d+\/sp\/\d+\/embedIframeJs\//,
+    contentType: 'application/javascript; charset=utf-8',
+    fixture: () =>
+      `window.ddsFixturesKalturaMedia = ${fs.readFileSync(
+        path.resolve(dataDir, 'kaltura-media.json'),
+        'utf8'
+      )};\n${fs.readFileSync(path.resolve(__dirname, 'kwidget.js'), 'utf8')}`,
+  },
+  {
+    name: 'kaltura-thumbnail',
+    pattern: /^\/p\/\d+\/thumbnail\/entry_id\//,
+    contentType: 'image/svg+xml',
+    fixture: () => thumbnail,
+  },
+];
+
+/**
+ * Registers a fixture, which takes precedence over the existing ones.
+ *
+ * @param {object} options The fixture.
+ * @param {string} options.name The fixture name.
+ * @param {RegExp} options.pattern The pattern of the request path.
+ * @param {string|Function|object} options.fixture
+ *   The path of a JSON file, a function returning the response body, or the response data.
+ * @param {string} [options.contentType] The content type of the response, JSON by default.
+ */
+function registerFixture({ name, pattern, fixture, contentType }) {
+  fixtures.unshift({ name, pattern, fixture, contentType });
+}
+
+/**
+ * Finds the recorded response for the given request path.
+ *
+ * @param {string} pathname The request path, without the query string.
+ * @returns {{ name: string, contentType: string, body: string }}
+ *   The recorded response, or `undefined` if there is no fixture for the path.
+ */
+function resolveFixture(pathname) {
+  const item = fixtures.find(({ pattern }) => pattern.test(pathname));
+  if (!item) {
+    return undefined;
+  }
+  const { name, fixture, contentType } = item;
+  let body;
+  if (typeof fixture === 'function') {
+    body = fixture(pathname);
+  } else if (typeof fixture === 'string') {
+    body = fs.readFileSync(path.resolve(dataDir, fixture), 'utf8');
+  } else {
+    body = JSON.stringify(fixture);
+  }
+  return {
+    name,
+    contentType: contentType || 'application/json; charset=utf-8',
+    body,
+  };
+}
+
+module.exports = {
+  registerFixture,
+  resolveFixture,
+};
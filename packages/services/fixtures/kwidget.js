@@ -0,0 +1,63 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/* eslint-env browser */
+
+/**
+ * A stand-in for the Kaltura player script, served by the fixtures server.
+ * The server prepends `window.ddsFixturesKalturaMedia` with the recorded media data.
+ */
+(function() {
+  var media = window.ddsFixturesKalturaMedia;
+  var readyCallbacks = [];
+
+  window.kWidget = {
+    addReadyCallback: function(callback) {
+      readyCallbacks.push(callback);
+    },
+
+    api: function() {
+      this.doRequest = function(request, callback) {
+        setTimeout(function() {
+          callback(Object.assign({}, media, { id: request.entryId }));
+        });
+      };
+    },
+
+    embed: function(options) {
+      var player = document.getElementById(options.targetId);
+      var values = {
+        'video.player.currentTime': 0,
+        'mediaProxy.entry.name': media.name,
+        'mediaProxy.entry.duration': media.duration,
+      };
+      player.addJsListener = function() {};
+      player.sendNotification = function() {};
+      player.evaluate = function(expression) {
+        return values[expression.replace(/^\{|\}$/g, '')];
+      };
+      setTimeout(function() {
+        readyCallbacks.forEach(function(callback) {
+          callback(options.targetId);
+        });
+        if (options.readyCallback) {
+          options.readyCallback(options.targetId);
+        }
+      });
+    },
+
+    seconds2Measurements: function(duration) {
+      return {
+        hours: Math.floor(duration / 3600),
+        minutes: Math.floor((duration % 3600) / 60),
+        seconds: Math.floor(duration % 60),
+      };
+    },
+  };
+})();
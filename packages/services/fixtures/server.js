@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const http = require('http');
+const { URL } = require('url');
+const { resolveFixture } = require('.');
+
+/**
+ * The default port of the fixtures server.
+ *
+ * @type {number}
+ */
+const defaultPort = 8787;
+
+/**
+ * Creates the fixtures server, which responds to the service requests with the recorded responses.
+ * Point the services to it by setting `DDS_SERVICES_FIXTURES_HOST` to the server URL.
+ *
+ * @returns {http.Server} The server, not yet listening.
+ */
+function createServer() {
+  return http.createServer((request, response) => {
+    const { origin } = request.headers;
+    // `ProfileAPI` sends credentials, which requires an explicit origin rather than `*`
+    response.setHeader('Access-Control-Allow-Origin', origin || '*');
+    response.setHeader('Access-Control-Allow-Credentials', 'true');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, origin');
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const fixture = resolveFixture(pathname);
+    if (!fixture) {
+      response.writeHead(404, {
+        'Content-Type': 'application/json; charset=utf-8',
+      });
+      response.end(JSON.stringify({ error: `No fixture for ${pathname}` }));
+      return;
+    }
+
+    response.writeHead(200, { 'Content-Type': fixture.contentType });
+    response.end(fixture.body);
+  });
+}
+
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = Number(
+    (portIndex >= 0 && process.argv[portIndex + 1]) ||
+      process.env.PORT ||
+      defaultPort
+  );
+  createServer().listen(port, () => {
+    console.log(
+      `Carbon for IBM.com services fixtures server running at http://localhost:${port}`
+    );
+  });
+}
+
+module.exports = {
+  createServer,
+};
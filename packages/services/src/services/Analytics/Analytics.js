@@ -1,10 +1,16 @@
 /**
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import {
+  getElementEventData,
+  isTrackedElement,
+  forEachShadowRootDeep,
+} from './tracking';
+import { createIBMStatsTransport } from './transports';
 import root from 'window-or-global';
 
 /**
@@ -22,16 +28,148 @@ const _scrollTracker =
  */
 const _env = (process && process.env.NODE_ENV) || 'development';
 
+/**
+ * The event properties removed from the events with anonymized consent
+ *
+ * @type {string[]}
+ * @private
+ */
+const _personalFields = ['driverId', 'userId', 'email'];
+
+/**
+ * The event properties whose query strings and hashes are removed from the events with anonymized consent
+ *
+ * @type {string[]}
+ * @private
+ */
+const _urlFields = ['targetURL', 'destinationURL', 'referrer'];
+
+/**
+ * Returns the anonymized copy of the given event data.
+ *
+ * @param {object} eventData the event data
+ * @returns {object} the anonymized event data
+ * @private
+ */
+function _anonymize(eventData) {
+  if (!eventData || typeof eventData !== 'object') {
+    return eventData;
+  }
+  const anonymized = { ...eventData };
+  _personalFields.forEach(key => {
+    delete anonymized[key];
+  });
+  _urlFields.forEach(key => {
+    if (typeof anonymized[key] === 'string') {
+      anonymized[key] = anonymized[key].split(/[?#]/)[0];
+    }
+  });
+  return anonymized;
+}
+
+/**
+ * Returns the consent category of the given event data,
+ * from its `consentCategory` property, `analytics` by default.
+ *
+ * @param {object} eventData the event data
+ * @returns {string} the consent category
+ * @private
+ */
+function _categorize(eventData) {
+  return eventData?.consentCategory || 'analytics';
+}
+
+/**
+ * The options set by `AnalyticsAPI.configure()`
+ *
+ * @type {object}
+ * @private
+ */
+let _options = {
+  requireConsent: false,
+  transports: [createIBMStatsTransport()],
+  categorize: _categorize,
+  anonymize: _anonymize,
+  queueSize: 100,
+};
+
+/**
+ * The consent state keyed by the consent category, `null` if it's not known yet
+ *
+ * @type {object}
+ * @private
+ */
+let _consent = null;
+
+/**
+ * The events held until the consent state is known
+ *
+ * @type {Array}
+ * @private
+ */
+let _queue = [];
+
+/**
+ * Returns the consent of the given category.
+ *
+ * @param {string} category the consent category
+ * @returns {string} `granted`, `anonymized` or `denied`
+ * @private
+ */
+function _getConsent(category) {
+  if (!_consent) {
+    return 'granted';
+  }
+  return _consent[category] || _consent['*'] || 'denied';
+}
+
+/**
+ * Drops, anonymizes or sends the given event through the transports, by the consent of its category.
+ *
+ * @param {object} eventData the event data
+ * @private
+ */
+function _send(eventData) {
+  const consent = _getConsent(_options.categorize(eventData));
+  if (consent === 'denied') {
+    return;
+  }
+  let data = eventData;
+  if (data && typeof data === 'object' && 'consentCategory' in data) {
+    data = { ...data };
+    delete data.consentCategory;
+  }
+  if (consent === 'anonymized') {
+    data = _options.anonymize(data);
+  }
+  _options.transports.forEach(transport => {
+    const handleError = err => {
+      if (_env !== 'production') {
+        console.error(`Error sending event to ${transport.name}:`, err);
+      }
+    };
+    try {
+      // Asynchronous transports (e.g. `fetch()`) report their errors via the returned promise
+      transport.send(data)?.catch?.(handleError);
+    } catch (err) {
+      handleError(err);
+    }
+  });
+}
+
 /**
  * Analytics API class with methods for firing analytics events on
  * ibm.com
  */
 class AnalyticsAPI {
   /**
-   * This method checks that the analytics script has been loaded
-   * and fires an event to Coremetrics
+   * This method fires an event through the transports (`window.ibmStats` by default).
+   *
+   * If consent is required (see `AnalyticsAPI.configure()`), the event is held until the consent state is known.
+   * Then it's dropped, anonymized or sent as-is, by the consent of its category.
    *
-   * @param {object} eventData Object with standard IBM metric event properties and values to send to Coremetrics
+   * @param {object} eventData Object with standard IBM metric event properties and values to send to Coremetrics.
+   *   `consentCategory` property sets the consent category of the event, `analytics` by default.
    *
    * @example
    * import { AnalyticsAPI } from '@carbon/ibmdotcom-services';
@@ -51,13 +189,237 @@ class AnalyticsAPI {
    *
    */
   static registerEvent(eventData) {
-    if (root.ibmStats) {
-      root.ibmStats.event(eventData);
+    if (_options.requireConsent && !_consent) {
+      _queue.push(eventData);
+      if (_queue.length > _options.queueSize) {
+        _queue.shift();
+      }
+      return;
     }
+    _send(eventData);
   }
 
   /**
-   * Initializes all analytics global tracking init functions
+   * Configures the analytics pipeline.
+   *
+   * @param {object} options options object
+   * @param {boolean} [options.requireConsent=false]
+   *   `true` to hold the events until the consent state is set by `AnalyticsAPI.setConsent()`
+   * @param {Array} [options.transports]
+   *   The transports the events are sent through, objects with `name` and `send(eventData)`.
+   *   `send()` can return a promise to report the errors in sending asynchronously.
+   *   See `createIBMStatsTransport()`, `createDataLayerTransport()` and `createBeaconTransport()`.
+   *   `window.ibmStats` only by default.
+   * @param {Function} [options.categorize]
+   *   The function returning the consent category of an event, its `consentCategory` property by default
+   * @param {Function} [options.anonymize]
+   *   The function returning the anonymized copy of an event.
+   *   Removes personal properties and the query strings of URLs by default.
+   * @param {number} [options.queueSize=100] The maximum number of events held until the consent state is known
+   *
+   * @example
+   * import {
+   *   AnalyticsAPI,
+   *   createBeaconTransport,
+   *   createIBMStatsTransport,
+   * } from '@carbon/ibmdotcom-services';
+   *
+   * AnalyticsAPI.configure({
+   *   requireConsent: true,
+   *   transports: [createIBMStatsTransport(), createBeaconTransport('/metrics')],
+   * });
+   */
+  static configure(options) {
+    _options = { ..._options, ...options };
+    this.flush();
+  }
+
+  /**
+   * Sets the user's consent state, and sends the events held until then.
+   *
+   * @param {string|object|null} consent
+   *   `granted`, `anonymized` or `denied` for all categories,
+   *   or an object keyed by the consent category, where `*` is for the categories not listed.
+   *   Categories not listed without `*` are denied.
+   *   `null` resets the consent state to unknown.
+   *
+   * @example
+   * import { AnalyticsAPI } from '@carbon/ibmdotcom-services';
+   *
+   * AnalyticsAPI.setConsent({ analytics: 'anonymized', video: 'granted' });
+   */
+  static setConsent(consent) {
+    _consent = typeof consent === 'string' ? { '*': consent } : consent;
+    this.flush();
+  }
+
+  /**
+   * @returns {object|null} The consent state keyed by the consent category, `null` if it's not known yet
+   */
+  static getConsent() {
+    return _consent && { ..._consent };
+  }
+
+  /**
+   * Sends the events held until the consent state is known, if it's known now.
+   */
+  static flush() {
+    if (!_options.requireConsent || _consent) {
+      const queue = _queue;
+      _queue = [];
+      queue.forEach(_send);
+    }
+  }
+
+  /**
+   * Tracks the clicks on the elements with `data-analytics-id` attribute,
+   * and on the cards, CTAs and link list items (e.g. `dds-card`, `dds-text-cta`, `dds-link-list-item`),
+   * including the ones in shadow DOM.
+   *
+   * A click fires a `CLICK` event through `AnalyticsAPI.registerEvent()`, for the innermost tracked element clicked.
+   * The event data is read from `data-analytics-id`, `data-analytics-category` and `data-analytics-title` attributes.
+   *
+   * @param {object} [options] options object
+   * @param {Document|Element} [options.root=document] the root to track the clicks in
+   * @param {Function} [options.isTracked] the function returning `true` if clicks on the given element should be tracked
+   * @returns {Function} the function to stop tracking
+   *
+   * @example
+   * <dds-card href="https://www.ibm.com" data-analytics-id="home__card-cloud">...</dds-card>
+   *
+   * import { AnalyticsAPI } from '@carbon/ibmdotcom-services';
+   *
+   * AnalyticsAPI.initLinkTracking();
+   */
+  static initLinkTracking({
+    root: trackingRoot = root.document,
+    isTracked = isTrackedElement,
+  } = {}) {
+    const handleClick = event => {
+      const path = event.composedPath();
+      const element = path.find(
+        item => item.nodeType === Node.ELEMENT_NODE && isTracked(item)
+      );
+      if (element) {
+        this.registerEvent(getElementEventData(element, 'CLICK', path));
+      }
+    };
+    trackingRoot.addEventListener('click', handleClick, true);
+    return () => {
+      trackingRoot.removeEventListener('click', handleClick, true);
+    };
+  }
+
+  /**
+   * Tracks the impressions of the elements with `data-analytics-impression` attribute,
+   * including the ones in shadow DOM, with `IntersectionObserver`.
+   *
+   * An element coming into the viewport fires an `IMPRESSION` event through `AnalyticsAPI.registerEvent()`,
+   * once per element. The event data is read from the same attributes as `AnalyticsAPI.initLinkTracking()`.
+   *
+   * @param {object} [options] options object
+   * @param {Document|Element} [options.root=document] the root to track the impressions in
+   * @param {string} [options.selector=[data-analytics-impression]] the selector of the elements to track
+   * @param {number} [options.threshold=0.5] the ratio of the element to be in the viewport
+   * @returns {Function} the function to stop tracking
+   *
+   * @example
+   * <dds-card data-analytics-impression data-analytics-id="home__card-cloud">...</dds-card>
+   *
+   * import { AnalyticsAPI } from '@carbon/ibmdotcom-services';
+   *
+   * AnalyticsAPI.initImpressionTracking();
+   */
+  static initImpressionTracking({
+    root: trackingRoot = root.document,
+    selector = '[data-analytics-impression]',
+    threshold = 0.5,
+  } = {}) {
+    if (!root.IntersectionObserver) {
+      return () => {};
+    }
+    const tracked = new WeakSet();
+    const intersectionObserver = new root.IntersectionObserver(
+      entries => {
+        entries.forEach(({ isIntersecting, target }) => {
+          if (isIntersecting) {
+            intersectionObserver.unobserve(target);
+            this.registerEvent(getElementEventData(target, 'IMPRESSION'));
+          }
+        });
+      },
+      { threshold }
+    );
+    const track = element => {
+      if (!tracked.has(element)) {
+        tracked.add(element);
+        intersectionObserver.observe(element);
+      }
+    };
+    let pendingNodes = new Set();
+    let frame = 0;
+    const flush = () => {
+      frame = 0;
+      const nodes = pendingNodes;
+      pendingNodes = new Set();
+      nodes.forEach(node => {
+        if (node.isConnected) {
+          // eslint-disable-next-line no-use-before-define
+          scan(node);
+        }
+      });
+    };
+    // Picks up the elements added later, e.g. rendered by a framework, batched per animation frame
+    const mutationObserver =
+      root.MutationObserver &&
+      new root.MutationObserver(records => {
+        records.forEach(({ addedNodes }) => {
+          addedNodes.forEach(node => {
+            pendingNodes.add(node);
+          });
+        });
+        if (!frame && pendingNodes.size > 0) {
+          frame = root.requestAnimationFrame(flush);
+        }
+      });
+    const observedRoots = new WeakSet();
+    const watch = node => {
+      if (mutationObserver && !observedRoots.has(node)) {
+        observedRoots.add(node);
+        mutationObserver.observe(node, { childList: true, subtree: true });
+      }
+    };
+    // Scans only the given node, and watches the shadow roots in it, as the mutations in shadow DOM are not observed
+    // with the ones of the light DOM
+    const scan = node => {
+      if (!node.querySelectorAll) {
+        return;
+      }
+      if (node.matches?.(selector)) {
+        track(node);
+      }
+      node.querySelectorAll(selector).forEach(track);
+      forEachShadowRootDeep(node, shadowRoot => {
+        watch(shadowRoot);
+        shadowRoot.querySelectorAll(selector).forEach(track);
+      });
+    };
+    watch(trackingRoot);
+    scan(trackingRoot);
+    return () => {
+      intersectionObserver.disconnect();
+      mutationObserver?.disconnect();
+      if (frame) {
+        root.cancelAnimationFrame(frame);
+        frame = 0;
+      }
+      pendingNodes.clear();
+    };
+  }
+
+  /**
+   * Initializes all analytics global tracking init functions.
+   * The events from the trackers go through `AnalyticsAPI.registerEvent()`, so they are subject to the consent state.
    */
   static initAll() {
     this.initScrollTracker();
@@ -201,6 +563,11 @@ class AnalyticsAPI {
   /**
    * Sends video player metrics data
    *
+   * The player states are 0 (launched), 1 (paused), 2 (played), 3 (ended),
+   * 4 (progress milestone reached, with `milestone` percent), 5 (seeked), 6 (muted), 7 (unmuted),
+   * 8 (fullscreen), 9 (exited fullscreen), 10 (captions changed, with `captions` language),
+   * 11 (playback rate changed, with `playbackRate`) and 99 (error).
+   *
    * @param {object} data event data from the video player
    *
    * @example
@@ -214,6 +581,7 @@ class AnalyticsAPI {
    *       duration: 60,
    *       playerState: 1,
    *       mediaId: '1_9h94wo6b',
+   *       watchTime: 1,
    *    };
    *
    *    AnalyticsAPI.videoPlayerStats(data);
@@ -240,6 +608,30 @@ class AnalyticsAPI {
       case 3:
         playerState = 'ended';
         break;
+      case 4:
+        playerState = 'milestone';
+        break;
+      case 5:
+        playerState = 'seeked';
+        break;
+      case 6:
+        playerState = 'muted';
+        break;
+      case 7:
+        playerState = 'unmuted';
+        break;
+      case 8:
+        playerState = 'fullscreen';
+        break;
+      case 9:
+        playerState = 'exitfullscreen';
+        break;
+      case 10:
+        playerState = 'captions';
+        break;
+      case 11:
+        playerState = 'ratechange';
+        break;
       case 99:
         playerState = 'error';
         break;
@@ -256,6 +648,10 @@ class AnalyticsAPI {
       percentWatched = '100';
     }
 
+    if (data.playerState === 4) {
+      percentWatched = data.milestone;
+    }
+
     // If went to the end of the video, and fired "pause" event, don't fire pause event b/c it's really
     // the end of the video, so just let "end" event fire and tag metrics.
     if (currentTime === 'end' && data.playerState === 1) {
@@ -287,6 +683,22 @@ class AnalyticsAPI {
       eventData.targetURL = data.customMetricsData.targetURL;
     }
 
+    if (data.watchTime !== undefined) {
+      eventData.eventVidWatchTime = data.watchTime;
+    }
+
+    if (data.sessionWatchTime !== undefined) {
+      eventData.eventVidSessionWatchTime = data.sessionWatchTime;
+    }
+
+    if (data.captions) {
+      eventData.eventVidCaptions = data.captions;
+    }
+
+    if (data.playbackRate) {
+      eventData.eventVidPlaybackRate = data.playbackRate;
+    }
+
     try {
       this.registerEvent(eventData);
     } catch (err) {
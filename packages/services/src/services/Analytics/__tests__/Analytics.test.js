@@ -1,10 +1,15 @@
 /**
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import {
+  createBeaconTransport,
+  createDataLayerTransport,
+  createIBMStatsTransport,
+} from '../transports';
 import AnalyticsAPI from '../Analytics';
 import root from 'window-or-global';
 
@@ -253,6 +258,45 @@ describe('AnalyticsAPI', function() {
       );
     });
 
+    it('should set the milestone and watch time', function() {
+      this.testData.playerState = 4;
+      this.testData.milestone = 25;
+      this.testData.watchTime = 15;
+      this.testData.sessionWatchTime = 30;
+      AnalyticsAPI.videoPlayerStats(this.testData);
+
+      expect(this.registerEvent.mock.calls[0][0]).toEqual(
+        expect.objectContaining({
+          execPathReturnCode: 'milestone',
+          eventVidPlayed: '25%',
+          eventVidWatchTime: 15,
+          eventVidSessionWatchTime: 30,
+        })
+      );
+    });
+
+    it('should set the captions and playback rate', function() {
+      this.testData.playerState = 10;
+      this.testData.captions = 'en';
+      AnalyticsAPI.videoPlayerStats(this.testData);
+      this.testData.playerState = 11;
+      this.testData.playbackRate = 1.5;
+      AnalyticsAPI.videoPlayerStats(this.testData);
+
+      expect(this.registerEvent.mock.calls[0][0].execPathReturnCode).toEqual(
+        'captions'
+      );
+      expect(this.registerEvent.mock.calls[0][0].eventVidCaptions).toEqual(
+        'en'
+      );
+      expect(this.registerEvent.mock.calls[1][0].execPathReturnCode).toEqual(
+        'ratechange'
+      );
+      expect(this.registerEvent.mock.calls[1][0].eventVidPlaybackRate).toEqual(
+        1.5
+      );
+    });
+
     it('should set cta-clicks', function() {
       this.testData.playerState = 101;
       this.testData.mediaId = this.testData.videoId;
@@ -281,7 +325,7 @@ describe('AnalyticsAPI', function() {
     });
 
     it('should set empty state', function() {
-      this.testData.playerState = 4;
+      this.testData.playerState = 50;
       AnalyticsAPI.videoPlayerStats(this.testData);
 
       expect(this.registerEvent).toHaveBeenCalledTimes(1);
@@ -350,3 +394,264 @@ describe('AnalyticsAPI', function() {
     });
   });
 });
+
+describe('AnalyticsAPI consent', function() {
+  const transport = { name: 'test', send: jest.fn() };
+
+  beforeEach(function() {
+    transport.send.mockClear();
+    AnalyticsAPI.setConsent(null);
+    AnalyticsAPI.configure({ requireConsent: true, transports: [transport] });
+  });
+
+  afterEach(function() {
+    AnalyticsAPI.setConsent(null);
+    AnalyticsAPI.configure({
+      requireConsent: false,
+      transports: [createIBMStatsTransport()],
+    });
+  });
+
+  it('should hold the events until the consent state is known', function() {
+    AnalyticsAPI.registerEvent({ eventName: 'CLICK' });
+    expect(transport.send).not.toHaveBeenCalled();
+
+    AnalyticsAPI.setConsent('granted');
+    expect(transport.send).toHaveBeenCalledWith({ eventName: 'CLICK' });
+  });
+
+  it('should drop the oldest events when the queue is full', function() {
+    AnalyticsAPI.configure({ queueSize: 1 });
+    AnalyticsAPI.registerEvent({ eventName: 'foo' });
+    AnalyticsAPI.registerEvent({ eventName: 'bar' });
+    AnalyticsAPI.setConsent('granted');
+    AnalyticsAPI.configure({ queueSize: 100 });
+
+    expect(transport.send).toHaveBeenCalledTimes(1);
+    expect(transport.send).toHaveBeenCalledWith({ eventName: 'bar' });
+  });
+
+  it('should drop or anonymize the events by category', function() {
+    AnalyticsAPI.setConsent({ analytics: 'anonymized', video: 'granted' });
+    AnalyticsAPI.registerEvent({
+      eventName: 'CLICK',
+      driverId: 'foo',
+      targetURL: 'https://www.ibm.com/?token=foo#bar',
+    });
+    AnalyticsAPI.registerEvent({
+      eventName: 'PLAY',
+      consentCategory: 'video',
+      driverId: 'foo',
+    });
+    AnalyticsAPI.registerEvent({
+      eventName: 'AD',
+      consentCategory: 'advertising',
+    });
+
+    expect(transport.send).toHaveBeenCalledTimes(2);
+    expect(transport.send).toHaveBeenNthCalledWith(1, {
+      eventName: 'CLICK',
+      targetURL: 'https://www.ibm.com/',
+    });
+    expect(transport.send).toHaveBeenNthCalledWith(2, {
+      eventName: 'PLAY',
+      driverId: 'foo',
+    });
+  });
+
+  it('should keep sending to the other transports if one fails', function() {
+    const consoleError = jest.spyOn(console, 'error');
+    consoleError.mockImplementation(() => {});
+    const failing = {
+      name: 'failing',
+      send: () => {
+        throw new Error();
+      },
+    };
+    AnalyticsAPI.configure({ transports: [failing, transport] });
+    AnalyticsAPI.setConsent('granted');
+    AnalyticsAPI.registerEvent({ eventName: 'CLICK' });
+
+    expect(transport.send).toHaveBeenCalledTimes(1);
+    expect(consoleError).toHaveBeenCalledTimes(1);
+    consoleError.mockRestore();
+  });
+
+  it('should report the errors of the asynchronous transports', async function() {
+    const consoleError = jest.spyOn(console, 'error');
+    consoleError.mockImplementation(() => {});
+    const failing = {
+      name: 'failing',
+      send: () => Promise.reject(new Error()),
+    };
+    AnalyticsAPI.configure({ transports: [failing] });
+    AnalyticsAPI.setConsent('granted');
+    AnalyticsAPI.registerEvent({ eventName: 'CLICK' });
+    await Promise.resolve();
+
+    expect(consoleError).toHaveBeenCalledTimes(1);
+    consoleError.mockRestore();
+  });
+
+  it('should return the consent state', function() {
+    expect(AnalyticsAPI.getConsent()).toBeNull();
+    AnalyticsAPI.setConsent('denied');
+    expect(AnalyticsAPI.getConsent()).toEqual({ '*': 'denied' });
+  });
+});
+
+describe('Analytics transports', function() {
+  it('should push to the data layer', function() {
+    createDataLayerTransport().send({ eventName: 'CLICK' });
+
+    expect(root.dataLayer).toEqual([{ event: 'ibmStats', eventName: 'CLICK' }]);
+    delete root.dataLayer;
+  });
+
+  it('should send a beacon', function() {
+    root.navigator.sendBeacon = jest.fn();
+    createBeaconTransport('/metrics').send({ eventName: 'CLICK' });
+
+    expect(root.navigator.sendBeacon).toHaveBeenCalledWith(
+      '/metrics',
+      '{"eventName":"CLICK"}'
+    );
+    delete root.navigator.sendBeacon;
+  });
+
+  it('should fall back to fetch', function() {
+    const request = Promise.resolve();
+    root.fetch = jest.fn(() => request);
+    const result = createBeaconTransport('/metrics').send({
+      eventName: 'CLICK',
+    });
+
+    expect(root.fetch).toHaveBeenCalledWith(
+      '/metrics',
+      expect.objectContaining({ method: 'POST', keepalive: true })
+    );
+    expect(result).toBe(request);
+    delete root.fetch;
+  });
+});
+
+describe('AnalyticsAPI declarative tracking', function() {
+  let registerEvent;
+
+  beforeEach(function() {
+    registerEvent = jest.spyOn(AnalyticsAPI, 'registerEvent');
+    registerEvent.mockImplementation(() => {});
+  });
+
+  afterEach(function() {
+    registerEvent.mockRestore();
+    document.body.innerHTML = '';
+  });
+
+  it('should track the clicks on the elements with data attributes', function() {
+    document.body.innerHTML = `
+      <div data-analytics-id="home__cta" data-analytics-category="CTA">
+        <a href="https://www.ibm.com/cloud"><span>Cloud</span></a>
+      </div>
+    `;
+    // `document.addEventListener` is mocked by the tests above
+    const stop = AnalyticsAPI.initLinkTracking({ root: document.body });
+    document.querySelector('span').click();
+    stop();
+    document.querySelector('span').click();
+
+    expect(registerEvent).toHaveBeenCalledTimes(1);
+    expect(registerEvent).toHaveBeenCalledWith({
+      type: 'element',
+      primaryCategory: 'WIDGET',
+      eventName: 'CLICK',
+      eventCategoryGroup: 'CTA',
+      executionPath: 'home__cta',
+      targetTitle: 'Cloud',
+      targetURL: 'https://www.ibm.com/cloud',
+    });
+  });
+
+  it('should track the clicks on the cards in shadow DOM', function() {
+    const host = document.createElement('div');
+    document.body.appendChild(host);
+    const card = document.createElement('dds-card');
+    card.setAttribute('href', 'https://www.ibm.com');
+    card.textContent = 'Card';
+    host.attachShadow({ mode: 'open' }).appendChild(card);
+    const stop = AnalyticsAPI.initLinkTracking({ root: document.body });
+    card.click();
+    stop();
+
+    expect(registerEvent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        eventCategoryGroup: 'dds-card',
+        executionPath: 'dds-card',
+        targetTitle: 'Card',
+        targetURL: 'https://www.ibm.com',
+      })
+    );
+  });
+
+  it('should track the impressions once', function() {
+    let callback;
+    const observe = jest.fn();
+    const unobserve = jest.fn();
+    root.IntersectionObserver = jest.fn(cb => {
+      callback = cb;
+      return { observe, unobserve, disconnect: jest.fn() };
+    });
+    document.body.innerHTML =
+      '<div data-analytics-impression data-analytics-id="home__banner">Banner</div>';
+    const target = document.querySelector('div');
+    const stop = AnalyticsAPI.initImpressionTracking();
+    callback([{ isIntersecting: false, target }]);
+    callback([{ isIntersecting: true, target }]);
+    stop();
+    delete root.IntersectionObserver;
+
+    expect(observe).toHaveBeenCalledWith(target);
+    expect(unobserve).toHaveBeenCalledWith(target);
+    expect(registerEvent).toHaveBeenCalledTimes(1);
+    expect(registerEvent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        eventName: 'IMPRESSION',
+        executionPath: 'home__banner',
+        targetTitle: 'Banner',
+      })
+    );
+  });
+
+  it('should track the impressions of the elements added later, in an animation frame', async function() {
+    const observe = jest.fn();
+    const frames = [];
+    root.IntersectionObserver = jest.fn(() => ({
+      observe,
+      unobserve: jest.fn(),
+      disconnect: jest.fn(),
+    }));
+    jest
+      .spyOn(root, 'requestAnimationFrame')
+      .mockImplementation(callback => frames.push(callback));
+    document.body.innerHTML = '<div></div>';
+    const host = document.querySelector('div');
+    const shadowRoot = host.attachShadow({ mode: 'open' });
+    const stop = AnalyticsAPI.initImpressionTracking();
+
+    const first = document.createElement('div');
+    first.setAttribute('data-analytics-impression', '');
+    document.body.appendChild(first);
+    const second = document.createElement('div');
+    second.setAttribute('data-analytics-impression', '');
+    shadowRoot.appendChild(second);
+    await Promise.resolve();
+    expect(observe).not.toHaveBeenCalled();
+    expect(frames.length).toBe(1);
+    frames[0]();
+    stop();
+    root.requestAnimationFrame.mockRestore();
+    delete root.IntersectionObserver;
+
+    expect(observe.mock.calls).toEqual([[first], [second]]);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
+
+const { stablePrefix: ddsPrefix } = ddsSettings;
+
+/**
+ * The tag names of the components tracked without data attributes, e.g. `dds-card`, `dds-text-cta`
+ * and `dds-link-list-item`
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _trackedTagName = new RegExp(
+  `^${ddsPrefix}-(?:[a-z-]+-)?(?:card|card-link|cta|link-list-item)$`
+);
+
+/**
+ * The maximum length of the `targetTitle` taken from the text content
+ *
+ * @type {number}
+ * @private
+ */
+const _titleLength = 100;
+
+/**
+ * @param {Element} element an element
+ * @returns {boolean} `true` if clicks on the given element should be tracked
+ */
+export function isTrackedElement(element) {
+  return (
+    element.nodeType === Node.ELEMENT_NODE &&
+    (element.hasAttribute('data-analytics-id') ||
+      _trackedTagName.test(element.tagName.toLowerCase()))
+  );
+}
+
+/**
+ * Calls the given function for the (open) shadow roots in the given root, including the nested ones,
+ * and the shadow root of the given root itself if it's an element.
+ *
+ * @param {Document|Element|ShadowRoot} root the root to search in
+ * @param {Function} callback the function called with each shadow root
+ */
+export function forEachShadowRootDeep(root, callback) {
+  [root, ...root.querySelectorAll('*')].forEach(element => {
+    if (element.shadowRoot) {
+      callback(element.shadowRoot);
+      forEachShadowRootDeep(element.shadowRoot, callback);
+    }
+  });
+}
+
+/**
+ * Returns the normalized analytics event data for the given element.
+ *
+ * The event data is read from these data attributes, with fallbacks:
+ *
+ * * `data-analytics-id`: `executionPath`, the element ID or the tag name by default
+ * * `data-analytics-category`: `eventCategoryGroup`, the tag name by default
+ * * `data-analytics-title`: `targetTitle`, the text content by default
+ *
+ * @param {Element} element the element
+ * @param {string} eventName the event name, e.g. `CLICK`
+ * @param {EventTarget[]} [path] the event path, to find the link clicked in the element
+ * @returns {object} the event data
+ */
+export function getElementEventData(element, eventName, path = []) {
+  const tagName = element.tagName.toLowerCase();
+  const link =
+    element.href || element.getAttribute('href')
+      ? element
+      : path
+          .slice(0, path.indexOf(element))
+          .find(
+            item =>
+              item.nodeType === Node.ELEMENT_NODE && item.hasAttribute('href')
+          );
+  const eventData = {
+    type: 'element',
+    primaryCategory: 'WIDGET',
+    eventName,
+    eventCategoryGroup: element.dataset.analyticsCategory || tagName,
+    executionPath: element.dataset.analyticsId || element.id || tagName,
+    targetTitle:
+      element.dataset.analyticsTitle ||
+      (element.textContent || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, _titleLength),
+  };
+  const href = link && (link.href || link.getAttribute('href'));
+  if (href) {
+    eventData.targetURL = href;
+  }
+  return eventData;
+}
@@ -0,0 +1,74 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import root from 'window-or-global';
+
+/**
+ * Creates the transport sending analytics events to `window.ibmStats`.
+ * Events are dropped if the `ibmStats` script has not been loaded.
+ *
+ * @returns {{name: string, send: Function}} the transport
+ */
+export function createIBMStatsTransport() {
+  return {
+    name: 'ibmStats',
+    send(eventData) {
+      if (root.ibmStats) {
+        root.ibmStats.event(eventData);
+      }
+    },
+  };
+}
+
+/**
+ * Creates the transport pushing analytics events to a data layer array, e.g. the one of Google Tag Manager.
+ *
+ * @param {object} [options] options object
+ * @param {string} [options.name=dataLayer] the name of the global data layer array
+ * @param {string} [options.event=ibmStats] the `event` key of the pushed objects
+ * @returns {{name: string, send: Function}} the transport
+ */
+export function createDataLayerTransport({
+  name = 'dataLayer',
+  event = 'ibmStats',
+} = {}) {
+  return {
+    name,
+    send(eventData) {
+      root[name] = root[name] || [];
+      root[name].push({ event, ...eventData });
+    },
+  };
+}
+
+/**
+ * Creates the transport sending analytics events to the given URL with `navigator.sendBeacon()`,
+ * so the events are sent even if the user navigates away.
+ * Falls back to `fetch()` with `keepalive` where `sendBeacon()` is not available.
+ *
+ * @param {string} url the URL to send the events to
+ * @returns {{name: string, send: Function}} the transport, whose `send()` returns the `fetch()` promise if it's used
+ */
+export function createBeaconTransport(url) {
+  return {
+    name: 'beacon',
+    send(eventData) {
+      const body = JSON.stringify(eventData);
+      if (root.navigator?.sendBeacon) {
+        root.navigator.sendBeacon(url, body);
+      } else if (root.fetch) {
+        return root.fetch(url, {
+          method: 'POST',
+          body,
+          headers: { 'Content-Type': 'application/json' },
+          keepalive: true,
+        });
+      }
+      return undefined;
+    },
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { createStorage } from './storage';
+
+/**
+ * Two hours in milliseconds, the default time-to-live of cache entries.
+ *
+ * @type {number}
+ * @private
+ */
+const _twoHours = 60 * 60 * 2000;
+
+/**
+ * Cache for service responses, with pluggable storage and TTL policy.
+ *
+ * Each entry is the response data stamped with a `timestamp` property.
+ * Entries older than `ttl` are either discarded, or, with `revalidate` set,
+ * returned as-is while a fresh copy is fetched in the background.
+ *
+ * @example
+ * import { ServiceCache } from '@carbon/ibmdotcom-services';
+ *
+ * const cache = new ServiceCache({ storage: 'local', ttl: 60 * 60 * 1000 });
+ * const data = await cache.fetch('my-key', () => fetchMyData());
+ */
+class ServiceCache {
+  /**
+   * The cache for in-flight requests, keyed by the cache key.
+   *
+   * @type {object}
+   * @private
+   */
+  _requests = {};
+
+  /**
+   * @param {object} [options] The cache options
+   * @param {string|object} [options.storage=session]
+   *   One of `memory`, `session`, `local` and `indexeddb`, or a custom storage object.
+   *   Falls back to `memory` if the storage is not available in the environment.
+   * @param {number} [options.ttl] The time-to-live of the cache entries, in milliseconds
+   * @param {boolean} [options.revalidate=false]
+   *   `true` to return stale entries while fetching fresh data in the background
+   */
+  constructor(options) {
+    this.configure({
+      storage: 'session',
+      ttl: _twoHours,
+      revalidate: false,
+      ...options,
+    });
+  }
+
+  /**
+   * Updates the cache options.
+   * Changing the storage does not migrate the existing entries.
+   *
+   * @param {object} options The cache options, see the constructor
+   */
+  configure({ storage, ttl, revalidate } = {}) {
+    if (storage !== undefined) {
+      this._storage = createStorage(storage);
+    }
+    if (ttl !== undefined) {
+      this.ttl = ttl;
+    }
+    if (revalidate !== undefined) {
+      this.revalidate = revalidate;
+    }
+  }
+
+  /**
+   * Retrieves a cache entry.
+   *
+   * @param {string} key The cache key
+   * @returns {Promise<object>}
+   *   The entry with `data` and `stale` properties, or `undefined` if there is no usable entry
+   */
+  async get(key) {
+    let data;
+    try {
+      data = await this._storage.getItem(key);
+    } catch (error) {
+      return;
+    }
+
+    if (!data || !data.timestamp) {
+      return;
+    }
+
+    const stale = Date.now() - data.timestamp > this.ttl;
+    if (stale && !this.revalidate) {
+      await this.remove(key);
+      return;
+    }
+    return { data, stale };
+  }
+
+  /**
+   * Synchronously retrieves the data of a fresh cache entry, for the deprecated synchronous APIs.
+   * Stale entries are not returned even with `revalidate` set, as nothing fetches the fresh copy.
+   *
+   * @param {string} key The cache key
+   * @returns {object}
+   *   The data, or `undefined` if there is no fresh entry or the storage is asynchronous (e.g. `indexeddb`)
+   */
+  getSync(key) {
+    if (typeof this._storage.getItemSync !== 'function') {
+      return;
+    }
+
+    let data;
+    try {
+      data = this._storage.getItemSync(key);
+    } catch (error) {
+      return;
+    }
+
+    if (!data || !data.timestamp) {
+      return;
+    }
+
+    if (Date.now() - data.timestamp > this.ttl) {
+      if (!this.revalidate) {
+        this.remove(key);
+      }
+      return;
+    }
+    return data;
+  }
+
+  /**
+   * Stores a cache entry, stamping the data with the current time.
+   *
+   * @param {string} key The cache key
+   * @param {object} data The data to store
+   */
+  async set(key, data) {
+    data['timestamp'] = Date.now();
+    try {
+      await this._storage.setItem(key, data);
+    } catch (error) {
+      // The storage may be full or unavailable, the data is still returned to the caller
+    }
+  }
+
+  /**
+   * Removes a cache entry.
+   *
+   * @param {string} key The cache key
+   */
+  async remove(key) {
+    try {
+      await this._storage.removeItem(key);
+    } catch (error) {
+      // Nothing to remove if the storage is unavailable
+    }
+  }
+
+  /**
+   * Removes the cache entries and the in-flight requests whose keys start with the given prefix.
+   *
+   * @param {string} [prefix] The key prefix, clears all entries if omitted
+   */
+  async clear(prefix = '') {
+    Object.keys(this._requests)
+      .filter(key => key.indexOf(prefix) === 0)
+      .forEach(key => delete this._requests[key]);
+    try {
+      await this._storage.clear(prefix);
+    } catch (error) {
+      // Nothing to clear if the storage is unavailable
+    }
+  }
+
+  /**
+   * Returns the cached data for the given key, or fetches and caches it.
+   * Concurrent calls for the same key share one request.
+   *
+   * @param {string} key The cache key
+   * @param {Function} fetcher Returns a promise of the data to cache
+   * @returns {Promise<any>} The data
+   */
+  async fetch(key, fetcher) {
+    const entry = await this.get(key);
+    if (entry) {
+      if (entry.stale) {
+        this._request(key, fetcher).catch(() => {
+          // Keeps the stale entry if the background revalidation fails
+        });
+      }
+      return entry.data;
+    }
+    return this._request(key, fetcher);
+  }
+
+  /**
+   * Fetches and caches the data, deduplicating in-flight requests.
+   *
+   * @param {string} key The cache key
+   * @param {Function} fetcher Returns a promise of the data to cache
+   * @returns {Promise<any>} The data
+   * @private
+   */
+  _request(key, fetcher) {
+    if (!this._requests[key]) {
+      const done = () => {
+        if (this._requests[key] === request) {
+          delete this._requests[key];
+        }
+      };
+      const request = Promise.resolve()
+        .then(fetcher)
+        .then(async data => {
+          await this.set(key, data);
+          return data;
+        });
+      request.then(done, done);
+      this._requests[key] = request;
+    }
+    return this._requests[key];
+  }
+}
+
+export default ServiceCache;
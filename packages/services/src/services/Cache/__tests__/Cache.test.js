@@ -0,0 +1,210 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import ServiceCache from '../Cache';
+
+describe('ServiceCache', () => {
+  const { now } = Date;
+  let currentTime;
+
+  beforeEach(() => {
+    currentTime = 1546300800000; // Epoch time of January 1, 2019 midnight UTC
+    Date.now = jest.fn(() => currentTime);
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    Date.now = now;
+  });
+
+  it('should fetch and cache the data', async () => {
+    const cache = new ServiceCache({ storage: 'memory' });
+    const fetcher = jest.fn(() => Promise.resolve({ foo: 'bar' }));
+
+    const data1 = await cache.fetch('dds-test-key', fetcher);
+    const data2 = await cache.fetch('dds-test-key', fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(data1).toEqual({ foo: 'bar', timestamp: currentTime });
+    expect(data2).toEqual(data1);
+  });
+
+  it('should share the in-flight request', async () => {
+    const cache = new ServiceCache({ storage: 'memory' });
+    const fetcher = jest.fn(() => Promise.resolve({ foo: 'bar' }));
+
+    await Promise.all([
+      cache.fetch('dds-test-key', fetcher),
+      cache.fetch('dds-test-key', fetcher),
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('should discard expired entries', async () => {
+    const cache = new ServiceCache({ storage: 'memory', ttl: 1000 });
+    const fetcher = jest
+      .fn()
+      .mockReturnValueOnce(Promise.resolve({ foo: 'bar' }))
+      .mockReturnValueOnce(Promise.resolve({ foo: 'baz' }));
+
+    await cache.fetch('dds-test-key', fetcher);
+    currentTime += 1001;
+    const data = await cache.fetch('dds-test-key', fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(data.foo).toBe('baz');
+  });
+
+  it('should return stale entries while revalidating', async () => {
+    const cache = new ServiceCache({
+      storage: 'memory',
+      ttl: 1000,
+      revalidate: true,
+    });
+    const fetcher = jest
+      .fn()
+      .mockReturnValueOnce(Promise.resolve({ foo: 'bar' }))
+      .mockReturnValueOnce(Promise.resolve({ foo: 'baz' }));
+
+    await cache.fetch('dds-test-key', fetcher);
+    currentTime += 1001;
+    const stale = await cache.fetch('dds-test-key', fetcher);
+    expect(stale.foo).toBe('bar');
+    expect(fetcher).toHaveBeenCalledTimes(2);
+
+    await new Promise(resolve => process.nextTick(resolve));
+    const entry = await cache.get('dds-test-key');
+    expect(entry).toEqual({
+      data: { foo: 'baz', timestamp: currentTime },
+      stale: false,
+    });
+  });
+
+  it('should keep the stale entry if revalidation fails', async () => {
+    const cache = new ServiceCache({
+      storage: 'memory',
+      ttl: 1000,
+      revalidate: true,
+    });
+
+    await cache.fetch('dds-test-key', () => Promise.resolve({ foo: 'bar' }));
+    currentTime += 1001;
+    const data = await cache.fetch('dds-test-key', () =>
+      Promise.reject(new Error('network'))
+    );
+
+    expect(data.foo).toBe('bar');
+    expect((await cache.get('dds-test-key')).stale).toBe(true);
+  });
+
+  it('should not cache failed requests', async () => {
+    const cache = new ServiceCache({ storage: 'memory' });
+
+    await expect(
+      cache.fetch('dds-test-key', () => Promise.reject(new Error('network')))
+    ).rejects.toThrow('network');
+    expect(await cache.get('dds-test-key')).toBeUndefined();
+  });
+
+  it('should store the entries in the Web Storage', async () => {
+    const cache = new ServiceCache({ storage: 'local' });
+
+    await cache.set('dds-test-key', { foo: 'bar' });
+
+    expect(JSON.parse(localStorage.getItem('dds-test-key'))).toEqual({
+      foo: 'bar',
+      timestamp: currentTime,
+    });
+  });
+
+  it('should clear the entries by prefix', async () => {
+    const cache = new ServiceCache({ storage: 'local' });
+
+    await cache.set('dds-test-key', { foo: 'bar' });
+    await cache.set('dds-other-key', { foo: 'baz' });
+    await cache.clear('dds-test');
+
+    expect(localStorage.getItem('dds-test-key')).toBeNull();
+    expect(localStorage.getItem('dds-other-key')).not.toBeNull();
+  });
+
+  it('should fall back to the memory storage if IndexedDB is not available', async () => {
+    const cache = new ServiceCache({ storage: 'indexeddb' });
+    const fetcher = jest.fn(() => Promise.resolve({ foo: 'bar' }));
+
+    await cache.fetch('dds-test-key', fetcher);
+    await cache.fetch('dds-test-key', fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('should support custom storage', async () => {
+    const storage = {
+      getItem: jest.fn(() => Promise.resolve(null)),
+      setItem: jest.fn(() => Promise.resolve()),
+      removeItem: jest.fn(() => Promise.resolve()),
+      clear: jest.fn(() => Promise.resolve()),
+    };
+    const cache = new ServiceCache({ storage });
+
+    await cache.fetch('dds-test-key', () => Promise.resolve({ foo: 'bar' }));
+    await cache.clear('dds-test');
+
+    expect(storage.getItem).toHaveBeenCalledWith('dds-test-key');
+    expect(storage.setItem).toHaveBeenCalledWith('dds-test-key', {
+      foo: 'bar',
+      timestamp: currentTime,
+    });
+    expect(storage.clear).toHaveBeenCalledWith('dds-test');
+  });
+
+  it('should treat storage errors as cache misses', async () => {
+    const storage = {
+      getItem: jest.fn(() => Promise.reject(new Error('storage'))),
+      setItem: jest.fn(() => Promise.reject(new Error('storage'))),
+    };
+    const cache = new ServiceCache({ storage });
+
+    const data = await cache.fetch('dds-test-key', () =>
+      Promise.resolve({ foo: 'bar' })
+    );
+
+    expect(data.foo).toBe('bar');
+  });
+
+  it('should synchronously get the fresh entries', async () => {
+    const cache = new ServiceCache({ storage: 'local', ttl: 1000 });
+    await cache.set('dds-test-key', { foo: 'bar' });
+
+    expect(cache.getSync('dds-test-key')).toEqual({
+      foo: 'bar',
+      timestamp: currentTime,
+    });
+    currentTime += 1001;
+    expect(cache.getSync('dds-test-key')).toBeUndefined();
+    expect(localStorage.getItem('dds-test-key')).toBeNull();
+  });
+
+  it('should not synchronously get the entries from asynchronous storage', async () => {
+    const storage = {
+      getItem: jest.fn(() =>
+        Promise.resolve({ foo: 'bar', timestamp: currentTime })
+      ),
+    };
+    const cache = new ServiceCache({ storage });
+
+    expect(cache.getSync('dds-test-key')).toBeUndefined();
+    expect(storage.getItem).not.toHaveBeenCalled();
+  });
+
+  it('should throw for unknown storage', () => {
+    expect(() => new ServiceCache({ storage: 'foo' })).toThrow(
+      'Unknown service cache storage: foo'
+    );
+  });
+});
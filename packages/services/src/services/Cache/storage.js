@@ -0,0 +1,205 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import root from 'window-or-global';
+
+/**
+ * Name of the IndexedDB database used by the `indexeddb` storage
+ *
+ * @type {string}
+ * @private
+ */
+const _dbName = 'dds-services-cache';
+
+/**
+ * Name of the IndexedDB object store used by the `indexeddb` storage
+ *
+ * @type {string}
+ * @private
+ */
+const _storeName = 'entries';
+
+/**
+ * Creates an in-memory storage. Used in environments without Web Storage (e.g. SSR workers)
+ * and as the fallback when the requested storage is not available.
+ *
+ * @returns {object} storage object
+ * @private
+ */
+function _createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItemSync(key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    async getItem(key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    async setItem(key, value) {
+      items.set(key, value);
+    },
+    async removeItem(key) {
+      items.delete(key);
+    },
+    async clear(prefix) {
+      Array.from(items.keys())
+        .filter(key => key.indexOf(prefix) === 0)
+        .forEach(key => items.delete(key));
+    },
+  };
+}
+
+/**
+ * Creates a storage backed by `sessionStorage` or `localStorage`.
+ * The Web Storage object is looked up at call time so it can be swapped (e.g. in tests).
+ *
+ * @param {string} name `sessionStorage` or `localStorage`
+ * @returns {object} storage object
+ * @private
+ */
+function _createWebStorage(name) {
+  const getStorage = () => root[name];
+  return {
+    getItemSync(key) {
+      const value = getStorage().getItem(key);
+      return value ? JSON.parse(value) : null;
+    },
+    async getItem(key) {
+      const value = getStorage().getItem(key);
+      return value ? JSON.parse(value) : null;
+    },
+    async setItem(key, value) {
+      getStorage().setItem(key, JSON.stringify(value));
+    },
+    async removeItem(key) {
+      getStorage().removeItem(key);
+    },
+    async clear(prefix) {
+      const storage = getStorage();
+      const keys = [];
+      for (let i = 0; i < storage.length; ++i) {
+        const key = storage.key(i);
+        if (key.indexOf(prefix) === 0) {
+          keys.push(key);
+        }
+      }
+      keys.forEach(key => storage.removeItem(key));
+    },
+  };
+}
+
+/**
+ * Creates a storage backed by IndexedDB.
+ *
+ * @returns {object} storage object
+ * @private
+ */
+function _createIndexedDBStorage() {
+  let db;
+
+  /**
+   * @returns {Promise<IDBDatabase>} The opened database
+   */
+  const open = () => {
+    if (!db) {
+      db = new Promise((resolve, reject) => {
+        const request = root.indexedDB.open(_dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(_storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return db;
+  };
+
+  /**
+   * @param {string} mode The transaction mode
+   * @param {Function} callback Gets the object store and returns an `IDBRequest`
+   * @returns {Promise<any>} The result of the request
+   */
+  const run = (mode, callback) =>
+    open().then(
+      database =>
+        new Promise((resolve, reject) => {
+          const request = callback(
+            database.transaction(_storeName, mode).objectStore(_storeName)
+          );
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+
+  return {
+    async getItem(key) {
+      const value = await run('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    },
+    async setItem(key, value) {
+      await run('readwrite', store => store.put(value, key));
+    },
+    async removeItem(key) {
+      await run('readwrite', store => store.delete(key));
+    },
+    async clear(prefix) {
+      await run('readwrite', store =>
+        store.delete(root.IDBKeyRange.bound(prefix, `${prefix}\uffff`))
+      );
+    },
+  };
+}
+
+/**
+ * Returns `true` if the given Web Storage can be used.
+ * Accessing Web Storage throws in some privacy modes, hence the `try`/`catch`.
+ *
+ * @param {string} name `sessionStorage` or `localStorage`
+ * @returns {boolean} `true` if the Web Storage can be used
+ * @private
+ */
+function _hasWebStorage(name) {
+  try {
+    return typeof root[name] !== 'undefined' && root[name] !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Creates the storage for the service cache.
+ * Falls back to the in-memory storage if the requested one is not available in the environment.
+ *
+ * @param {string|object} storage
+ *   One of `memory`, `session`, `local` and `indexeddb`,
+ *   or a custom object implementing async `getItem()`, `setItem()`, `removeItem()` and `clear(prefix)`.
+ *   The built-in `memory`, `session` and `local` storages also implement synchronous `getItemSync()`.
+ * @returns {object} storage object
+ */
+export function createStorage(storage) {
+  if (storage && typeof storage === 'object') {
+    return storage;
+  }
+  switch (storage) {
+    case 'session':
+      return _hasWebStorage('sessionStorage')
+        ? _createWebStorage('sessionStorage')
+        : _createMemoryStorage();
+    case 'local':
+      return _hasWebStorage('localStorage')
+        ? _createWebStorage('localStorage')
+        : _createMemoryStorage();
+    case 'indexeddb':
+      return root.indexedDB
+        ? _createIndexedDBStorage()
+        : _createMemoryStorage();
+    case 'memory':
+      return _createMemoryStorage();
+    default:
+      throw new TypeError(`Unknown service cache storage: ${storage}`);
+  }
+}
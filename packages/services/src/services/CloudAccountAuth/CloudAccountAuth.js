@@ -5,7 +5,9 @@
  * LICENSE file in the root directory of this source tree.
  */
 import axios from 'axios';
+import { ConfigAPI } from '../Config';
 import Cookies from 'js-cookie';
+import { retry } from '../ServiceError';
 
 /**
  * The cookie name for determining user login status for cloud.ibm.com.
@@ -35,6 +37,9 @@ class CloudAccountAuthAPI {
   /**
    * retrieve the cloud login status via api
    *
+   * A `401` or `403` HTTP status resolves to the anonymous status.
+   * Other failures, e.g. when offline, reject with a `DDSServiceError`.
+   *
    * @example
    * import { cloudAccountAuthentication } from '@carbon/ibmdotcom-utilities';
    *
@@ -43,18 +48,22 @@ class CloudAccountAuthAPI {
    * @returns {string} string determining login status
    */
   static async checkAPI() {
-    const cloudLogin = await axios
-      .get('/api/v6/selected-account?profile=true', {
+    const cloudLogin = await retry(() =>
+      axios.get('/api/v6/selected-account?profile=true', {
         headers: {
           Accept: 'application/json',
         },
+        timeout: ConfigAPI.get('timeout'),
       })
+    )
       .then(response => {
         return response.status === 200 ? 'authenticated' : 'anonymous';
       })
       .catch(error => {
-        console.error(error);
-        return 'anonymous';
+        if (error.status === 401 || error.status === 403) {
+          return 'anonymous';
+        }
+        throw error;
       });
 
     return { user: cloudLogin };
@@ -0,0 +1,230 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import root from 'window-or-global';
+
+/**
+ * The `name` attribute of the `<meta>` tag with the runtime configuration
+ *
+ * @type {string}
+ * @private
+ */
+const _metaName = 'dds-config';
+
+/**
+ * The name of the global variable with the runtime configuration
+ *
+ * @type {string}
+ * @private
+ */
+const _globalName = 'ddsConfig';
+
+/**
+ * The configuration keys pointed to the fixtures server in fixtures mode,
+ * with the path to append to the fixtures host
+ *
+ * @type {object}
+ * @private
+ */
+const _fixturesPaths = {
+  translationHost: '',
+  profileHost: '',
+  searchTypeaheadHost: '',
+  marketingSearchHost: '',
+  kalturaEmbedHost: '',
+  kalturaThumbnailHost: '',
+  geoEndpoint: '/webmaster/dbip/',
+};
+
+/**
+ * The configuration set by `ConfigAPI.configure()`
+ *
+ * @type {object}
+ * @private
+ */
+let _config = {};
+
+/**
+ * The `<meta>` tag with the runtime configuration, its `content` attribute, and the configuration parsed from it,
+ * so the `<meta>` tag is looked up and parsed only once
+ *
+ * @type {{meta: Element, content: string, config: object}}
+ * @private
+ */
+const _metaCache = {};
+
+/**
+ * Returns the configuration from the environment variables.
+ * `process.env` is replaced by the bundler at build time, so each variable is referenced explicitly.
+ *
+ * @returns {object} configuration object
+ * @private
+ */
+function _getEnvConfig() {
+  return {
+    fixturesHost: process.env.DDS_SERVICES_FIXTURES_HOST,
+    translationHost:
+      process.env.REACT_APP_TRANSLATION_HOST || process.env.TRANSLATION_HOST,
+    translationEndpoint:
+      process.env.REACT_APP_DDS_TRANSLATION_ENDPOINT ||
+      process.env.DDS_TRANSLATION_ENDPOINT,
+    profileHost: process.env.REACT_APP_PROFILE_HOST || process.env.PROFILE_HOST,
+    profileVersion: process.env.PROFILE_VERSION,
+    searchTypeaheadHost: process.env.SEARCH_TYPEAHEAD_API,
+    searchTypeaheadVersion: process.env.SEARCH_TYPEAHEAD_VERSION,
+    marketingSearchHost: process.env.MARKETING_SEARCH_HOST,
+    marketingSearchVersion: process.env.MARKETING_SEARCH_VERSION,
+    geoEndpoint: process.env.GEO_API,
+    kalturaPartnerId:
+      process.env.REACT_APP_KALTURA_PARTNER_ID ||
+      process.env.KALTURA_PARTNER_ID,
+    kalturaUiconfId:
+      process.env.REACT_APP_KALTURA_UICONF_ID || process.env.KALTURA_UICONF_ID,
+  };
+}
+
+/**
+ * Returns the configuration from the `<meta name="dds-config">` tag, whose `content` is a JSON object.
+ * The `<meta>` tag is looked up again only if it's removed from the document,
+ * and is parsed again only if its content changes.
+ *
+ * @returns {object} configuration object
+ * @private
+ */
+function _getMetaConfig() {
+  if (!_metaCache.meta?.isConnected) {
+    _metaCache.meta = root.document?.querySelector(`meta[name="${_metaName}"]`);
+  }
+  const content = _metaCache.meta?.getAttribute('content');
+  if (!content) {
+    return {};
+  }
+  if (content !== _metaCache.content) {
+    _metaCache.content = content;
+    try {
+      _metaCache.config = JSON.parse(content);
+    } catch (error) {
+      console.error(`Invalid JSON in <meta name="${_metaName}">:`, error);
+      _metaCache.config = {};
+    }
+  }
+  return _metaCache.config;
+}
+
+/**
+ * Merges the given configuration objects, ignoring empty values.
+ *
+ * @param {...object} configs configuration objects, later ones take precedence
+ * @returns {object} merged configuration object
+ * @private
+ */
+function _merge(...configs) {
+  return configs.reduce((acc, config) => {
+    Object.keys(config || {}).forEach(key => {
+      if (config[key] !== undefined && config[key] !== '') {
+        acc[key] = config[key];
+      }
+    });
+    return acc;
+  }, {});
+}
+
+/**
+ * Config API class with methods for the runtime configuration of the services.
+ *
+ * The configuration is looked up every time a service makes a call, from (in order of precedence):
+ *
+ * 1. `ConfigAPI.configure()`
+ * 2. The `window.ddsConfig` global
+ * 3. The `<meta name="dds-config" content="{...}">` tag
+ * 4. The environment variables at build time (e.g. `TRANSLATION_HOST`)
+ *
+ * So one prebuilt bundle can be pointed to different hosts.
+ * Setting `fixturesHost` points all hosts to the fixtures server.
+ */
+class ConfigAPI {
+  /**
+   * Sets the runtime configuration, merged with the one set before.
+   *
+   * @param {object} config configuration object
+   * @param {string} [config.fixturesHost] URL of the services fixtures server
+   * @param {string} [config.translationHost] host for `LocaleAPI` and `TranslationAPI`
+   * @param {string} [config.translationEndpoint] endpoint path for `TranslationAPI`
+   * @param {string} [config.profileHost] host for `ProfileAPI`
+   * @param {string} [config.profileVersion] API version for `ProfileAPI`
+   * @param {string} [config.searchTypeaheadHost] host for `SearchTypeaheadAPI`
+   * @param {string} [config.searchTypeaheadVersion] API version for `SearchTypeaheadAPI`
+   * @param {string} [config.marketingSearchHost] host for `MarketingSearchAPI`
+   * @param {string} [config.marketingSearchVersion] API version for `MarketingSearchAPI`
+   * @param {string} [config.geoEndpoint] endpoint for the geolocation lookup
+   * @param {Function} [config.geoResolver] resolver of the geolocation, taking precedence over the endpoint,
+   *   see `resolveGeolocation()` in `@carbon/ibmdotcom-utilities`
+   * @param {number} [config.geoTimeout] timeout (in milliseconds) of the geolocation lookup, 3 seconds by default
+   * @param {string|number} [config.kalturaPartnerId] Kaltura partner ID
+   * @param {string|number} [config.kalturaUiconfId] Kaltura UIConf ID
+   * @param {string} [config.kalturaEmbedHost] host for the Kaltura player script
+   * @param {string} [config.kalturaThumbnailHost] host for the Kaltura thumbnails
+   * @param {number} [config.timeout] timeout (in milliseconds) of the REST calls, no timeout by default
+   * @param {object} [config.retry] retry policy of the REST calls, see `retry()`, no retry by default
+   *
+   * @example
+   * import { ConfigAPI } from '@carbon/ibmdotcom-services';
+   *
+   * ConfigAPI.configure({
+   *   translationHost: 'https://1.www.s81c.com',
+   *   searchTypeaheadHost: 'https://www-api.ibm.com',
+   * });
+   */
+  static configure(config) {
+    _config = { ..._config, ...config };
+  }
+
+  /**
+   * Resets the configuration set by `ConfigAPI.configure()`.
+   */
+  static reset() {
+    _config = {};
+  }
+
+  /**
+   * Returns the merged runtime configuration.
+   *
+   * @returns {object} configuration object
+   */
+  static getAll() {
+    const config = _merge(
+      _getEnvConfig(),
+      _getMetaConfig(),
+      root[_globalName],
+      _config
+    );
+    const { fixturesHost } = config;
+    if (fixturesHost) {
+      Object.keys(_fixturesPaths).forEach(key => {
+        config[key] = `${fixturesHost}${_fixturesPaths[key]}`;
+      });
+    }
+    return config;
+  }
+
+  /**
+   * Returns a runtime configuration value.
+   *
+   * @param {string} key configuration key
+   * @returns {*} configuration value, or `undefined` if not configured
+   *
+   * @example
+   * import { ConfigAPI } from '@carbon/ibmdotcom-services';
+   *
+   * const host = ConfigAPI.get('profileHost') || 'https://login.ibm.com';
+   */
+  static get(key) {
+    return this.getAll()[key];
+  }
+}
+
+export default ConfigAPI;
@@ -0,0 +1,86 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import ConfigAPI from '../Config';
+import root from 'window-or-global';
+
+describe('ConfigAPI', () => {
+  afterEach(() => {
+    ConfigAPI.reset();
+    delete root.ddsConfig;
+    document.head.innerHTML = '';
+  });
+
+  it('should read the environment variables', () => {
+    expect(ConfigAPI.get('translationHost')).toBe(process.env.TRANSLATION_HOST);
+    expect(ConfigAPI.get('kalturaPartnerId')).toBeUndefined();
+  });
+
+  it('should read the <meta> tag', () => {
+    document.head.innerHTML =
+      '<meta name="dds-config" content=\'{"profileHost": "https://meta.example.com"}\'>';
+
+    expect(ConfigAPI.get('profileHost')).toBe('https://meta.example.com');
+  });
+
+  it('should ignore an invalid <meta> tag', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    document.head.innerHTML = '<meta name="dds-config" content="foo">';
+
+    expect(ConfigAPI.get('profileHost')).toBe(process.env.PROFILE_HOST);
+    expect(ConfigAPI.get('profileHost')).toBe(process.env.PROFILE_HOST);
+    expect(console.error).toHaveBeenCalledTimes(1);
+    console.error.mockRestore();
+  });
+
+  it('should read the updated <meta> tag', () => {
+    document.head.innerHTML =
+      '<meta name="dds-config" content=\'{"profileHost": "https://meta.example.com"}\'>';
+    expect(ConfigAPI.get('profileHost')).toBe('https://meta.example.com');
+
+    document.head
+      .querySelector('meta')
+      .setAttribute(
+        'content',
+        '{"profileHost": "https://updated.example.com"}'
+      );
+    expect(ConfigAPI.get('profileHost')).toBe('https://updated.example.com');
+
+    document.head.innerHTML =
+      '<meta name="dds-config" content=\'{"profileHost": "https://new.example.com"}\'>';
+    expect(ConfigAPI.get('profileHost')).toBe('https://new.example.com');
+  });
+
+  it('should give the global precedence over the <meta> tag', () => {
+    document.head.innerHTML =
+      '<meta name="dds-config" content=\'{"profileHost": "https://meta.example.com"}\'>';
+    root.ddsConfig = { profileHost: 'https://global.example.com' };
+
+    expect(ConfigAPI.get('profileHost')).toBe('https://global.example.com');
+  });
+
+  it('should give configure() precedence over the global', () => {
+    root.ddsConfig = { profileHost: 'https://global.example.com' };
+    ConfigAPI.configure({ profileHost: 'https://configured.example.com' });
+    ConfigAPI.configure({ profileVersion: 'v2' });
+
+    expect(ConfigAPI.get('profileHost')).toBe('https://configured.example.com');
+    expect(ConfigAPI.get('profileVersion')).toBe('v2');
+  });
+
+  it('should point the hosts to the fixtures server', () => {
+    ConfigAPI.configure({
+      fixturesHost: 'http://localhost:8787',
+      profileHost: 'https://configured.example.com',
+    });
+
+    expect(ConfigAPI.get('profileHost')).toBe('http://localhost:8787');
+    expect(ConfigAPI.get('geoEndpoint')).toBe(
+      'http://localhost:8787/webmaster/dbip/'
+    );
+  });
+});
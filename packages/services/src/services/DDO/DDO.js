@@ -8,6 +8,54 @@
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
 import root from 'window-or-global';
 
+/**
+ * The name of the DOM event that signals the data layer is ready
+ *
+ * @type {string}
+ * @private
+ */
+const _readyEventName = 'ddo-ready';
+
+/**
+ * The time (in milliseconds) `DDOAPI.isReady()` waits for the data layer before rejecting
+ *
+ * @type {number}
+ * @private
+ */
+const _timeout = 5000;
+
+/**
+ * The callbacks waiting for the data layer to be ready
+ *
+ * @type {Set<Function>}
+ * @private
+ */
+const _listeners = new Set();
+
+/**
+ * The objects whose properties have been trapped
+ *
+ * @type {WeakSet<object>}
+ * @private
+ */
+const _trapped = new WeakSet();
+
+/**
+ * `true` if the `ddo-ready` event listener has been added
+ *
+ * @type {boolean}
+ * @private
+ */
+let _listening = false;
+
+/**
+ * The promise of `DDOAPI.isReady()`
+ *
+ * @type {Promise}
+ * @private
+ */
+let _dataLayerReadyPromise;
+
 /**
  * Returns boolean if the isDataLayerReady flag is true
  *
@@ -23,71 +71,180 @@ function _checkFlag() {
 }
 
 /**
- * Number of times to retry the datalayer ready loop before failing
+ * Calls the callbacks waiting for the data layer, if it's ready.
  *
- * @type {number}
  * @private
  */
-const _timeoutRetries = 50;
+function _notify() {
+  if (_checkFlag()) {
+    const listeners = Array.from(_listeners);
+    _listeners.clear();
+    listeners.forEach(listener => {
+      listener(root.digitalData);
+    });
+  }
+}
 
-let _dataLayerReadyPromise;
+/**
+ * Replaces a property of the given object with a setter that calls the given callback.
+ * Properties that cannot be redefined (e.g. a global `var`) are left as-is.
+ *
+ * @param {object} object the object
+ * @param {string} key the property name
+ * @param {Function} onSet the callback
+ * @private
+ */
+function _trap(object, key, onSet) {
+  if (!object || typeof object !== 'object' || _trapped.has(object)) {
+    return;
+  }
+  const descriptor = Object.getOwnPropertyDescriptor(object, key);
+  if (
+    (descriptor && !descriptor.configurable) ||
+    !Object.isExtensible(object)
+  ) {
+    return;
+  }
+  let value = object[key];
+  Object.defineProperty(object, key, {
+    configurable: true,
+    enumerable: true,
+    get() {
+      return value;
+    },
+    set(newValue) {
+      value = newValue;
+      onSet();
+    },
+  });
+  _trapped.add(object);
+}
 
 /**
- * Timeout loop to check if the digitalData object is ready.
- * This is the only way to achieve this without jQuery, as the event trigger
- * is fired from jQuery's custom event layer as
- * $(document).trigger('datalayer_ready').
+ * Watches `window.digitalData.page.isDataLayerReady` (and its parents being replaced)
+ * with setter traps, and calls the waiting callbacks once the data layer is ready.
  *
- * Application should `window.digitalData` up-front, e.g. in a `<script>` tag in `<head>`, that eliminates the polling.
+ * @private
+ */
+function _watch() {
+  _trap(root, 'digitalData', _watch);
+  _trap(root.digitalData, 'page', _watch);
+  _trap(root.digitalData?.page, 'isDataLayerReady', _watch);
+  _notify();
+}
+
+/**
+ * Starts watching for the data layer,
+ * by the setter traps and by the `ddo-ready` event for the data layers the traps cannot be set to.
  *
  * @private
  */
-function _datalayerReady() {
-  if (!_dataLayerReadyPromise) {
-    _dataLayerReadyPromise = new Promise((resolve, reject) => {
-      /**
-       * Tracks the number of attempts for the datalayer ready loop
-       *
-       * @type {number}
-       * @private
-       */
-      let _attempt = 0;
-
-      function _dataLayerReadyImpl() {
-        if (_checkFlag()) {
-          resolve();
-        } else {
-          _attempt++;
-
-          if (_attempt < _timeoutRetries) {
-            setTimeout(() => {
-              _dataLayerReadyImpl(resolve, reject);
-            }, 100);
-          } else {
-            reject(new Error('Timeout polling for digital data object.'));
-          }
-        }
-      }
-
-      _dataLayerReadyImpl();
-    });
+function _listen() {
+  if (!_listening && root.document) {
+    root.document.addEventListener(_readyEventName, _notify);
+    _listening = true;
   }
+  _watch();
+}
 
-  return _dataLayerReadyPromise;
+/**
+ * Merges the given values into the given object, recursively for plain objects.
+ *
+ * @param {object} target the object to merge into
+ * @param {object} source the values
+ * @returns {object} the target object
+ * @private
+ */
+function _merge(target, source) {
+  Object.keys(source).forEach(key => {
+    const value = source[key];
+    if (
+      value &&
+      Object.getPrototypeOf(value) === Object.prototype &&
+      target[key] &&
+      typeof target[key] === 'object'
+    ) {
+      _merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
 }
 
+/**
+ * The page section of the DDO.
+ *
+ * @typedef {object} DDOPage
+ * @property {object} [pageInfo] The page information, e.g. `language` and `version`
+ * @property {object} [category] The page category
+ * @property {object} [attributes] The page attributes
+ * @property {boolean} [isDataLayerReady] `true` if the data layer is ready
+ */
+
+/**
+ * The user section of the DDO.
+ *
+ * @typedef {object} DDOUser
+ * @property {object} [userInfo] The user information
+ * @property {object} [segment] The user segments
+ * @property {object} [profile] The user profile
+ */
+
 /**
  * DDO API class with methods of fetching search results for
  * ibm.com
  */
 class DDOAPI {
+  /**
+   * Calls the given callback the moment the digital data object becomes ready,
+   * or right away (synchronously) if it's ready already.
+   *
+   * Readiness is detected by traps on the `window.digitalData.page.isDataLayerReady` setter,
+   * or by a `ddo-ready` event dispatched on `document` for the data layers the traps cannot be set to.
+   *
+   * @param {Function} callback the callback, called with the digital data object
+   * @returns {Function} the function to stop waiting
+   * @example
+   * import { DDOAPI } from '@carbon/ibmdotcom-services';
+   *
+   * const unsubscribe = DDOAPI.onReady(digitalData => {
+   *   console.log(digitalData.page.pageInfo.language);
+   * });
+   */
+  static onReady(callback) {
+    _listen();
+    if (_checkFlag()) {
+      callback(root.digitalData);
+      return () => {};
+    }
+    _listeners.add(callback);
+    return () => {
+      _listeners.delete(callback);
+    };
+  }
+
   /**
    * Promise function that determines when the digital data object is ready
    *
-   * @returns {Promise} Resolved data layer ready signal
+   * @returns {Promise} Resolved data layer ready signal, rejected if the data layer is not ready in 5 seconds
    */
   static isReady() {
-    return _datalayerReady();
+    if (!_dataLayerReadyPromise) {
+      _dataLayerReadyPromise = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          unsubscribe();
+          _dataLayerReadyPromise = null;
+          reject(new Error('Timeout waiting for digital data object.'));
+        }, _timeout);
+        const unsubscribe = this.onReady(() => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+
+    return _dataLayerReadyPromise;
   }
 
   /**
@@ -107,17 +264,73 @@ class DDOAPI {
       });
   }
 
+  /**
+   * Gets the page section of the DDO.
+   *
+   * @returns {Promise<DDOPage>} Promise object
+   */
+  static async getPage() {
+    return await this.isReady().then(() => root.digitalData.page);
+  }
+
+  /**
+   * Merges the given values into the page section of the DDO.
+   *
+   * @param {DDOPage} page the values to set
+   * @returns {Promise<void>} Promise object
+   * @example
+   * import { DDOAPI } from '@carbon/ibmdotcom-services';
+   *
+   * DDOAPI.setPage({ pageInfo: { pageName: 'Products' } });
+   */
+  static async setPage(page) {
+    return await this.isReady().then(() => {
+      _merge(root.digitalData.page, page);
+    });
+  }
+
+  /**
+   * Gets the user section of the DDO.
+   *
+   * @returns {Promise<DDOUser>} Promise object
+   */
+  static async getUser() {
+    return await this.isReady().then(() => root.digitalData.user);
+  }
+
+  /**
+   * Merges the given values into the user section of the DDO.
+   *
+   * @param {DDOUser} user the values to set
+   * @returns {Promise<void>} Promise object
+   */
+  static async setUser(user) {
+    return await this.isReady().then(() => {
+      root.digitalData.user = _merge(root.digitalData.user || {}, user);
+    });
+  }
+
+  /**
+   * Gets the version of the library set to the DDO.
+   *
+   * @returns {Promise<string>} Promise object
+   */
+  static async getVersion() {
+    return await this.isReady().then(
+      () => root.digitalData.page.pageInfo?.version
+    );
+  }
+
   /**
    * Sets the version of the library to the DDO.
    * Application should `window.digitalData` up-front, e.g. in a `<script>` tag in `<head>`.
    * For quick developerment purpose, what `ibm-common.js` automatically populates can be used.
    *
+   * @param {string} [version] the version, the one of this library by default
    * @returns {Promise<any>} Promise object
    */
-  static async setVersion() {
-    return await this.isReady().then(() => {
-      root.digitalData.page.pageInfo.version = ddsSettings.version;
-    });
+  static async setVersion(version = ddsSettings.version) {
+    return await this.setPage({ pageInfo: { version } });
   }
 
   /**
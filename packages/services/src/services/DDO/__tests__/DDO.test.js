@@ -70,4 +70,81 @@ describe('DDOAPI', () => {
 
     await promiseReadies; // Rejection of this promise should fail this test
   });
+
+  it('should call the callback the moment the data layer becomes ready', () => {
+    root.digitalData.page.isDataLayerReady = false;
+    const callback = jest.fn();
+
+    DDOAPI.onReady(callback);
+    expect(callback).not.toHaveBeenCalled();
+
+    root.digitalData.page.isDataLayerReady = true;
+    expect(callback).toHaveBeenCalledWith(root.digitalData);
+  });
+
+  it('should call the callback right away if the data layer is ready', () => {
+    const callback = jest.fn();
+
+    DDOAPI.onReady(callback);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should watch the digital data object replaced', () => {
+    const callback = jest.fn();
+    root.digitalData = undefined;
+
+    const unsubscribe = DDOAPI.onReady(callback);
+    root.digitalData = { page: {} };
+    root.digitalData.page = { isDataLayerReady: true };
+    unsubscribe();
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should support the ddo-ready event', () => {
+    const callback = jest.fn();
+    const page = {};
+    Object.defineProperty(page, 'isDataLayerReady', {
+      configurable: false,
+      enumerable: true,
+      value: false,
+      writable: true,
+    });
+    root.digitalData = { page };
+
+    DDOAPI.onReady(callback);
+    page.isDataLayerReady = true;
+    expect(callback).not.toHaveBeenCalled();
+
+    document.dispatchEvent(new CustomEvent('ddo-ready'));
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not call the unsubscribed callback', () => {
+    root.digitalData.page.isDataLayerReady = false;
+    const callback = jest.fn();
+
+    DDOAPI.onReady(callback)();
+    root.digitalData.page.isDataLayerReady = true;
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should set and get the page and user sections', async () => {
+    await DDOAPI.setPage({ pageInfo: { pageName: 'Products' } });
+    await DDOAPI.setUser({ segment: { isIBMer: 0 } });
+
+    const page = await DDOAPI.getPage();
+    const user = await DDOAPI.getUser();
+    expect(page.pageInfo.pageName).toBe('Products');
+    expect(page.pageInfo.language).toBe('en-US');
+    expect(user.segment.isIBMer).toBe(0);
+    expect(user.segment['30']).toBe(true);
+  });
+
+  it('should set and get the given version', async () => {
+    await DDOAPI.setVersion('dds.v2.0.0');
+
+    expect(await DDOAPI.getVersion()).toBe('dds.v2.0.0');
+  });
 });
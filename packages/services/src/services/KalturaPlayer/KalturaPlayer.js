@@ -1,48 +1,52 @@
 /**
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
 import { AnalyticsAPI } from '../Analytics';
+import { ConfigAPI } from '../Config';
 import root from 'window-or-global';
 
 /**
- * Sets the Kaltura Partner ID, set by environment variable "KALTURA_PARTNER_ID"
+ * Returns the Kaltura Partner ID, from the runtime configuration
+ * (e.g. environment variable "KALTURA_PARTNER_ID")
  *
- * @type {number}
+ * @returns {number} Kaltura Partner ID
  * @private
  */
-const _partnerId =
-  (process &&
-    (process.env.REACT_APP_KALTURA_PARTNER_ID ||
-      process.env.KALTURA_PARTNER_ID)) ||
-  1773841;
+const _getPartnerId = () => ConfigAPI.get('kalturaPartnerId') || 1773841;
 
 /**
- * Sets the Kaltura UIConf ID, set by environment variable "KALTURA_UICONF_ID"
+ * Returns the Kaltura UIConf ID, from the runtime configuration
+ * (e.g. environment variable "KALTURA_UICONF_ID")
  *
- * @type {number}
+ * @returns {number} Kaltura UIConf ID
  * @private
  */
-const _uiConfId =
-  (process &&
-    (process.env.REACT_APP_KALTURA_UICONF_ID ||
-      process.env.KALTURA_UICONF_ID)) ||
-  27941801;
+const _getUiConfId = () => ConfigAPI.get('kalturaUiconfId') || 27941801;
 
 /**
- * @type {string} _embedUrl The API URL to call
+ * @returns {string} The API URL to call
  * @private
  */
-const _embedUrl = `https://cdnapisec.kaltura.com/p/${_partnerId}/sp/${_partnerId}00/embedIframeJs/uiconf_id/${_uiConfId}/partner_id/${_partnerId}`;
+const _getEmbedUrl = () => {
+  const host =
+    ConfigAPI.get('kalturaEmbedHost') || 'https://cdnapisec.kaltura.com';
+  const partnerId = _getPartnerId();
+  return `${host}/p/${partnerId}/sp/${partnerId}00/embedIframeJs/uiconf_id/${_getUiConfId()}/partner_id/${partnerId}`;
+};
 
 /**
- * @type {string} _thumbnailUrl
+ * @returns {string} The thumbnail URL, without the media ID
  * @private
  */
-const _thumbnailUrl = `https://cdnsecakmi.kaltura.com/p/${_partnerId}/thumbnail/entry_id/`;
+const _getThumbnailUrl = () => {
+  const host =
+    ConfigAPI.get('kalturaThumbnailHost') || 'https://cdnsecakmi.kaltura.com';
+  return `${host}/p/${_getPartnerId()}/thumbnail/entry_id/`;
+};
 
 /**
  * Number of times to retry the script ready loop before failing
@@ -107,11 +111,67 @@ function _scriptReady(resolve, reject) {
 function _loadScript() {
   _scriptLoading = true;
   const script = document.createElement('script');
-  script.src = _embedUrl;
+  script.src = _getEmbedUrl();
   script.async = true;
   document.body.appendChild(script);
 }
 
+/**
+ * The progress milestones (in percent of the duration watched) reported once per media in the page session
+ *
+ * @type {number[]}
+ * @private
+ */
+const _milestones = [25, 50, 75, 90];
+
+/**
+ * The maximum playhead move (in seconds) counted as watched, so seeking is not counted
+ *
+ * @type {number}
+ * @private
+ */
+const _maxPlayheadDelta = 2;
+
+/**
+ * The player states reported for the player events, in addition to play/pause/end.
+ * See `AnalyticsAPI.videoPlayerStats()` for the names.
+ *
+ * @type {object}
+ * @private
+ */
+const _playerStates = {
+  milestone: 4,
+  seek: 5,
+  mute: 6,
+  unmute: 7,
+  fullscreen: 8,
+  exitFullscreen: 9,
+  captions: 10,
+  playbackRate: 11,
+  error: 99,
+};
+
+/**
+ * The watch state of the media in the page session, keyed by the media ID
+ *
+ * @type {object}
+ * @private
+ */
+const _sessions = {};
+
+/**
+ * @param {string} mediaId the media ID
+ * @returns {{watchTime: number, position: number, milestones: number[]}}
+ *   The watch state of the given media in the page session
+ * @private
+ */
+function _getSession(mediaId) {
+  if (!_sessions[mediaId]) {
+    _sessions[mediaId] = { watchTime: 0, position: 0, milestones: [] };
+  }
+  return _sessions[mediaId];
+}
+
 /**
  *
  * Object to cache media data
@@ -124,8 +184,8 @@ let mediaData = {};
  * KalturaPlayerAPI class with methods of checking script state and
  * embed media meta data and api data
  *
- * In order to set the Partner ID/UIConf ID, set the following environment
- * variables:
+ * In order to set the Partner ID/UIConf ID, set `kalturaPartnerId`/`kalturaUiconfId`
+ * with `ConfigAPI.configure()`, or the following environment variables:
  *
  * - KALTURA_PARTNER_ID
  * - KALTURA_UICONF_ID
@@ -166,7 +226,7 @@ class KalturaPlayerAPI {
    * }
    */
   static getThumbnailUrl({ mediaId, height, width }) {
-    let url = _thumbnailUrl + mediaId;
+    let url = _getThumbnailUrl() + mediaId;
     if (height) url = url + `/height/${height}`;
     if (width) url = url + `/width/${width}`;
     return url;
@@ -231,8 +291,8 @@ class KalturaPlayerAPI {
 
         root.kWidget.embed({
           targetId: targetId,
-          wid: '_' + _partnerId,
-          uiconf_id: _uiConfId,
+          wid: '_' + _getPartnerId(),
+          uiconf_id: _getUiConfId(),
           entry_id: mediaId,
           flashvars: {
             ...defaultFlashVars,
@@ -258,6 +318,63 @@ class KalturaPlayerAPI {
                 fireEvent({ playerState: 3, kdp, mediaId });
               });
 
+              kdp.addJsListener('playerUpdatePlayhead.ibm', currentTime => {
+                KalturaPlayerAPI.trackProgress({ kdp, mediaId, currentTime });
+              });
+
+              kdp.addJsListener('playerSeekEnd.ibm', () => {
+                _getSession(mediaId).position = kdp.evaluate(
+                  '{video.player.currentTime}'
+                );
+                fireEvent({ playerState: _playerStates.seek, kdp, mediaId });
+              });
+
+              kdp.addJsListener('mute.ibm', () => {
+                fireEvent({ playerState: _playerStates.mute, kdp, mediaId });
+              });
+
+              kdp.addJsListener('unmute.ibm', () => {
+                fireEvent({ playerState: _playerStates.unmute, kdp, mediaId });
+              });
+
+              kdp.addJsListener('openFullScreen.ibm', () => {
+                fireEvent({
+                  playerState: _playerStates.fullscreen,
+                  kdp,
+                  mediaId,
+                });
+              });
+
+              kdp.addJsListener('closeFullScreen.ibm', () => {
+                fireEvent({
+                  playerState: _playerStates.exitFullscreen,
+                  kdp,
+                  mediaId,
+                });
+              });
+
+              kdp.addJsListener('changedClosedCaptions.ibm', data => {
+                fireEvent({
+                  playerState: _playerStates.captions,
+                  kdp,
+                  mediaId,
+                  captions: data?.language || 'off',
+                });
+              });
+
+              kdp.addJsListener('updatedPlaybackRate.ibm', playbackRate => {
+                fireEvent({
+                  playerState: _playerStates.playbackRate,
+                  kdp,
+                  mediaId,
+                  playbackRate,
+                });
+              });
+
+              kdp.addJsListener('mediaError.ibm', () => {
+                fireEvent({ playerState: _playerStates.error, kdp, mediaId });
+              });
+
               kdp.addJsListener('IbmCtaEvent.ibm', ctaData => {
                 const customMetricsData = ctaData?.customMetricsData || {};
                 fireEvent({
@@ -298,14 +415,26 @@ class KalturaPlayerAPI {
    * Fires a metrics event when the media was played.
    * Pass events to common metrics event.
    *
+   * The event has the watch time of the media (`watchTime`) and of all media (`sessionWatchTime`)
+   * in the page session, in seconds.
+   *
    * @param {object} param params
    * @param {number} param.playerState state detecting different user actions
    * @param {object} param.kdp media object
    * @param {string} param.mediaId id of the media
    * @param {object} param.customMetricsData any extra parameter for custom events
+   * @param {number} [param.milestone] the progress milestone (in percent) reached
+   * @param {string} [param.captions] the caption language selected, `off` if captions are turned off
+   * @param {number} [param.playbackRate] the playback rate selected
    *
    */
-  static fireEvent({ playerState, kdp, mediaId, customMetricsData = {} }) {
+  static fireEvent({
+    playerState,
+    kdp,
+    mediaId,
+    customMetricsData = {},
+    ...details
+  }) {
     // If media was played and timestamp is 0, it should be "launched" state.
     var currentTime = Math.round(kdp.evaluate('{video.player.currentTime}'));
 
@@ -321,11 +450,62 @@ class KalturaPlayerAPI {
       playerState: playerState,
       mediaId: mediaId,
       customMetricsData,
+      watchTime: KalturaPlayerAPI.getWatchTime(mediaId),
+      sessionWatchTime: KalturaPlayerAPI.getWatchTime(),
+      ...details,
     };
 
     AnalyticsAPI.videoPlayerStats(eventData);
   }
 
+  /**
+   * Counts the watch time of the media, and fires a metrics event
+   * when the watch time reaches a progress milestone (25%, 50%, 75% and 90% of the duration)
+   * for the first time in the page session. The parts skipped by seeking are not counted toward the milestones.
+   *
+   * @param {object} param params
+   * @param {object} param.kdp media object
+   * @param {string} param.mediaId id of the media
+   * @param {number} param.currentTime the playhead position (in seconds)
+   */
+  static trackProgress({ kdp, mediaId, currentTime }) {
+    const session = _getSession(mediaId);
+    const delta = currentTime - session.position;
+    if (delta > 0 && delta <= _maxPlayheadDelta) {
+      session.watchTime += delta;
+    }
+    session.position = currentTime;
+
+    const duration = kdp.evaluate('{mediaProxy.entry.duration}');
+    const percent = duration ? (session.watchTime / duration) * 100 : 0;
+    _milestones.forEach(milestone => {
+      if (percent >= milestone && session.milestones.indexOf(milestone) < 0) {
+        session.milestones.push(milestone);
+        KalturaPlayerAPI.fireEvent({
+          playerState: _playerStates.milestone,
+          kdp,
+          mediaId,
+          milestone,
+        });
+      }
+    });
+  }
+
+  /**
+   * Gets the watch time in the page session, not counting the parts skipped by seeking.
+   *
+   * @param {string} [mediaId] id of the media, all media if omitted
+   * @returns {number} the watch time (in seconds)
+   */
+  static getWatchTime(mediaId) {
+    const sessions = mediaId
+      ? [_sessions[mediaId]].filter(Boolean)
+      : Object.values(_sessions);
+    return Math.round(
+      sessions.reduce((total, { watchTime }) => total + watchTime, 0)
+    );
+  }
+
   /**
    * Gets the api data
    *
@@ -346,7 +526,7 @@ class KalturaPlayerAPI {
         return mediaData[mediaId];
       } else {
         return new Promise(resolve => {
-          return new root.kWidget.api({ wid: '_' + _partnerId }).doRequest(
+          return new root.kWidget.api({ wid: '_' + _getPartnerId() }).doRequest(
             {
               service: 'media',
               action: 'get',
@@ -1,5 +1,5 @@
 /**
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -102,6 +102,15 @@ const _jsEventListenerList = [
   'playerPaused.ibm',
   'playerPlayed.ibm',
   'playerPlayEnd.ibm',
+  'playerUpdatePlayhead.ibm',
+  'playerSeekEnd.ibm',
+  'mute.ibm',
+  'unmute.ibm',
+  'openFullScreen.ibm',
+  'closeFullScreen.ibm',
+  'changedClosedCaptions.ibm',
+  'updatedPlaybackRate.ibm',
+  'mediaError.ibm',
   'IbmCtaEvent.ibm',
 ];
 
@@ -186,6 +195,8 @@ describe('KalturaPlayerAPI', () => {
       playerState: 0,
       playerType: 'kaltura',
       title: 'name',
+      watchTime: 0,
+      sessionWatchTime: 0,
     };
 
     KalturaPlayerAPI.fireEvent({
@@ -198,6 +209,44 @@ describe('KalturaPlayerAPI', () => {
     expect(AnalyticsAPI.videoPlayerStats).toHaveBeenCalledWith(expected);
   });
 
+  it('should fire the progress milestones once and count the watch time', () => {
+    let currentTime = 0;
+    const kdp = {
+      evaluate: query => {
+        switch (query) {
+          case '{video.player.currentTime}':
+            return currentTime;
+          case '{mediaProxy.entry.name}':
+            return 'name';
+          case '{mediaProxy.entry.duration}':
+            return 8;
+          default:
+        }
+      },
+    };
+    AnalyticsAPI.videoPlayerStats.mockClear();
+
+    [1, 2, 3, 2, 3, 7].forEach(time => {
+      currentTime = time;
+      KalturaPlayerAPI.trackProgress({
+        kdp,
+        mediaId: 'milestones',
+        currentTime,
+      });
+    });
+
+    const milestones = AnalyticsAPI.videoPlayerStats.mock.calls.map(
+      ([data]) => data.milestone
+    );
+    // Seeking forward to 7 seconds (87.5%) doesn't reach 75% milestone
+    expect(milestones).toEqual([25, 50]);
+    // Seeking backward and forward by more than 2 seconds is not counted
+    expect(KalturaPlayerAPI.getWatchTime('milestones')).toBe(4);
+    expect(AnalyticsAPI.videoPlayerStats).toHaveBeenLastCalledWith(
+      expect.objectContaining({ playerState: 4, watchTime: 4 })
+    );
+  });
+
   it('should embed the media player with metrics', async () => {
     const videoId = '123';
     _kWidgetMock();
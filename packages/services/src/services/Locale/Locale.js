@@ -5,19 +5,19 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import { parseResponseData, retry, toServiceError } from '../ServiceError';
 import axios from 'axios';
+import { ConfigAPI } from '../Config';
 import geolocation from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/geolocation/geolocation';
 import ipcinfoCookie from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/ipcinfoCookie/ipcinfoCookie';
 import root from 'window-or-global';
+import { ServiceCache } from '../Cache';
 
 /**
- * @constant {string | string} Host for the Locale API call
+ * @constant {string | string} Default host for the Locale API call
  * @private
  */
-const _host =
-  (process &&
-    (process.env.REACT_APP_TRANSLATION_HOST || process.env.TRANSLATION_HOST)) ||
-  'https://1.www.s81c.com';
+const _hostDefault = 'https://1.www.s81c.com';
 
 /**
  * Sets the default location if nothing is returned
@@ -39,12 +39,14 @@ const _localeDefault = {
 const _localeNameDefault = 'United States — English';
 
 /**
- * Locale API endpoint
+ * Returns the Locale API endpoint, from the runtime configuration
  *
- * @type {string}
+ * @returns {string} Locale API endpoint
  * @private
  */
-const _endpoint = `${_host}/common/js/dynamicnav/www/countrylist/jsononly`;
+const _getEndpoint = () =>
+  `${ConfigAPI.get('translationHost') ||
+    _hostDefault}/common/js/dynamicnav/www/countrylist/jsononly`;
 
 /**
  * Configuration for axios
@@ -67,12 +69,12 @@ const _axiosConfig = {
 const _sessionListKey = 'dds-countrylist';
 
 /**
- * Two hours in milliseconds to compare session timestamp.
+ * The cache for the country list, keyed by the initiating locale.
  *
- * @type {number}
+ * @type {ServiceCache}
  * @private
  */
-const _twoHours = 60 * 60 * 2000;
+const _cache = new ServiceCache();
 
 /**
  * Use the <html> lang attr to determine a return locale object
@@ -94,14 +96,6 @@ const _getLocaleByLangAttr = () => {
   }
 };
 
-/**
- * The cache for in-flight or resolved requests for the country list, keyed by the initiating locale.
- *
- * @type {object}
- * @private
- */
-const _requestsList = {};
-
 /**
  * Return a locale object based on the DDO API, or "false"
  * so the consumer can decide what to do next
@@ -157,15 +151,25 @@ class LocaleAPI {
    * Clears the cache.
    */
   static clearCache() {
-    if (typeof sessionStorage !== 'undefined') {
-      Object.keys(_requestsList).forEach(key => delete _requestsList[key]);
-      for (let i = 0; i < sessionStorage.length; ++i) {
-        const key = sessionStorage.key(i);
-        if (key.indexOf(_sessionListKey) === 0) {
-          sessionStorage.removeItem(key);
-        }
-      }
-    }
+    _cache.clear(_sessionListKey);
+  }
+
+  /**
+   * Configures the storage and the TTL policy of the country list cache.
+   *
+   * @param {object} options The cache options
+   * @param {string|object} [options.storage]
+   *   One of `memory`, `session` (default), `local` and `indexeddb`, or a custom storage object
+   * @param {number} [options.ttl] The time-to-live of the country list, in milliseconds
+   * @param {boolean} [options.revalidate] `true` to use a stale country list while refreshing it in the background
+   *
+   * @example
+   * import { LocaleAPI } from '@carbon/ibmdotcom-services';
+   *
+   * LocaleAPI.configureCache({ storage: 'local', ttl: 24 * 60 * 60 * 1000 });
+   */
+  static configureCache(options) {
+    _cache.configure(options);
   }
 
   /**
@@ -198,7 +202,12 @@ class LocaleAPI {
       await this.getList(cookie);
       return cookie;
     } else {
-      const cc = await geolocation();
+      // The `ipcInfo` cookie is set below with the verified codes
+      const cc = await geolocation(ConfigAPI.get('geoEndpoint'), {
+        resolver: ConfigAPI.get('geoResolver'),
+        timeout: ConfigAPI.get('geoTimeout'),
+        persist: false,
+      });
       /**
        * get language preference from browser
        * can return in either 'en-US' format or 'en' so will need to extract language only
@@ -283,7 +292,7 @@ class LocaleAPI {
 
   /**
    * Get the country list of all supported countries and their languages
-   * if it is not already stored in session storage
+   * if it is not already cached
    *
    * @param {object} params params object
    * @param {string} params.cc country code
@@ -315,37 +324,23 @@ class LocaleAPI {
    */
   static fetchList(cc, lc, resolve, reject) {
     const key = cc !== 'undefined' ? `${lc}-${cc}` : `${lc}`;
-    const itemKey = `${_sessionListKey}-${key}`;
-
-    const sessionList = this.getSessionCache(itemKey);
-
-    if (sessionList) {
-      resolve(sessionList);
-    } else {
-      if (!_requestsList[key]) {
-        const url = `${_endpoint}/${
-          cc !== 'undefined' ? `${cc}${lc}` : `${lc}`
-        }-utf8.json`;
-
-        _requestsList[key] = axios.get(url, _axiosConfig).then(response => {
-          const { data } = response;
-          data['timestamp'] = Date.now();
-          sessionStorage.setItem(
-            `${_sessionListKey}-${key}`,
-            JSON.stringify(data)
-          );
-          return data;
-        });
-      }
-
-      _requestsList[key].then(resolve, error => {
+    const url = `${_getEndpoint()}/${
+      cc !== 'undefined' ? `${cc}${lc}` : `${lc}`
+    }-utf8.json`;
+
+    _cache
+      .fetch(`${_sessionListKey}-${key}`, () =>
+        retry(() =>
+          axios.get(url, { ..._axiosConfig, timeout: ConfigAPI.get('timeout') })
+        ).then(parseResponseData)
+      )
+      .then(resolve, error => {
         if (cc === _localeDefault.cc && lc === _localeDefault.lc) {
-          reject(error);
+          reject(toServiceError(error, url));
         } else {
           this.fetchList(_localeDefault.cc, _localeDefault.lc, resolve, reject);
         }
       });
-    }
   }
 
   /**
@@ -392,29 +387,15 @@ class LocaleAPI {
   }
 
   /**
-   * Retrieves session cache and checks if cache needs to be refreshed
+   * Retrieves the session cache, if it's not expired.
+   * Stays synchronous for compatibility, so it returns `undefined` if the cache storage is asynchronous (e.g. `indexeddb`).
    *
    * @param   {string} key session storage key
    * @returns {object} session storage object
+   * @deprecated in favor of `LocaleAPI.configureCache()`, for managing the cache
    */
   static getSessionCache(key) {
-    const session =
-      typeof sessionStorage === 'undefined'
-        ? undefined
-        : JSON.parse(sessionStorage.getItem(key));
-
-    if (!session || !session.timestamp) {
-      return;
-    }
-
-    const currentTime = Date.now(),
-      timeDiff = currentTime - session.timestamp;
-
-    if (timeDiff > _twoHours) {
-      sessionStorage.removeItem(key);
-      return;
-    }
-    return session;
+    return _cache.getSync(key);
   }
 }
 
@@ -8,6 +8,7 @@ import {
   geolocation,
   ipcinfoCookie,
 } from '../../../internal/vendor/@carbon/ibmdotcom-utilities';
+import { ConfigAPI } from '../../Config';
 import digitalDataResponse from '../../DDO/__tests__/data/response.json';
 import LocaleAPI from '../Locale';
 import mockAxios from 'axios';
@@ -289,6 +290,14 @@ describe('LocaleAPI', () => {
     expect(countries2).toEqual(response);
   });
 
+  it('should get the session cache with the deprecated method', async () => {
+    await LocaleAPI.getList({ cc: 'testCC', lc: 'testLC' });
+    expect(LocaleAPI.getSessionCache('dds-countrylist-testLC-testCC')).toEqual(
+      response
+    );
+    expect(LocaleAPI.getSessionCache('foo')).toBeUndefined();
+  });
+
   it('should get default countries list on inital reject', async () => {
     mockAxios.get.mockClear();
     mockAxios.get
@@ -459,6 +468,26 @@ describe('LocaleAPI', () => {
     expect(geolocation).toHaveBeenCalledTimes(1);
   });
 
+  it('should pass the geolocation options from the configuration', async () => {
+    geolocation.mockClear();
+    ipcinfoCookie.get.mockImplementation(() => false);
+    const resolver = jest.fn();
+    ConfigAPI.configure({
+      geoEndpoint: 'https://example.com/geo/',
+      geoResolver: resolver,
+      geoTimeout: 500,
+    });
+
+    await LocaleAPI.getLocale();
+    ConfigAPI.reset();
+
+    expect(geolocation).toHaveBeenCalledWith('https://example.com/geo/', {
+      resolver,
+      timeout: 500,
+      persist: false,
+    });
+  });
+
   it('should get locale from geolocation on missing cookie lc', async () => {
     geolocation.mockClear();
     ipcinfoCookie.get.mockImplementation(() => ({ cc: 'testCC' }));
@@ -1,32 +1,79 @@
 /**
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
 import axios from 'axios';
+import { ConfigAPI } from '../Config';
+import { LocaleAPI } from '../Locale';
+import { retry } from '../ServiceError';
 
 /**
- * @constant {string | string} Host for the API calls
+ * Returns the MarketingSearch endpoint, from the runtime configuration
+ *
+ * @returns {string} MarketingSearch endpoint
  * @private
  */
-const _host =
-  (process && process.env.MARKETING_SEARCH_HOST) || 'https://www.ibm.com';
+const _getEndpoint = () =>
+  `${ConfigAPI.get('marketingSearchHost') ||
+    'https://www.ibm.com'}/marketplace/api/search/${ConfigAPI.get(
+    'marketingSearchVersion'
+  ) || 'v3'}/combined_suggestions`;
 
 /**
- * @constant {string | string} API version
+ * Transforms a result item from the combined suggestions API
+ *
+ * @param {object} item result item
+ * @returns {object} normalized result item
  * @private
  */
-const _version = (process && process.env.MARKETING_SEARCH_VERSION) || 'v3';
+function _normalizeItem({ id, type, score, fields = {} }) {
+  const [title = ''] = fields['doc.name'] || [];
+  return { id, type, score, title };
+}
 
 /**
- * MarketingSearch endpoint
+ * Fetches the raw response of the combined suggestions API
  *
- * @type {string}
+ * @param {string} query Query string to pass to the service
+ * @param {object} options options object, see `MarketingSearchAPI.getResults()`
+ * @returns {Promise<{data: object, locale: string}>} The response data, and the locale searched in
  * @private
  */
-const _endpoint = `${_host}/marketplace/api/search/${_version}/combined_suggestions`;
+async function _fetch(query, options) {
+  const { page, pageSize, endpoint = _getEndpoint() } = options;
+  if (page && !pageSize) {
+    throw new TypeError(
+      'The `page` option of marketing search requires the `pageSize` option.'
+    );
+  }
+  const lang = await LocaleAPI.getLang();
+  const lc = options.lc || lang.lc;
+  const cc = options.cc || lang.cc;
+  const locale = cc ? `${lc}-${cc}` : lc;
+
+  const urlQuery = [
+    `locale=${locale}`,
+    `q=${encodeURIComponent(query)}`,
+    pageSize ? `size=${pageSize}` : '',
+    page ? `from=${(page - 1) * pageSize}` : '',
+  ]
+    .filter(item => item)
+    .join('&');
+  const url = `${endpoint}?${urlQuery}`;
+
+  const response = await retry(() =>
+    axios.get(url, {
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+      },
+      timeout: ConfigAPI.get('timeout'),
+    })
+  );
+  return { data: response.data, locale };
+}
 
 /**
  * MarketingSearch API class with methods of fetching search results for
@@ -36,7 +83,15 @@ class MarketingSearchAPI {
   /**
    * Gets search results for marketing
    *
+   * The locale is resolved from `LocaleAPI.getLang()` unless overridden.
+   *
    * @param {string} query Query string to pass to the service
+   * @param {object} [options] options object
+   * @param {string} [options.lc] language code, overrides the page locale
+   * @param {string} [options.cc] country code, overrides the page locale
+   * @param {number} [options.page] 1-based page number, requires `pageSize`
+   * @param {number} [options.pageSize] number of results per page
+   * @param {string} [options.endpoint] API endpoint to use instead of the default one
    * @returns {Promise<any>} Response data from ibm search
    * @example
    * import { MarketingSearchAPI } from '@carbon/ibmdotcom-services';
@@ -46,20 +101,86 @@ class MarketingSearchAPI {
    *   return response;
    * }
    */
-  static async getResults(query) {
-    const lc = 'en'; // TODO: create utility for fetching lc
-    const cc = 'us'; // TODO: create utility for fetching cc
-    const url = `${_endpoint}?locale=${lc}-${cc}&q=${encodeURIComponent(
-      query
-    )}`;
+  static async getResults(query, options = {}) {
+    const { data } = await _fetch(query, options);
+    return data;
+  }
+
+  /**
+   * Gets search results for marketing, in the normalized result shape
+   *
+   * The API does not filter by type, so with the `type` filter, the results the API returns for the query are filtered,
+   * and `page`/`pageSize` paginate the filtered results. `total` is the number of the filtered results in such case.
+   *
+   * @param {string} query Query string to pass to the service
+   * @param {object} [options] options object, see `MarketingSearchAPI.getResults()` for the rest of the options
+   * @param {string|string[]} [options.type] result type(s) to keep (e.g. `product`)
+   * @returns {Promise<object>}
+   *   Normalized results, with `query`, `locale`, `suggestions`, `total`, `page`, `pageSize` and `items`
+   * @example
+   * import { MarketingSearchAPI } from '@carbon/ibmdotcom-services';
+   *
+   * async function getProducts(query) {
+   *   const response = await MarketingSearchAPI.search(query, {
+   *     page: 2,
+   *     pageSize: 10,
+   *   });
+   *   return response.items;
+   * }
+   */
+  static async search(query, options = {}) {
+    const { page, pageSize, type } = options;
+    const { data, locale } = await _fetch(
+      query,
+      // Paginates the filtered results instead
+      !type ? options : { ...options, page: undefined, pageSize: undefined }
+    );
+    return this.transformData(data, {
+      query,
+      locale,
+      page,
+      pageSize,
+      type,
+    });
+  }
+
+  /**
+   * Transforms the combined suggestions response into the normalized result shape
+   *
+   * @param {object} data response data
+   * @param {object} params the parameters of the search
+   * @param {string} params.query the query string
+   * @param {string} params.locale the locale searched in
+   * @param {number} [params.page] 1-based page number
+   * @param {number} [params.pageSize] number of results per page
+   * @param {string|string[]} [params.type] result type(s) to keep, paginating the filtered results
+   * @returns {object} normalized results
+   * @private
+   */
+  static transformData(data = {}, { query, locale, page, pageSize, type }) {
+    const phrases = data['phrase-suggestions'] || {};
+    const results = data['product-suggestions']?.results || {};
+    const types = [].concat(type || []);
+    let items = (results.items || []).map(_normalizeItem);
+    let total = results.total || 0;
+    if (types.length > 0) {
+      items = items.filter(item => types.indexOf(item.type) !== -1);
+      total = items.length;
+      if (pageSize) {
+        const from = ((page || 1) - 1) * pageSize;
+        items = items.slice(from, from + pageSize);
+      }
+    }
 
-    return await axios
-      .get(url, {
-        headers: {
-          'Content-Type': 'application/json; charset=utf-8',
-        },
-      })
-      .then(response => response.data);
+    return {
+      query: phrases.text || query,
+      locale,
+      suggestions: (phrases.options || []).map(option => option.text),
+      total,
+      page: page || 1,
+      pageSize: pageSize || items.length,
+      items,
+    };
   }
 }
 
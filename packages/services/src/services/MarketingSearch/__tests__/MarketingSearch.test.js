@@ -1,16 +1,23 @@
 /**
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import { ConfigAPI } from '../../Config';
 import MarketingSearchAPI from '../MarketingSearch';
 import mockAxios from 'axios';
 import responseSuccess from './data/response.json';
+import root from 'window-or-global';
 
-const _lc = 'en'; // TODO: bake in tests where lc changes
-const _cc = 'us'; // TODO: bake in tests where cc changes
+const _endpoint = `${process.env.MARKETING_SEARCH_HOST}/marketplace/api/search/${process.env.MARKETING_SEARCH_VERSION}/combined_suggestions`;
+
+const _headers = {
+  headers: {
+    'Content-Type': 'application/json; charset=utf-8',
+  },
+};
 
 describe('MarketingSearchAPI', () => {
   beforeEach(function() {
@@ -19,22 +26,173 @@ describe('MarketingSearchAPI', () => {
         data: responseSuccess,
       })
     );
+
+    root.digitalData = {
+      page: {
+        pageInfo: {
+          language: 'en-US',
+          ibm: {
+            country: 'US',
+          },
+        },
+      },
+    };
   });
 
   it('should search for ibm.com marketing results', async () => {
     const query = 'red hat';
-    const endpoint = `${process.env.MARKETING_SEARCH_HOST}/marketplace/api/search/${process.env.MARKETING_SEARCH_VERSION}/combined_suggestions`;
-    const fetchUrl = `${endpoint}?locale=${_lc}-${_cc}&q=${encodeURIComponent(
-      query
-    )}`;
+    const fetchUrl = `${_endpoint}?locale=en-us&q=${encodeURIComponent(query)}`;
 
     const response = await MarketingSearchAPI.getResults(query);
 
+    expect(mockAxios.get).toHaveBeenCalledWith(fetchUrl, _headers);
     expect(response).toEqual(responseSuccess);
-    expect(mockAxios.get).toHaveBeenCalledWith(fetchUrl, {
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8',
+  });
+
+  it('should search for the normalized results', async () => {
+    const query = 'red hat';
+    const fetchUrl = `${_endpoint}?locale=en-us&q=${encodeURIComponent(query)}`;
+
+    const response = await MarketingSearchAPI.search(query);
+
+    expect(mockAxios.get).toHaveBeenCalledWith(fetchUrl, _headers);
+    expect(response).toEqual({
+      query: 'red hat',
+      locale: 'en-us',
+      suggestions: [],
+      total: 142,
+      page: 1,
+      pageSize: 4,
+      items: [
+        {
+          id: '5af31f850ae429daad9c8f49',
+          type: 'product',
+          score: 206.21886,
+          title: 'IBM Technology Support Services for Red Hat Products',
+        },
+        {
+          id: '5a4673e934b622434f8b61c5',
+          type: 'product',
+          score: 12.559728,
+          title: 'Warehouse Exchange',
+        },
+        {
+          id: '59c529c781d43a6d117ad573',
+          type: 'product',
+          score: 11.368658,
+          title: 'Aspera Shares',
+        },
+        {
+          id: '5b1839212f88100671e7ee85',
+          type: 'product',
+          score: 10.791128,
+          title: 'IBM Phytel Remind',
+        },
+      ],
+    });
+  });
+
+  it('should use the locale of the page', async () => {
+    root.digitalData.page.pageInfo = {
+      language: 'de-DE',
+      ibm: {
+        country: 'DE',
       },
+    };
+
+    const response = await MarketingSearchAPI.search('red hat');
+
+    expect(mockAxios.get).toHaveBeenCalledWith(
+      `${_endpoint}?locale=de-de&q=red%20hat`,
+      _headers
+    );
+    expect(response.locale).toBe('de-de');
+  });
+
+  it('should use the locale overrides', async () => {
+    await MarketingSearchAPI.getResults('red hat', { lc: 'ja', cc: 'jp' });
+
+    expect(mockAxios.get).toHaveBeenCalledWith(
+      `${_endpoint}?locale=ja-jp&q=red%20hat`,
+      _headers
+    );
+  });
+
+  it('should support pagination', async () => {
+    const response = await MarketingSearchAPI.search('red hat', {
+      page: 3,
+      pageSize: 10,
     });
+
+    expect(mockAxios.get).toHaveBeenCalledWith(
+      `${_endpoint}?locale=en-us&q=red%20hat&size=10&from=20`,
+      _headers
+    );
+    expect(response.page).toBe(3);
+    expect(response.pageSize).toBe(10);
+  });
+
+  it('should support a custom endpoint', async () => {
+    await MarketingSearchAPI.getResults('red hat', {
+      endpoint: 'https://example.com/search',
+    });
+
+    expect(mockAxios.get).toHaveBeenCalledWith(
+      'https://example.com/search?locale=en-us&q=red%20hat',
+      _headers
+    );
+  });
+
+  it('should filter the results by type', async () => {
+    const response = await MarketingSearchAPI.search('red hat', {
+      type: ['service'],
+    });
+
+    expect(response.items).toEqual([]);
+    expect(response.total).toBe(0);
+    expect(response.pageSize).toBe(0);
+  });
+
+  it('should paginate the results filtered by type', async () => {
+    const response = await MarketingSearchAPI.search('red hat', {
+      type: 'product',
+      page: 2,
+      pageSize: 3,
+    });
+
+    expect(mockAxios.get).toHaveBeenCalledWith(
+      `${_endpoint}?locale=en-us&q=red%20hat`,
+      _headers
+    );
+    expect(response.items.map(({ id }) => id)).toEqual([
+      responseSuccess['product-suggestions'].results.items[3].id,
+    ]);
+    expect(response.total).toBe(4);
+    expect(response.page).toBe(2);
+    expect(response.pageSize).toBe(3);
+  });
+
+  it('should reject the page without the page size', async () => {
+    mockAxios.get.mockClear();
+
+    await expect(
+      MarketingSearchAPI.search('red hat', { page: 2 })
+    ).rejects.toBeInstanceOf(TypeError);
+    expect(mockAxios.get).not.toHaveBeenCalled();
+  });
+
+  it('should use the runtime configuration', async () => {
+    ConfigAPI.configure({
+      marketingSearchHost: 'https://staging.example.com',
+      marketingSearchVersion: 'v4',
+    });
+
+    await MarketingSearchAPI.getResults('red hat');
+    ConfigAPI.reset();
+
+    expect(mockAxios.get).toHaveBeenCalledWith(
+      'https://staging.example.com/marketplace/api/search/v4/combined_suggestions?locale=en-us&q=red%20hat',
+      _headers
+    );
   });
 });
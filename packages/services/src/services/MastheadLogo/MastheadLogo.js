@@ -1,14 +1,277 @@
 /**
- * Copyright IBM Corp. 2016, 2020
+ * Copyright IBM Corp. 2016, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import root from 'window-or-global';
+
+/**
+ * Prefix of the local storage keys for the sticky variant assignment
+ *
+ * @type {string}
+ * @private
+ */
+const _storageKeyPrefix = 'dds-masthead-logo-';
+
+/**
+ * The variant IDs assigned in this page, keyed by the campaign ID,
+ * which keep the assignment even if the local storage is not available
+ *
+ * @type {Map<string, string>}
+ * @private
+ */
+const _assignments = new Map();
+
+/**
+ * Reads the locale of the page from the `<html>` lang attribute
+ *
+ * @returns {object} The locale object, with `cc` and `lc`
+ * @private
+ */
+const _getLocaleByLangAttr = () => {
+  const [lc, cc] = (root.document?.documentElement?.lang || '')
+    .toLowerCase()
+    .split('-');
+  return { cc, lc };
+};
+
+/**
+ * Converts a glob pattern to a regular expression,
+ * where `**` matches any characters and `*` matches any characters except `/`
+ *
+ * @param {string} glob The glob pattern
+ * @returns {RegExp} The regular expression
+ * @private
+ */
+const _globToRegExp = glob =>
+  new RegExp(
+    `^${glob
+      .split('**')
+      .map(part =>
+        part
+          .split('*')
+          .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('[^/]*')
+      )
+      .join('.*')}$`
+  );
+
+/**
+ * Checks if the given path matches the given pattern, which is one of:
+ *
+ * - A `RegExp`
+ * - A string starting with `^`, as the source of a regular expression
+ * - A string with `*`, as a glob pattern
+ * - Any other string, as the exact path
+ *
+ * @param {string} pathname The path
+ * @param {(string|RegExp)} pattern The pattern
+ * @returns {boolean} `true` if the path matches the pattern
+ * @private
+ */
+const _matchPath = (pathname, pattern) => {
+  if (pattern instanceof RegExp) {
+    return pattern.test(pathname);
+  }
+  if (pattern.startsWith('^')) {
+    try {
+      return new RegExp(pattern).test(pathname);
+    } catch (error) {
+      // Treats a malformed pattern from the CMS as a non-match
+      return false;
+    }
+  }
+  if (pattern.indexOf('*') !== -1) {
+    return _globToRegExp(pattern).test(pathname);
+  }
+  return pattern === pathname;
+};
+
+/**
+ * Checks if the given locale matches one of the targeted locales,
+ * either in `cc-lc` format (e.g. `us-en`) or `lc` format (e.g. `en`)
+ *
+ * @param {object} locale The locale object, with `cc` and `lc`
+ * @param {string[]} [locales] The targeted locales, all locales if not set
+ * @returns {boolean} `true` if the locale is targeted
+ * @private
+ */
+const _matchLocale = ({ cc, lc }, locales) =>
+  !locales ||
+  locales.length === 0 ||
+  locales.some(item => {
+    const target = item.toLowerCase();
+    return target === lc || target === `${cc}-${lc}`;
+  });
+
+/**
+ * Checks if the given campaign is eligible
+ *
+ * @param {object} campaign The campaign data
+ * @param {object} options The options
+ * @param {string} options.pathname The path of the page
+ * @param {object} options.locale The locale of the page
+ * @param {number} options.now The current time
+ * @returns {boolean} `true` if the campaign is eligible
+ * @private
+ */
+const _isEligible = (campaign, { pathname, locale, now }) => {
+  const { start, end, allowlist, denylist, locales, svg, variants } = campaign;
+  const startTime = start ? Date.parse(start) : null;
+  const endTime = end ? Date.parse(end) : null;
+  return Boolean(
+    (svg || variants?.some(variant => variant.svg)) &&
+      (!startTime || now >= startTime) &&
+      (!endTime || now <= endTime) &&
+      !denylist?.some(pattern => _matchPath(pathname, pattern)) &&
+      allowlist &&
+      (allowlist.length === 0 ||
+        allowlist.some(pattern => _matchPath(pathname, pattern))) &&
+      _matchLocale(locale, locales)
+  );
+};
+
+/**
+ * Selects the variant of the given campaign, by the weights of the variants,
+ * and keeps the user on the same variant in this page and in the subsequent visits
+ *
+ * @param {object[]} variants The variants with IDs, inheriting the SVG of the campaign if they don't have one
+ * @param {object} campaign The campaign data
+ * @param {string} campaignId The campaign ID
+ * @param {Function} random The function returning a random number between 0 and 1
+ * @returns {object} The selected variant, `null` if no variant has an SVG to show
+ * @private
+ */
+const _selectVariant = (variants, campaign, campaignId, random) => {
+  const candidates = variants.filter(variant => variant.svg || campaign.svg);
+  if (candidates.length === 0) {
+    return null;
+  }
+  const storageKey = `${_storageKeyPrefix}${campaignId}`;
+  let storedId = _assignments.get(campaignId);
+  if (storedId === undefined) {
+    try {
+      storedId = root.localStorage?.getItem(storageKey);
+    } catch (error) {
+      // The local storage is not available e.g. in some privacy modes, a new assignment is kept in memory
+    }
+  }
+  const stored = candidates.find(variant => variant.id === storedId);
+  if (stored) {
+    _assignments.set(campaignId, stored.id);
+    return stored;
+  }
+
+  const totalWeight = candidates.reduce(
+    (acc, variant) => acc + (variant.weight ?? 1),
+    0
+  );
+  let threshold = random() * totalWeight;
+  const selected =
+    candidates.find(variant => {
+      threshold -= variant.weight ?? 1;
+      return threshold < 0;
+    }) || candidates[candidates.length - 1];
+  _assignments.set(campaignId, selected.id);
+  try {
+    root.localStorage?.setItem(storageKey, selected.id);
+  } catch (error) {
+    // The assignment is kept in memory for this page if the local storage is not available
+  }
+  return selected;
+};
+
 class MastheadLogoAPI {
+  /**
+   * Selects the masthead logo campaign for the current page.
+   * The first eligible campaign wins, where a campaign is eligible if:
+   *
+   * - It has an SVG, or variants with SVG
+   * - The current time is within its `start` and `end`
+   * - The path of the page matches none of its `denylist`, and matches its `allowlist` (empty for all pages).
+   *   Each path pattern is an exact path, a glob (e.g. `/products/**`) or a regular expression (e.g. `^/cloud/`)
+   * - The locale of the page matches its `locales`, in `cc-lc` or `lc` format, if set
+   *
+   * If the winning campaign has `variants`, one is selected by the `weight` of the variants,
+   * and the selection is kept for the user in the page and in the subsequent visits.
+   * Variants without `id` are identified by their index in `variants`.
+   *
+   * @param {(object|object[])} logoData The campaign data, or an array of those in the order of precedence
+   * @param {object} [options] The options
+   * @param {string} [options.pathname] The path of the page, `location.pathname` by default
+   * @param {object} [options.locale] The locale of the page, from the `<html>` lang attribute by default
+   * @param {Date} [options.now] The current time
+   * @param {Function} [options.random=Math.random] The function returning a random number between 0 and 1
+   * @returns {(object|null)} The result, with `logo` (the data of the logo to render), `campaign` (the campaign ID)
+   *   and `variant` (the variant ID) for analytics, or `null` if the default logo should be used
+   *
+   * @example
+   * import { MastheadLogoAPI } from '@carbon/ibmdotcom-services';
+   *
+   * const result = MastheadLogoAPI.resolveMastheadLogo([
+   *   {
+   *     id: 'think-2022',
+   *     start: '2022-05-01T00:00:00Z',
+   *     end: '2022-05-12T00:00:00Z',
+   *     allowlist: ['/events/think/**'],
+   *     locales: ['en'],
+   *     variants: [
+   *       { id: 'a', weight: 1, svg: '<svg>...</svg>' },
+   *       { id: 'b', weight: 1, svg: '<svg>...</svg>' },
+   *     ],
+   *   },
+   *   { id: 'default-campaign', allowlist: [], svg: '<svg>...</svg>' },
+   * ]);
+   */
+  static resolveMastheadLogo(logoData, options = {}) {
+    if (!logoData) {
+      return null;
+    }
+
+    const {
+      pathname = root.location?.pathname,
+      locale = _getLocaleByLangAttr(),
+      now = new Date(),
+      random = Math.random,
+    } = options;
+    const campaigns = Array.isArray(logoData) ? logoData : [logoData];
+    const index = campaigns.findIndex(campaign =>
+      _isEligible(campaign, { pathname, locale, now: now.getTime() })
+    );
+    if (index < 0) {
+      return null;
+    }
+
+    const { variants, ...campaign } = campaigns[index];
+    const campaignId = campaign.id ?? String(index);
+    const selected =
+      variants?.length > 0
+        ? _selectVariant(
+            variants.map((variant, i) =>
+              variant.id !== undefined ? variant : { ...variant, id: String(i) }
+            ),
+            campaign,
+            campaignId,
+            random
+          )
+        : null;
+    if (selected) {
+      const { id: variantId, weight: _weight, ...variant } = selected;
+      return {
+        logo: { ...campaign, ...variant },
+        campaign: campaignId,
+        variant: variantId,
+      };
+    }
+    return campaign.svg ? { logo: campaign, campaign: campaignId } : null;
+  }
+
   /**
    * Determines whether to return custom or default IBM logo
    *
+   * @param {(object|object[])} logoData The campaign data, or an array of those in the order of precedence
    * @returns {boolean} Use alternate logo or not
    *
    * @example
@@ -17,28 +280,7 @@ class MastheadLogoAPI {
    * const useAlternateLogo = MastheadLogoAPI.setMastheadLogo(logoData);
    */
   static setMastheadLogo(logoData) {
-    if (logoData === undefined) return false;
-
-    const currentTime = new Date().getTime();
-    const expireTime = logoData.end ? Date.parse(logoData.end) : null;
-    const isExpired = expireTime && currentTime > expireTime ? true : false;
-
-    if (
-      logoData.svg === null ||
-      isExpired ||
-      (logoData.denylist && logoData.denylist.indexOf(location.pathname) !== -1)
-    ) {
-      return false;
-    } else if (
-      logoData.allowlist &&
-      (logoData.allowlist.length == 0 ||
-        logoData.allowlist.indexOf(location.pathname) !== -1) &&
-      logoData.svg
-    ) {
-      return true;
-    } else {
-      return false;
-    }
+    return Boolean(this.resolveMastheadLogo(logoData));
   }
 }
 
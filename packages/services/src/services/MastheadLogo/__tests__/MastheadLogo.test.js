@@ -0,0 +1,196 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import MastheadLogoAPI from '../MastheadLogo';
+
+const svg = '<svg></svg>';
+
+describe('MastheadLogoAPI', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should keep the behavior of a single logo data', () => {
+    window.history.replaceState(null, '', '/products/');
+    expect(MastheadLogoAPI.setMastheadLogo()).toBe(false);
+    expect(MastheadLogoAPI.setMastheadLogo({ svg, allowlist: [] })).toBe(true);
+    expect(MastheadLogoAPI.setMastheadLogo({ svg })).toBe(false);
+    expect(
+      MastheadLogoAPI.setMastheadLogo({
+        svg,
+        allowlist: [],
+        denylist: ['/products/'],
+      })
+    ).toBe(false);
+    expect(
+      MastheadLogoAPI.setMastheadLogo({
+        svg,
+        allowlist: [],
+        end: '2000-01-01T00:00:00Z',
+      })
+    ).toBe(false);
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('should select the first campaign within its schedule', () => {
+    const campaigns = [
+      {
+        id: 'later',
+        svg,
+        allowlist: [],
+        start: '2022-06-01T00:00:00Z',
+        end: '2022-06-30T00:00:00Z',
+      },
+      { id: 'always', svg, allowlist: [] },
+    ];
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaigns, {
+        now: new Date('2022-05-01T00:00:00Z'),
+      }).campaign
+    ).toBe('always');
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaigns, {
+        now: new Date('2022-06-15T00:00:00Z'),
+      })
+    ).toEqual({ logo: campaigns[0], campaign: 'later' });
+  });
+
+  it('should match the path with exact path, glob or regular expression', () => {
+    const campaign = {
+      svg,
+      allowlist: [
+        '/think/',
+        '/events/*/agenda',
+        /^\/cloud\//,
+        '^/z/',
+        '^/broken/(',
+      ],
+      denylist: ['/events/**/private/**'],
+    };
+    [
+      ['/think/', true],
+      ['/think/foo', false],
+      ['/events/think/agenda', true],
+      ['/events/think/2022/agenda', false],
+      ['/events/think/private/agenda', false],
+      ['/cloud/foo', true],
+      ['/z/foo', true],
+      ['/broken/(', false],
+    ].forEach(([pathname, expected]) => {
+      expect(
+        Boolean(MastheadLogoAPI.resolveMastheadLogo(campaign, { pathname }))
+      ).toBe(expected);
+    });
+  });
+
+  it('should target the locales', () => {
+    const campaign = { svg, allowlist: [], locales: ['de', 'us-en'] };
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaign, {
+        locale: { cc: 'at', lc: 'de' },
+      })
+    ).not.toBeNull();
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaign, {
+        locale: { cc: 'us', lc: 'en' },
+      })
+    ).not.toBeNull();
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaign, {
+        locale: { cc: 'gb', lc: 'en' },
+      })
+    ).toBeNull();
+  });
+
+  it('should select a variant by weight and keep it for the user', () => {
+    const campaign = {
+      id: 'ab-test',
+      allowlist: [],
+      tooltip: 'Campaign tooltip',
+      variants: [
+        { id: 'a', weight: 1, svg: '<svg id="a"></svg>' },
+        { id: 'b', weight: 3, svg: '<svg id="b"></svg>' },
+      ],
+    };
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaign, { random: () => 0.5 })
+    ).toEqual({
+      logo: {
+        id: 'ab-test',
+        allowlist: [],
+        tooltip: 'Campaign tooltip',
+        svg: '<svg id="b"></svg>',
+      },
+      campaign: 'ab-test',
+      variant: 'b',
+    });
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaign, { random: () => 0 }).variant
+    ).toBe('b');
+    expect(localStorage.getItem('dds-masthead-logo-ab-test')).toBe('b');
+    localStorage.clear();
+    // Kept in memory for the page
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaign, { random: () => 0 }).variant
+    ).toBe('b');
+  });
+
+  it('should keep the variant without the local storage or the variant IDs', () => {
+    const campaign = {
+      id: 'no-storage-test',
+      allowlist: [],
+      variants: [{ svg: '<svg id="a"></svg>' }, { svg: '<svg id="b"></svg>' }],
+    };
+    const getItem = jest
+      .spyOn(Storage.prototype, 'getItem')
+      .mockImplementation(() => {
+        throw new Error('SecurityError');
+      });
+    const setItem = jest
+      .spyOn(Storage.prototype, 'setItem')
+      .mockImplementation(() => {
+        throw new Error('SecurityError');
+      });
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaign, { random: () => 0.9 })
+    ).toEqual({
+      logo: {
+        id: 'no-storage-test',
+        allowlist: [],
+        svg: '<svg id="b"></svg>',
+      },
+      campaign: 'no-storage-test',
+      variant: '1',
+    });
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaign, { random: () => 0 }).variant
+    ).toBe('1');
+    getItem.mockRestore();
+    setItem.mockRestore();
+  });
+
+  it('should let the variants inherit the SVG of the campaign', () => {
+    const campaign = {
+      id: 'tooltip-test',
+      allowlist: [],
+      svg,
+      variants: [{ id: 'a', tooltip: 'Variant tooltip' }],
+    };
+    expect(
+      MastheadLogoAPI.resolveMastheadLogo(campaign, { random: () => 0 })
+    ).toEqual({
+      logo: {
+        id: 'tooltip-test',
+        allowlist: [],
+        svg,
+        tooltip: 'Variant tooltip',
+      },
+      campaign: 'tooltip-test',
+      variant: 'a',
+    });
+  });
+});
@@ -1,33 +1,23 @@
 /**
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 import axios from 'axios';
+import { ConfigAPI } from '../Config';
+import { retry } from '../ServiceError';
 
 /**
- * @constant {string | string} Host for the profile status API call
- * @private
- */
-const _host =
-  (process &&
-    (process.env.REACT_APP_PROFILE_HOST || process.env.PROFILE_HOST)) ||
-  'https://login.ibm.com';
-
-/**
- * @constant {string | string} API version
- * @private
- */
-const _version = (process && process.env.PROFILE_VERSION) || 'v1';
-
-/**
- * Profile status endpoint
+ * Returns the profile status endpoint, from the runtime configuration
  *
- * @type {string}
+ * @returns {string} Profile status endpoint
  * @private
  */
-const _endpoint = `${_host}/${_version}/mgmt/idaas/user/status/`;
+const _getEndpoint = () =>
+  `${ConfigAPI.get('profileHost') || 'https://login.ibm.com'}/${ConfigAPI.get(
+    'profileVersion'
+  ) || 'v1'}/mgmt/idaas/user/status/`;
 
 /**
  * Profile API class with methods for checking user authentication for ibm.com
@@ -36,6 +26,9 @@ class ProfileAPI {
   /**
    * Returns user status (authenticated or unauthenticated)
    *
+   * A `401` or `403` HTTP status resolves to the unauthenticated status.
+   * Other failures, e.g. when offline, reject with a `DDSServiceError`.
+   *
    * @returns {Promise<any>} User status
    * @example
    * import { ProfileAPI } from '@carbon/ibmdotcom-services';
@@ -46,17 +39,21 @@ class ProfileAPI {
    * }
    */
   static async getUserStatus() {
-    return await axios
-      .get(_endpoint, {
+    return await retry(() =>
+      axios.get(_getEndpoint(), {
         headers: {
           'Content-Type': 'application/json; charset=utf-8',
         },
+        timeout: ConfigAPI.get('timeout'),
         withCredentials: true,
       })
+    )
       .then(response => response.data)
       .catch(error => {
-        console.log('Failed Profile Network Call', error);
-        return { user: 'Unauthenticated' };
+        if (error.status === 401 || error.status === 403) {
+          return { user: 'Unauthenticated' };
+        }
+        throw error;
       });
   }
 }
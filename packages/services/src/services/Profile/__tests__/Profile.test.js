@@ -0,0 +1,49 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { ConfigAPI } from '../../Config';
+import { DDSNetworkError } from '../../ServiceError';
+import mockAxios from 'axios';
+import ProfileAPI from '../Profile';
+
+describe('ProfileAPI', () => {
+  afterEach(() => {
+    ConfigAPI.reset();
+  });
+
+  it('should fetch the user status', async () => {
+    mockAxios.get.mockResolvedValueOnce({ data: { user: 'Authenticated' } });
+
+    expect(await ProfileAPI.getUserStatus()).toEqual({ user: 'Authenticated' });
+    expect(mockAxios.get).toHaveBeenCalledWith(
+      `${process.env.PROFILE_HOST}/${process.env.PROFILE_VERSION}/mgmt/idaas/user/status/`,
+      {
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+        },
+        withCredentials: true,
+      }
+    );
+  });
+
+  it('should resolve to unauthenticated status for 401 status', async () => {
+    mockAxios.get.mockRejectedValueOnce({ response: { status: 401 } });
+
+    expect(await ProfileAPI.getUserStatus()).toEqual({
+      user: 'Unauthenticated',
+    });
+  });
+
+  it('should reject with the network error when offline', async () => {
+    ConfigAPI.configure({ retry: { retries: 0 } });
+    mockAxios.get.mockRejectedValueOnce({ request: {} });
+
+    await expect(ProfileAPI.getUserStatus()).rejects.toBeInstanceOf(
+      DDSNetworkError
+    );
+  });
+});
@@ -5,60 +5,194 @@
  * LICENSE file in the root directory of this source tree.
  */
 import axios from 'axios';
+import { ConfigAPI } from '../Config';
 import { LocaleAPI } from '../Locale';
+import { retry } from '../ServiceError';
+import root from 'window-or-global';
 /**
- * @constant {string | string} Host for the API calls
+ * Returns the SearchTypeahead endpoint, from the runtime configuration
+ *
+ * @returns {string} SearchTypeahead endpoint
+ * @private
+ */
+const _getEndpoint = () =>
+  `${ConfigAPI.get('searchTypeaheadHost') ||
+    'https://www-api.ibm.com'}/search/typeahead/${ConfigAPI.get(
+    'searchTypeaheadVersion'
+  ) || 'v1'}`;
+/**
+ * Maximum number of search results kept in the cache
+ *
+ * @type {number}
+ * @private
+ */
+const _cacheSize = 50;
+/**
+ * The LRU cache of search results, keyed by locale, appid and query.
+ * `Map` keeps the insertion order, so the first key is the least recently used one.
+ *
+ * @type {Map}
  * @private
  */
-const _host =
-  (process && process.env.SEARCH_TYPEAHEAD_API) || 'https://www-api.ibm.com';
+const _cache = new Map();
 /**
- * @constant {string | string} API version
+ * @returns {Error} The error that superseded `getResults()` calls are rejected with
  * @private
  */
-const _version = (process && process.env.SEARCH_TYPEAHEAD_VERSION) || 'v1';
+function _createAbortError() {
+  const error = new Error(
+    'The search typeahead request has been superseded by a newer one.'
+  );
+  error.name = 'AbortError';
+  return error;
+}
 /**
- * SearchTypeahead endpoint
+ * Aborts the REST call in progress of the given search session
  *
- * @type {string}
+ * @param {object} session The search session, with the sequence number of the latest call and the abort controller
  * @private
  */
-const _endpoint = `${_host}/search/typeahead/${_version}`;
+function _abort(session) {
+  if (session.controller) {
+    session.controller.abort();
+    session.controller = undefined;
+  }
+}
+/**
+ * Gets search results in the given search session,
+ * where each call supersedes the previous ones in the same session
+ *
+ * @param {object} session The search session, with the sequence number of the latest call and the abort controller
+ * @param {string} query Query string to pass to the service
+ * @param {string} [appid] The application ID to scope the search to
+ * @param {object} [options] options object
+ * @param {number} [options.debounce=0] The time (in milliseconds) to wait before making the REST call
+ * @returns {Promise<any>} Response data from ibm search
+ * @private
+ */
+async function _getResults(session, query, appid = '', { debounce = 0 } = {}) {
+  const sequence = ++session.sequence;
+  _abort(session);
+
+  if (debounce) {
+    await new Promise(resolve => {
+      setTimeout(resolve, debounce);
+    });
+  }
+  const lang = await LocaleAPI.getLang();
+  if (sequence !== session.sequence) {
+    throw _createAbortError();
+  }
+
+  const urlQuery = [
+    `lang=${lang.lc}${lang.cc ? `&cc=${lang.cc}` : ''}`,
+    `query=${encodeURIComponent(query)}`,
+    `${appid ? `appid=${appid}` : ''}`,
+  ]
+    .filter(item => item)
+    .join('&');
+
+  if (_cache.has(urlQuery)) {
+    const results = _cache.get(urlQuery);
+    _cache.delete(urlQuery);
+    _cache.set(urlQuery, results);
+    return results;
+  }
+
+  const controller = root.AbortController && new root.AbortController();
+  session.controller = controller;
+  const url = `${_getEndpoint()}?${urlQuery}`;
+  try {
+    const results = await retry(
+      () =>
+        axios.get(url, {
+          headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+          },
+          signal: controller?.signal,
+          timeout: ConfigAPI.get('timeout'),
+        }),
+      { signal: controller?.signal }
+    ).then(response => response.data.response);
+    _cache.set(urlQuery, results);
+    if (_cache.size > _cacheSize) {
+      _cache.delete(_cache.keys().next().value);
+    }
+    if (sequence !== session.sequence) {
+      throw _createAbortError();
+    }
+    return results;
+  } catch (error) {
+    throw controller?.signal.aborted ? _createAbortError() : error;
+  } finally {
+    if (session.controller === controller) {
+      session.controller = undefined;
+    }
+  }
+}
 /**
  * SearchTypeahead API class with methods of fetching search results for
  * ibm.com
  */
 class SearchTypeaheadAPI {
   /**
-   * Gets search results
+   * Clears the cache.
+   */
+  static clearCache() {
+    _cache.clear();
+  }
+
+  /**
+   * Creates a search session, e.g. for a search box.
+   * Each `getResults()` call of a session supersedes the previous ones of the same session:
+   * the REST call of a superseded query is aborted, and its promise is rejected with an error whose `name` is `AbortError`.
+   * So results never come back out of order, without affecting other sessions.
    *
-   * @param {string} query Query string to pass to the service
-   * @returns {Promise<any>} Response data from ibm search
+   * @returns {object} The search session, with `getResults()` method with the same arguments as `SearchTypeaheadAPI.getResults()`,
+   *   and `abort()` method to abort the REST call in progress, e.g. when the search box is removed
    * @example
    * import { SearchTypeaheadAPI } from '@carbon/ibmdotcom-services';
    *
+   * const session = SearchTypeaheadAPI.createSession();
+   *
    * async function getResults(query) {
-   *   const response = await SearchTypeaheadAPI.getResults(query);
-   *   return response;
+   *   try {
+   *     return await session.getResults(query, '', { debounce: 150 });
+   *   } catch (error) {
+   *     if (error.name !== 'AbortError') {
+   *       throw error;
+   *     }
+   *   }
    * }
    */
-  static async getResults(query, appid = '') {
-    const lang = await LocaleAPI.getLang();
-    const urlQuery = [
-      `lang=${lang.lc}${lang.cc ? `&cc=${lang.cc}` : ''}`,
-      `query=${encodeURIComponent(query)}`,
-      `${appid ? `appid=${appid}` : ''}`,
-    ]
-      .filter(item => item)
-      .join('&');
-    const url = `${_endpoint}?${urlQuery}`;
-    return await axios
-      .get(url, {
-        headers: {
-          'Content-Type': 'application/json; charset=utf-8',
-        },
-      })
-      .then(response => response.data.response);
+  static createSession() {
+    const session = { sequence: 0, controller: undefined };
+    return {
+      getResults: (query, appid, options) =>
+        _getResults(session, query, appid, options),
+      abort() {
+        session.sequence++;
+        _abort(session);
+      },
+    };
+  }
+
+  /**
+   * Gets search results.
+   * The call is not superseded by other calls, use `SearchTypeaheadAPI.createSession()` for that.
+   *
+   * @param {string} query Query string to pass to the service
+   * @param {string} [appid] The application ID to scope the search to
+   * @param {object} [options] options object
+   * @param {number} [options.debounce=0] The time (in milliseconds) to wait before making the REST call
+   * @returns {Promise<any>} Response data from ibm search
+   * @example
+   * import { SearchTypeaheadAPI } from '@carbon/ibmdotcom-services';
+   *
+   * const results = await SearchTypeaheadAPI.getResults('cloud');
+   */
+  static getResults(query, appid, options) {
+    return _getResults({ sequence: 0 }, query, appid, options);
   }
 }
 export default SearchTypeaheadAPI;
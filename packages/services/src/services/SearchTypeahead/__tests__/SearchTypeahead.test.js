@@ -1,5 +1,5 @@
 /**
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -24,6 +24,7 @@ describe('SearchTypeaheadAPI', () => {
     );
 
     root.digitalData = mockDigitalDataResponse;
+    SearchTypeaheadAPI.clearCache();
   });
 
   it('should search for ibm.com results with just lc param', async () => {
@@ -40,6 +41,7 @@ describe('SearchTypeaheadAPI', () => {
       headers: {
         'Content-Type': 'application/json; charset=utf-8',
       },
+      signal: expect.any(Object),
     });
   });
 
@@ -67,6 +69,76 @@ describe('SearchTypeaheadAPI', () => {
       headers: {
         'Content-Type': 'application/json; charset=utf-8',
       },
+      signal: expect.any(Object),
     });
   });
+
+  it('should return the cached results for the same query', async () => {
+    mockAxios.get.mockClear();
+
+    const response1 = await SearchTypeaheadAPI.getResults('red hat');
+    const response2 = await SearchTypeaheadAPI.getResults('red hat');
+
+    expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    expect(response2).toEqual(response1);
+  });
+
+  it('should reject and abort the superseded request', async () => {
+    mockAxios.get.mockReset();
+    mockAxios.get.mockImplementation(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+          if (url.indexOf('cloud') >= 0) {
+            resolve({ data: { response: [['cloud']] } });
+          }
+        })
+    );
+
+    const session = SearchTypeaheadAPI.createSession();
+    const superseded = session.getResults('clo');
+    await Promise.resolve();
+    await Promise.resolve();
+    const latest = session.getResults('cloud');
+
+    await expect(superseded).rejects.toHaveProperty('name', 'AbortError');
+    expect(await latest).toEqual([['cloud']]);
+  });
+
+  it('should not supersede the requests of other sessions', async () => {
+    mockAxios.get.mockReset();
+    mockAxios.get.mockImplementation((url, { signal }) =>
+      Promise.resolve().then(() => {
+        if (signal.aborted) {
+          throw new Error('aborted');
+        }
+        return {
+          data: { response: [[url.indexOf('cloud') >= 0 ? 'cloud' : 'clo']] },
+        };
+      })
+    );
+
+    const other = SearchTypeaheadAPI.createSession().getResults('clo');
+    const latest = SearchTypeaheadAPI.createSession().getResults('cloud');
+
+    expect(await other).toEqual([['clo']]);
+    expect(await latest).toEqual([['cloud']]);
+  });
+
+  it('should only make the REST call for the last debounced query', async () => {
+    mockAxios.get.mockClear();
+
+    const session = SearchTypeaheadAPI.createSession();
+    const superseded = session.getResults('clo', '', {
+      debounce: 100,
+    });
+    const latest = session.getResults('cloud', '', {
+      debounce: 100,
+    });
+    jest.advanceTimersByTime(100);
+
+    await expect(superseded).rejects.toHaveProperty('name', 'AbortError');
+    expect(await latest).toEqual(responseSuccess.response);
+    expect(mockAxios.get).toHaveBeenCalledTimes(1);
+  });
 });
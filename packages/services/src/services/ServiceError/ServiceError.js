@@ -0,0 +1,197 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * The classifications of the service errors.
+ *
+ * @type {{NETWORK: string, TIMEOUT: string, HTTP: string, PARSE: string, UNKNOWN: string}}
+ */
+export const SERVICE_ERROR_TYPE = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  HTTP: 'http',
+  PARSE: 'parse',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * The base class of the errors the services reject with.
+ *
+ * @example
+ * import { DDSServiceError, ProfileAPI } from '@carbon/ibmdotcom-services';
+ *
+ * try {
+ *   await ProfileAPI.getUserStatus();
+ * } catch (error) {
+ *   if (error instanceof DDSServiceError && error.type === 'network') {
+ *     // The user is offline
+ *   }
+ * }
+ */
+export class DDSServiceError extends Error {
+  /**
+   * @param {string} message the error message
+   * @param {object} [options] options object
+   * @param {Error} [options.cause] the original error
+   * @param {string} [options.url] the URL of the failed request
+   */
+  constructor(message, { cause, url } = {}) {
+    super(message);
+    this.name = 'DDSServiceError';
+    this.type = SERVICE_ERROR_TYPE.UNKNOWN;
+    this.cause = cause;
+    this.url = url;
+  }
+
+  /**
+   * `true` if the failed request may succeed if it's retried.
+   *
+   * @type {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The error for a request that did not get a response, e.g. when offline.
+ */
+export class DDSNetworkError extends DDSServiceError {
+  /**
+   * @param {string} message the error message
+   * @param {object} [options] options object, see `DDSServiceError`
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'DDSNetworkError';
+    this.type = SERVICE_ERROR_TYPE.NETWORK;
+  }
+
+  /**
+   * @returns {boolean} `true`
+   */
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The error for a request that timed out.
+ */
+export class DDSTimeoutError extends DDSServiceError {
+  /**
+   * @param {string} message the error message
+   * @param {object} [options] options object, see `DDSServiceError`
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'DDSTimeoutError';
+    this.type = SERVICE_ERROR_TYPE.TIMEOUT;
+  }
+
+  /**
+   * @returns {boolean} `true`
+   */
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The error for a response with an HTTP error status.
+ */
+export class DDSHTTPError extends DDSServiceError {
+  /**
+   * @param {string} message the error message
+   * @param {object} [options] options object, see `DDSServiceError`
+   * @param {number} [options.status] the HTTP status
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'DDSHTTPError';
+    this.type = SERVICE_ERROR_TYPE.HTTP;
+    this.status = options.status;
+  }
+
+  /**
+   * @returns {boolean} `true` for `429 Too Many Requests` and 5xx status
+   */
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * The error for a response that cannot be parsed.
+ */
+export class DDSParseError extends DDSServiceError {
+  /**
+   * @param {string} message the error message
+   * @param {object} [options] options object, see `DDSServiceError`
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'DDSParseError';
+    this.type = SERVICE_ERROR_TYPE.PARSE;
+  }
+}
+
+/**
+ * Converts an error from axios (or elsewhere) to the `DDSServiceError` of its classification.
+ * Cancellations, e.g. by an `AbortController`, are returned as-is.
+ *
+ * @param {Error} error the error
+ * @param {string} [url] the URL of the failed request
+ * @returns {Error} the converted error
+ */
+export function toServiceError(error, url = error?.config?.url) {
+  if (
+    error instanceof DDSServiceError ||
+    error?.name === 'AbortError' ||
+    error?.name === 'CanceledError' ||
+    error?.code === 'ERR_CANCELED'
+  ) {
+    return error;
+  }
+  const message = error?.message || String(error);
+  const options = { cause: error, url };
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return new DDSTimeoutError(message, options);
+  }
+  if (error?.response) {
+    return new DDSHTTPError(message, {
+      ...options,
+      status: error.response.status,
+    });
+  }
+  if (error?.request) {
+    return new DDSNetworkError(message, options);
+  }
+  if (error instanceof SyntaxError) {
+    return new DDSParseError(message, options);
+  }
+  return new DDSServiceError(message, options);
+}
+
+/**
+ * Returns the JSON data of the given axios response.
+ * A response not in JSON, e.g. an error page from a proxy, is rejected with `DDSParseError`.
+ *
+ * @param {object} response the axios response
+ * @returns {object} the response data
+ */
+export function parseResponseData(response) {
+  const { data, config = {} } = response;
+  if (typeof data !== 'string') {
+    return data;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new DDSParseError(error.message, { cause: error, url: config.url });
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  DDSHTTPError,
+  DDSNetworkError,
+  DDSParseError,
+  DDSServiceError,
+  DDSTimeoutError,
+  parseResponseData,
+  retry,
+  toServiceError,
+} from '../';
+import { ConfigAPI } from '../../Config';
+
+describe('DDSServiceError', () => {
+  it('should classify the axios errors', () => {
+    const timeout = toServiceError({ code: 'ECONNABORTED', message: 'foo' });
+    const http = toServiceError({ response: { status: 503 }, request: {} });
+    const network = toServiceError({ request: {}, config: { url: '/foo' } });
+
+    expect(timeout).toBeInstanceOf(DDSTimeoutError);
+    expect(timeout.type).toBe('timeout');
+    expect(http).toBeInstanceOf(DDSHTTPError);
+    expect(http.status).toBe(503);
+    expect(http.retryable).toBe(true);
+    expect(network).toBeInstanceOf(DDSNetworkError);
+    expect(network).toBeInstanceOf(DDSServiceError);
+    expect(network.url).toBe('/foo');
+    expect(toServiceError(new SyntaxError('foo'))).toBeInstanceOf(
+      DDSParseError
+    );
+    expect(toServiceError(new Error('foo')).type).toBe('unknown');
+  });
+
+  it('should not retry client errors', () => {
+    expect(toServiceError({ response: { status: 404 } }).retryable).toBe(false);
+    expect(toServiceError({ response: { status: 429 } }).retryable).toBe(true);
+  });
+
+  it('should keep cancellations as-is', () => {
+    const error = new Error('canceled');
+    error.name = 'AbortError';
+
+    expect(toServiceError(error)).toBe(error);
+  });
+
+  it('should parse the response data', () => {
+    expect(parseResponseData({ data: '{"foo":"bar"}' })).toEqual({
+      foo: 'bar',
+    });
+    expect(() => parseResponseData({ data: '<html>' })).toThrow(DDSParseError);
+  });
+});
+
+describe('retry', () => {
+  beforeEach(() => {
+    jest.useRealTimers();
+    ConfigAPI.configure({ retry: { delay: 1, retries: 2 } });
+  });
+
+  afterEach(() => {
+    jest.useFakeTimers();
+    ConfigAPI.reset();
+  });
+
+  it('should retry the retryable errors with backoff', async () => {
+    const request = jest
+      .fn()
+      .mockRejectedValueOnce({ request: {} })
+      .mockRejectedValueOnce({ response: { status: 500 } })
+      .mockResolvedValueOnce('foo');
+    jest.spyOn(global, 'setTimeout');
+
+    expect(await retry(request)).toBe('foo');
+    expect(request).toHaveBeenCalledTimes(3);
+    expect(setTimeout).toHaveBeenNthCalledWith(1, expect.any(Function), 1);
+    expect(setTimeout).toHaveBeenNthCalledWith(2, expect.any(Function), 2);
+    setTimeout.mockRestore();
+  });
+
+  it('should give up after the configured number of retries', async () => {
+    ConfigAPI.configure({ retry: { delay: 1, retries: 1 } });
+    const request = jest.fn().mockRejectedValue({ request: {} });
+
+    await expect(retry(request)).rejects.toBeInstanceOf(DDSNetworkError);
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry by default', async () => {
+    ConfigAPI.reset();
+    const request = jest.fn().mockRejectedValue({ request: {} });
+
+    await expect(retry(request)).rejects.toBeInstanceOf(DDSNetworkError);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry the other errors', async () => {
+    const request = jest.fn().mockRejectedValue({ response: { status: 404 } });
+
+    await expect(retry(request)).rejects.toBeInstanceOf(DDSHTTPError);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
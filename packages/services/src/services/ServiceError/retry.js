@@ -0,0 +1,63 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { ConfigAPI } from '../Config';
+import { toServiceError } from './ServiceError';
+
+/**
+ * The default retry policy, which doesn't retry unless `retries` is configured
+ *
+ * @type {{retries: number, delay: number, factor: number, maxDelay: number}}
+ * @private
+ */
+const _defaultPolicy = {
+  retries: 0,
+  delay: 300,
+  factor: 2,
+  maxDelay: 5000,
+};
+
+/**
+ * Calls the given function, retrying with exponential backoff while it fails with a retryable error
+ * (network error, timeout, `429` or 5xx HTTP status).
+ *
+ * The retry policy is looked up from the `retry` key of `ConfigAPI`, overridden by the given options.
+ * Nothing is retried by default.
+ *
+ * @param {Function} request the function making the request, which returns a promise
+ * @param {object} [options] options object
+ * @param {number} [options.retries=0] the maximum number of retries
+ * @param {number} [options.delay=300] the delay (in milliseconds) before the first retry
+ * @param {number} [options.factor=2] the factor the delay is multiplied by after each retry
+ * @param {number} [options.maxDelay=5000] the maximum delay (in milliseconds)
+ * @param {AbortSignal} [options.signal] the signal that stops retrying once aborted
+ * @returns {Promise<any>} the result of the request, or a promise rejected with a `DDSServiceError`
+ * @example
+ * import { ConfigAPI } from '@carbon/ibmdotcom-services';
+ *
+ * ConfigAPI.configure({ retry: { retries: 3, delay: 500 } });
+ */
+export default async function retry(request, options = {}) {
+  const { retries, delay, factor, maxDelay, signal } = {
+    ..._defaultPolicy,
+    ...ConfigAPI.get('retry'),
+    ...options,
+  };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(attempt);
+    } catch (error) {
+      const serviceError = toServiceError(error);
+      if (!serviceError.retryable || attempt >= retries || signal?.aborted) {
+        throw serviceError;
+      }
+      await new Promise(resolve => {
+        setTimeout(resolve, Math.min(delay * factor ** attempt, maxDelay));
+      });
+    }
+  }
+}
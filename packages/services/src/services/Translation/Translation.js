@@ -1,22 +1,22 @@
 /**
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import { parseResponseData, retry, toServiceError } from '../ServiceError';
 import axios from 'axios';
+import { ConfigAPI } from '../Config';
 import { LocaleAPI } from '../Locale';
 import root from 'window-or-global';
+import { ServiceCache } from '../Cache';
 
 /**
- * @constant {string | string} Host for the Translation API call
+ * @constant {string | string} Default host for the Translation API call
  * @private
  */
-const _host =
-  (process &&
-    (process.env.REACT_APP_TRANSLATION_HOST || process.env.TRANSLATION_HOST)) ||
-  'https://1.www.s81c.com';
+const _hostDefault = 'https://1.www.s81c.com';
 
 /**
  * Translation API default endpoint
@@ -28,16 +28,21 @@ const _ddsEndpointDefault =
   '/common/carbon-for-ibm-dotcom/translations/masthead-footer';
 
 /**
- * Translation API endpoint
+ * Returns the host for the Translation API call, from the runtime configuration
  *
- * @type {string}
+ * @returns {string} Translation API host
+ * @private
+ */
+const _getHost = () => ConfigAPI.get('translationHost') || _hostDefault;
+
+/**
+ * Returns the Translation API endpoint, from the runtime configuration
+ *
+ * @returns {string} Translation API endpoint
  * @private
  */
-const _ddsEndpoint =
-  (process &&
-    (process.env.REACT_APP_DDS_TRANSLATION_ENDPOINT ||
-      process.env.DDS_TRANSLATION_ENDPOINT)) ||
-  _ddsEndpointDefault;
+const _getDDSEndpoint = () =>
+  ConfigAPI.get('translationEndpoint') || _ddsEndpointDefault;
 
 /**
  * Session Storage key for translation data
@@ -48,12 +53,12 @@ const _ddsEndpoint =
 const _sessionTranslationKey = 'dds-translation';
 
 /**
- * The cache for in-flight or resolved requests for the i18n data, keyed by the initiating locale.
+ * The cache for the i18n data, keyed by the endpoint and the initiating locale.
  *
- * @type {object}
+ * @type {ServiceCache}
  * @private
  */
-const _requestsTranslation = {};
+const _cache = new ServiceCache();
 
 /**
  * Sets the default location if nothing is returned
@@ -66,14 +71,6 @@ const _localeDefault = {
   cc: 'us',
 };
 
-/**
- * Two hours in milliseconds to compare session timestamp.
- *
- * @type {number}
- * @private
- */
-const _twoHours = 60 * 60 * 2000;
-
 /**
  * Translation API class with methods for fetching i18n data for ibm.com
  */
@@ -84,18 +81,25 @@ class TranslationAPI {
    * @param {string} endpoint specified API non-default endpoint (optional)
    */
   static clearCache(endpoint) {
-    const sessionKey = this.getSessionKey(endpoint);
-    if (typeof sessionStorage !== 'undefined') {
-      Object.keys(_requestsTranslation).forEach(
-        key => delete _requestsTranslation[key]
-      );
-      for (let i = 0; i < sessionStorage.length; ++i) {
-        const key = sessionStorage.key(i);
-        if (key.indexOf(sessionKey) === 0) {
-          sessionStorage.removeItem(key);
-        }
-      }
-    }
+    _cache.clear(this.getSessionKey(endpoint));
+  }
+
+  /**
+   * Configures the storage and the TTL policy of the i18n data cache.
+   *
+   * @param {object} options The cache options
+   * @param {string|object} [options.storage]
+   *   One of `memory`, `session` (default), `local` and `indexeddb`, or a custom storage object
+   * @param {number} [options.ttl] The time-to-live of the i18n data, in milliseconds
+   * @param {boolean} [options.revalidate] `true` to use stale i18n data while refreshing it in the background
+   *
+   * @example
+   * import { TranslationAPI } from '@carbon/ibmdotcom-services';
+   *
+   * TranslationAPI.configureCache({ storage: 'indexeddb', revalidate: true });
+   */
+  static configureCache(options) {
+    _cache.configure(options);
   }
 
   /**
@@ -135,7 +139,7 @@ class TranslationAPI {
   }
 
   /**
-   * Fetches the translation data from sessionStorage or data fetch
+   * Fetches the translation data from the cache or data fetch
    *
    * @param {string} lang Language code
    * @param {string} country Country code
@@ -146,48 +150,33 @@ class TranslationAPI {
    */
   static fetchTranslation(lang, country, endpoint, resolve, reject) {
     const sessionKey = this.getSessionKey(endpoint);
-    const itemKey = `${sessionKey}-${country}-${lang}`;
-
-    const sessionTranslation = this.getSessionCache(itemKey);
-
-    if (sessionTranslation) {
-      resolve(sessionTranslation);
-    } else {
-      const key = country !== 'undefined' ? `${country}-${lang}` : `${lang}`;
-
-      if (!_requestsTranslation[key]) {
-        const regex = /((http(s?)):\/\/)/g;
-
-        // Check to see if the string from the endpoint variable contains https/http or not.
-        const urlEndpoint = endpoint || _ddsEndpoint;
-        const locationParam =
-          country !== 'undefined' ? `${country}${lang}` : `${lang}`;
-        const host = regex.test(endpoint) ? '' : _host;
-        const url = `${host}${urlEndpoint}/${locationParam}.json`;
-
-        _requestsTranslation[key] = axios
-          .get(url, {
+    const key = country !== 'undefined' ? `${country}-${lang}` : `${lang}`;
+    const regex = /((http(s?)):\/\/)/g;
+
+    // Check to see if the string from the endpoint variable contains https/http or not.
+    const host = _getHost();
+    const urlEndpoint = endpoint || _getDDSEndpoint();
+    const locationParam =
+      country !== 'undefined' ? `${country}${lang}` : `${lang}`;
+    const url = `${
+      regex.test(endpoint) ? '' : host
+    }${urlEndpoint}/${locationParam}.json`;
+
+    _cache
+      .fetch(`${sessionKey}-${key}`, () =>
+        retry(() =>
+          axios.get(url, {
             headers: {
               'Content-Type': 'text/plain',
-              origin: _host,
+              origin: host,
             },
+            timeout: ConfigAPI.get('timeout'),
           })
-          .then(response => this.transformData(response.data))
-          .then(data => {
-            data['timestamp'] = Date.now();
-            if (typeof sessionStorage !== 'undefined') {
-              sessionStorage.setItem(
-                `${sessionKey}-${key}`,
-                JSON.stringify(data)
-              );
-            }
-            return data;
-          });
-      }
-
-      _requestsTranslation[key].then(resolve, error => {
+        ).then(response => this.transformData(parseResponseData(response)))
+      )
+      .then(resolve, error => {
         if (country === _localeDefault.cc && lang === _localeDefault.lc) {
-          reject(error);
+          reject(toServiceError(error, url));
         } else {
           this.fetchTranslation(
             _localeDefault.lc,
@@ -198,7 +187,6 @@ class TranslationAPI {
           );
         }
       });
-    }
   }
 
   /**
@@ -210,9 +198,10 @@ class TranslationAPI {
    */
   static getSessionKey(endpoint) {
     let sessionKey = _sessionTranslationKey;
+    const ddsEndpoint = _getDDSEndpoint();
     // form session key from specified endpoint
-    if (_ddsEndpointDefault !== _ddsEndpoint || endpoint) {
-      const endpointSrc = endpoint || _ddsEndpoint;
+    if (_ddsEndpointDefault !== ddsEndpoint || endpoint) {
+      const endpointSrc = endpoint || ddsEndpoint;
       sessionKey = endpointSrc.replace(
         /[`~!@#$%^&*()_|+\-=?;:'",.<>{}[\]\\/]/gi,
         ''
@@ -249,30 +238,16 @@ class TranslationAPI {
   }
 
   /**
-   * Retrieves session cache and checks if cache needs to be refreshed
+   * Retrieves the session cache, if it's not expired.
+   * Stays synchronous for compatibility, so it returns `undefined` if the cache storage is asynchronous (e.g. `indexeddb`).
    *
    * @param   {string} key session storage key
    * @returns {object} session storage object
    * @private
+   * @deprecated in favor of `TranslationAPI.configureCache()`, for managing the cache
    */
   static getSessionCache(key) {
-    const session =
-      typeof sessionStorage === 'undefined'
-        ? undefined
-        : JSON.parse(sessionStorage.getItem(key));
-
-    if (!session || !session.timestamp) {
-      return;
-    }
-
-    const currentTime = Date.now(),
-      timeDiff = currentTime - session.timestamp;
-
-    if (timeDiff > _twoHours) {
-      sessionStorage.removeItem(key);
-      return;
-    }
-    return session;
+    return _cache.getSync(key);
   }
 }
 
@@ -183,4 +183,15 @@ describe('TranslationAPI', () => {
     // fresh data would lack this property
     expect(newSession).not.toHaveProperty('CACHE');
   });
+
+  it('should not get the expired session cache with the deprecated method', () => {
+    sessionStorageMock.setItem(
+      'dds-translation-us-en',
+      JSON.stringify(oldSession)
+    );
+    expect(
+      TranslationAPI.getSessionCache('dds-translation-us-en')
+    ).toBeUndefined();
+    expect(sessionStorageMock.getItem('dds-translation-us-en')).toBeNull();
+  });
 });
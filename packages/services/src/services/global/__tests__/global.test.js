@@ -1,5 +1,5 @@
 /**
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -8,6 +8,7 @@
 import { AnalyticsAPI } from '../../Analytics';
 import { DDOAPI } from '../../DDO';
 import { globalInit } from '../';
+import loadPlex from '../../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/loadPlex/loadPlex';
 
 jest.mock('../../DDO', () => ({
   DDOAPI: {
@@ -19,6 +20,15 @@ jest.mock('../../Analytics', () => ({
     initAll: jest.fn(),
   },
 }));
+jest.mock('../../Locale', () => ({
+  LocaleAPI: {
+    getLang: jest.fn(async () => ({ cc: 'sa', lc: 'ar' })),
+  },
+}));
+jest.mock(
+  '../../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/loadPlex/loadPlex',
+  () => jest.fn(async () => [])
+);
 
 describe('Global init function', () => {
   it('should execute the DDO settings', () => {
@@ -30,4 +40,10 @@ describe('Global init function', () => {
     globalInit();
     expect(AnalyticsAPI.initAll).toHaveBeenCalled();
   });
+
+  it('should load the Plex fonts for the language of the page', async () => {
+    globalInit();
+    await Promise.resolve();
+    expect(loadPlex).toHaveBeenCalledWith({ language: 'ar' });
+  });
 });
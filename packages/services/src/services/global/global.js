@@ -7,7 +7,7 @@
 
 import { AnalyticsAPI } from '../Analytics';
 import { DDOAPI } from '../DDO';
-import loadNonLatinPlex from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/loadNonLatinPlex/loadNonLatinPlex';
+import loadPlex from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/loadPlex/loadPlex';
 import { LocaleAPI } from '../Locale';
 
 /**
@@ -36,10 +36,12 @@ export function globalInit() {
     );
   });
 
-  // Sets the Plex font for non-Latin fonts
-  LocaleAPI.getLang().then(lang => {
-    loadNonLatinPlex(lang.lc);
-  });
+  // Loads the Plex fonts for the non-Latin script of the page's language
+  LocaleAPI.getLang()
+    .then(lang => loadPlex({ language: lang.lc }))
+    .catch(error => {
+      console.error('Error loading the Plex fonts:', error);
+    });
 
   // analytics tracking
   AnalyticsAPI.initAll();
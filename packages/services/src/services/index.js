@@ -6,7 +6,9 @@
  */
 
 export * from './Analytics';
+export * from './Cache';
 export * from './CloudAccountAuth';
+export * from './Config';
 export * from './DDO';
 export * from './global';
 export * from './Locale';
@@ -14,5 +16,6 @@ export * from './MarketingSearch';
 export * from './MastheadLogo';
 export * from './Profile';
 export * from './SearchTypeahead';
+export * from './ServiceError';
 export * from './Translation';
 export * from './KalturaPlayer';
@@ -0,0 +1,124 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { equalHeight } from '../';
+
+/**
+ * @param {number} top The top position of the card
+ * @param {number[]} heights The natural heights of the card parts
+ * @returns {object} The card with the parts
+ */
+function createCard(top, heights) {
+  const card = document.createElement('div');
+  card.getBoundingClientRect = () => ({ top });
+  card.parts = heights.map(height => {
+    const part = document.createElement('div');
+    Object.defineProperty(part, 'offsetHeight', { get: () => height });
+    return part;
+  });
+  return card;
+}
+
+describe('Equal height utility', () => {
+  let frames;
+
+  beforeEach(() => {
+    frames = [];
+    jest
+      .spyOn(window, 'requestAnimationFrame')
+      .mockImplementation(callback => frames.push(callback));
+  });
+
+  afterEach(() => {
+    window.requestAnimationFrame.mockRestore();
+  });
+
+  it('should equalize the heights in each row, in one animation frame', () => {
+    const cards = [
+      createCard(0, [10, 20]),
+      createCard(0, [30, 5]),
+      createCard(100, [15, 25]),
+    ];
+    const onUpdate = jest.fn();
+    const handle = equalHeight({
+      getItems: () => cards,
+      getParts: card => card.parts,
+      onUpdate,
+    });
+    const other = equalHeight({
+      getItems: () => [],
+      getParts: () => [],
+    });
+    expect(frames.length).toBe(1);
+    frames[0]();
+    expect(
+      cards.map(card => card.parts.map(part => part.style.height))
+    ).toEqual([
+      ['30px', '20px'],
+      ['30px', '20px'],
+      ['15px', '25px'],
+    ]);
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    handle.release();
+    other.release();
+  });
+
+  it('should reset the heights below the minimum size', () => {
+    window.matchMedia = jest.fn(() => ({
+      matches: false,
+      addListener: jest.fn(),
+      removeListener: jest.fn(),
+    }));
+    const cards = [createCard(0, [10]), createCard(0, [30])];
+    cards[0].parts[0].style.height = '30px';
+    const handle = equalHeight({
+      getItems: () => cards,
+      getParts: card => card.parts,
+      minSize: 'md',
+    });
+    frames[0]();
+    expect(window.matchMedia).toHaveBeenCalledWith('(min-width: 42rem)');
+    expect(cards[0].parts[0].style.height).toBe('auto');
+    handle.release();
+    delete window.matchMedia;
+  });
+
+  it('should reset the heights upon removing the items or releasing', () => {
+    const cards = [createCard(0, [10]), createCard(0, [30])];
+    let items = cards;
+    const handle = equalHeight({
+      getItems: () => items,
+      getParts: card => card.parts,
+    });
+    frames[0]();
+    expect(cards[0].parts[0].style.height).toBe('30px');
+    items = [cards[1]];
+    handle.update();
+    frames[1]();
+    expect(cards[0].parts[0].style.height).toBe('');
+    expect(cards[1].parts[0].style.height).toBe('30px');
+    handle.release();
+    expect(cards[1].parts[0].style.height).toBe('');
+  });
+
+  it('should update the heights upon content changes in the items', async () => {
+    const cards = [createCard(0, [10]), createCard(0, [30])];
+    cards[0].parts.forEach(part => {
+      cards[0].appendChild(part);
+    });
+    const handle = equalHeight({
+      getItems: () => cards,
+      getParts: card => card.parts,
+    });
+    frames[0]();
+    expect(frames.length).toBe(1);
+    cards[0].parts[0].textContent = 'Foo';
+    await Promise.resolve();
+    expect(frames.length).toBe(2);
+    handle.release();
+  });
+});
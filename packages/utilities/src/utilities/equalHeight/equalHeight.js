@@ -0,0 +1,359 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { breakpoints } from '@carbon/layout';
+import root from 'window-or-global';
+
+/**
+ * The groups waiting for the next update
+ *
+ * @type {Set<object>}
+ * @private
+ */
+const _dirtyGroups = new Set();
+
+/**
+ * The groups, keyed by the observed item
+ *
+ * @type {Map<Element, Set<object>>}
+ * @private
+ */
+const _groupsByItem = new Map();
+
+/**
+ * The groups being kept at the same heights
+ *
+ * @type {Set<object>}
+ * @private
+ */
+const _activeGroups = new Set();
+
+/**
+ * The last known sizes of the observed items
+ *
+ * @type {WeakMap<Element, object>}
+ * @private
+ */
+const _sizes = new WeakMap();
+
+/**
+ * The options for observing the content changes in the items
+ *
+ * @type {object}
+ * @private
+ */
+const _mutationObserverOptions = {
+  childList: true,
+  characterData: true,
+  subtree: true,
+};
+
+/**
+ * The handle of the scheduled animation frame
+ *
+ * @type {number}
+ * @private
+ */
+let _frame = 0;
+
+/**
+ * The resize observer shared by all groups
+ *
+ * @type {ResizeObserver}
+ * @private
+ */
+let _observer = null;
+
+/**
+ * Resets the inline heights of the given parts, so their heights come from the style sheets again.
+ *
+ * @param {Array<Element[]>} parts The parts of each item
+ * @private
+ */
+function _resetHeights(parts) {
+  parts.forEach(partsInItem => {
+    partsInItem.forEach(part => {
+      if (part) {
+        part.style.height = '';
+      }
+    });
+  });
+}
+
+/**
+ * Updates the heights of all scheduled groups, with all the DOM writes and reads batched,
+ * so the layout is computed only once for all groups.
+ *
+ * @private
+ */
+function _flush() {
+  _frame = 0;
+  const groups = Array.from(_dirtyGroups);
+  _dirtyGroups.clear();
+
+  // Write: resets the heights
+  groups.forEach(group => {
+    const { parts: oldParts } = group;
+    group.rows = [];
+    group.items = group.getItems().filter(Boolean);
+    group.parts = group.items.map(item => group.getParts(item));
+    // The parts no longer in the group (e.g. the ones of the removed items) should not stay at the old heights
+    const newParts = new Set([].concat(...group.parts));
+    _resetHeights(
+      oldParts.map(parts => parts.filter(part => !newParts.has(part)))
+    );
+    group.parts.forEach(parts => {
+      parts.forEach(part => {
+        if (part) {
+          part.style.height = 'auto';
+        }
+      });
+    });
+  });
+
+  // Read: measures the natural heights, row by row
+  groups.forEach(group => {
+    if (group.mediaQueryList && !group.mediaQueryList.matches) {
+      return;
+    }
+    const rows = new Map();
+    group.items.forEach((item, index) => {
+      const top = Math.round(item.getBoundingClientRect().top);
+      if (!rows.has(top)) {
+        rows.set(top, []);
+      }
+      rows.get(top).push(group.parts[index]);
+    });
+    rows.forEach(partsInRow => {
+      const heights = [];
+      partsInRow.forEach(parts => {
+        parts.forEach((part, i) => {
+          if (part) {
+            heights[i] = Math.max(heights[i] || 0, part.offsetHeight);
+          }
+        });
+      });
+      group.rows.push({ partsInRow, heights });
+    });
+  });
+
+  // Write: sets the tallest height in the row
+  groups.forEach(group => {
+    group.rows.forEach(({ partsInRow, heights }) => {
+      partsInRow.forEach(parts => {
+        parts.forEach((part, i) => {
+          if (part) {
+            part.style.height = `${heights[i]}px`;
+          }
+        });
+      });
+    });
+    group.onUpdate?.();
+  });
+}
+
+/**
+ * Schedules updating the heights of the given group in the next animation frame.
+ *
+ * @param {object} group The group
+ * @private
+ */
+function _schedule(group) {
+  _dirtyGroups.add(group);
+  if (!_frame) {
+    _frame = root.requestAnimationFrame(_flush);
+  }
+}
+
+/**
+ * Schedules updating all groups, e.g. upon loading fonts, which changes the natural heights of the parts.
+ *
+ * @private
+ */
+function _scheduleAll() {
+  _activeGroups.forEach(_schedule);
+}
+
+/**
+ * Handles the resize of the observed items, and schedules updating their groups if their sizes change,
+ * e.g. upon changing the width, or loading an image.
+ *
+ * @param {ResizeObserverEntry[]} entries The resize observer entries
+ * @private
+ */
+function _handleResize(entries) {
+  entries.forEach(({ target, contentRect }) => {
+    const { width, height } = contentRect;
+    const size = _sizes.get(target);
+    // Setting the same heights as the last update doesn't change the size of the item,
+    // so the update triggered by our own changes in heights doesn't trigger another one
+    if (!size || size.width !== width || size.height !== height) {
+      _sizes.set(target, { width, height });
+      _groupsByItem.get(target)?.forEach(_schedule);
+    }
+  });
+}
+
+/**
+ * Starts observing the given items for the given group.
+ *
+ * @param {object} group The group
+ * @param {Element[]} items The items
+ * @private
+ */
+function _observe(group, items) {
+  if (!_observer && typeof root.ResizeObserver !== 'undefined') {
+    _observer = new root.ResizeObserver(_handleResize);
+  }
+  items.forEach(item => {
+    if (!_groupsByItem.has(item)) {
+      _groupsByItem.set(item, new Set());
+      _observer?.observe(item);
+    }
+    _groupsByItem.get(item).add(group);
+  });
+}
+
+/**
+ * Stops observing the given items for the given group.
+ *
+ * @param {object} group The group
+ * @param {Element[]} items The items
+ * @private
+ */
+function _unobserve(group, items) {
+  items.forEach(item => {
+    const groups = _groupsByItem.get(item);
+    if (groups) {
+      groups.delete(group);
+      if (groups.size === 0) {
+        _groupsByItem.delete(item);
+        _observer?.unobserve(item);
+      }
+    }
+  });
+}
+
+/**
+ * Utility that keeps the parts of the items (e.g. the headings of the cards) in the same row at the same height.
+ * It replaces `sameHeight()` for large collections:
+ *
+ * - Items in all groups are observed with one shared `ResizeObserver`, and our own changes in heights don't trigger another update
+ * - Content changes in the items and loading fonts trigger an update, as they change the natural heights of the parts
+ * - All groups are updated in one animation frame, with all the DOM reads and writes batched
+ * - Heights are equalized in each row, instead of in the whole collection
+ * - Breakpoints are tracked with `matchMedia()`, instead of reading `window.innerWidth`
+ *
+ * @example
+ * import { equalHeight } from '@carbon/ibmdotcom-utilities';
+ *
+ * const handle = equalHeight({
+ *   getItems: () => Array.from(cardGroup.querySelectorAll('.card')),
+ *   getParts: card => [card.querySelector('.card__eyebrow'), card.querySelector('.card__heading')],
+ *   minSize: 'md',
+ * });
+ *
+ * // Upon changing the items
+ * handle.update();
+ *
+ * // Upon removing the card group
+ * handle.release();
+ *
+ * @param {object} options The options
+ * @param {Function} options.getItems The function returning the items, e.g. the cards.
+ *   The items with the same top position are in the same row.
+ * @param {Function} options.getParts The function returning the parts of the given item to keep at the same height,
+ *   e.g. the eyebrow and the heading of a card. The parts at the same index are kept at the same height.
+ * @param {string} [options.minSize] Minimum size for the utility to be activated, empty for small,
+ *  md for medium, lg for large, xlg for xlarge, max for maximum
+ * @param {Function} [options.onUpdate] The callback called right after the heights are updated
+ * @returns {object} The handle, with `update()` method to update the heights in the next animation frame,
+ *   and `release()` method to stop keeping the heights and reset them
+ */
+function equalHeight({ getItems, getParts, minSize, onUpdate }) {
+  // Content changes in the parts (e.g. the late render of their shadow DOM) don't change the sizes of the items
+  // as the parts are at the fixed heights, and are not caught by the resize observer
+  const mutationObserver =
+    typeof root.MutationObserver !== 'undefined'
+      ? new root.MutationObserver(() => {
+          _schedule(group);
+        })
+      : null;
+  const group = {
+    getItems,
+    getParts,
+    onUpdate,
+    items: [],
+    parts: [],
+    rows: [],
+    mediaQueryList:
+      minSize && root.matchMedia
+        ? root.matchMedia(`(min-width: ${breakpoints[minSize].width})`)
+        : null,
+  };
+  let observedItems = [];
+  const handleMediaQueryChange = () => {
+    _schedule(group);
+  };
+  group.mediaQueryList?.addListener(handleMediaQueryChange);
+
+  const handle = {
+    update() {
+      const items = getItems().filter(Boolean);
+      _unobserve(
+        group,
+        observedItems.filter(item => !items.includes(item))
+      );
+      _observe(group, items);
+      observedItems = items;
+      // Style changes are not observed, so our own changes in heights don't trigger another update
+      mutationObserver?.disconnect();
+      items.forEach(item => {
+        [
+          item,
+          item.shadowRoot,
+          ...getParts(item).map(part => part?.shadowRoot),
+        ].forEach(node => {
+          if (node) {
+            mutationObserver?.observe(node, _mutationObserverOptions);
+          }
+        });
+      });
+      _schedule(group);
+    },
+
+    release() {
+      _unobserve(group, observedItems);
+      observedItems = [];
+      mutationObserver?.disconnect();
+      _dirtyGroups.delete(group);
+      _activeGroups.delete(group);
+      if (_activeGroups.size === 0) {
+        root.document?.fonts?.removeEventListener?.(
+          'loadingdone',
+          _scheduleAll
+        );
+      }
+      _resetHeights(group.parts);
+      group.items = [];
+      group.parts = [];
+      group.rows = [];
+      group.mediaQueryList?.removeListener(handleMediaQueryChange);
+      return null;
+    },
+  };
+
+  if (_activeGroups.size === 0) {
+    // Font swap (e.g. upon `loadPlex()`) changes the natural heights of the parts
+    root.document?.fonts?.addEventListener?.('loadingdone', _scheduleAll);
+  }
+  _activeGroups.add(group);
+  handle.update();
+  return handle;
+}
+
+export default equalHeight;
@@ -0,0 +1,69 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { featureFlag, featureFlags } from '../';
+import Cookies from 'js-cookie';
+
+describe('Feature flags registry', () => {
+  beforeEach(() => {
+    featureFlags.define({ DDS_FLAG_FOO: false, DDS_FLAG_BAR: true });
+    featureFlags.reset();
+  });
+
+  afterEach(() => {
+    delete window.ddsFeatureFlags;
+    Cookies.remove('ddsFeatureFlags');
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('uses the default flag values', () => {
+    expect(featureFlags.isEnabled('DDS_FLAG_FOO')).toBe(false);
+    expect(featureFlags.isEnabled('DDS_FLAG_BAR')).toBe(true);
+    expect(featureFlags.isEnabled('DDS_FLAG_UNKNOWN')).toBe(false);
+  });
+
+  it('enables the flags not explicitly disabled with DDS_FLAGS_ALL', () => {
+    featureFlags.set({ DDS_FLAGS_ALL: true, DDS_FLAG_BAZ: false });
+    expect(featureFlags.isEnabled('DDS_FLAG_FOO')).toBe(true);
+    expect(featureFlags.isEnabled('DDS_FLAG_BAZ')).toBe(false);
+  });
+
+  it('reads the flag values from the page, with the URL taking precedence', () => {
+    window.ddsFeatureFlags = { DDS_FLAG_FOO: true, DDS_FLAG_BAR: false };
+    Cookies.set('ddsFeatureFlags', 'DDS_FLAG_QUX');
+    window.history.replaceState(
+      null,
+      '',
+      '/?ddsFeatureFlags=!DDS_FLAG_FOO,DDS_FLAG_BAZ'
+    );
+    featureFlags.reset();
+    expect(featureFlags.getAll()).toEqual({
+      DDS_FLAG_FOO: false,
+      DDS_FLAG_BAR: false,
+      DDS_FLAG_BAZ: true,
+      DDS_FLAG_QUX: true,
+    });
+  });
+
+  it('loads the flag values from an async provider and notifies the change', async () => {
+    const listener = jest.fn();
+    const unsubscribe = featureFlags.subscribe(listener);
+    await featureFlags.load(() =>
+      Promise.resolve({ DDS_FLAG_FOO: 'true', DDS_FLAG_BAR: true })
+    );
+    unsubscribe();
+    featureFlags.set({ DDS_FLAG_BAR: false });
+    expect(featureFlags.isEnabled('DDS_FLAG_FOO')).toBe(true);
+    expect(listener.mock.calls).toEqual([[['DDS_FLAG_FOO']]]);
+  });
+
+  it('renders the jsx with the flag name', () => {
+    const objectJSX = {};
+    expect(featureFlag('DDS_FLAG_BAR', objectJSX)).toBe(objectJSX);
+    expect(featureFlag('DDS_FLAG_FOO', objectJSX)).toBeNull();
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import Cookies from 'js-cookie';
+import root from 'window-or-global';
+
+/**
+ * The name of the flag that enables all flags not explicitly disabled
+ *
+ * @type {string}
+ * @private
+ */
+const _flagAll = 'DDS_FLAGS_ALL';
+
+/**
+ * The name of the global variable, the cookie and the URL query parameter with the flags
+ *
+ * @type {string}
+ * @private
+ */
+const _name = 'ddsFeatureFlags';
+
+/**
+ * The layers of the flag values, in the order of precedence from the lowest
+ *
+ * @type {string[]}
+ * @private
+ */
+const _layerNames = [
+  'defaults',
+  'global',
+  'provider',
+  'runtime',
+  'cookie',
+  'query',
+];
+
+/**
+ * The flag values, keyed by the layer name
+ *
+ * @type {object}
+ * @private
+ */
+let _layers = {};
+
+/**
+ * `true` if the flag values from the page (the global variable, the cookie and the URL) have been read
+ *
+ * @type {boolean}
+ * @private
+ */
+let _pageRead = false;
+
+/**
+ * The listeners of the change in flag values
+ *
+ * @type {Set<Function>}
+ * @private
+ */
+const _listeners = new Set();
+
+/**
+ * @param {*} value A flag value, a boolean or a string
+ * @returns {boolean} The flag value as a boolean
+ * @private
+ */
+const _toBoolean = value => value === true || value === 'true';
+
+/**
+ * Parses the flag values in the cookie or in the URL,
+ * e.g. `DDS_CLOUD_MASTHEAD,!DDS_PRICING_TABLE` to enable the cloud masthead and to disable the pricing table.
+ *
+ * @param {string} str The flag values in a string
+ * @returns {object} The flag values
+ * @private
+ */
+function _parse(str) {
+  return (str || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .reduce((acc, item) => {
+      if (item.startsWith('!')) {
+        acc[item.substr(1)] = false;
+      } else {
+        acc[item] = true;
+      }
+      return acc;
+    }, {});
+}
+
+/**
+ * Reads the flag values from the global variable, the cookie and the URL.
+ *
+ * @private
+ */
+function _readPage() {
+  if (!_pageRead) {
+    _pageRead = true;
+    let query;
+    try {
+      query = new URLSearchParams(root.location?.search || '').get(_name);
+    } catch (error) {
+      // `URLSearchParams` is not available, e.g. in old browsers
+    }
+    _layers.global = { ...root[_name] };
+    _layers.cookie = _parse(Cookies.get(_name));
+    _layers.query = _parse(query);
+  }
+}
+
+/**
+ * Utility to manage the feature flags at runtime.
+ * The flag value is looked up from (in order of precedence):
+ *
+ * 1. The `ddsFeatureFlags` URL query parameter, e.g. `?ddsFeatureFlags=DDS_CLOUD_MASTHEAD,!DDS_PRICING_TABLE`, for QA
+ * 2. The `ddsFeatureFlags` cookie, in the same format as the URL query parameter
+ * 3. `featureFlags.set()`
+ * 4. `featureFlags.load()`, with an async provider
+ * 5. The `window.ddsFeatureFlags` global, e.g. `{ DDS_CLOUD_MASTHEAD: true }`
+ * 6. The defaults set by `featureFlags.define()`, typically the build-time ones
+ *
+ * A flag not enabled by any of the above follows `DDS_FLAGS_ALL`, unless it's explicitly disabled by 1-5.
+ */
+class FeatureFlagsAPI {
+  /**
+   * Sets the default flag values, typically the build-time ones.
+   *
+   * @param {object} flags The flag values, keyed by the flag name
+   *
+   * @example
+   * import { featureFlags } from '@carbon/ibmdotcom-utilities';
+   *
+   * featureFlags.define({ DDS_CLOUD_MASTHEAD: process.env.DDS_CLOUD_MASTHEAD === 'true' });
+   */
+  static define(flags) {
+    this._update(() => {
+      _layers.defaults = { ..._layers.defaults, ...flags };
+    });
+  }
+
+  /**
+   * Sets flag values at runtime.
+   *
+   * @param {object} flags The flag values, keyed by the flag name. `undefined` value removes the flag value.
+   *
+   * @example
+   * import { featureFlags } from '@carbon/ibmdotcom-utilities';
+   *
+   * featureFlags.set({ DDS_CLOUD_MASTHEAD: true });
+   */
+  static set(flags) {
+    this._update(() => {
+      _layers.runtime = { ..._layers.runtime, ...flags };
+    });
+  }
+
+  /**
+   * Loads flag values from an async provider, e.g. a feature management service.
+   *
+   * @param {Function} provider The function returning a promise of the flag values, keyed by the flag name
+   * @returns {Promise<object>} The promise resolved with the flag values after the provider's ones are applied
+   *
+   * @example
+   * import { featureFlags } from '@carbon/ibmdotcom-utilities';
+   *
+   * featureFlags.load(() => fetch('/flags.json').then(response => response.json()));
+   */
+  static async load(provider) {
+    const flags = await provider();
+    this._update(() => {
+      _layers.provider = { ..._layers.provider, ...flags };
+    });
+    return this.getAll();
+  }
+
+  /**
+   * @param {string} name The flag name, e.g. `DDS_CLOUD_MASTHEAD`
+   * @returns {boolean} `true` if the flag is enabled
+   *
+   * @example
+   * import { featureFlags } from '@carbon/ibmdotcom-utilities';
+   *
+   * if (featureFlags.isEnabled('DDS_CLOUD_MASTHEAD')) {
+   *   // ...
+   * }
+   */
+  static isEnabled(name) {
+    _readPage();
+    for (let i = _layerNames.length - 1; i > 0; i--) {
+      const value = _layers[_layerNames[i]]?.[name];
+      if (value !== undefined) {
+        return _toBoolean(value);
+      }
+    }
+    // Same as the build-time flags, a default value of `false` is overridden by `DDS_FLAGS_ALL`
+    return (
+      _toBoolean(_layers.defaults?.[name]) ||
+      (name !== _flagAll && this.isEnabled(_flagAll))
+    );
+  }
+
+  /**
+   * @returns {object} The values of all known flags, keyed by the flag name
+   */
+  static getAll() {
+    _readPage();
+    const names = new Set(
+      _layerNames.reduce(
+        (acc, layerName) => acc.concat(Object.keys(_layers[layerName] || {})),
+        []
+      )
+    );
+    return Array.from(names).reduce((acc, name) => {
+      acc[name] = this.isEnabled(name);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Observes the change in flag values.
+   *
+   * @param {Function} listener The callback, called with the names of the changed flags
+   * @returns {Function} The function to stop observing
+   *
+   * @example
+   * import { featureFlags } from '@carbon/ibmdotcom-utilities';
+   *
+   * const unsubscribe = featureFlags.subscribe(changed => {
+   *   console.log('Changed flags:', changed);
+   * });
+   */
+  static subscribe(listener) {
+    _listeners.add(listener);
+    return () => {
+      _listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Runs the given function changing the flag values, and notifies the changes.
+   *
+   * @param {Function} update The function changing the flag values
+   * @private
+   */
+  static _update(update) {
+    const oldFlags = this.getAll();
+    update();
+    const newFlags = this.getAll();
+    const changed = Object.keys({ ...oldFlags, ...newFlags }).filter(
+      name => oldFlags[name] !== newFlags[name]
+    );
+    if (changed.length > 0) {
+      _listeners.forEach(listener => {
+        listener(changed);
+      });
+    }
+  }
+
+  /**
+   * Clears the flag values except the defaults, and reads the ones from the page again.
+   */
+  static reset() {
+    this._update(() => {
+      _layers = { defaults: _layers.defaults };
+      _pageRead = false;
+    });
+  }
+}
+
+export default FeatureFlagsAPI;
@@ -1,14 +1,16 @@
 /**
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
+import featureFlags from './featureFlags';
+
 /**
  * Helper function for rendering feature flag
  *
- * @param {string} flag identifies which flag is used
+ * @param {boolean|string} flag identifies which flag is used, the flag value or the flag name in `featureFlags`
  * @param {object} jsx pass in the jsx to render conditionally
  * @private
  * @returns {object} JSX object
@@ -17,7 +19,8 @@
  *
  */
 function featureFlag(flag, jsx) {
-  return flag ? jsx : null;
+  const enabled = typeof flag === 'string' ? featureFlags.isEnabled(flag) : flag;
+  return enabled ? jsx : null;
 }
 
 export default featureFlag;
@@ -1,8 +1,9 @@
 /**
- * Copyright IBM Corp. 2016, 2018
+ * Copyright IBM Corp. 2016, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
 export { default as featureFlag } from './featureflag';
+export { default as featureFlags } from './featureFlags';
@@ -1,23 +1,41 @@
 /**
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
-import { geolocation } from '../';
+import {
+  clearGeolocationCache,
+  geolocation,
+  resolveGeolocation,
+  setGeolocationResolver,
+} from '../';
+import ipcinfoCookie from '../../ipcinfoCookie/ipcinfoCookie';
 import mockAxios from 'axios';
 
-mockAxios.get.mockImplementationOnce(() =>
-  Promise.resolve({
-    data: {
-      country: 'us',
-    },
-  })
-);
+jest.mock('../../ipcinfoCookie/ipcinfoCookie', () => ({
+  get: jest.fn(() => undefined),
+  set: jest.fn(),
+}));
 
 describe('Geolocation utility', () => {
+  beforeEach(() => {
+    clearGeolocationCache();
+    setGeolocationResolver(undefined);
+    mockAxios.get.mockClear();
+    ipcinfoCookie.get.mockClear();
+    ipcinfoCookie.set.mockClear();
+  });
+
   it('should return an object with the expected cc', async () => {
+    mockAxios.get.mockImplementationOnce(() =>
+      Promise.resolve({
+        data: {
+          country: 'us',
+        },
+      })
+    );
     const info = await geolocation();
     const endpoint =
       process.env.GEO_API || 'https://api.www.s81c.com/webmaster/dbip/';
@@ -26,6 +44,88 @@ describe('Geolocation utility', () => {
       headers: {
         'Content-Type': 'application/json; charset=utf-8',
       },
+      timeout: 3000,
+    });
+  });
+
+  it('should fetch from the given endpoint', async () => {
+    mockAxios.get.mockImplementationOnce(() =>
+      Promise.resolve({
+        data: {
+          country: 'de',
+        },
+      })
+    );
+    const info = await geolocation('https://example.com/geo/');
+    expect(info).toBe('de');
+    expect(mockAxios.get).toHaveBeenCalledWith('https://example.com/geo/', {
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+      },
+      timeout: 3000,
+    });
+  });
+
+  it('should write the location from the endpoint to the cookie and cache it', async () => {
+    mockAxios.get.mockImplementationOnce(() =>
+      Promise.resolve({ data: { country: 'de' } })
+    );
+    const location = await resolveGeolocation({ timeout: 500 });
+    expect(location).toEqual({
+      cc: 'de',
+      lc: 'en',
+      source: 'endpoint',
+      confidence: 'medium',
+    });
+    expect(mockAxios.get.mock.calls[0][1].timeout).toBe(500);
+    expect(ipcinfoCookie.set).toHaveBeenCalledWith({ cc: 'de', lc: 'en' });
+    expect(await resolveGeolocation()).toBe(location);
+    expect(mockAxios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should prefer the injected resolver', async () => {
+    setGeolocationResolver(() => Promise.resolve({ cc: 'jp', lc: 'ja' }));
+    expect(await resolveGeolocation({ persist: false })).toEqual({
+      cc: 'jp',
+      lc: 'ja',
+      source: 'resolver',
+      confidence: 'high',
+    });
+    expect(mockAxios.get).not.toHaveBeenCalled();
+    expect(ipcinfoCookie.set).not.toHaveBeenCalled();
+  });
+
+  it('should fall back from a failing resolver to the cookie', async () => {
+    ipcinfoCookie.get.mockReturnValueOnce({ cc: 'fr', lc: 'fr' });
+    const location = await resolveGeolocation({
+      resolver: () => {
+        throw new Error('resolver-error');
+      },
+    });
+    expect(location).toEqual({
+      cc: 'fr',
+      lc: 'fr',
+      source: 'cache',
+      confidence: 'high',
+    });
+    expect(mockAxios.get).not.toHaveBeenCalled();
+    expect(ipcinfoCookie.set).not.toHaveBeenCalled();
+  });
+
+  it('should infer the location from the browser language if the endpoint fails', async () => {
+    const spy = jest
+      .spyOn(window.navigator, 'languages', 'get')
+      .mockReturnValue(['pt-BR', 'pt']);
+    mockAxios.get.mockImplementationOnce(() =>
+      Promise.reject(new Error('Network Error'))
+    );
+    expect(await resolveGeolocation()).toEqual({
+      cc: 'br',
+      lc: 'pt',
+      source: 'language',
+      confidence: 'low',
     });
+    expect(ipcinfoCookie.set).not.toHaveBeenCalled();
+    spy.mockRestore();
   });
 });
@@ -1,38 +1,270 @@
 /**
- * Copyright IBM Corp. 2020
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
 import axios from 'axios';
+import ipcinfoCookie from '../ipcinfoCookie/ipcinfoCookie';
+import root from 'window-or-global';
 
 const _endpoint =
-  (process && process.env.GEO_API) ||
+  (process &&
+    (process.env.DDS_SERVICES_FIXTURES_HOST
+      ? `${process.env.DDS_SERVICES_FIXTURES_HOST}/webmaster/dbip/`
+      : process.env.GEO_API)) ||
   'https://api.www.s81c.com/webmaster/dbip/';
+
 /**
- * Utility to retrieve user's country code based on their IP address
+ * The default timeout (in milliseconds) of the injected resolver and of the geolocation endpoint
  *
- * @example
- * import { geolocation } from '@carbon/ibmdotcom-utilities';
+ * @type {number}
+ * @private
+ */
+const _timeoutDefault = 3000;
+
+/**
+ * The regular expression for the language tags with a region, e.g. `en-US` or `zh-Hant-TW`
  *
- * const locationInfo = await geolocation();
+ * @type {RegExp}
+ * @private
+ */
+const _languageTagRegex = /^([a-z]{2,3})(?:-[a-z]{4})?-([a-z]{2})(?:-|$)/i;
+
+/**
+ * The resolver set by `setGeolocationResolver()`
  *
- * @returns {string} country cc (cc)
+ * @type {Function}
+ * @private
+ */
+let _resolver;
+
+/**
+ * The geolocation resolved in this page, so the chain runs only once
+ *
+ * @type {object}
+ * @private
+ */
+let _cache;
+
+/**
+ * @param {Promise} promise A promise
+ * @param {number} timeout The timeout (in milliseconds)
+ * @returns {Promise} The promise that is rejected if the given promise is not settled within the timeout
+ * @private
+ */
+function _withTimeout(promise, timeout) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`Geolocation lookup timed out after ${timeout}ms.`));
+      }, timeout);
+    }),
+  ]).then(
+    result => {
+      clearTimeout(timer);
+      return result;
+    },
+    error => {
+      clearTimeout(timer);
+      throw error;
+    }
+  );
+}
+
+/**
+ * @returns {string[]} The language tags of the browser, in the order of preference
+ * @private
+ */
+function _getLanguageTags() {
+  const { navigator } = root;
+  const tags = [...(navigator?.languages || []), navigator?.language];
+  try {
+    tags.push(Intl.DateTimeFormat().resolvedOptions().locale);
+  } catch (error) {} // eslint-disable-line no-empty
+  return tags.filter(Boolean);
+}
+
+/**
+ * @returns {string} The language code of the browser, e.g. `en` for `en-US`
+ * @private
+ */
+function _getBrowserLanguageCode() {
+  const [tag] = _getLanguageTags();
+  return tag && tag.split('-')[0].toLowerCase();
+}
+
+/**
+ * Infers the country from the regions in the language tags of the browser.
  *
+ * @returns {object} The country code and the language code, or `undefined` if no language tags have a region
+ * @private
  */
-async function geolocation() {
-  const location = await axios
-    .get(_endpoint, {
+function _inferFromLanguage() {
+  const tags = _getLanguageTags();
+  for (let i = 0; i < tags.length; i++) {
+    const match = _languageTagRegex.exec(tags[i]);
+    if (match) {
+      return { cc: match[2].toLowerCase(), lc: match[1].toLowerCase() };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * @param {Function} resolver The resolver
+ * @param {number} timeout The timeout (in milliseconds)
+ * @returns {object} The country code and the language code from the resolver, or `undefined` if it fails
+ * @private
+ */
+async function _fromResolver(resolver, timeout) {
+  try {
+    const result = await _withTimeout(Promise.resolve(resolver()), timeout);
+    return typeof result === 'string' ? { cc: result } : result;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * @param {string} endpoint The geolocation endpoint
+ * @param {number} timeout The timeout (in milliseconds)
+ * @returns {object} The country code from the endpoint, or `undefined` if the call fails
+ * @private
+ */
+async function _fromEndpoint(endpoint, timeout) {
+  try {
+    const { data } = await axios.get(endpoint, {
       headers: {
         'Content-Type': 'application/json; charset=utf-8',
       },
-    })
-    .then(response => response.data);
+      timeout,
+    });
+    return data?.country ? { cc: data.country } : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Sets the resolver that takes precedence over the other sources of the geolocation,
+ * e.g. one reading the country from the page rendered by an edge server.
+ *
+ * @param {Function} resolver The function returning (a promise of) the country code,
+ *   or an object with `cc`, `lc` and `confidence`. `undefined` to remove the resolver.
+ *
+ * @example
+ * import { setGeolocationResolver } from '@carbon/ibmdotcom-utilities';
+ *
+ * setGeolocationResolver(() => document.documentElement.dataset.country);
+ */
+export function setGeolocationResolver(resolver) {
+  _resolver = resolver;
+}
 
-  const cc = location && location.country;
+/**
+ * Clears the geolocation resolved in this page.
+ */
+export function clearGeolocationCache() {
+  _cache = undefined;
+}
 
-  return cc;
+/**
+ * Utility to retrieve user's location, trying the following sources in order:
+ *
+ * 1. The injected resolver (`high` confidence unless the resolver tells otherwise)
+ * 2. The location resolved before in this page, or the one in the `ipcInfo` cookie (`high` confidence)
+ * 3. The geolocation endpoint, based on the IP address (`medium` confidence)
+ * 4. The region of the browser language, e.g. `US` in `en-US` (`low` confidence)
+ *
+ * Each network lookup gives up after the timeout, so a blocked endpoint falls back to the next source.
+ *
+ * @example
+ * import { resolveGeolocation } from '@carbon/ibmdotcom-utilities';
+ *
+ * const { cc, lc, source, confidence } = await resolveGeolocation();
+ *
+ * @param {object} [options={}] The options
+ * @param {string} [options.endpoint] The geolocation endpoint, overriding the one from the environment variable
+ * @param {Function} [options.resolver] The resolver, overriding the one set by `setGeolocationResolver()`
+ * @param {number} [options.timeout=3000] The timeout (in milliseconds) of the resolver and of the endpoint
+ * @param {boolean} [options.persist=true] `true` to write the location from the resolver or the endpoint
+ *   to the `ipcInfo` cookie
+ * @returns {Promise<object>} The country code (`cc`), the language code (`lc`),
+ *   the source (`resolver`, `cache`, `endpoint` or `language`) and the confidence (`high`, `medium` or `low`),
+ *   or `undefined` if no sources have the location
+ */
+export async function resolveGeolocation({
+  endpoint = _endpoint,
+  resolver = _resolver,
+  timeout = _timeoutDefault,
+  persist = true,
+} = {}) {
+  let location;
+  const fromResolver = resolver && (await _fromResolver(resolver, timeout));
+  if (fromResolver?.cc) {
+    location = {
+      source: 'resolver',
+      confidence: 'high',
+      ...fromResolver,
+    };
+  } else if (_cache) {
+    return _cache;
+  } else {
+    const cookie = ipcinfoCookie.get();
+    if (cookie?.cc) {
+      location = { ...cookie, source: 'cache', confidence: 'high' };
+    } else {
+      const fromEndpoint = await _fromEndpoint(endpoint, timeout);
+      if (fromEndpoint) {
+        location = {
+          ...fromEndpoint,
+          source: 'endpoint',
+          confidence: 'medium',
+        };
+      } else {
+        const fromLanguage = _inferFromLanguage();
+        if (!fromLanguage) {
+          return undefined;
+        }
+        location = { ...fromLanguage, source: 'language', confidence: 'low' };
+      }
+    }
+  }
+
+  if (!location.lc) {
+    location.lc = _getBrowserLanguageCode();
+  }
+  if (
+    persist &&
+    location.lc &&
+    (location.source === 'resolver' || location.source === 'endpoint')
+  ) {
+    ipcinfoCookie.set({ cc: location.cc, lc: location.lc });
+  }
+  _cache = location;
+  return location;
+}
+
+/**
+ * Utility to retrieve user's country code, see `resolveGeolocation()` for the sources
+ *
+ * @example
+ * import { geolocation } from '@carbon/ibmdotcom-utilities';
+ *
+ * const locationInfo = await geolocation();
+ *
+ * @param {string} [endpoint] The geolocation endpoint, overriding the one from the environment variable
+ * @param {object} [options] The other options of `resolveGeolocation()`
+ * @returns {string} country cc (cc)
+ *
+ */
+async function geolocation(endpoint = _endpoint, options) {
+  const location = await resolveGeolocation({ ...options, endpoint });
+  return location?.cc;
 }
 
 export default geolocation;
@@ -1,8 +1,13 @@
 /**
- * Copyright IBM Corp. 2016, 2018
+ * Copyright IBM Corp. 2016, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
-export { default as geolocation } from './geolocation';
+export {
+  default as geolocation,
+  clearGeolocationCache,
+  resolveGeolocation,
+  setGeolocationResolver,
+} from './geolocation';
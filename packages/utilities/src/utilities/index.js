@@ -1,5 +1,5 @@
 /**
- * Copyright IBM Corp. 2016, 2021
+ * Copyright IBM Corp. 2016, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -9,15 +9,18 @@ export * from './altlangs';
 export * from './calculateTotalWidth';
 export * from './decodeString';
 export * from './deprecate';
+export * from './equalHeight';
 export * from './escaperegexp';
 export * from './featureflag';
 export * from './formatVideoCaption';
 export * from './geolocation';
 export * from './ipcinfoCookie';
 export * from './loadNonLatinPlex';
+export * from './loadPlex';
 export * from './markdownToHtml';
 export * from './removeHtmlTagEntities';
 export * from './sameHeight';
+export * from './scrollAnimations';
 export * from './serialize';
 export * from './settings';
 export * from './smoothScroll';
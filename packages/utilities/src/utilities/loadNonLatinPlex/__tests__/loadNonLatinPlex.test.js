@@ -123,3 +123,22 @@ describe('Load plex utility | English', () => {
     expect(family).toBe('');
   });
 });
+
+describe('Load plex utility | Failure', () => {
+  beforeEach(() => {
+    window.FontFace = jest.fn();
+    document.fonts = { add: jest.fn(), ready: Promise.resolve() };
+    window.fetch = jest.fn(() => Promise.resolve({ ok: false }));
+  });
+
+  afterEach(() => {
+    delete window.FontFace;
+    delete document.fonts;
+    delete window.fetch;
+  });
+
+  it('should resolve with no font faces if the fonts fail to load', async () => {
+    expect(await loadNonLatinPlex('th')).toEqual([]);
+    expect(document.fonts.add).not.toHaveBeenCalled();
+  });
+});
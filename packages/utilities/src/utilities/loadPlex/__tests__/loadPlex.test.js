@@ -0,0 +1,156 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Mock of `FontFace`
+ *
+ * @private
+ */
+class MockFontFace {
+  constructor(family, source, descriptors) {
+    this.family = family;
+    this.source = source;
+    Object.assign(this, descriptors);
+    this.load = jest.fn(() => Promise.resolve(this));
+  }
+}
+
+/**
+ * @param {string} name The font file name prefix
+ * @returns {string} The mock of the CSS entry point in the CDN, with the regular and the semibold weights
+ * @private
+ */
+function createCSS(name) {
+  return ['Regular', 'SemiBold']
+    .map(
+      (weight, i) => `
+@font-face {
+  font-family: 'Mock';
+  font-style: normal;
+  font-weight: ${i === 0 ? 400 : 600};
+  src: url('fonts/${name}-${weight}.woff2') format('woff2'), url("fonts/${name}-${weight}.woff") format('woff');
+}`
+    )
+    .join('\n');
+}
+
+describe('Load plex utility with CSS Font Loading API', () => {
+  let loadPlex;
+  let registerPlexScript;
+
+  beforeEach(() => {
+    window.FontFace = MockFontFace;
+    document.fonts = {
+      add: jest.fn(),
+      ready: Promise.resolve(),
+    };
+    window.fetch = jest.fn(url =>
+      Promise.resolve({
+        ok: true,
+        text: () =>
+          Promise.resolve(createCSS(url.replace(/^.*\/(.*)\.css$/, '$1'))),
+      })
+    );
+    jest.isolateModules(() => {
+      ({ loadPlex, registerPlexScript } = require('../'));
+    });
+  });
+
+  afterEach(() => {
+    delete window.FontFace;
+    delete document.fonts;
+    delete window.fetch;
+    document.head.innerHTML = '';
+    document.body.style.fontFamily = '';
+  });
+
+  it('should add the font faces of the script selected from the language', async () => {
+    await loadPlex({ language: 'he' });
+    const fontFaces = document.fonts.add.mock.calls.map(
+      ([fontFace]) => fontFace
+    );
+    expect(window.fetch).toHaveBeenCalledWith(
+      'https://1.www.s81c.com/common/carbon/plex/sans-hebrew.css'
+    );
+    expect(fontFaces.length).toBe(2);
+    expect(fontFaces[0]).toMatchObject({
+      family: 'IBM Plex Sans',
+      source:
+        "url(https://1.www.s81c.com/common/carbon/plex/fonts/sans-hebrew-Regular.woff2) format('woff2'), url(https://1.www.s81c.com/common/carbon/plex/fonts/sans-hebrew-Regular.woff) format('woff')",
+      weight: '400',
+      style: 'normal',
+      display: 'swap',
+      unicodeRange: 'U+0590-05FF, U+FB1D-FB4F',
+    });
+    expect(
+      fontFaces.some(fontFace => fontFace.load.mock.calls.length > 0)
+    ).toBe(false);
+    expect(document.body.style.fontFamily).toBe('');
+  });
+
+  it('should load the given weights only once', async () => {
+    const options = {
+      scripts: ['thai'],
+      weights: [600],
+      display: 'optional',
+    };
+    const loaded = await loadPlex(options);
+    await loadPlex(options);
+    expect(loaded.length).toBe(1);
+    expect(loaded[0]).toMatchObject({ weight: '600', display: 'optional' });
+    expect(loaded[0].load).toHaveBeenCalledTimes(2);
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+    expect(document.fonts.add).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep the unicode range in the CSS entry point', async () => {
+    window.fetch.mockImplementationOnce(() =>
+      Promise.resolve({
+        ok: true,
+        text: () =>
+          Promise.resolve(
+            "@font-face { font-family: 'Mock'; src: url('fonts/sans-jp-Regular.woff2') format('woff2'); unicode-range: U+3000-303F; }"
+          ),
+      })
+    );
+    await loadPlex({ language: 'ja' });
+    expect(document.fonts.add.mock.calls[0][0]).toMatchObject({
+      source:
+        "url(https://1.www.s81c.com/common/carbon/plex/fonts/sans-jp-Regular.woff2) format('woff2')",
+      unicodeRange: 'U+3000-303F',
+    });
+  });
+
+  it('should support registering a script', async () => {
+    registerPlexScript('tamil', {
+      entry: 'sans-tamil',
+      family: 'IBM Plex Sans Tamil',
+      languages: ['ta'],
+      unicodeRange: 'U+0B80-0BFF',
+    });
+    await loadPlex({ language: 'ta-IN', unicodeRange: 'U+0B82' });
+    expect(document.fonts.add.mock.calls[0][0]).toMatchObject({
+      unicodeRange: 'U+0B82',
+    });
+  });
+
+  it('should reject if the CSS entry point fails to load, and retry upon the next call', async () => {
+    window.fetch.mockImplementationOnce(() => Promise.resolve({ ok: false }));
+    await expect(loadPlex({ language: 'ko' })).rejects.toThrow(
+      'https://1.www.s81c.com/common/carbon/plex/sans-kr.css'
+    );
+    expect(document.fonts.add).not.toHaveBeenCalled();
+    await loadPlex({ language: 'ko' });
+    expect(window.fetch).toHaveBeenCalledTimes(2);
+    expect(document.fonts.add).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not load anything for Latin languages', async () => {
+    expect(await loadPlex({ language: 'en' })).toEqual([]);
+    expect(document.fonts.add).not.toHaveBeenCalled();
+  });
+});
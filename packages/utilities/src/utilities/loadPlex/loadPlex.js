@@ -0,0 +1,366 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import root from 'window-or-global';
+
+/**
+ * CDN host for plex fonts
+ *
+ * @type {string}
+ * @private
+ */
+const _host = 'https://1.www.s81c.com/common/carbon/plex';
+
+/**
+ * Plex font-weights and corresponding names
+ *
+ * @type {object}
+ * @private
+ */
+const _weights = {
+  100: 'thin',
+  200: 'extralight',
+  300: 'light',
+  400: 'regular',
+  450: 'text',
+  500: 'medium',
+  600: 'semibold',
+  700: 'bold',
+};
+
+/**
+ * Plex scripts, keyed by the script name, with:
+ *
+ * - `entry`: The file name of the CSS entry point in the CDN, where the font files are taken from
+ * - `family`: The font-family name defined in the CSS entry point
+ * - `languages`: Two-character language codes using the script
+ * - `unicodeRange`: The characters in the script, so the browser downloads the font only if the page uses them
+ *
+ * @type {object}
+ * @private
+ */
+const _scripts = {
+  arabic: {
+    entry: 'sans-arabic',
+    family: 'IBM Plex Sans Arabic',
+    languages: ['ar', 'fa', 'ur'],
+    unicodeRange:
+      'U+0600-06FF, U+0750-077F, U+08A0-08FF, U+FB50-FDFF, U+FE70-FEFF',
+  },
+  devanagari: {
+    entry: 'sans-devanagari',
+    family: 'IBM Plex Sans Devanagari',
+    languages: ['hi', 'mr', 'ne'],
+    unicodeRange: 'U+0900-097F, U+1CD0-1CFF, U+A8E0-A8FF',
+  },
+  hebrew: {
+    entry: 'sans-hebrew',
+    family: 'IBM Plex Sans Hebrew',
+    languages: ['he', 'iw'],
+    unicodeRange: 'U+0590-05FF, U+FB1D-FB4F',
+  },
+  jp: {
+    entry: 'sans-jp',
+    family: 'IBM Plex Sans JP',
+    languages: ['ja'],
+    unicodeRange:
+      'U+3000-30FF, U+3400-4DBF, U+4E00-9FFF, U+F900-FAFF, U+FF00-FFEF',
+  },
+  kr: {
+    entry: 'sans-kr',
+    family: 'IBM Plex Sans KR',
+    languages: ['ko'],
+    unicodeRange: 'U+1100-11FF, U+3130-318F, U+AC00-D7AF',
+  },
+  thai: {
+    entry: 'sans-thai',
+    family: 'IBM Plex Sans Thai',
+    languages: ['th'],
+    unicodeRange: 'U+0E00-0E7F',
+  },
+};
+
+/**
+ * The promises of the font faces added to the page, keyed by the CDN host, the script, the family and the unicode range
+ *
+ * @type {Map<string, Promise<FontFace[]>>}
+ * @private
+ */
+const _added = new Map();
+
+/**
+ * The regular expression for the `@font-face` rules in a style sheet
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _fontFaceRuleRegex = /@font-face\s*{([^}]*)}/g;
+
+/**
+ * The regular expression for the descriptors in a `@font-face` rule
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _descriptorRegex = /([\w-]+)\s*:\s*([^;]+)/g;
+
+/**
+ * The regular expression for the URLs in the `src` descriptor
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _urlRegex = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+/**
+ * @returns {boolean} `true` if the browser supports CSS Font Loading API
+ * @private
+ */
+function _supportsFontLoading() {
+  return (
+    typeof root.FontFace !== 'undefined' &&
+    typeof root.document?.fonts !== 'undefined'
+  );
+}
+
+/**
+ * @param {object} options The options
+ * @param {string} [options.language] two-character language code
+ * @param {string[]} [options.scripts] The script names
+ * @returns {string[]} The names of the registered scripts to load
+ * @private
+ */
+function _selectScripts({ language, scripts = [] }) {
+  const lc = language?.toLowerCase().split('-')[0];
+  const names = Object.keys(_scripts).filter(name =>
+    _scripts[name].languages.includes(lc)
+  );
+  return Array.from(new Set([...scripts, ...names])).filter(
+    name => _scripts[name]
+  );
+}
+
+/**
+ * Parses the `@font-face` rules in the given style sheet, with the URLs resolved against the style sheet's
+ *
+ * @param {string} css The content of the style sheet
+ * @param {string} baseUrl The URL of the style sheet
+ * @returns {object[]} The `src`, `weight`, `style` and `unicodeRange` descriptors of each rule
+ * @private
+ */
+function _parseFontFaces(css, baseUrl) {
+  const rules = [];
+  css.replace(_fontFaceRuleRegex, (rule, body) => {
+    const descriptors = {};
+    body.replace(_descriptorRegex, (descriptor, name, value) => {
+      descriptors[name.toLowerCase()] = value.trim();
+    });
+    const src = descriptors.src?.replace(
+      _urlRegex,
+      (source, quote, url) => `url(${new URL(url, baseUrl).href})`
+    );
+    if (src) {
+      rules.push({
+        src,
+        weight: descriptors['font-weight'] || '400',
+        style: descriptors['font-style'] || 'normal',
+        unicodeRange: descriptors['unicode-range'],
+      });
+    }
+  });
+  return rules;
+}
+
+/**
+ * Injects a link to the page
+ *
+ * @param {object} attributes The attributes of the link
+ * @private
+ */
+function _injectLink(attributes) {
+  const { document: doc } = root;
+  if (!doc.head.querySelector(`link[href="${attributes.href}"]`)) {
+    const link = doc.createElement('link');
+    Object.keys(attributes).forEach(name => {
+      link.setAttribute(name, attributes[name]);
+    });
+    doc.head.appendChild(link);
+  }
+}
+
+/**
+ * Injects the corresponding CSS entry point to the page, for browsers without CSS Font Loading API
+ *
+ * @param {string} host The CDN host
+ * @param {string} script The script name
+ * @param {number[]} weights The specific weights to load, all weights if empty
+ * @private
+ */
+function _injectCSS(host, script, weights) {
+  const { entry } = _scripts[script];
+  const files =
+    weights.length === 0
+      ? [entry]
+      : weights.map(weight => `${entry}-${_weights[weight]}`);
+  files.forEach(file => {
+    _injectLink({
+      href: `${host}/${file}.css`,
+      type: 'text/css',
+      rel: 'stylesheet',
+      media: 'screen,print',
+    });
+  });
+}
+
+/**
+ * Adds the font faces of the given script to the page, with the font files the CSS entry point of the script uses
+ *
+ * @param {string} script The script name
+ * @param {object} options The options
+ * @param {string} options.family The font-family to add the font faces to
+ * @param {string} options.display The `font-display` descriptor
+ * @param {string} options.host The CDN host
+ * @param {string} [options.unicodeRange] The `unicode-range` descriptor,
+ *   overriding the one in the CSS entry point, or the script's if the CSS entry point doesn't have one
+ * @returns {Promise<FontFace[]>} The font faces
+ * @private
+ */
+async function _addFontFaces(script, { family, display, host, unicodeRange }) {
+  const url = `${host}/${_scripts[script].entry}.css`;
+  const response = await root.fetch(url);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to load the CSS entry point of Plex ${script}: ${url}`
+    );
+  }
+  return _parseFontFaces(await response.text(), url).map(
+    ({ src, weight, style, unicodeRange: unicodeRangeInCSS }) => {
+      const fontFace = new root.FontFace(family, src, {
+        weight,
+        style,
+        display,
+        unicodeRange:
+          unicodeRange || unicodeRangeInCSS || _scripts[script].unicodeRange,
+      });
+      root.document.fonts.add(fontFace);
+      return fontFace;
+    }
+  );
+}
+
+/**
+ * Registers a Plex script, or overrides a built-in one
+ *
+ * @example
+ * import { registerPlexScript } from '@carbon/ibmdotcom-utilities';
+ *
+ * registerPlexScript('tamil', {
+ *   entry: 'sans-tamil',
+ *   family: 'IBM Plex Sans Tamil',
+ *   languages: ['ta'],
+ *   unicodeRange: 'U+0B80-0BFF',
+ * });
+ *
+ * @param {string} name The script name
+ * @param {object} definition The script definition
+ * @param {string} definition.entry The file name of the CSS entry point in the CDN, where the font files are taken from
+ * @param {string} definition.family The font-family name defined in the CSS entry point
+ * @param {string[]} [definition.languages] Two-character language codes using the script
+ * @param {string} [definition.unicodeRange] The characters in the script
+ */
+function registerPlexScript(name, definition) {
+  _scripts[name] = { languages: [], ...definition };
+}
+
+/**
+ * Utility to load the Plex fonts for non-Latin scripts, with CSS Font Loading API.
+ *
+ * The font faces are taken from the CSS entry point of the script in the CDN (e.g. `sans-arabic.css`),
+ * and are added to the `IBM Plex Sans` font-family by default, limited to the characters in the script,
+ * so the page keeps its font-family and the browser downloads a font file only if the page uses the script.
+ * Browsers without CSS Font Loading API get the CSS entry points, with the font-family of the page set to the script's.
+ *
+ * @example
+ * import { loadPlex } from '@carbon/ibmdotcom-utilities';
+ *
+ * // Selects the script from the language
+ * await loadPlex({ language: 'ar' });
+ *
+ * // Loads specific weights right away
+ * loadPlex({ scripts: ['hebrew', 'thai'], weights: [400, 600] });
+ *
+ * @param {object} [options] The options
+ * @param {string} [options.language] two-character language code, e.g. from `LocaleAPI.getLang()`
+ * @param {string[]} [options.scripts] The script names, e.g. `arabic`, `devanagari`, `hebrew`, `jp`, `kr` and `thai`
+ * @param {number[]} [options.weights=[]] The weights (100-700) to load right away, all weights on demand if empty
+ * @param {string} [options.display=swap] The `font-display` descriptor
+ * @param {string} [options.unicodeRange] The `unicode-range` descriptor, overriding the script's
+ * @param {string} [options.family=IBM Plex Sans] The font-family to add the font faces to
+ * @param {string} [options.host] The CDN host
+ * @returns {Promise<FontFace[]>} The promise resolved with the loaded font faces, when the fonts are ready,
+ *   or rejected if the CSS entry point of a script fails to load
+ */
+async function loadPlex({
+  language,
+  scripts,
+  weights = [],
+  display = 'swap',
+  unicodeRange,
+  family = 'IBM Plex Sans',
+  host = _host,
+} = {}) {
+  const selected = _selectScripts({ language, scripts });
+  if (selected.length === 0) {
+    return [];
+  }
+
+  if (!_supportsFontLoading()) {
+    selected.forEach(script => {
+      _injectCSS(host, script, weights);
+    });
+    root.document.body.style.fontFamily = `${
+      _scripts[selected[0]].family
+    },IBM Plex Sans,Helvetica Neue,Arial,sans-serif`;
+    return [];
+  }
+
+  const added = await Promise.all(
+    selected.map(script => {
+      const id = `${host}:${script}:${family}:${unicodeRange || ''}`;
+      if (!_added.has(id)) {
+        const promise = _addFontFaces(script, {
+          family,
+          display,
+          host,
+          unicodeRange,
+        });
+        _added.set(id, promise);
+        // Lets the next call retry
+        promise.catch(() => {
+          _added.delete(id);
+        });
+      }
+      return _added.get(id);
+    })
+  );
+
+  const loading = [];
+  added.forEach(fontFaces => {
+    fontFaces
+      .filter(({ weight }) => weights.includes(Number(weight)))
+      .forEach(fontFace => {
+        loading.push(fontFace.load());
+      });
+  });
+
+  const loaded = await Promise.all(loading);
+  await root.document.fonts.ready;
+  return loaded;
+}
+
+export { registerPlexScript };
+export default loadPlex;
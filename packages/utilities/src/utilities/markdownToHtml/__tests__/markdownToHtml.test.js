@@ -1,11 +1,13 @@
 /**
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
-import { markdownToHtml } from '../';
+import { createMarkdownRenderer, markdownToHtml } from '../';
+import DOMPurify from 'isomorphic-dompurify';
+import { marked } from 'marked';
 import settings from 'carbon-components/es/globals/js/settings';
 
 const { prefix } = settings;
@@ -48,4 +50,121 @@ describe('Markdown converter utility', () => {
     const expected = `<ul class="${prefix}--list--unordered"><li class="${prefix}--list__item">list item 1</li><li class="${prefix}--list__item">list item 2</li><li class="${prefix}--list__item">list item 3</li></ul>`;
     expect(output).toBe(expected);
   });
+
+  it('returns the converted string with a table', () => {
+    const output = markdownToHtml('| Foo | Bar |\n| --- | --- |\n| 1 | 2 |');
+    expect(output).toContain(`<table class="${prefix}--data-table">`);
+    expect(output).toContain('<th>Foo</th>');
+    expect(output).toContain('<td>2</td>');
+  });
+
+  it('returns the converted string with heading anchors', () => {
+    const output = createMarkdownRenderer({ headingAnchors: true })(
+      '## Heading foo'
+    );
+    expect(output.trim()).toBe(
+      `<h2 class="${prefix}--type-expressive-heading-05" id="heading-foo"><a href="#heading-foo" class="${prefix}--link">Heading foo</a></h2>`
+    );
+  });
+
+  it('returns the converted string with footnotes', () => {
+    const output = markdownToHtml(
+      'Foo[^note] and bar[^missing].\n\n[^note]: The *note*.'
+    );
+    expect(output).toContain(
+      `<sup class="dds--footnote-ref"><a id="fnref-note" href="#fn-note" class="${prefix}--link">1</a></sup>`
+    );
+    expect(output).toContain('bar[^missing]');
+    expect(output).toContain(
+      `<section class="dds--footnotes"><ol class="${prefix}--list--ordered"><li class="${prefix}--list__item"><span id="fn-note">The <em>note</em>.</span>`
+    );
+  });
+
+  it('keeps the default markup of the headings without heading anchors', () => {
+    expect(markdownToHtml('## Heading foo').trim()).toBe(
+      '<h2 id="heading-foo">Heading foo</h2>'
+    );
+  });
+
+  it('leaves the footnotes in code blocks and code spans as-is', () => {
+    const output = markdownToHtml(
+      'Foo[^note] and `[^note]`.\n\n```\n[^note]: Code\n```\n\n[^note]: The note.'
+    );
+    expect(output).toContain('<code>[^note]</code>');
+    expect(output).toContain('[^note]: Code');
+    expect(output).toContain('<span id="fn-note">The note.</span>');
+  });
+
+  it('is not affected by the global options of marked and DOMPurify', () => {
+    marked.setOptions({ breaks: true, headerPrefix: 'global-' });
+    DOMPurify.addHook('uponSanitizeAttribute', (node, data) => {
+      data.keepAttr = false;
+    });
+    try {
+      const output = createMarkdownRenderer({ headingAnchors: true })(
+        '## Foo\nbar\nbaz'
+      );
+      expect(output).toContain('id="foo"');
+      expect(output).not.toContain('<br>');
+    } finally {
+      DOMPurify.removeHook('uponSanitizeAttribute');
+      marked.setOptions(marked.getDefaults());
+    }
+  });
+
+  it('keeps the custom elements in the allow-list', () => {
+    const render = createMarkdownRenderer({
+      customElements: { 'dds-video-player': ['video-id'] },
+    });
+    const output = render(
+      '<dds-video-player video-id="0_foo"></dds-video-player><foo-bar></foo-bar><script>alert(1)</script>'
+    );
+    expect(output).toContain(
+      '<dds-video-player video-id="0_foo"></dds-video-player>'
+    );
+    expect(output).not.toContain('foo-bar');
+    expect(output).not.toContain('script');
+  });
+
+  it('keeps only the allowed attributes of the custom elements', () => {
+    const render = createMarkdownRenderer({
+      customElements: {
+        'dds-link-with-icon': ['href', 'onclick', 'cta-href'],
+      },
+    });
+    const output = render(
+      '<dds-link-with-icon onclick="alert(1)" href="javascript:alert(2)" cta-href=" javascript:alert(3)" target="_blank">Foo</dds-link-with-icon>'
+    );
+    expect(output).toContain('<dds-link-with-icon>Foo</dds-link-with-icon>');
+    const safeOutput = render(
+      '<dds-link-with-icon href="https://www.ibm.com" cta-href="/foo">Foo</dds-link-with-icon>'
+    );
+    expect(safeOutput).toContain('href="https://www.ibm.com"');
+    expect(safeOutput).toContain('cta-href="/foo"');
+  });
+
+  it('removes the custom elements unless they are allowed', () => {
+    const output = markdownToHtml(
+      '<dds-video-player video-id="0_foo"></dds-video-player>',
+      { allowHtml: true }
+    );
+    expect(output).not.toContain('dds-video-player');
+  });
+
+  it('isolates the options of the renderers', () => {
+    const render = createMarkdownRenderer({
+      renderer: {
+        link(href, title, text) {
+          return `<foo-link href="${href}">${text}</foo-link>`;
+        },
+      },
+      customTags: new Set(['foo-link']),
+    });
+    expect(render('[Foo](https://www.ibm.com)')).toContain(
+      '<foo-link href="https://www.ibm.com">Foo</foo-link>'
+    );
+    expect(markdownToHtml('[Foo](https://www.ibm.com)')).toContain(
+      `<a href="https://www.ibm.com" class="${prefix}--link ${prefix}--link--lg">Foo</a>`
+    );
+  });
 });
@@ -1,8 +1,11 @@
 /**
- * Copyright IBM Corp. 2016, 2018
+ * Copyright IBM Corp. 2016, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
-export { default as markdownToHtml } from './markdownToHtml';
+export {
+  default as markdownToHtml,
+  createMarkdownRenderer,
+} from './markdownToHtml';
@@ -5,14 +5,97 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import ddsSettings from '../settings/settings';
 import DOMPurify from 'isomorphic-dompurify';
 import { marked } from 'marked';
+import root from 'window-or-global';
 import settings from 'carbon-components/es/globals/js/settings';
 import striptags from 'striptags';
 
 const { prefix } = settings;
+const { stablePrefix: ddsPrefix } = ddsSettings;
 const _cleanStringRegex = /\n|\s{2,}|&;/g;
 
+/**
+ * The regular expression for footnote definitions, e.g. `[^1]: Footnote text`
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _footnoteDefinitionRegex = /^\[\^([^\]\s]+)\]:[ \t]*(.*)$/gm;
+
+/**
+ * The regular expression for footnote references, e.g. `[^1]`
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _footnoteReferenceRegex = /\[\^([^\]\s]+)\]/g;
+
+/**
+ * The regular expression for the opening and closing lines of fenced code blocks, e.g. ` ``` `
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _codeFenceRegex = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+
+/**
+ * The regular expression for code spans, e.g. `` `[^1]` ``
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _codeSpanRegex = /(`+)[\s\S]*?[^`]\1(?!`)/g;
+
+/**
+ * The regular expression for the placeholders of code blocks and code spans
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _codePlaceholderRegex = /\uE000(\d+)\uE000/g;
+
+/**
+ * The regular expression for the tag names of custom elements in HTML
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _customElementTagRegex = /<\/?([a-z][a-z0-9]*-[a-z0-9-]*)/gi;
+
+/**
+ * The regular expression for the names of event handler attributes, e.g. `onclick`
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _eventHandlerAttributeRegex = /^on/i;
+
+/**
+ * The regular expression for the names of attributes taking a URI, e.g. `href`, `src` or `cta-href`
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _uriAttributeRegex = /(?:^|-)(?:href|src|url)$/i;
+
+/**
+ * The regular expression for the URIs that are safe to embed, matching the one of DOMPurify
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _safeUriRegex = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+/**
+ * The regular expression for the characters browsers ignore in URIs
+ *
+ * @type {RegExp}
+ * @private
+ */
+const _uriWhitespaceRegex = /[\u0000-\u0020\u00A0\u1680\u180E\u2000-\u2029\u205F\u3000]/g; // eslint-disable-line no-control-regex
+
 /**
  * Cleans string by replacing multiple spaces with a single space
  * and removing single new lines.
@@ -24,31 +107,86 @@ const _cleanStringRegex = /\n|\s{2,}|&;/g;
 const _cleanString = str => str.replace(_cleanStringRegex, ' ');
 
 /**
- * Converts markdown syntaxes into html
+ * @param {object} customElements The allow-list of custom elements
+ * @param {string} tagName A tag name
+ * @returns {boolean} `true` if the given tag name is in the allow-list
+ * @private
+ */
+const _isAllowed = (customElements, tagName) =>
+  Boolean(customElements) &&
+  Object.prototype.hasOwnProperty.call(customElements, tagName);
+
+/**
+ * Creates the DOMPurify hook that keeps only the attributes in the allow-list of the custom elements.
  *
- * @param {string} str String to convert to html
- * @param {object} [options={}] Object with options for the conversion
- * @param {boolean} [options.allowHtml=false] Defines if should allow or remove html tags
- * @param {object} [options.renderer] Custom renderers
- * @param {Set<string>} [options.customTags] List of custom element tags the `renderer` uses.
- * @returns {string} String converted to html
- * @example
- * import { markdownToHtml } from '@carbon/ibmdotcom-utilities';
+ * @param {object} customElements The allow-list of custom elements, with the allowed attribute names keyed by the tag name
+ * @returns {Function} The DOMPurify hook for `uponSanitizeAttribute`
+ * @private
+ */
+function _createAttributeFilter(customElements) {
+  return (node, data) => {
+    const tagName = node.nodeName.toLowerCase();
+    if (!_isAllowed(customElements, tagName)) {
+      return;
+    }
+    const { attrName, attrValue } = data;
+    if (
+      !customElements[tagName].includes(attrName) ||
+      _eventHandlerAttributeRegex.test(attrName) ||
+      (_uriAttributeRegex.test(attrName) &&
+        !_safeUriRegex.test(attrValue.replace(_uriWhitespaceRegex, '')))
+    ) {
+      data.keepAttr = false;
+    }
+  };
+}
+
+/**
+ * Creates the function sanitizing HTML with the given DOMPurify hook for `uponSanitizeAttribute`,
+ * with its own DOMPurify instance, so the hook doesn't affect other renderers.
  *
- * markdownToHtml('Lorem *ipsum* dolor __sit__.')
- * // 'Lorem <em class="bx--type-light">ipsum</em> dolor <strong class="bx--type-semibold">sit</strong>.'
+ * @param {Function} hook The DOMPurify hook
+ * @returns {Function} The function sanitizing HTML with DOMPurify options
+ * @private
  */
-function markdownToHtml(
-  str,
-  { allowHtml = false, renderer = {}, customTags } = {}
-) {
-  let converted = allowHtml ? str : striptags(str);
-
-  /**
-   * Custom rendering options to add Carbon styles
-   *
-   */
-  const defaultRenderer = {
+function _createSanitizer(hook) {
+  if (root.document) {
+    const purify = DOMPurify(root);
+    purify.addHook('uponSanitizeAttribute', hook);
+    return (html, options) => purify.sanitize(html, options);
+  }
+  // On server, `isomorphic-dompurify` gives the only instance bound to a window (its own),
+  // so the hook is added to it only while sanitizing, which is synchronous
+  return (html, options) => {
+    DOMPurify.addHook('uponSanitizeAttribute', hook);
+    try {
+      return DOMPurify.sanitize(html, options);
+    } finally {
+      DOMPurify.removeHook('uponSanitizeAttribute');
+    }
+  };
+}
+
+/**
+ * Creates the renderer with Carbon styles.
+ *
+ * @param {object} options Options object
+ * @param {boolean} options.headingAnchors `true` to render the headings as anchor links
+ * @returns {object} The renderer
+ * @private
+ */
+function _createDefaultRenderer({ headingAnchors }) {
+  const headingRenderer = !headingAnchors
+    ? {}
+    : {
+        heading(text, level, raw, slugger) {
+          const id = `${this.options.headerPrefix}${slugger.slug(raw)}`;
+          return `<h${level} id="${id}" class="${prefix}--type-expressive-heading-0${7 -
+            level}"><a class="${prefix}--link" href="#${id}">${text}</a></h${level}>`;
+        },
+      };
+  return {
+    ...headingRenderer,
     link(href, title, text) {
       const linkTitle = title ? `title="${title}"` : null;
       return `<a class="${prefix}--link ${prefix}--link--lg" href="${href}" ${linkTitle}>${text}</a>`;
@@ -64,31 +202,210 @@ function markdownToHtml(
     listitem(text) {
       return `<li class="${prefix}--list__item">${text}</li>`;
     },
+    table(header, body) {
+      return `<table class="${prefix}--data-table"><thead>${header}</thead>${
+        body ? `<tbody>${body}</tbody>` : ''
+      }</table>`;
+    },
   };
+}
 
-  marked.use({
-    smartypants: true,
-    renderer: Object.assign(defaultRenderer, renderer),
-  });
-
-  if (customTags) {
-    DOMPurify.addHook('uponSanitizeElement', function(
-      node,
-      { allowedTags, tagName }
-    ) {
-      if (customTags.has(tagName) && !allowedTags[tagName]) {
-        allowedTags[tagName] = true;
+/**
+ * Replaces the fenced code blocks and the code spans in the given markdown string with placeholders,
+ * so the markdown extensions (e.g. footnotes) don't apply to them.
+ *
+ * @param {string} str The markdown string
+ * @param {string[]} codes The array the original code blocks and code spans are put to
+ * @returns {string} The markdown string with the placeholders
+ * @private
+ */
+function _protectCode(str, codes) {
+  const placeholder = code => `\uE000${codes.push(code) - 1}\uE000`;
+  const lines = [];
+  let fence = null;
+  let block = [];
+  str.split('\n').forEach(line => {
+    const match = line.match(_codeFenceRegex);
+    if (fence) {
+      block.push(line);
+      if (
+        match &&
+        match[1][0] === fence[0] &&
+        match[1].length >= fence.length &&
+        !match[2].trim()
+      ) {
+        lines.push(placeholder(block.join('\n')));
+        fence = null;
       }
-    });
+    } else if (match) {
+      fence = match[1];
+      block = [line];
+    } else {
+      lines.push(line.replace(_codeSpanRegex, placeholder));
+    }
+  });
+  if (fence) {
+    // The code block not closed lasts until the end
+    lines.push(placeholder(block.join('\n')));
   }
+  return lines.join('\n');
+}
+
+/**
+ * Replaces the footnote references with links to the footnotes, and removes the footnote definitions.
+ * The ones in code blocks and code spans are left as-is.
+ *
+ * @param {string} str The markdown string
+ * @returns {{markdown: string, footnotes: Array<{id: string, text: string}>}} The markdown string without footnote definitions,
+ *   and the footnotes in the order of the first reference
+ * @private
+ */
+function _extractFootnotes(str) {
+  const codes = [];
+  const restoreCode = text =>
+    text.replace(_codePlaceholderRegex, (match, index) => codes[index]);
+  const definitions = {};
+  const markdown = _protectCode(str, codes).replace(
+    _footnoteDefinitionRegex,
+    (match, id, text) => {
+      definitions[id] = restoreCode(text);
+      return '';
+    }
+  );
+  const footnotes = [];
+  return {
+    markdown: restoreCode(
+      markdown.replace(_footnoteReferenceRegex, (match, id) => {
+        if (!(id in definitions)) {
+          return match;
+        }
+        let index = footnotes.findIndex(footnote => footnote.id === id);
+        if (index < 0) {
+          index = footnotes.push({ id, text: definitions[id] }) - 1;
+        }
+        return `<sup class="${ddsPrefix}--footnote-ref"><a class="${prefix}--link" href="#fn-${id}" id="fnref-${id}">${index +
+          1}</a></sup>`;
+      })
+    ),
+    footnotes,
+  };
+}
 
-  const convertedMarkdown = DOMPurify.sanitize(marked(converted));
+/**
+ * Creates a markdown renderer with its own options, that does not affect other renderers.
+ *
+ * @param {object} [options={}] Object with options for the conversion
+ * @param {boolean} [options.allowHtml=false] Defines if should allow or remove html tags
+ * @param {object} [options.renderer] Custom renderers
+ * @param {Set<string>} [options.customTags] List of custom element tags the `renderer` uses.
+ * @param {object} [options.customElements] Allow-list of custom elements the markdown string can embed,
+ *   with the allowed attribute names keyed by the tag name, e.g. `{ 'dds-video-player': ['video-id'] }`.
+ *   Their tags are kept even if `allowHtml` is `false`. Event handler attributes and unsafe URIs are always removed.
+ * @param {boolean} [options.headingAnchors=false] `true` to render the headings as anchor links to themselves,
+ *   with Carbon type styles
+ * @param {string} [options.headerPrefix=''] The prefix of the IDs of the headings
+ * @returns {Function} The function converting markdown string into html
+ * @example
+ * import { createMarkdownRenderer } from '@carbon/ibmdotcom-utilities';
+ *
+ * const render = createMarkdownRenderer({
+ *   customElements: { 'dds-video-player': ['video-id'] },
+ *   headingAnchors: true,
+ * });
+ * render('## Watch\n<dds-video-player video-id="0_ibuqxqbe"></dds-video-player>');
+ */
+export function createMarkdownRenderer({
+  allowHtml = false,
+  renderer = {},
+  customTags,
+  customElements,
+  headingAnchors = false,
+  headerPrefix = '',
+} = {}) {
+  const markedRenderer = Object.assign(
+    new marked.Renderer(),
+    _createDefaultRenderer({ headingAnchors }),
+    renderer
+  );
+  // A full set of the options, so the ones set globally by `marked.use()` or `marked.setOptions()` don't apply
+  const markedOptions = {
+    ...marked.getDefaults(),
+    gfm: true,
+    smartypants: true,
+    headerIds: true,
+    headerPrefix,
+    renderer: markedRenderer,
+  };
+  const isCustomElementAllowed = tagName =>
+    Boolean(customTags?.has(tagName)) || _isAllowed(customElements, tagName);
+  const allowedAttributeNames = new Set(
+    Object.values(customElements || {}).reduce(
+      (acc, names) => acc.concat(names),
+      []
+    )
+  );
+  const purifyOptions = {
+    ADD_TAGS: customTags ? Array.from(customTags) : [],
+    CUSTOM_ELEMENT_HANDLING: {
+      tagNameCheck: isCustomElementAllowed,
+      attributeNameCheck: name =>
+        allowedAttributeNames.has(name) &&
+        !_eventHandlerAttributeRegex.test(name),
+      allowCustomizedBuiltInElements: false,
+    },
+  };
+  const sanitize = _createSanitizer(_createAttributeFilter(customElements));
 
-  if (customTags) {
-    DOMPurify.removeHook('uponSanitizeElement');
-  }
+  return str => {
+    let converted = str;
+    if (!allowHtml) {
+      const allowedTags = (str.match(_customElementTagRegex) || [])
+        .map(tag => tag.replace(/^<\/?/, '').toLowerCase())
+        .filter(tagName => _isAllowed(customElements, tagName));
+      converted = striptags(str, allowedTags);
+    }
 
-  return _cleanString(convertedMarkdown);
+    const { markdown, footnotes } = _extractFootnotes(converted);
+    let html = marked(markdown, markedOptions);
+    if (footnotes.length > 0) {
+      const items = footnotes
+        .map(({ id, text }) =>
+          markedRenderer.listitem(
+            `<span id="fn-${id}">${marked.parseInline(
+              text,
+              markedOptions
+            )}</span> <a class="${prefix}--link" href="#fnref-${id}">&#8617;</a>`
+          )
+        )
+        .join('');
+      html += `<section class="${ddsPrefix}--footnotes">${markedRenderer.list(
+        items,
+        true,
+        1
+      )}</section>`;
+    }
+
+    return _cleanString(sanitize(html, purifyOptions));
+  };
+}
+
+/**
+ * Converts markdown syntaxes into html
+ *
+ * @param {string} str String to convert to html
+ * @param {object} [options={}] Object with options for the conversion, see `createMarkdownRenderer()`
+ * @param {boolean} [options.allowHtml=false] Defines if should allow or remove html tags
+ * @param {object} [options.renderer] Custom renderers
+ * @param {Set<string>} [options.customTags] List of custom element tags the `renderer` uses.
+ * @returns {string} String converted to html
+ * @example
+ * import { markdownToHtml } from '@carbon/ibmdotcom-utilities';
+ *
+ * markdownToHtml('Lorem *ipsum* dolor __sit__.')
+ * // 'Lorem <em class="bx--type-light">ipsum</em> dolor <strong class="bx--type-semibold">sit</strong>.'
+ */
+function markdownToHtml(str, options) {
+  return createMarkdownRenderer(options)(str);
 }
 
 export default markdownToHtml;
@@ -1,5 +1,5 @@
 /**
- * Copyright IBM Corp. 2016, 2021
+ * Copyright IBM Corp. 2016, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -23,6 +23,9 @@ import { baseFontSize, breakpoints } from '@carbon/layout';
  *   });
  * }, true);
  *
+ * For large collections, or for keeping several parts of the items at the same height, consider `equalHeight()`,
+ * which batches the DOM reads and writes and only reacts to the actual changes in the item widths.
+ *
  * @param {Array} elemCollection Html objects array
  * @param {string} minSize Minimum size for the utility to be activated, empty for small,
  *  md for medium, lg for large, xlg for xlarge, max for maximum
@@ -0,0 +1,213 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { registerScrollAnimationPreset, scrollAnimations } from '../';
+
+/**
+ * Mock of `IntersectionObserver`
+ *
+ * @private
+ */
+class MockIntersectionObserver {
+  static instances = [];
+
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = new Set();
+    MockIntersectionObserver.instances.push(this);
+  }
+
+  observe(target) {
+    this.targets.add(target);
+  }
+
+  unobserve(target) {
+    this.targets.delete(target);
+  }
+
+  disconnect() {
+    this.targets.clear();
+  }
+
+  run(records) {
+    this.callback(records.filter(({ target }) => this.targets.has(target)));
+  }
+}
+
+/**
+ * @param {boolean} reducedMotion `true` if the user prefers reduced motion
+ * @returns {Function} The mock of `matchMedia()`
+ */
+const createMatchMedia = reducedMotion => query => ({
+  matches:
+    query === '(prefers-reduced-motion: reduce)'
+      ? reducedMotion
+      : query === '(min-width: 42rem)',
+  addListener: jest.fn(),
+  removeListener: jest.fn(),
+});
+
+describe('Scroll animations utility', () => {
+  let targets;
+
+  beforeEach(() => {
+    MockIntersectionObserver.instances = [];
+    window.IntersectionObserver = MockIntersectionObserver;
+    window.matchMedia = createMatchMedia(false);
+    targets = [1, 2, 3].map(() => document.createElement('div'));
+    targets.forEach(target => document.body.appendChild(target));
+  });
+
+  afterEach(() => {
+    delete window.IntersectionObserver;
+    delete window.matchMedia;
+    document.body.innerHTML = '';
+  });
+
+  it('should animate the targets scrolling into view once, with stagger', () => {
+    const handle = scrollAnimations({
+      getTargets: () => targets,
+      animation: 'slide-up',
+      stagger: 100,
+    });
+    const [rootObserver, innerObserver] = MockIntersectionObserver.instances;
+    rootObserver.run(targets.map(target => ({ target, intersectionRatio: 0 })));
+    expect(
+      targets.every(target => target.classList.contains('bx--slide-up'))
+    ).toBe(true);
+    innerObserver.run([
+      { target: targets[2], intersectionRatio: 1 },
+      { target: targets[1], intersectionRatio: 1 },
+    ]);
+    expect(targets.map(target => target.className)).toEqual([
+      'bx--slide-up',
+      'bx--slide-in',
+      'bx--slide-in',
+    ]);
+    expect(
+      targets.map(target =>
+        target.style.getPropertyValue('--dds--fade-in-out-delay')
+      )
+    ).toEqual(['', '0ms', '100ms']);
+    expect(innerObserver.targets).toEqual(new Set([targets[0]]));
+    handle.release();
+    expect(targets.map(target => target.className)).toEqual(['', '', '']);
+  });
+
+  it('should use the threshold for the current breakpoint', () => {
+    scrollAnimations({
+      getTargets: () => targets,
+      thresholds: { sm: 0.1, md: 0.5, lg: 0.75 },
+    });
+    const [, innerObserver] = MockIntersectionObserver.instances;
+    expect(innerObserver.options.threshold).toBe(0.5);
+    innerObserver.run([
+      { target: targets[0], intersectionRatio: 0.25 },
+      { target: targets[1], intersectionRatio: 0.5 },
+    ]);
+    expect(targets[0].classList.contains('bx--fade-in')).toBe(false);
+    expect(targets[1].classList.contains('bx--fade-in')).toBe(true);
+  });
+
+  it('should replay the animations', () => {
+    const handle = scrollAnimations({ getTargets: () => targets });
+    const [rootObserver, innerObserver] = MockIntersectionObserver.instances;
+    innerObserver.run(
+      targets.map(target => ({ target, intersectionRatio: 1 }))
+    );
+    expect(rootObserver.targets.size).toBe(0);
+    handle.replay([targets[0]]);
+    expect(targets[0].className).toBe('bx--fade-out');
+    expect(rootObserver.targets).toEqual(new Set([targets[0]]));
+    expect(innerObserver.targets).toEqual(new Set([targets[0]]));
+  });
+
+  it('should not animate the targets again upon update', () => {
+    const handle = scrollAnimations({ getTargets: () => targets });
+    const [, innerObserver] = MockIntersectionObserver.instances;
+    innerObserver.run([{ target: targets[0], intersectionRatio: 1 }]);
+    handle.update({ stagger: 100 });
+    const [
+      rootObserver,
+      newInnerObserver,
+    ] = MockIntersectionObserver.instances.slice(2);
+    expect(targets[0].className).toBe('bx--fade-in');
+    expect(rootObserver.targets.has(targets[0])).toBe(false);
+    expect(newInnerObserver.targets).toEqual(new Set(targets.slice(1)));
+    handle.update({ keepAnimation: true });
+    const [, keptInnerObserver] = MockIntersectionObserver.instances.slice(4);
+    expect(keptInnerObserver.targets).toEqual(new Set(targets));
+  });
+
+  it('should animate the targets added later, upon resize', () => {
+    let handleResize;
+    window.ResizeObserver = class {
+      constructor(callback) {
+        handleResize = callback;
+      }
+
+      observe() {}
+
+      disconnect() {}
+    };
+    const handle = scrollAnimations({
+      getTargets: () => Array.from(document.body.children),
+    });
+    handleResize();
+    const added = document.createElement('div');
+    document.body.appendChild(added);
+    handleResize();
+    const [rootObserver] = MockIntersectionObserver.instances;
+    const innerObserver =
+      MockIntersectionObserver.instances[
+        MockIntersectionObserver.instances.length - 1
+      ];
+    expect(rootObserver.targets.has(added)).toBe(true);
+    expect(innerObserver.targets.has(added)).toBe(true);
+    handle.release();
+    delete window.ResizeObserver;
+  });
+
+  it('should support the keyframes-based presets', () => {
+    const animation = {
+      effect: { updateTiming: jest.fn() },
+      pause: jest.fn(),
+      play: jest.fn(),
+      cancel: jest.fn(),
+    };
+    targets.forEach(target => {
+      target.animate = jest.fn(() => animation);
+    });
+    const keyframes = [{ opacity: 0 }, { opacity: 1 }];
+    registerScrollAnimationPreset('custom-fade', { keyframes, duration: 200 });
+    const handle = scrollAnimations({
+      getTargets: () => targets,
+      animation: 'custom-fade',
+    });
+    const [rootObserver, innerObserver] = MockIntersectionObserver.instances;
+    rootObserver.run([{ target: targets[0], intersectionRatio: 0 }]);
+    expect(targets[0].animate).toHaveBeenCalledWith(keyframes, {
+      duration: 200,
+      easing: 'cubic-bezier(0, 0, 0.3, 1)',
+      fill: 'both',
+    });
+    expect(animation.pause).toHaveBeenCalled();
+    innerObserver.run([{ target: targets[0], intersectionRatio: 1 }]);
+    expect(animation.play).toHaveBeenCalled();
+    handle.release();
+    expect(animation.cancel).toHaveBeenCalled();
+  });
+
+  it('should not animate for the users preferring reduced motion', () => {
+    window.matchMedia = createMatchMedia(true);
+    targets[0].classList.add('bx--fade-out');
+    scrollAnimations({ getTargets: () => targets });
+    expect(MockIntersectionObserver.instances.length).toBe(0);
+    expect(targets[0].className).toBe('');
+  });
+});
@@ -0,0 +1,450 @@
+/**
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { breakpoints } from '@carbon/layout';
+import carbonSettings from 'carbon-components/es/globals/js/settings';
+import root from 'window-or-global';
+import settings from '../settings/settings';
+
+const { prefix } = carbonSettings;
+const { stablePrefix: ddsPrefix } = settings;
+
+/**
+ * Amount of columns used for calculating the margin of the viewport.
+ *
+ * @type {number}
+ * @private
+ */
+const _colSpan = 3;
+
+/**
+ * The CSS custom property for the delay of the class-based animations
+ *
+ * @type {string}
+ * @private
+ */
+const _delayProperty = `--${ddsPrefix}--fade-in-out-delay`;
+
+/**
+ * The media query for the users preferring reduced motion
+ *
+ * @type {string}
+ * @private
+ */
+const _reducedMotionQuery = '(prefers-reduced-motion: reduce)';
+
+/**
+ * The default timing of the keyframes-based animations,
+ * matching `$duration--slow-01` and `carbon--motion(entrance, expressive)`
+ *
+ * @type {object}
+ * @private
+ */
+const _defaultTiming = {
+  duration: 400,
+  easing: 'cubic-bezier(0, 0, 0.3, 1)',
+};
+
+/**
+ * The animation presets, keyed by the name
+ *
+ * @type {object}
+ * @private
+ */
+const _presets = {
+  fade: {
+    enterClass: `${prefix}--fade-in`,
+    exitClass: `${prefix}--fade-out`,
+  },
+};
+
+[
+  'slide-up',
+  'slide-up-right',
+  'slide-right',
+  'slide-down-right',
+  'slide-down',
+  'slide-down-left',
+  'slide-left',
+  'slide-up-left',
+].forEach(name => {
+  _presets[name] = {
+    enterClass: `${prefix}--slide-in`,
+    exitClass: `${prefix}--${name}`,
+  };
+});
+
+/**
+ * The Web Animations API animations of the targets with keyframes-based presets
+ *
+ * @type {WeakMap<Element, Animation>}
+ * @private
+ */
+const _animations = new WeakMap();
+
+/**
+ * Puts the given target to the state before its entrance.
+ *
+ * @param {Element} target The target
+ * @param {object} preset The animation preset
+ * @private
+ */
+function _applyExit(target, preset) {
+  if (preset.keyframes) {
+    let animation = _animations.get(target);
+    if (!animation) {
+      const { keyframes, duration, easing } = { ..._defaultTiming, ...preset };
+      animation = target.animate(keyframes, {
+        duration,
+        easing,
+        fill: 'both',
+      });
+      _animations.set(target, animation);
+    }
+    animation.pause();
+    animation.currentTime = 0;
+  } else {
+    target.classList.remove(preset.enterClass);
+    target.classList.add(preset.exitClass);
+  }
+}
+
+/**
+ * Starts the entrance animation of the given target.
+ *
+ * @param {Element} target The target
+ * @param {object} preset The animation preset
+ * @param {number} [delay] The delay in milliseconds, for staggering
+ * @private
+ */
+function _applyEntrance(target, preset, delay) {
+  if (preset.keyframes) {
+    if (!_animations.has(target)) {
+      _applyExit(target, preset);
+    }
+    const animation = _animations.get(target);
+    animation.effect.updateTiming({ delay: delay || 0 });
+    animation.play();
+  } else {
+    if (delay !== undefined) {
+      target.style.setProperty(_delayProperty, `${delay}ms`);
+    }
+    target.classList.remove(preset.exitClass);
+    target.classList.add(preset.enterClass);
+  }
+}
+
+/**
+ * Puts the given target back to the non-animated state.
+ *
+ * @param {Element} target The target
+ * @param {object} preset The animation preset
+ * @param {boolean} staggered `true` if the delay has been set for staggering
+ * @private
+ */
+function _reset(target, preset, staggered) {
+  if (preset.keyframes) {
+    _animations.get(target)?.cancel();
+    _animations.delete(target);
+  } else {
+    target.classList.remove(preset.enterClass, preset.exitClass);
+    if (staggered) {
+      target.style.removeProperty(_delayProperty);
+    }
+  }
+}
+
+/**
+ * @param {(number|object)} thresholds The threshold, or the thresholds keyed by the breakpoint (e.g. `{ sm: 0, lg: 0.25 }`)
+ * @returns {number} The threshold for the current breakpoint
+ * @private
+ */
+function _getThreshold(thresholds) {
+  if (!thresholds || typeof thresholds === 'number') {
+    return thresholds || 0;
+  }
+  let threshold = 0;
+  Object.keys(breakpoints).forEach(size => {
+    if (
+      size in thresholds &&
+      root.matchMedia?.(`(min-width: ${breakpoints[size].width})`).matches
+    ) {
+      threshold = thresholds[size];
+    }
+  });
+  return threshold;
+}
+
+/**
+ * Sorts the given elements in the document order.
+ *
+ * @param {Element} lhs An element
+ * @param {Element} rhs Another element
+ * @returns {number} Negative if `lhs` precedes `rhs`
+ * @private
+ */
+function _compareDocumentPosition(lhs, rhs) {
+  // eslint-disable-next-line no-bitwise
+  return lhs.compareDocumentPosition(rhs) & Node.DOCUMENT_POSITION_FOLLOWING
+    ? -1
+    : 1;
+}
+
+/**
+ * Registers an animation preset for `scrollAnimations()`, which is either:
+ *
+ * - Class-based, with `enterClass` (the class applied upon entrance) and `exitClass` (the class applied when out of view)
+ * - Keyframes-based, with `keyframes` for Web Animations API, from the state out of view to the state upon entrance,
+ *   and optional `duration` (in milliseconds) and `easing`
+ *
+ * @example
+ * import { registerScrollAnimationPreset } from '@carbon/ibmdotcom-utilities';
+ *
+ * registerScrollAnimationPreset('zoom-in', {
+ *   keyframes: [
+ *     { opacity: 0, transform: 'scale(0.9)' },
+ *     { opacity: 1, transform: 'none' },
+ *   ],
+ *   duration: 240,
+ * });
+ *
+ * @param {string} name The name of the preset
+ * @param {object} preset The preset
+ */
+function registerScrollAnimationPreset(name, preset) {
+  _presets[name] = preset;
+}
+
+/**
+ * Engine of the animations of the targets as they scroll into view,
+ * used by `<dds-scroll-animations>` and `<ScrollAnimations>`.
+ * Animations are turned off for the users preferring reduced motion, leaving the targets shown without animation.
+ *
+ * @example
+ * import { scrollAnimations } from '@carbon/ibmdotcom-utilities';
+ *
+ * const handle = scrollAnimations({
+ *   getTargets: () => Array.from(document.querySelectorAll('.bx--content-block')),
+ *   animation: 'slide-up',
+ *   stagger: 100,
+ *   thresholds: { sm: 0, lg: 0.25 },
+ * });
+ *
+ * // Upon changing the targets or the options
+ * handle.update({ animation: 'fade' });
+ *
+ * // To play the animations again
+ * handle.replay();
+ *
+ * // Upon removing the targets
+ * handle.release();
+ *
+ * @param {object} options The options
+ * @param {Function} options.getTargets The function returning the targets
+ * @param {string} [options.animation=fade] The name of the animation preset
+ * @param {boolean} [options.keepAnimation=false] `true` to animate the targets every time they scroll into view,
+ *   `false` to do it only once
+ * @param {number} [options.stagger=0] The delay in milliseconds between the siblings scrolling into view together
+ * @param {(number|object)} [options.thresholds=0] The ratio of a target to be in the viewport to start its animation,
+ *   or the ratios keyed by the breakpoint, e.g. `{ sm: 0, lg: 0.25 }`
+ * @returns {object} The handle, with `update()` method to apply the changes in the targets or the options,
+ *   `replay()` method to play the animations of the given targets (or all targets) again,
+ *   and `release()` method to stop animating the targets
+ */
+function scrollAnimations(options) {
+  const state = {
+    animation: 'fade',
+    keepAnimation: false,
+    stagger: 0,
+    thresholds: 0,
+    ...options,
+  };
+  const reducedMotionQueryList = root.matchMedia?.(_reducedMotionQuery);
+  let targets = [];
+  let pendingTargets = [];
+  // The targets already animated, not animated again across `update()` unless `keepAnimation` is set
+  let enteredTargets = new WeakSet();
+  let rootObserver = null;
+  let innerObserver = null;
+  let resizeObserver = null;
+
+  const getPreset = () => _presets[state.animation] || _presets.fade;
+
+  const isAnimated = () =>
+    !reducedMotionQueryList?.matches &&
+    typeof root.IntersectionObserver !== 'undefined';
+
+  const handleExit = records => {
+    records.forEach(({ intersectionRatio, target }) => {
+      if (intersectionRatio === 0) {
+        _applyExit(target, getPreset());
+      }
+    });
+  };
+
+  const handleEntrance = records => {
+    const threshold = _getThreshold(state.thresholds);
+    records
+      .filter(
+        ({ intersectionRatio }) =>
+          intersectionRatio > 0 && intersectionRatio >= threshold
+      )
+      .map(({ target }) => target)
+      .sort(_compareDocumentPosition)
+      .forEach((target, i) => {
+        _applyEntrance(
+          target,
+          getPreset(),
+          state.stagger > 0 ? i * state.stagger : undefined
+        );
+        if (!state.keepAnimation) {
+          enteredTargets.add(target);
+          rootObserver?.unobserve(target);
+          innerObserver?.unobserve(target);
+          pendingTargets = pendingTargets.filter(item => item !== target);
+        }
+      });
+  };
+
+  /**
+   * Creates the intersection observer that watches the inner viewport,
+   * with the recalculated margin.
+   *
+   * The calculation is done to retrieve the best fitting top and bottom
+   * margin for the animation to trigger/remove from elements in a user's screen.
+   */
+  const createInnerObserver = () => {
+    innerObserver?.disconnect();
+    const { clientHeight } = root.document.documentElement;
+    innerObserver = new root.IntersectionObserver(handleEntrance, {
+      rootMargin: `-${(
+        (clientHeight * _colSpan) /
+        breakpoints.max.columns
+      ).toString()}px 0px`,
+      threshold: _getThreshold(state.thresholds),
+    });
+    pendingTargets.forEach(target => {
+      innerObserver.observe(target);
+    });
+  };
+
+  /**
+   * Starts animating the targets added after `connect()`, e.g. the ones parsed or rendered later.
+   */
+  const addTargets = () => {
+    state
+      .getTargets()
+      .filter(target => target && !targets.includes(target))
+      .forEach(target => {
+        targets.push(target);
+        if (state.keepAnimation || !enteredTargets.has(target)) {
+          pendingTargets.push(target);
+          rootObserver?.observe(target);
+        }
+      });
+  };
+
+  const disconnect = () => {
+    rootObserver?.disconnect();
+    innerObserver?.disconnect();
+    resizeObserver?.disconnect();
+    rootObserver = null;
+    innerObserver = null;
+    resizeObserver = null;
+  };
+
+  const connect = () => {
+    targets = state.getTargets().filter(Boolean);
+    pendingTargets = state.keepAnimation
+      ? targets.slice()
+      : targets.filter(target => !enteredTargets.has(target));
+    if (!isAnimated()) {
+      targets.forEach(target => {
+        _reset(target, getPreset(), state.stagger > 0);
+      });
+      return;
+    }
+    rootObserver = new root.IntersectionObserver(handleExit);
+    pendingTargets.forEach(target => {
+      rootObserver.observe(target);
+    });
+    if (typeof root.ResizeObserver !== 'undefined') {
+      // The initial callback of the resize observer creates the inner observer.
+      // The page grows as the content is added, so the targets are queried again upon resize
+      resizeObserver = new root.ResizeObserver(() => {
+        addTargets();
+        createInnerObserver();
+      });
+      resizeObserver.observe(root.document.documentElement);
+    } else {
+      createInnerObserver();
+    }
+  };
+
+  const handle = {
+    update(changes) {
+      const oldTargets = targets;
+      const oldPreset = getPreset();
+      const oldStaggered = state.stagger > 0;
+      Object.assign(state, changes);
+      disconnect();
+      const newTargets = state.getTargets().filter(Boolean);
+      oldTargets.forEach(target => {
+        if (!newTargets.includes(target)) {
+          _reset(target, oldPreset, oldStaggered);
+          enteredTargets.delete(target);
+        } else if (getPreset() !== oldPreset) {
+          _reset(target, oldPreset, oldStaggered);
+        }
+      });
+      connect();
+    },
+
+    replay(items = targets) {
+      if (!isAnimated()) {
+        return;
+      }
+      items
+        .filter(item => targets.includes(item))
+        .forEach(target => {
+          _applyExit(target, getPreset());
+          enteredTargets.delete(target);
+          if (!pendingTargets.includes(target)) {
+            pendingTargets.push(target);
+          }
+          // Re-observing triggers the callback for the current intersection
+          rootObserver?.unobserve(target);
+          rootObserver?.observe(target);
+          innerObserver?.unobserve(target);
+          innerObserver?.observe(target);
+        });
+    },
+
+    release() {
+      disconnect();
+      targets.forEach(target => {
+        _reset(target, getPreset(), state.stagger > 0);
+      });
+      targets = [];
+      pendingTargets = [];
+      enteredTargets = new WeakSet();
+      reducedMotionQueryList?.removeListener(handleReducedMotionChange);
+      return null;
+    },
+  };
+
+  function handleReducedMotionChange() {
+    handle.update();
+  }
+
+  reducedMotionQueryList?.addListener(handleReducedMotionChange);
+  connect();
+  return handle;
+}
+
+export { registerScrollAnimationPreset };
+export default scrollAnimations;
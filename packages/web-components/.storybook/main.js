@@ -243,6 +243,7 @@ module.exports = {
     config.plugins.push(
       new webpack.EnvironmentPlugin({
         TRANSLATION_HOST: '',
+        DDS_SERVICES_FIXTURES_HOST: '',
       })
     );
 
@@ -12,7 +12,7 @@ import { html, state, property, customElement, LitElement } from 'lit-element';
 import settings from 'carbon-components/es/globals/js/settings.js';
 import { baseFontSize, breakpoints } from '@carbon/layout';
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
-import sameHeight from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/sameHeight/sameHeight';
+import equalHeight from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/equalHeight/equalHeight';
 import { GRID_MODE } from './defs';
 import styles from './card-group.scss';
 import StableSelectorMixin from '../../globals/mixins/stable-selector';
@@ -41,29 +41,9 @@ class DDSCardGroup extends StableSelectorMixin(LitElement) {
   private _childItems: any[] = [];
 
   /**
-   * Array to hold the card-heading elements within child items.
-   */
-  private _childItemHeadings: any[] = [];
-
-  /**
-   * Array to hold the card-eyebrow elements within child items.
-   */
-  private _childItemEyebrows: any[] = [];
-
-  /**
-   * Array to hold the tag-group elements within child items.
-   */
-  private _childItemTagGroup: any[] = [];
-
-  /**
-   * Array to hold the paragraph elements within child items.
-   */
-  private _childItemParagraphs: any[] = [];
-
-  /**
-   * Array to hold the card-cta-footer elements within child items.
+   * The handle for keeping the parts of the child items in the same row at the same height.
    */
-  private _childItemFooters: any[] = [];
+  private _equalHeight: { update(): void; release(): null } | null = null;
 
   /**
    * The observer for the resize of the viewport.
@@ -99,30 +79,15 @@ class DDSCardGroup extends StableSelectorMixin(LitElement) {
       .assignedNodes()
       .filter(elem => (elem as HTMLElement).matches?.((this.constructor as typeof DDSCardGroup).selectorItem));
 
-    // retrieve item heading, eyebrows, and footers to set same height
     if (this._childItems) {
       this._childItems.forEach(e => {
-        this._childItemEyebrows.push(
-          (e as HTMLElement).querySelector((this.constructor as typeof DDSCardGroup).selectorItemEyebrow)
-        );
-        this._childItemParagraphs.push(
-          (e as HTMLElement).querySelector((this.constructor as typeof DDSCardGroup).selectorItemParagraph)
-        );
-        this._childItemTagGroup.push(
-          (e as HTMLElement).querySelector((this.constructor as typeof DDSCardGroup).selectorItemTagGroup)
-        );
-        this._childItemHeadings.push(
-          (e as HTMLElement).querySelector((this.constructor as typeof DDSCardGroup).selectorItemHeading)
-        );
-        this._childItemFooters.push(
-          (e as HTMLElement).querySelector((this.constructor as typeof DDSCardGroup).selectorItemFooter)
-        );
         e.toggleAttribute('border', this.gridMode === 'border');
       });
 
       const { customPropertyCardsPerRow } = this.constructor as typeof DDSCardGroup;
       this.style.setProperty(customPropertyCardsPerRow, String(this.cardsPerRow));
 
+      this._equalHeight?.update();
       if (this.gridMode !== GRID_MODE.NARROW) {
         this._resizeHandler();
       }
@@ -130,7 +95,7 @@ class DDSCardGroup extends StableSelectorMixin(LitElement) {
   }
 
   /**
-   * The observer for the resize of the viewport, calls sameHeight utility function
+   * The observer for the resize of the viewport, updates the empty cards and the borders
    */
   private _resizeHandler = () => {
     window.requestAnimationFrame(() => {
@@ -146,9 +111,6 @@ class DDSCardGroup extends StableSelectorMixin(LitElement) {
         default:
           columnCount = this.cardsPerRow;
       }
-      if (!this.pictograms) {
-        this._setSameHeight();
-      }
       if (this.gridMode !== GRID_MODE.NARROW) {
         this._fillLastRowWithEmptyCards(columnCount);
         this._borderAdjustments(columnCount);
@@ -159,42 +121,49 @@ class DDSCardGroup extends StableSelectorMixin(LitElement) {
     });
   };
 
-  private _setSameHeight = () => {
-    // check if items are not null before using sameHeight
-
-    sameHeight(
-      this._childItemEyebrows.filter(item => item !== null),
-      'md'
-    );
-    sameHeight(
-      this._childItemHeadings.filter(item => item !== null),
-      'md'
-    );
-    sameHeight(
-      this._childItemParagraphs.filter(item => item !== null),
-      'md'
-    );
-    sameHeight(
-      this._childItemFooters.filter(item => item !== null),
-      'md'
-    );
+  /**
+   * Creates the handle for keeping the eyebrows, headings, paragraphs and footers of the child items
+   * in the same row at the same height.
+   */
+  private _createEqualHeight() {
+    const { selectorItemEyebrow, selectorItemHeading, selectorItemParagraph, selectorItemFooter } = this
+      .constructor as typeof DDSCardGroup;
+    return equalHeight({
+      getItems: () => (this.pictograms ? [] : this._childItems),
+      getParts: (item: HTMLElement) => [
+        item.querySelector(selectorItemEyebrow),
+        item.querySelector(selectorItemHeading),
+        item.querySelector(selectorItemParagraph),
+        item.querySelector(selectorItemFooter),
+      ],
+      minSize: 'md',
+      onUpdate: this._setTagGroupMargins,
+    });
+  }
 
+  /**
+   * Adds the height of the tallest tag group to the bottom margin of the headings of the cards lacking tag group.
+   */
+  private _setTagGroupMargins = () => {
+    if (this.pictograms) {
+      return;
+    }
+    const { selectorItemHeading, selectorItemTagGroup } = this.constructor as typeof DDSCardGroup;
     let tagGroupHeight: number = 0;
 
     // get tallest height of tag groups
-    this._childItemTagGroup.forEach(item => {
-      if (item) {
-        const groupHeight = (item as HTMLElement).offsetHeight;
-        if (groupHeight > tagGroupHeight) {
-          tagGroupHeight = groupHeight;
-        }
+    this._childItems.forEach(item => {
+      const tagGroup = (item as HTMLElement).querySelector(selectorItemTagGroup) as HTMLElement | null;
+      if (tagGroup && tagGroup.offsetHeight > tagGroupHeight) {
+        tagGroupHeight = tagGroup.offsetHeight;
       }
     });
 
-    this._childItemHeadings.forEach(e => {
+    this._childItems.forEach(item => {
+      const heading = (item as HTMLElement).querySelector(selectorItemHeading) as HTMLElement | null;
       // add tag group height to heading to the cards lacking tag group
-      if (e && !e.nextElementSibling?.matches((this.constructor as typeof DDSCardGroup).selectorItemTagGroup)) {
-        e.style.marginBottom = `${tagGroupHeight + headingBottomMargin}px`;
+      if (heading && !heading.nextElementSibling?.matches(selectorItemTagGroup)) {
+        heading.style.marginBottom = `${tagGroupHeight + headingBottomMargin}px`;
       }
     });
   };
@@ -329,17 +298,23 @@ class DDSCardGroup extends StableSelectorMixin(LitElement) {
   /**
    * If using cards with pictogram.
    */
-  // necessary to avoid using sameHeight utility
+  // necessary to avoid using equalHeight utility
   @property({ type: Boolean, reflect: true })
   pictograms = false;
 
   connectedCallback() {
     super.connectedCallback();
     this._cleanAndCreateObserverResize({ create: true });
+    if (!this._equalHeight) {
+      this._equalHeight = this._createEqualHeight();
+    }
   }
 
   disconnectedCallback() {
     this._cleanAndCreateObserverResize();
+    if (this._equalHeight) {
+      this._equalHeight = this._equalHeight.release();
+    }
     super.disconnectedCallback();
   }
 
@@ -349,6 +324,8 @@ class DDSCardGroup extends StableSelectorMixin(LitElement) {
   }
 
   updated() {
+    // Changes in the properties (e.g. `pictograms` or `cards-per-row`) may change the items or the layout
+    this._equalHeight?.update();
     this._resizeHandler();
   }
 
@@ -18,7 +18,7 @@ import HostListener from 'carbon-web-components/es/globals/decorators/host-liste
 import HostListenerMixin from 'carbon-web-components/es/globals/mixins/host-listener.js';
 import { selectorTabbable } from 'carbon-web-components/es/globals/settings.js';
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
-import sameHeight from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/sameHeight/sameHeight';
+import equalHeight from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/equalHeight/equalHeight';
 import styles from './carousel.scss';
 import StableSelectorMixin from '../../globals/mixins/stable-selector';
 import DDSExpressiveModal from '../expressive-modal/expressive-modal';
@@ -63,29 +63,9 @@ class DDSCarousel extends HostListenerMixin(StableSelectorMixin(LitElement)) {
   private _childItems: any[] = [];
 
   /**
-   * Array to hold the card-heading elements within child items.
-   */
-  private _childItemHeadings: any[] = [];
-
-  /**
-   * Array to hold the card-eyebrow elements within child items.
-   */
-  private _childItemEyebrows: any[] = [];
-
-  /**
-   * Array to hold the tag-group elements within child items.
-   */
-  private _childItemTagGroup: any[] = [];
-
-  /**
-   * Array to hold the paragraph elements within child items.
-   */
-  private _childItemParagraphs: any[] = [];
-
-  /**
-   * Array to hold the card-cta-footer elements within child items.
+   * The handle for keeping the parts of the child items at the same height.
    */
-  private _childItemFooters: any[] = [];
+  private _equalHeight: { update(): void; release(): null } | null = null;
 
   /**
    * The observer for the resize of the scroll container.
@@ -211,7 +191,7 @@ class DDSCarousel extends HostListenerMixin(StableSelectorMixin(LitElement)) {
   // @ts-ignore: The decorator refers to this method but TS thinks this method is not referred to
   private _handleVideoTitleUpdate = async (event: FocusEvent) => {
     if (event) {
-      this._setSameHeight();
+      this._equalHeight?.update();
     }
   };
 
@@ -271,42 +251,7 @@ class DDSCarousel extends HostListenerMixin(StableSelectorMixin(LitElement)) {
 
     this._childItems = (event.target as HTMLSlotElement).assignedNodes().filter(node => node instanceof HTMLElement);
 
-    // retrieve item heading, eyebrows, and footers to set same height
-    if (this._childItems) {
-      this._childItems
-        .filter(elem =>
-          (elem as HTMLElement).matches !== undefined
-            ? (elem as HTMLElement).matches((this.constructor as typeof DDSCarousel).selectorItem) ||
-              (elem as HTMLElement).matches((this.constructor as typeof DDSCarousel).selectorItemVideoCTAContainer)
-            : false
-        )
-        .forEach(e => {
-          this._childItemEyebrows.push(
-            (e as HTMLElement).querySelector((this.constructor as typeof DDSCarousel).selectorItemEyebrow)
-          );
-          this._childItemParagraphs.push(
-            (e as HTMLElement).querySelector((this.constructor as typeof DDSCarousel).selectorItemParagraph)
-          );
-          this._childItemTagGroup.push(
-            (e as HTMLElement).querySelector((this.constructor as typeof DDSCarousel).selectorItemTagGroup)
-          );
-          this._childItemHeadings.push(
-            (e as HTMLElement).querySelector((this.constructor as typeof DDSCarousel).selectorItemHeading)
-          );
-
-          this._childItemHeadings.push(
-            (e as HTMLElement)
-              .querySelector((this.constructor as typeof DDSCarousel).selectorItemCardCTA)
-              ?.shadowRoot?.querySelector((this.constructor as typeof DDSCarousel).selectorItemHeading)
-          );
-
-          this._childItemHeadings = this._childItemHeadings.filter(heading => heading);
-
-          this._childItemFooters.push(
-            (e as HTMLElement).querySelector((this.constructor as typeof DDSCarousel).selectorItemFooter)
-          );
-        });
-    }
+    this._equalHeight?.update();
   }
 
   /**
@@ -327,7 +272,6 @@ class DDSCarousel extends HostListenerMixin(StableSelectorMixin(LitElement)) {
     const { _contentsNode: contentsNode } = this;
     const { defaultView: w } = this.ownerDocument!;
     this._pageSizeAuto = Number(w!.getComputedStyle(contentsNode!).getPropertyValue(customPropertyPageSize));
-    this._setSameHeight();
   };
 
   /**
@@ -341,42 +285,54 @@ class DDSCarousel extends HostListenerMixin(StableSelectorMixin(LitElement)) {
     return formatStatus({ currentPage: Math.ceil(start / pageSize) + 1, pages: pagesBefore + pagesSince });
   }
 
-  private _setSameHeight = () => {
-    // check if items are not null before using sameHeight
-
-    sameHeight(
-      this._childItemEyebrows.filter(item => item !== null),
-      'sm'
-    );
-    sameHeight(
-      this._childItemHeadings.filter(item => item !== null),
-      'sm'
-    );
-    sameHeight(
-      this._childItemParagraphs.filter(item => item !== null),
-      'sm'
-    );
-    sameHeight(
-      this._childItemFooters.filter(item => item !== null),
-      'sm'
-    );
+  /**
+   * Creates the handle for keeping the eyebrows, headings, paragraphs and footers of the child items at the same height.
+   */
+  private _createEqualHeight() {
+    const {
+      selectorItem,
+      selectorItemVideoCTAContainer,
+      selectorItemEyebrow,
+      selectorItemHeading,
+      selectorItemCardCTA,
+      selectorItemParagraph,
+      selectorItemFooter,
+    } = this.constructor as typeof DDSCarousel;
+    return equalHeight({
+      getItems: () =>
+        this._childItems.filter(item => item.matches?.(selectorItem) || item.matches?.(selectorItemVideoCTAContainer)),
+      getParts: (item: HTMLElement) => [
+        item.querySelector(selectorItemEyebrow),
+        item.querySelector(selectorItemHeading) ||
+          item.querySelector(selectorItemCardCTA)?.shadowRoot?.querySelector(selectorItemHeading),
+        item.querySelector(selectorItemParagraph),
+        item.querySelector(selectorItemFooter),
+      ],
+      minSize: 'sm',
+      onUpdate: this._setTagGroupMargins,
+    });
+  }
 
+  /**
+   * Adds the height of the tallest tag group to the bottom margin of the headings of the cards lacking tag group.
+   */
+  private _setTagGroupMargins = () => {
+    const { selectorItemHeading, selectorItemTagGroup } = this.constructor as typeof DDSCarousel;
     let tagGroupHeight: number = 0;
 
     // get tallest height of tag groups
-    this._childItemTagGroup.forEach(item => {
-      if (item) {
-        const groupHeight = (item as HTMLElement).offsetHeight;
-        if (groupHeight > tagGroupHeight) {
-          tagGroupHeight = groupHeight;
-        }
+    this._childItems.forEach(item => {
+      const tagGroup = (item as HTMLElement).querySelector(selectorItemTagGroup) as HTMLElement | null;
+      if (tagGroup && tagGroup.offsetHeight > tagGroupHeight) {
+        tagGroupHeight = tagGroup.offsetHeight;
       }
     });
 
-    this._childItemHeadings.forEach(e => {
+    this._childItems.forEach(item => {
+      const heading = (item as HTMLElement).querySelector(selectorItemHeading) as HTMLElement | null;
       // add tag group height to heading to the cards lacking tag group
-      if (e && !e.nextElementSibling?.matches((this.constructor as typeof DDSCarousel).selectorItemTagGroup)) {
-        e.style.marginBottom = `${tagGroupHeight + headingBottomMargin}px`;
+      if (heading && !heading.nextElementSibling?.matches(selectorItemTagGroup)) {
+        heading.style.marginBottom = `${tagGroupHeight + headingBottomMargin}px`;
       }
     });
   };
@@ -445,6 +401,9 @@ class DDSCarousel extends HostListenerMixin(StableSelectorMixin(LitElement)) {
   connectedCallback() {
     super.connectedCallback();
     this._cleanAndCreateObserverResize({ create: true });
+    if (!this._equalHeight) {
+      this._equalHeight = this._createEqualHeight();
+    }
 
     const containingModal = this.closest(`${ddsPrefix}-expressive-modal`) as DDSExpressiveModal;
     if (containingModal) {
@@ -460,6 +419,9 @@ class DDSCarousel extends HostListenerMixin(StableSelectorMixin(LitElement)) {
 
   disconnectedCallback() {
     this._cleanAndCreateObserverResize();
+    if (this._equalHeight) {
+      this._equalHeight = this._equalHeight.release();
+    }
     super.disconnectedCallback();
   }
 
@@ -10,7 +10,7 @@
 import { customElement, html, state, LitElement, property } from 'lit-element';
 import settings from 'carbon-components/es/globals/js/settings.js';
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
-import sameHeight from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/sameHeight/sameHeight';
+import equalHeight from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/equalHeight/equalHeight';
 import StableSelectorMixin from '../../globals/mixins/stable-selector';
 import ParentVisibilityMixin from '../../component-mixins/parent-visibility/parent-visibility';
 
@@ -32,64 +32,19 @@ class DDSCTABlockItemRow extends ParentVisibilityMixin(StableSelectorMixin(LitEl
   _noBorder = false;
 
   /**
-   * Array to hold the card-heading elements within child items.
+   * The child items.
    */
-  private _childItemHeadings: any[] = [];
+  private _childItems: HTMLElement[] = [];
 
   /**
-   * Array to hold the text copy elements within child items.
+   * The handle for keeping the headings and the copies of the child items in the same row at the same height.
    */
-  private _childItemCopies: any[] = [];
-
-  /**
-   * The observer for the resize of the viewport.
-   */
-  private _observerResizeRoot: any | null = null; // TODO: Wait for `.d.ts` update to support `ResizeObserver`
+  private _equalHeight: { update(): void; release(): null } | null = null;
 
   public _onParentVisible() {
-    this._setSameHeight();
-  }
-
-  /**
-   * Cleans-up and creats the resize observer for the scrolling container.
-   *
-   * @param [options] The options.
-   * @param [options.create] `true` to create the new resize observer.
-   */
-  private _cleanAndCreateObserverResize({ create }: { create?: boolean } = {}) {
-    if (this._observerResizeRoot) {
-      this._observerResizeRoot.disconnect();
-      this._observerResizeRoot = null;
-    }
-    if (create) {
-      // TODO: Wait for `.d.ts` update to support `ResizeObserver`
-      // @ts-ignore
-      this._observerResizeRoot = new ResizeObserver(this._setSameHeight);
-      this._observerResizeRoot.observe(this.ownerDocument!.documentElement);
-    }
+    this._equalHeight?.update();
   }
 
-  /**
-   * The observer for the resize of the viewport, calls sameHeight utility function
-   */
-  private _setSameHeight = () => {
-    window.requestAnimationFrame(() => {
-      sameHeight(
-        this._childItemHeadings.filter(e => {
-          return e;
-        }),
-        'md'
-      );
-
-      sameHeight(
-        this._childItemCopies.filter(e => {
-          return e;
-        }),
-        'md'
-      );
-    });
-  };
-
   /**
    * `true` if there are CTA action in the content item area.
    */
@@ -103,18 +58,25 @@ class DDSCTABlockItemRow extends ParentVisibilityMixin(StableSelectorMixin(LitEl
    */
   protected _handleSlotChange(event: Event) {
     const { target } = event;
-    const { selectorItem, selectorItemHeading, selectorItemCopy } = this.constructor as typeof DDSCTABlockItemRow;
+    const { selectorItem } = this.constructor as typeof DDSCTABlockItemRow;
 
-    const childItems = (target as HTMLSlotElement).assignedNodes().filter(elem => (elem as HTMLElement).matches?.(selectorItem));
+    this._childItems = (target as HTMLSlotElement)
+      .assignedNodes()
+      .filter(elem => (elem as HTMLElement).matches?.(selectorItem)) as HTMLElement[];
 
-    if (childItems) {
-      childItems.forEach(e => {
-        this._childItemHeadings.push((e as HTMLElement).querySelector(selectorItemHeading));
-        this._childItemCopies.push((e as HTMLElement).querySelector(selectorItemCopy));
-      });
-    }
+    this._equalHeight?.update();
+  }
 
-    this._setSameHeight();
+  /**
+   * Creates the handle for keeping the headings and the copies of the child items in the same row at the same height.
+   */
+  private _createEqualHeight() {
+    const { selectorItemHeading, selectorItemCopy } = this.constructor as typeof DDSCTABlockItemRow;
+    return equalHeight({
+      getItems: () => this._childItems,
+      getParts: (item: HTMLElement) => [item.querySelector(selectorItemHeading), item.querySelector(selectorItemCopy)],
+      minSize: 'md',
+    });
   }
 
   render() {
@@ -125,19 +87,18 @@ class DDSCTABlockItemRow extends ParentVisibilityMixin(StableSelectorMixin(LitEl
 
   connectedCallback() {
     super.connectedCallback();
-    this._cleanAndCreateObserverResize({ create: true });
+    if (!this._equalHeight) {
+      this._equalHeight = this._createEqualHeight();
+    }
   }
 
   disconnectedCallback() {
-    this._cleanAndCreateObserverResize();
+    if (this._equalHeight) {
+      this._equalHeight = this._equalHeight.release();
+    }
     super.disconnectedCallback();
   }
 
-  firstUpdated() {
-    super.connectedCallback();
-    this._cleanAndCreateObserverResize({ create: true });
-  }
-
   /**
    * Checks if the no-border attribute has changed and applies the border class accordingly
    */
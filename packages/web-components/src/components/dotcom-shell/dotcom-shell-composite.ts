@@ -20,7 +20,7 @@ import {
   MastheadProfileItem,
   Translation,
 } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/translateAPI.d';
-import { UNAUTHENTICATED_STATUS } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/profileAPI';
+import { UNAUTHENTICATED_STATUS, UserStatus } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/profileAPI';
 import { FOOTER_SIZE } from '../footer/footer';
 import '../footer/footer-composite';
 import './dotcom-shell';
@@ -94,7 +94,7 @@ class DDSDotcomShellComposite extends LitElement {
    *
    * @internal
    */
-  _loadUserStatus?: () => void;
+  _loadUserStatus?: () => Promise<UserStatus>;
 
   /**
    * The placeholder for `setLanguage()` Redux action that will be mixed in. This goes to masthead.
@@ -22,6 +22,11 @@ describe('dds-expressive-modal', function() {
   const events = new EventManager();
 
   describe('Misc attributes', function() {
+    beforeEach(function() {
+      // Keeps the snapshots independent of the browser support of the native `<dialog>`
+      spyOnProperty(DDSExpressiveModal, 'supportsDialog').and.returnValue(false);
+    });
+
     it('should render with minimum attributes', async function() {
       render(template(), document.body);
       await Promise.resolve(); // First update cycle
@@ -48,6 +53,10 @@ describe('dds-expressive-modal', function() {
   });
 
   describe('Misc contents', function() {
+    beforeEach(function() {
+      spyOnProperty(DDSExpressiveModal, 'supportsDialog').and.returnValue(false);
+    });
+
     it('should render with header only', async function() {
       render(
         html`
@@ -258,6 +267,133 @@ describe('dds-expressive-modal', function() {
     });
   });
 
+  describe('Stacking', function() {
+    let launcher: HTMLButtonElement;
+    let innerLauncher: HTMLButtonElement;
+    let lowerModal: DDSExpressiveModal;
+    let upperModal: DDSExpressiveModal;
+
+    /**
+     * Opens the lower modal from the launcher, and then the upper modal from the inner launcher in the lower modal.
+     */
+    const openModals = async () => {
+      render(
+        html`
+          <button id="launcher"></button>
+          <dds-expressive-modal id="lower-modal"><button id="inner-launcher"></button></dds-expressive-modal>
+          <dds-expressive-modal id="upper-modal"><button></button></dds-expressive-modal>
+        `,
+        document.body
+      );
+      await Promise.resolve();
+      launcher = document.getElementById('launcher') as HTMLButtonElement;
+      innerLauncher = document.getElementById('inner-launcher') as HTMLButtonElement;
+      lowerModal = document.getElementById('lower-modal') as DDSExpressiveModal;
+      upperModal = document.getElementById('upper-modal') as DDSExpressiveModal;
+      spyOn(lowerModal as any, '_waitForTransitionEnd').and.callFake(() => {});
+      spyOn(upperModal as any, '_waitForTransitionEnd').and.callFake(() => {});
+      launcher.focus();
+      lowerModal.open = true;
+      await lowerModal.updateComplete;
+      innerLauncher.focus();
+      upperModal.open = true;
+      await upperModal.updateComplete;
+    };
+
+    beforeEach(async function() {
+      spyOnProperty(DDSExpressiveModal, 'supportsDialog').and.returnValue(false);
+      await openModals();
+    });
+
+    it('should layer the modals', async function() {
+      expect(lowerModal.shadowRoot!.querySelector('dialog')).toBeNull();
+      expect(lowerModal.style.zIndex).toBe('');
+      expect(upperModal.style.zIndex).toBe('9001');
+      expect(document.body.style.overflow).toBe('hidden');
+      expect(launcher.hasAttribute('inert')).toBe(true);
+      expect(lowerModal.hasAttribute('inert')).toBe(true);
+      expect(upperModal.hasAttribute('inert')).toBe(false);
+    });
+
+    it('should not wrap the focus in the modal below the top', async function() {
+      spyOn(innerLauncher, 'focus');
+      innerLauncher.dispatchEvent(
+        new FocusEvent('focusout', {
+          bubbles: true,
+          composed: true,
+          relatedTarget: upperModal.querySelector('button'),
+        })
+      );
+      expect(innerLauncher.focus).not.toHaveBeenCalled();
+    });
+
+    it('should close the modal on the top upon pressing Escape key', async function() {
+      const spyBeforeClosed = jasmine.createSpy('before closed');
+      events.on(upperModal, 'dds-expressive-modal-beingclosed', spyBeforeClosed);
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      expect(lowerModal.open).toBe(true);
+      expect(upperModal.open).toBe(false);
+      expect(spyBeforeClosed.calls.argsFor(0)[0].detail).toEqual(
+        jasmine.objectContaining({
+          stackIndex: 1,
+          stackSize: 2,
+        })
+      );
+    });
+
+    it('should restore the focus to each opener in order', async function() {
+      spyOn(innerLauncher, 'focus');
+      spyOn(launcher, 'focus');
+      upperModal.open = false;
+      await upperModal.updateComplete;
+      expect(innerLauncher.focus).toHaveBeenCalled();
+      expect(launcher.focus).not.toHaveBeenCalled();
+      expect(document.body.style.overflow).toBe('hidden');
+      lowerModal.open = false;
+      await lowerModal.updateComplete;
+      expect(launcher.focus).toHaveBeenCalled();
+      expect(document.body.style.overflow).toBe('');
+      expect(launcher.hasAttribute('inert')).toBe(false);
+    });
+  });
+
+  describe('Stacking with native dialog', function() {
+    let lowerModal: DDSExpressiveModal;
+    let upperModal: DDSExpressiveModal;
+
+    beforeEach(async function() {
+      spyOnProperty(DDSExpressiveModal, 'supportsDialog').and.returnValue(true);
+      render(
+        html`
+          <dds-expressive-modal id="lower-modal"><button></button></dds-expressive-modal>
+          <dds-expressive-modal id="upper-modal"><button></button></dds-expressive-modal>
+        `,
+        document.body
+      );
+      await Promise.resolve();
+      lowerModal = document.getElementById('lower-modal') as DDSExpressiveModal;
+      upperModal = document.getElementById('upper-modal') as DDSExpressiveModal;
+      spyOn(lowerModal as any, '_waitForTransitionEnd').and.callFake(() => {});
+      spyOn(upperModal as any, '_waitForTransitionEnd').and.callFake(() => {});
+      lowerModal.open = true;
+      await lowerModal.updateComplete;
+      upperModal.open = true;
+      await upperModal.updateComplete;
+    });
+
+    it('should show the native dialog of the modal on the top as a modal dialog', async function() {
+      const lowerDialog = lowerModal.shadowRoot!.querySelector('dialog') as HTMLDialogElement;
+      const upperDialog = upperModal.shadowRoot!.querySelector('dialog') as HTMLDialogElement;
+      expect(lowerDialog.open).toBe(true);
+      expect(lowerDialog.matches(':modal')).toBe(false);
+      expect(upperDialog.matches(':modal')).toBe(true);
+      upperModal.open = false;
+      await upperModal.updateComplete;
+      expect(lowerDialog.matches(':modal')).toBe(true);
+      expect(upperDialog.open).toBe(false);
+    });
+  });
+
   afterEach(async function() {
     await render(undefined!, document.body);
     events.reset();
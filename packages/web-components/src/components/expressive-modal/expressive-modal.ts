@@ -16,6 +16,7 @@ import HostListener from 'carbon-web-components/es/globals/decorators/host-liste
 import HostListenerMixin from 'carbon-web-components/es/globals/mixins/host-listener.js';
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
 import StableSelectorMixin from '../../globals/mixins/stable-selector';
+import modalStack, { supportsDialog } from '../../globals/internal/modal-stack';
 import { EXPRESSIVE_MODAL_SIZE, EXPRESSIVE_MODAL_MODE } from './defs';
 import DDSExpressiveModalCloseButton from './expressive-modal-close-button';
 import styles from './expressive-modal.scss';
@@ -80,6 +81,16 @@ const onResize: ResizeObserverCallback = ([entry]) => {
   modalContent.style.setProperty('--modal-vw', `${width}px`);
 };
 
+/**
+ * Handles `cancel` event on the native `<dialog>`, fired upon pressing `Escape` key.
+ * Escape key is handled by `_handleKeydown()` instead, so that closing the modal can be cancelled by `eventBeforeClose`.
+ *
+ * @param event The event.
+ */
+const handleCancelDialog = (event: Event) => {
+  event.preventDefault();
+};
+
 /**
  * The table mapping slot name with the private property name that indicates the existence of the slot content.
  */
@@ -90,12 +101,18 @@ const slotExistencePropertyNames = {
 
 /**
  * Expressive modal.
+ * Open modals are layered on top of each other, where only the modal on the top handles user gestures.
+ * Uses the native `<dialog>` where the browser supports it, which puts the modal on the top in the top layer.
  *
  * @element dds-expressive-modal
  * @fires dds-expressive-modal-beingclosed
  *   The custom event fired before this modal is being closed upon a user gesture.
  *   Cancellation of this event stops the user-initiated action of closing this modal.
- * @fires dds-expressive-modal-closed - The custom event fired after this modal is closed upon a user gesture.
+ *   `detail.stackIndex` is the position of this modal from the bottom of the open modals,
+ *   and `detail.stackSize` is the number of them.
+ * @fires dds-expressive-modal-closed
+ *   The custom event fired after this modal is closed upon a user gesture.
+ *   `detail.stackIndex` and `detail.stackSize` are of the open modals before this modal is closed.
  * @slot header - The header content.
  * @slot footer - The footer content.
  */
@@ -119,11 +136,6 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
   @state()
   private _hasFooter = false;
 
-  /**
-   * The element that had focus before this modal gets open.
-   */
-  private _launcher: Element | null = null;
-
   /**
    * Collection of elements to search for focusable elements.
    */
@@ -180,6 +192,12 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
   @query('#end-sentinel')
   private _endSentinelNode!: HTMLAnchorElement;
 
+  /**
+   * The native `<dialog>`, if the browser supports it.
+   */
+  @query('dialog')
+  private _dialogNode?: HTMLDialogElement | null;
+
   @query(`.${prefix}--modal-content`)
   modalContent?: HTMLDivElement;
 
@@ -198,7 +216,9 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
   @HostListener('click')
   // @ts-ignore: The decorator refers to this method but TS thinks this method is not referred to
   private _handleClick = (event: MouseEvent) => {
-    if (event.composedPath().indexOf(this.shadowRoot!) < 0) {
+    const path = event.composedPath();
+    // The native `<dialog>` covers the overlay area
+    if (path.indexOf(this.shadowRoot!) < 0 || path[0] === this._dialogNode) {
       this._handleUserInitiatedClose(event.target);
     }
   };
@@ -245,8 +265,8 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
   @HostListener('focusout')
   // @ts-ignore: The decorator refers to this method but TS thinks this method is not referred to
   private _handleFocusOut = ({ target, relatedTarget }) => {
-    // Don't attempt to wrap focus if the modal isn't open.
-    if (!this.open) return;
+    // Don't attempt to wrap focus if the modal isn't open, or if another modal is open on top of this modal.
+    if (!this.open || !modalStack.isTopmost(this)) return;
     // If no target/relatedTarget, focus has entered/left the window. Do nothing.
     if (!target || !relatedTarget) return;
 
@@ -272,7 +292,7 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
   @HostListener('document:keydown')
   // @ts-ignore: The decorator refers to this method but TS thinks this method is not referred to
   private _handleKeydown = ({ key, target }: KeyboardEvent) => {
-    if (key === 'Esc' || key === 'Escape') {
+    if ((key === 'Esc' || key === 'Escape') && modalStack.isTopmost(this)) {
       this._handleUserInitiatedClose(target);
     }
   };
@@ -312,6 +332,8 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
         composed: true,
         detail: {
           triggeredBy,
+          stackIndex: modalStack.indexOf(this),
+          stackSize: modalStack.size,
         },
       };
       const { eventBeforeClose, eventClose } = this.constructor as typeof DDSExpressiveModal;
@@ -423,24 +445,48 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
       [`${prefix}--modal-container--fullwidth`]: size === EXPRESSIVE_MODAL_SIZE.FULL_WIDTH,
       ...containerClass,
     });
+    const content = html`
+      <div class="${prefix}--modal-content">
+        ${this._renderHeader()}${this._renderBody()}${this._renderFooter()}
+      </div>
+    `;
+    if ((this.constructor as typeof DDSExpressiveModal).supportsDialog) {
+      return html`
+        <dialog
+          class="${ddsPrefix}-ce--modal__dialog"
+          aria-labelledby="${ddsPrefix}--modal-header"
+          @cancel="${handleCancelDialog}"
+        >
+          <button id="start-sentinel" class="${prefix}--visually-hidden" @focusin="${handleFocusIn}">START</button>
+          <div class="${containerClasses}" tabindex="-1" @click="${handleClickContainer}" @slotchange="${handleSlotChange}">
+            ${content}
+          </div>
+          <button id="end-sentinel" class="${prefix}--visually-hidden" @focusin="${handleFocusIn}">END</button>
+        </dialog>
+      `;
+    }
     return html`
       <button id="start-sentinel" class="${prefix}--visually-hidden" @focusin="${handleFocusIn}">START</button>
       <div
         class="${containerClasses}"
         tabindex="-1"
         role="dialog"
+        aria-modal="true"
         aria-labelledby="${ddsPrefix}--modal-header"
         @click="${handleClickContainer}"
         @slotchange="${handleSlotChange}"
       >
-        <div class="${prefix}--modal-content">
-          ${this._renderHeader()}${this._renderBody()}${this._renderFooter()}
-        </div>
+        ${content}
       </div>
       <button id="end-sentinel" class="${prefix}--visually-hidden" @focusin="${handleFocusIn}">END</button>
     `;
   }
 
+  disconnectedCallback() {
+    modalStack.remove(this);
+    super.disconnectedCallback();
+  }
+
   protected firstUpdated() {
     if (this.modalContent) {
       this._resizeObserver.observe(this.modalContent);
@@ -459,9 +505,8 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
     }
     if (changedProperties.has('open')) {
       if (this.open) {
-        this.ownerDocument.body.style.overflow = 'hidden';
         this.removeAttribute('aria-hidden');
-        this._launcher = this.ownerDocument!.activeElement;
+        modalStack.push(this, this.ownerDocument!.activeElement, this._dialogNode);
         const primaryFocusNode = this.querySelector((this.constructor as typeof DDSExpressiveModal).selectorPrimaryFocus);
         await this._waitForTransitionEnd();
         if (primaryFocusNode) {
@@ -471,10 +516,8 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
         } else {
           tryFocusElems(focusableElements as [HTMLElement], true, this);
         }
-      } else if (this._launcher && typeof (this._launcher as HTMLElement).focus === 'function') {
-        (this._launcher as HTMLElement).focus();
-        this.ownerDocument.body.style.overflow = '';
-        this._launcher = null;
+      } else {
+        modalStack.remove(this);
       }
     }
 
@@ -511,6 +554,13 @@ class DDSExpressiveModal extends StableSelectorMixin(HostListenerMixin(LitElemen
     `;
   }
 
+  /**
+   * `true` to use the native `<dialog>`, which is where the browser supports it.
+   */
+  static get supportsDialog() {
+    return supportsDialog;
+  }
+
   static get stableSelector() {
     return `${ddsPrefix}--expressive-modal`;
   }
@@ -0,0 +1,87 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { html, render } from 'lit-html';
+import DDSFilterPanelComposite from '../filter-panel-composite';
+import { connectFilterEngine, FilterEngine, FILTER_LOGIC } from '../filter-engine';
+
+const products = [
+  { name: 'Product A', type: 'API', technologies: ['Analytics', 'Security'] },
+  { name: 'Product B', type: 'Software', technologies: ['Analytics'] },
+  { name: 'Product C', type: 'Software', technologies: ['Security'] },
+  { name: 'Product D', type: 'Hardware' },
+];
+
+const engine = new FilterEngine(products, [
+  { title: 'Product types', values: 'type' },
+  { title: 'Technologies', values: product => product.technologies, logic: FILTER_LOGIC.AND },
+]);
+
+describe('Filter engine', function() {
+  it('should combine the selected values with the logic of the facet', function() {
+    expect(engine.filter({}).length).toBe(4);
+    expect(engine.filter({ 'Product types': ['API', 'Software'] }).map(product => product.name)).toEqual([
+      'Product A',
+      'Product B',
+      'Product C',
+    ]);
+    expect(engine.filter({ Technologies: ['Analytics', 'Security'] }).map(product => product.name)).toEqual(['Product A']);
+    expect(engine.filter({ 'Product types': ['Software'], Technologies: ['Security'] }).map(product => product.name)).toEqual([
+      'Product C',
+    ]);
+  });
+
+  it('should compute the facet counts', function() {
+    expect(engine.counts({ 'Product types': ['Software'] })).toEqual({
+      'Product types': { API: 1, Software: 2, Hardware: 1 },
+      Technologies: { Analytics: 1, Security: 1 },
+    });
+  });
+
+  describe('Connecting to the filter panel', function() {
+    it('should render the filtered items and announce the result count', function() {
+      render(
+        html`
+          <dds-filter-panel-composite></dds-filter-panel-composite>
+          <div><div class="card-group"></div></div>
+        `,
+        document.body
+      );
+      const filterPanel = document.body.querySelector('dds-filter-panel-composite') as DDSFilterPanelComposite;
+      const cardGroup = document.body.querySelector('.card-group') as HTMLElement;
+      const spyChange = jasmine.createSpy('change');
+      const handle = connectFilterEngine(engine, {
+        filterPanel,
+        cardGroup,
+        renderItem: product =>
+          html`
+            <p>${product.name}</p>
+          `,
+        onChange: spyChange,
+      });
+      expect(cardGroup.querySelectorAll('p').length).toBe(4);
+      filterPanel.dispatchEvent(
+        new CustomEvent('dds-filter-panel-change', {
+          detail: { values: ['Hardware'], groups: { 'Product types': ['Hardware'] } },
+        })
+      );
+      expect(Array.from(cardGroup.querySelectorAll('p')).map(item => item.textContent)).toEqual(['Product D']);
+      const liveRegion = cardGroup.previousElementSibling!;
+      expect(liveRegion.getAttribute('aria-live')).toBe('polite');
+      expect(liveRegion.textContent).toBe('1 results');
+      expect(spyChange.calls.mostRecent().args[0].items).toEqual([products[3]]);
+      handle.release();
+      expect(cardGroup.previousElementSibling).toBeNull();
+    });
+
+    afterEach(async function() {
+      await render(undefined!, document.body);
+    });
+  });
+});
@@ -7,7 +7,7 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import { render } from 'lit-html';
+import { html, render } from 'lit-html';
 import '../filter-panel-composite';
 import { Default } from '../__stories__/filter-panel.stories';
 
@@ -37,6 +37,65 @@ describe('dds-filter-panel-composite', function() {
     });
   });
 
+  describe('URL synchronization', function() {
+    const syncTemplate = () => html`
+      <dds-filter-panel-composite sync-url>
+        <dds-filter-group>
+          <dds-filter-group-item title-text="Product types">
+            <dds-filter-panel-checkbox value="API">API</dds-filter-panel-checkbox>
+            <dds-filter-panel-checkbox value="Hardware">Hardware</dds-filter-panel-checkbox>
+          </dds-filter-group-item>
+          <dds-filter-group-item title-text="Technologies">
+            <dds-filter-panel-input-select header-value="Artificial intelligence" title="Artificial intelligence">
+              <dds-filter-panel-input-select-item value="Machine Learning">Machine Learning</dds-filter-panel-input-select-item>
+            </dds-filter-panel-input-select>
+          </dds-filter-group-item>
+        </dds-filter-group>
+      </dds-filter-panel-composite>
+    `;
+
+    it('should restore the selected filters from the URL', async function() {
+      window.history.replaceState(null, '', '?filters=API&filters=Machine%20Learning');
+      const spyChange = jasmine.createSpy('filter panel change');
+      document.body.addEventListener('dds-filter-panel-change', spyChange);
+      // The selection is restored upon the `slotchange` event of the initial render
+      const changed = new Promise(resolve => {
+        document.body.addEventListener('dds-filter-panel-change', resolve, { once: true });
+      });
+      render(syncTemplate(), document.body);
+      await changed;
+      document.body.removeEventListener('dds-filter-panel-change', spyChange);
+      expect(document.body.querySelector('dds-filter-panel-checkbox[value="API"]')!.hasAttribute('checked')).toBe(true);
+      expect(
+        document.body.querySelector('dds-filter-panel-input-select-item[value="Machine Learning"]')!.hasAttribute('selected')
+      ).toBe(true);
+      expect(spyChange).toHaveBeenCalled();
+      expect(spyChange.calls.mostRecent().args[0].detail).toEqual({
+        values: ['API', 'Machine Learning'],
+        groups: {
+          'Product types': ['API'],
+          Technologies: ['Machine Learning'],
+        },
+      });
+    });
+
+    it('should write the selected filters to the URL', async function() {
+      window.history.replaceState(null, '', '?foo=bar');
+      render(template(), document.body);
+      const filterPanel = document.body.querySelector('dds-filter-panel-composite');
+      filterPanel!.setAttribute('sync-url', '');
+      await Promise.resolve();
+      document.dispatchEvent(new CustomEvent('dds-checkbox-select', { detail: { value: 'Hardware' } }));
+      expect(window.location.search).toBe('?foo=bar&filters=Hardware');
+      document.dispatchEvent(new CustomEvent('dds-selection-clear'));
+      expect(window.location.search).toBe('?foo=bar');
+    });
+
+    afterEach(function() {
+      window.history.replaceState(null, '', window.location.pathname);
+    });
+  });
+
   afterEach(async function() {
     await render(undefined!, document.body);
   });
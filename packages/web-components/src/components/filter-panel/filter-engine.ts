@@ -0,0 +1,245 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { html, render, TemplateResult } from 'lit-html';
+import settings from 'carbon-components/es/globals/js/settings.js';
+import on from 'carbon-components/es/globals/js/misc/on.js';
+import Handle from '../../globals/internal/handle';
+import DDSFilterPanelComposite, { FilterPanelSelection } from './filter-panel-composite';
+
+const { prefix } = settings;
+
+/**
+ * How the selected values in a filter group are combined.
+ */
+export enum FILTER_LOGIC {
+  /**
+   * An item matches if it has all of the selected values.
+   */
+  AND = 'and',
+
+  /**
+   * An item matches if it has any of the selected values.
+   */
+  OR = 'or',
+}
+
+/**
+ * The definition of a facet, that corresponds to a `<dds-filter-group-item>`.
+ */
+export interface FilterFacet<T> {
+  /**
+   * The `title-text` of the `<dds-filter-group-item>`.
+   */
+  title: string;
+
+  /**
+   * The property of the item with the facet value(s), or the function returning the facet value(s) of the item.
+   */
+  values: keyof T | ((item: T) => string | string[] | undefined);
+
+  /**
+   * How the selected values in the filter group are combined. `or` by default.
+   */
+  logic?: FILTER_LOGIC;
+}
+
+/**
+ * The selected values, keyed by the facet title, the same format as `groups` in `dds-filter-panel-change` event.
+ */
+export type FilterSelection = { [title: string]: string[] };
+
+/**
+ * The facet counts, keyed by the facet title and by the facet value.
+ */
+export type FilterFacetCounts = { [title: string]: { [value: string]: number } };
+
+/**
+ * @param item An item.
+ * @param facet A facet.
+ * @returns The facet values of the item.
+ */
+function getValues<T>(item: T, facet: FilterFacet<T>): string[] {
+  const { values } = facet;
+  const value = typeof values === 'function' ? values(item) : item[values];
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * @param item An item.
+ * @param facet A facet.
+ * @param selected The selected values of the facet.
+ * @returns `true` if the item matches the selected values of the facet.
+ */
+function matches<T>(item: T, facet: FilterFacet<T>, selected: string[] = []): boolean {
+  if (selected.length === 0) {
+    return true;
+  }
+  const values = getValues(item, facet);
+  return facet.logic === FILTER_LOGIC.AND
+    ? selected.every(value => values.includes(value))
+    : selected.some(value => values.includes(value));
+}
+
+/**
+ * A headless filter engine, that filters a JSON dataset with the selection in `<dds-filter-panel-composite>`.
+ * Facets combine with AND logic, and the selected values in a facet combine with the facet's logic.
+ *
+ * @example
+ * const engine = new FilterEngine(products, [
+ *   { title: 'Product types', values: 'type' },
+ *   { title: 'Technologies', values: product => product.technologies, logic: FILTER_LOGIC.AND },
+ * ]);
+ * engine.filter({ 'Product types': ['API', 'Software'] });
+ */
+export class FilterEngine<T> {
+  /**
+   * The items to filter.
+   */
+  readonly items: T[];
+
+  /**
+   * The facet definitions.
+   */
+  readonly facets: FilterFacet<T>[];
+
+  constructor(items: T[], facets: FilterFacet<T>[]) {
+    this.items = items;
+    this.facets = facets;
+  }
+
+  /**
+   * @param selection The selected values, keyed by the facet title.
+   * @param [excluded] The facet to ignore the selected values of.
+   * @returns The items matching the selection.
+   */
+  protected _filter(selection: FilterSelection, excluded?: FilterFacet<T>): T[] {
+    const facets = this.facets.filter(facet => facet !== excluded);
+    return this.items.filter(item => facets.every(facet => matches(item, facet, selection[facet.title])));
+  }
+
+  /**
+   * @param selection The selected values, keyed by the facet title.
+   * @returns The items matching the selection.
+   */
+  filter(selection: FilterSelection): T[] {
+    return this._filter(selection);
+  }
+
+  /**
+   * Computes the number of the items that would match if a value is selected in addition.
+   * For a facet with OR logic, the selected values of the facet itself are ignored,
+   * so the counts of its values don't drop to zero upon selecting one.
+   *
+   * @param selection The selected values, keyed by the facet title.
+   * @returns The facet counts, keyed by the facet title and by the facet value.
+   */
+  counts(selection: FilterSelection): FilterFacetCounts {
+    const filtered = this._filter(selection);
+    return this.facets.reduce((acc, facet) => {
+      const counts: { [value: string]: number } = {};
+      const base = facet.logic === FILTER_LOGIC.AND ? filtered : this._filter(selection, facet);
+      base.forEach(item => {
+        new Set(getValues(item, facet)).forEach(value => {
+          counts[value] = (counts[value] || 0) + 1;
+        });
+      });
+      acc[facet.title] = counts;
+      return acc;
+    }, {} as FilterFacetCounts);
+  }
+}
+
+/**
+ * The options for `connectFilterEngine()`.
+ */
+export interface FilterEngineConnectOptions<T> {
+  /**
+   * The `<dds-filter-panel-composite>` to get the selection from.
+   */
+  filterPanel: DDSFilterPanelComposite;
+
+  /**
+   * The element to render the filtered items into, typically a `<dds-card-group>`.
+   */
+  cardGroup: HTMLElement;
+
+  /**
+   * The function to render a filtered item, typically into a `<dds-card-group-item>`.
+   */
+  renderItem: (item: T) => TemplateResult;
+
+  /**
+   * The function to format the announcement of the result count for screen readers.
+   */
+  formatResultCount?: (count: number) => string;
+
+  /**
+   * The callback called upon every change in the result, e.g. to render the facet counts.
+   */
+  onChange?: (result: { items: T[]; counts: FilterFacetCounts; selection: FilterSelection }) => void;
+}
+
+/**
+ * Renders the items filtered with the selection in a `<dds-filter-panel-composite>` into a card group,
+ * and announces the result count to screen readers.
+ *
+ * @param engine The filter engine.
+ * @param options The options.
+ * @returns The handle to stop filtering.
+ * @example
+ * connectFilterEngine(engine, {
+ *   filterPanel: document.querySelector('dds-filter-panel-composite'),
+ *   cardGroup: document.querySelector('dds-card-group'),
+ *   renderItem: product => html`
+ *     <dds-card-group-item href="${product.url}"><dds-card-heading>${product.name}</dds-card-heading></dds-card-group-item>
+ *   `,
+ * });
+ */
+export function connectFilterEngine<T>(engine: FilterEngine<T>, options: FilterEngineConnectOptions<T>): Handle {
+  const { filterPanel, cardGroup, renderItem, formatResultCount = count => `${count} results`, onChange } = options;
+  const liveRegion = cardGroup.ownerDocument!.createElement('div');
+  liveRegion.className = `${prefix}--visually-hidden`;
+  liveRegion.setAttribute('role', 'status');
+  liveRegion.setAttribute('aria-live', 'polite');
+  cardGroup.parentNode?.insertBefore(liveRegion, cardGroup);
+
+  const update = (selection: FilterSelection, announce: boolean) => {
+    const items = engine.filter(selection);
+    render(
+      html`
+        ${items.map(renderItem)}
+      `,
+      cardGroup
+    );
+    if (announce) {
+      liveRegion.textContent = formatResultCount(items.length);
+    }
+    onChange?.({ items, counts: engine.counts(selection), selection });
+  };
+
+  const { eventSelectionChange } = filterPanel.constructor as typeof DDSFilterPanelComposite;
+  let hChange: Handle | null = on(filterPanel, eventSelectionChange, ((event: CustomEvent<FilterPanelSelection>) => {
+    update(event.detail.groups, true);
+  }) as EventListener);
+  update(filterPanel.selection.groups, false);
+
+  return {
+    release() {
+      if (hChange) {
+        hChange = hChange.release();
+      }
+      liveRegion.parentNode?.removeChild(liveRegion);
+      return null;
+    },
+  };
+}
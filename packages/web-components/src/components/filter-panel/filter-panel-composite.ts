@@ -31,6 +31,21 @@ const { stablePrefix: ddsPrefix } = ddsSettings;
 
 const breakpoint = parseFloat(breakpoints.lg.width) * baseFontSize;
 
+/**
+ * The selected filters, in the detail of `dds-filter-panel-change` event.
+ */
+export interface FilterPanelSelection {
+  /**
+   * The values of the selected filters, in the order of selection.
+   */
+  values: string[];
+
+  /**
+   * The values of the selected filters, keyed by the title of the filter group.
+   */
+  groups: { [title: string]: string[] };
+}
+
 /**
  * Filter panel composite
  *
@@ -61,6 +76,7 @@ class DDSFilterPanelComposite extends HostListenerMixin(StableSelectorMixin(LitE
         this.shadowRoot!.querySelector(`${ddsPrefix}-filter-panel-modal`)?.removeAttribute('has-selections');
         this.shadowRoot!.querySelector(`${ddsPrefix}-filter-panel`)?.removeAttribute('has-selections');
       }
+      this._handleSelectionChange();
       return;
     }
 
@@ -77,6 +93,7 @@ class DDSFilterPanelComposite extends HostListenerMixin(StableSelectorMixin(LitE
       this.shadowRoot!.querySelector(`${ddsPrefix}-filter-panel`)?.setAttribute('has-selections', '');
     }
     this.renderStatus();
+    this._handleSelectionChange();
   };
 
   /**
@@ -124,6 +141,7 @@ class DDSFilterPanelComposite extends HostListenerMixin(StableSelectorMixin(LitE
     }
 
     this.renderStatus();
+    this._handleSelectionChange();
   };
 
   /**
@@ -204,6 +222,7 @@ class DDSFilterPanelComposite extends HostListenerMixin(StableSelectorMixin(LitE
       this.shadowRoot!.querySelector(`${ddsPrefix}-filter-panel`)?.setAttribute('has-selections', '');
     }
     this.renderStatus();
+    this._handleSelectionChange();
   };
 
   @HostListener('document:eventHeadingChange')
@@ -259,8 +278,21 @@ class DDSFilterPanelComposite extends HostListenerMixin(StableSelectorMixin(LitE
     this.shadowRoot!.querySelector(`${ddsPrefix}-filter-panel`)?.removeAttribute('has-selections');
 
     this.renderStatus();
+    this._handleSelectionChange();
   };
 
+  /**
+   * `true` to read and write the selected filters as the query parameters in the URL.
+   */
+  @property({ type: Boolean, attribute: 'sync-url' })
+  syncUrl = false;
+
+  /**
+   * The name of the query parameter for the selected filters, used if `sync-url` is set.
+   */
+  @property({ attribute: 'url-param' })
+  urlParam = 'filters';
+
   /**
    * `true` to open the locale modal.
    */
@@ -309,6 +341,12 @@ class DDSFilterPanelComposite extends HostListenerMixin(StableSelectorMixin(LitE
   @property()
   _isMobile: boolean = window.innerWidth < breakpoint;
 
+  /**
+   * `true` if the selected filters have been restored from the URL.
+   */
+  @state()
+  _selectionRestored = false;
+
   /**
    * An element to set focus to on render.
    */
@@ -354,9 +392,123 @@ class DDSFilterPanelComposite extends HostListenerMixin(StableSelectorMixin(LitE
     this._contents = (target as HTMLSlotElement)
       .assignedNodes()
       .filter(node => node.nodeType !== Node.TEXT_NODE || node!.textContent!.trim());
+    if (this.syncUrl && !this._selectionRestored) {
+      this._selectionRestored = true;
+      const values = new URL(window.location.href).searchParams.getAll(this.urlParam);
+      if (values.length > 0) {
+        this._restoreSelection(values);
+      }
+    }
+  }
+
+  /**
+   * Selects the given filters in the light DOM, that the desktop presentation copies.
+   *
+   * @param values The values of the filters to select.
+   */
+  protected _restoreSelection(values: string[]) {
+    const selectedValues: string[] = [];
+    this._contents.forEach(group => {
+      if (!(group instanceof Element)) {
+        return;
+      }
+      group.querySelectorAll(`${ddsPrefix}-filter-panel-checkbox`).forEach(e => {
+        const value = e.getAttribute('value');
+        if (value && values.includes(value)) {
+          e.setAttribute('checked', '');
+          e.closest(`${ddsPrefix}-filter-group-item`)?.setAttribute('open', '');
+          selectedValues.push(value);
+        }
+      });
+      group.querySelectorAll(`${ddsPrefix}-filter-panel-input-select`).forEach(e => {
+        const headerValue = e.getAttribute('header-value');
+        const item = Array.from(e.querySelectorAll(`${ddsPrefix}-filter-panel-input-select-item`)).find(itemElement =>
+          values.includes(itemElement.getAttribute('value')!)
+        );
+        if (item) {
+          item.setAttribute('selected', '');
+          e.setAttribute('is-open', '');
+          (e as DDSFilterPanelInputSelect).lastValue = item;
+          selectedValues.push(item.getAttribute('value')!);
+        } else if (headerValue && values.includes(headerValue)) {
+          e.setAttribute('selected', '');
+          e.setAttribute('is-open', '');
+          selectedValues.push(headerValue);
+        } else {
+          return;
+        }
+        e.closest(`${ddsPrefix}-filter-group-item`)?.setAttribute('open', '');
+      });
+    });
+
+    this._selectedValues = selectedValues;
+    if (selectedValues.length > 0) {
+      this.shadowRoot!.querySelector(`${ddsPrefix}-filter-panel-modal`)?.setAttribute('has-selections', '');
+      this.shadowRoot!.querySelector(`${ddsPrefix}-filter-panel`)?.setAttribute('has-selections', '');
+    }
+    this.renderStatus();
+    this._handleSelectionChange();
+  }
+
+  /**
+   * @returns The selected filters, as the list of the values and as the values keyed by the filter group title.
+   */
+  protected _getSelection(): FilterPanelSelection {
+    const selectorFilters = [
+      `${ddsPrefix}-filter-panel-checkbox`,
+      `${ddsPrefix}-filter-panel-input-select`,
+      `${ddsPrefix}-filter-panel-input-select-item`,
+    ].join(',');
+    const filters = this._contents.reduce<Element[]>(
+      (acc, group) => (group instanceof Element ? acc.concat(Array.from(group.querySelectorAll(selectorFilters))) : acc),
+      []
+    );
+    const groups: { [title: string]: string[] } = {};
+    this._selectedValues.forEach(value => {
+      const filter = filters.find(
+        e => e.getAttribute(e.localName === `${ddsPrefix}-filter-panel-input-select` ? 'header-value' : 'value') === value
+      );
+      const title = filter?.closest(`${ddsPrefix}-filter-group-item`)?.getAttribute('title-text') ?? '';
+      (groups[title] = groups[title] || []).push(value);
+    });
+    return { values: [...this._selectedValues], groups };
+  }
+
+  /**
+   * The selected filters, the same as the detail of `dds-filter-panel-change` event.
+   */
+  get selection(): FilterPanelSelection {
+    return this._getSelection();
+  }
+
+  /**
+   * Fires the normalized event of the selection change, and writes the selected filters to the URL if `sync-url` is set.
+   */
+  protected _handleSelectionChange() {
+    const { syncUrl, urlParam } = this;
+    const selection = this._getSelection();
+    if (syncUrl) {
+      const url = new URL(window.location.href);
+      url.searchParams.delete(urlParam);
+      selection.values.forEach(value => {
+        url.searchParams.append(urlParam, value);
+      });
+      window.history.replaceState(window.history.state, '', url.toString());
+    }
+    const { eventSelectionChange } = this.constructor as typeof DDSFilterPanelComposite;
+    this.dispatchEvent(
+      new CustomEvent(eventSelectionChange, {
+        bubbles: true,
+        composed: true,
+        detail: selection,
+      })
+    );
   }
 
   protected renderStatus() {
+    if (!this._title.length) {
+      return;
+    }
     this._filterButtonTitle = `${
       this._selectedValues.length > 0 ? `Filter (${this._selectedValues.length})` : this._title[0].innerText
     }`;
@@ -371,7 +523,7 @@ class DDSFilterPanelComposite extends HostListenerMixin(StableSelectorMixin(LitE
     this._title = (target as HTMLSlotElement)
       .assignedNodes()
       .filter(node => node.nodeType !== Node.TEXT_NODE || node!.textContent!.trim());
-    this._filterButtonTitle = this._title[0].innerText;
+    this.renderStatus();
   }
 
   /**
@@ -483,6 +635,13 @@ class DDSFilterPanelComposite extends HostListenerMixin(StableSelectorMixin(LitE
     return `${ddsPrefix}-filter-panel-heading-change`;
   }
 
+  /**
+   * The name of the custom event fired upon the change in the selected filters, with the full selection.
+   */
+  static get eventSelectionChange() {
+    return `${ddsPrefix}-filter-panel-change`;
+  }
+
   static get stableSelector() {
     return `${ddsPrefix}-filter-panel-composite`;
   }
@@ -0,0 +1,72 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { html, render } from 'lit-html';
+import DDSLeavingIbmModal from '../leaving-ibm-modal';
+
+describe('dds-leaving-ibm-modal', function() {
+  describe('Stacking', function() {
+    let launcher: HTMLButtonElement;
+    let innerLauncher: HTMLButtonElement;
+    let lowerModal: DDSLeavingIbmModal;
+    let upperModal: DDSLeavingIbmModal;
+
+    beforeEach(async function() {
+      render(
+        html`
+          <button id="launcher"></button>
+          <dds-leaving-ibm-modal id="lower-modal"><button id="inner-launcher"></button></dds-leaving-ibm-modal>
+          <dds-leaving-ibm-modal id="upper-modal"><button></button></dds-leaving-ibm-modal>
+        `,
+        document.body
+      );
+      await Promise.resolve();
+      launcher = document.getElementById('launcher') as HTMLButtonElement;
+      innerLauncher = document.getElementById('inner-launcher') as HTMLButtonElement;
+      lowerModal = document.getElementById('lower-modal') as DDSLeavingIbmModal;
+      upperModal = document.getElementById('upper-modal') as DDSLeavingIbmModal;
+      launcher.focus();
+      lowerModal.open = true;
+      await lowerModal.updateComplete;
+      innerLauncher.focus();
+      upperModal.open = true;
+      await upperModal.updateComplete;
+    });
+
+    it('should not wrap the focus in the modal below the top', async function() {
+      spyOn(lowerModal as any, '_wrapFocus');
+      spyOn(upperModal as any, '_wrapFocus');
+      const focusOutEventInit = {
+        bubbles: true,
+        composed: true,
+        relatedTarget: launcher,
+      };
+      innerLauncher.dispatchEvent(new FocusEvent('focusout', focusOutEventInit));
+      upperModal.querySelector('button')!.dispatchEvent(new FocusEvent('focusout', focusOutEventInit));
+      expect((lowerModal as any)._wrapFocus).not.toHaveBeenCalled();
+      expect((upperModal as any)._wrapFocus).toHaveBeenCalled();
+    });
+
+    it('should restore the focus once to each opener in order', async function() {
+      spyOn(innerLauncher, 'focus');
+      spyOn(launcher, 'focus');
+      upperModal.open = false;
+      await upperModal.updateComplete;
+      expect(innerLauncher.focus).toHaveBeenCalledTimes(1);
+      expect(launcher.focus).not.toHaveBeenCalled();
+      lowerModal.open = false;
+      await lowerModal.updateComplete;
+      expect(launcher.focus).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  afterEach(async function() {
+    await render(undefined!, document.body);
+  });
+});
@@ -12,6 +12,7 @@ import BXModal, { MODAL_SIZE } from 'carbon-web-components/es/components/modal/m
 import HostListener from 'carbon-web-components/es/globals/decorators/host-listener.js';
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
 import StableSelectorMixin from '../../globals/mixins/stable-selector';
+import modalStack from '../../globals/internal/modal-stack';
 import styles from './leaving-ibm.scss';
 
 const { stablePrefix: ddsPrefix } = ddsSettings;
@@ -60,12 +61,44 @@ class DDSLeavingIbmModal extends StableSelectorMixin(BXModal) {
     }
   };
 
+  /**
+   * Handles `eventBeforeClose` event on this element.
+   * Only the modal on the top of the open modals should be closed upon a user gesture, e.g. `Escape` key.
+   *
+   * @param event The event.
+   */
+  @HostListener('eventBeforeClose')
+  // @ts-ignore: The decorator refers to this method but TS thinks this method is not referred to
+  private _handleBeforeClose = (event: CustomEvent) => {
+    if (event.target === this && !modalStack.isTopmost(this)) {
+      event.preventDefault();
+    }
+  };
+
+  /**
+   * The focus wrapping of `<bx-modal>`, which is done only by the modal on the top.
+   */
+  // @ts-ignore: Refers to the private event handler of `<bx-modal>`
+  private _wrapFocus: (event: FocusEvent) => Promise<void> = this._handleBlur;
+
   /**
    * Modal size.
    */
   @property({ reflect: true })
   size = MODAL_SIZE.SMALL;
 
+  constructor() {
+    super();
+    // Overrides the `focusout` handler of `<bx-modal>`, which its `@HostListener()` looks up by name,
+    // so a modal below others does not pull the focus out of the modal on the top
+    // @ts-ignore: The event handler is private in `<bx-modal>`
+    this._handleBlur = (event: FocusEvent) => {
+      if (modalStack.isTopmost(this)) {
+        this._wrapFocus(event);
+      }
+    };
+  }
+
   connectedCallback() {
     if (!this.hasAttribute('role')) {
       this.setAttribute('role', 'dialog');
@@ -73,6 +106,25 @@ class DDSLeavingIbmModal extends StableSelectorMixin(BXModal) {
     super.connectedCallback();
   }
 
+  disconnectedCallback() {
+    modalStack.remove(this);
+    super.disconnectedCallback();
+  }
+
+  updated(changedProperties) {
+    if (changedProperties.has('open')) {
+      if (this.open) {
+        modalStack.push(this, this.ownerDocument!.activeElement);
+      } else {
+        modalStack.remove(this);
+        // The focus has been restored by the modal stack, `<bx-modal>` should not restore it again
+        // @ts-ignore: Resets the private property of `<bx-modal>`
+        this._launcher = null;
+      }
+    }
+    return super.updated(changedProperties);
+  }
+
   /**
    * A selector selecting the heading.
    */
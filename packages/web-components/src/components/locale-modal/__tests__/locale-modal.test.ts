@@ -9,7 +9,7 @@
 
 import { html, render } from 'lit-html';
 import ifNonNull from 'carbon-web-components/es/globals/directives/if-non-null.js';
-import '../locale-modal';
+import DDSLocaleModal from '../locale-modal';
 import '../regions';
 import '../region-item';
 import DDSLocaleSearch from '../locale-search';
@@ -24,6 +24,11 @@ const template = (props?) => {
 };
 
 describe('dds-locale-modal', function() {
+  beforeEach(function() {
+    // Keeps the snapshots independent of the browser support of the native `<dialog>`
+    spyOnProperty(DDSLocaleModal, 'supportsDialog').and.returnValue(false);
+  });
+
   describe('Misc attributes', function() {
     it('should render with minimum attributes', async function() {
       render(template(), document.body);
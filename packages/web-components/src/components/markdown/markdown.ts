@@ -42,6 +42,13 @@ class DDSMarkdown extends LitElement {
     return new Set([`${prefix}-link`, `${prefix}-ordered-list`, `${prefix}-unordered-list`, `${prefix}-list-item`]);
   }
 
+  /**
+   * The allow-list of custom elements the markdown content can embed.
+   */
+  protected get _customElements() {
+    return this.customElements;
+  }
+
   /**
    * The custom renderer for the markup parser.
    */
@@ -61,6 +68,13 @@ class DDSMarkdown extends LitElement {
     };
   }
 
+  /**
+   * The allow-list of custom elements the markdown content can embed, with the allowed attribute names keyed by the tag name,
+   * e.g. `{ 'dds-video-player': ['video-id'] }`. No custom elements are embedded by default.
+   */
+  @property({ attribute: false })
+  customElements?: { [tagName: string]: string[] };
+
   /**
    * The markdown content.
    */
@@ -69,10 +83,17 @@ class DDSMarkdown extends LitElement {
 
   update(changedProperties) {
     super.update(changedProperties);
-    const { content, _customTags: customTags, textContent, _hasRendered: hasRendered, _renderer: renderer } = this;
+    const {
+      content,
+      _customElements: customElements,
+      _customTags: customTags,
+      textContent,
+      _hasRendered: hasRendered,
+      _renderer: renderer,
+    } = this;
     if (!hasRendered && !this.firstElementChild) {
       const lightDOMTemplateResult = html`
-        ${unsafeHTML(markdownToHtml(content ?? (hasRendered ? '' : textContent), { customTags, renderer }))}
+        ${unsafeHTML(markdownToHtml(content ?? (hasRendered ? '' : textContent), { customElements, customTags, renderer }))}
       `;
       this._hasRendered = true;
       render(lightDOMTemplateResult, this, { eventContext: this });
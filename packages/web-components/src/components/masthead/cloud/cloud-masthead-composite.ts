@@ -28,7 +28,10 @@ import {
   MastheadMenuItem,
   MastheadProfileItem,
 } from '../../../internal/vendor/@carbon/ibmdotcom-services-store/types/translateAPI.d';
-import { UNAUTHENTICATED_STATUS } from '../../../internal/vendor/@carbon/ibmdotcom-services-store/types/cloudAccountAuthAPI';
+import {
+  UNAUTHENTICATED_STATUS,
+  UserStatus,
+} from '../../../internal/vendor/@carbon/ibmdotcom-services-store/types/cloudAccountAuthAPI';
 import styles from './cloud-masthead.scss';
 import DDSMastheadComposite, { NAV_ITEMS_RENDER_TARGET } from '../masthead-composite';
 
@@ -47,7 +50,7 @@ class DDSCloudMastheadComposite extends DDSMastheadComposite {
    *
    * @internal
    */
-  _loadUserStatus?: (authMethod?: string) => void;
+  _loadUserStatus?: (authMethod?: string) => Promise<UserStatus>;
 
   /**
    * The profile items for unauthenticated state.
@@ -260,7 +263,7 @@ class DDSCloudMastheadComposite extends DDSMastheadComposite {
       this._setLanguage?.(language);
     }
     this._loadTranslation?.(language, dataEndpoint).catch(() => {}); // The error is logged in the Redux store
-    this._loadUserStatus?.(this.authMethod);
+    this._loadUserStatus?.(this.authMethod).catch(() => {}); // The error is logged in the Redux store
 
     // This is a temp fix until we figure out why we can't set styles to the :host(dds-cloud-masthead-container) in stylesheets
     this.style.zIndex = '900';
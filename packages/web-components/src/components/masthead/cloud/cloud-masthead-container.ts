@@ -52,7 +52,7 @@ export function mapStateToProps(state: CloudMastheadContainerState): MastheadCon
   const { localeAPI, translateAPI, cloudAccountAuthAPI } = state;
   const { language } = localeAPI ?? {};
   const { translations } = translateAPI ?? {};
-  const { request } = cloudAccountAuthAPI ?? {};
+  const { request, errorGetUserStatus } = cloudAccountAuthAPI ?? {};
   return pickBy(
     {
       authenticatedProfileItems: !language ? undefined : translations?.[language]?.masthead?.profileMenu.signedin.links,
@@ -62,7 +62,8 @@ export function mapStateToProps(state: CloudMastheadContainerState): MastheadCon
       unauthenticatedProfileItems: !language ? undefined : translations?.[language]?.masthead?.profileMenu.signedout.links,
       unauthenticatedCtaButtons: !language ? undefined : translations?.[language]?.masthead?.profileMenu.signedout.ctaButtons,
       logoData: !language ? undefined : translations?.[language]?.masthead?.logo,
-      userStatus: request?.user,
+      // Treats the user as anonymous if the login status cannot be retrieved, e.g. when offline
+      userStatus: request?.user ?? (errorGetUserStatus ? 'anonymous' : undefined),
       language,
     },
     value => value !== undefined
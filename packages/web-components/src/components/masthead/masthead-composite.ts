@@ -24,9 +24,10 @@ import {
   MastheadProfileItem,
   Translation,
 } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/translateAPI.d';
-import { UNAUTHENTICATED_STATUS } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/profileAPI';
+import { UNAUTHENTICATED_STATUS, UserStatus } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/profileAPI';
 import { MEGAMENU_RIGHT_NAVIGATION_STYLE_SCHEME } from './megamenu-right-navigation';
-import { DDS_CUSTOM_PROFILE_LOGIN } from '../../globals/internal/feature-flags';
+import { isFeatureFlagEnabled } from '../../globals/internal/feature-flags';
+import FeatureFlagsMixin from '../../globals/mixins/feature-flags';
 import DDSMastheadLogo from './masthead-logo';
 import './masthead';
 import './masthead-l1';
@@ -84,7 +85,7 @@ export enum NAV_ITEMS_RENDER_TARGET {
  * @element dds-masthead-composite
  */
 @customElement(`${ddsPrefix}-masthead-composite`)
-class DDSMastheadComposite extends LitElement {
+class DDSMastheadComposite extends FeatureFlagsMixin(LitElement) {
   /**
    * Renders L1 menu based on l1Data
    *
@@ -120,15 +121,18 @@ class DDSMastheadComposite extends LitElement {
         <dds-masthead-logo ?hide-logo="${this.activateSearch}"></dds-masthead-logo>
       `;
     }
-    const useAlternateLogo = MastheadLogoAPI.setMastheadLogo(this.logoData);
-    const { tooltip, svg, href } = this.logoData;
+    const { logo, campaign, variant }: { logo?: MastheadLogoData; campaign?: string; variant?: string } =
+      MastheadLogoAPI.resolveMastheadLogo(this.logoData) || {};
+    const { tooltip, svg, href }: Partial<MastheadLogoData> = logo || {};
     return html`
       <dds-masthead-logo
         ?hide-logo="${this.activateSearch}"
         ?hasTooltip="${tooltip}"
         aria-label="${ifNonNull(tooltip)}"
         href="${href || DDSMastheadLogo.hrefDefault}"
-        >${useAlternateLogo ? unsafeSVG(svg) : nothing}</dds-masthead-logo
+        data-campaign="${ifNonNull(campaign)}"
+        data-campaign-variant="${ifNonNull(variant)}"
+        >${logo ? unsafeSVG(svg) : nothing}</dds-masthead-logo
       >
     `;
   }
@@ -613,7 +617,7 @@ class DDSMastheadComposite extends LitElement {
    *
    * @internal
    */
-  _loadUserStatus?: () => void;
+  _loadUserStatus?: () => Promise<UserStatus>;
 
   /**
    * The placeholder for `setLanguage()` Redux action that will be mixed in.
@@ -769,10 +773,10 @@ class DDSMastheadComposite extends LitElement {
   navLinks?: MastheadLink[];
 
   /**
-   * Logo data
+   * Logo data, or an array of logo campaigns in the order of precedence.
    */
   @property({ attribute: false })
-  logoData?: MastheadLogoData;
+  logoData?: MastheadLogoData | MastheadLogoData[];
 
   /**
    * Data for l1.
@@ -810,7 +814,7 @@ class DDSMastheadComposite extends LitElement {
       this._setLanguage?.(language);
     }
     this._loadTranslation?.(language, dataEndpoint).catch(() => {}); // The error is logged in the Redux store
-    this._loadUserStatus?.();
+    this._loadUserStatus?.().catch(() => {}); // The error is logged in the Redux store
 
     // This is a temp fix until we figure out why we can't set styles to the :host(dds-masthead-container) in stylesheets
     this.style.zIndex = '900';
@@ -862,7 +866,7 @@ class DDSMastheadComposite extends LitElement {
     const authenticated = userStatus !== UNAUTHENTICATED_STATUS;
 
     let profileItems;
-    if (DDS_CUSTOM_PROFILE_LOGIN && customProfileLogin && !authenticated) {
+    if (isFeatureFlagEnabled('DDS_CUSTOM_PROFILE_LOGIN') && customProfileLogin && !authenticated) {
       profileItems = unauthenticatedProfileItems?.map(item => {
         if (item?.id === 'signin') {
           return { ...item, url: customProfileLogin };
@@ -14,6 +14,7 @@ import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utili
 import { LocaleAPIState } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/localeAPI.d';
 import { MastheadLink, TranslateAPIState } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/translateAPI.d';
 import { ProfileAPIState } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/profileAPI.d';
+import { UNAUTHENTICATED_STATUS } from '../../internal/vendor/@carbon/ibmdotcom-services-store/types/profileAPI';
 import store from '../../internal/vendor/@carbon/ibmdotcom-services-store/store';
 import { loadLanguage, setLanguage } from '../../internal/vendor/@carbon/ibmdotcom-services-store/actions/localeAPI';
 import { LocaleAPIActions } from '../../internal/vendor/@carbon/ibmdotcom-services-store/actions/localeAPI.d';
@@ -79,14 +80,15 @@ export function mapStateToProps(state: MastheadContainerState): MastheadContaine
   const { localeAPI, translateAPI, profileAPI } = state;
   const { language } = localeAPI ?? {};
   const { translations } = translateAPI ?? {};
-  const { request } = profileAPI ?? {};
+  const { request, errorGetUserStatus } = profileAPI ?? {};
   return pickBy(
     {
       authenticatedProfileItems: !language ? undefined : translations?.[language]?.profileMenu.signedin,
       navLinks: !language ? undefined : translations?.[language]?.mastheadNav?.links,
       unauthenticatedProfileItems: !language ? undefined : translations?.[language]?.profileMenu.signedout,
       logoData: !language ? undefined : translations?.[language]?.masthead?.logo,
-      userStatus: request?.user,
+      // Treats the user as anonymous if the login status cannot be retrieved, e.g. when offline
+      userStatus: request?.user ?? (errorGetUserStatus ? UNAUTHENTICATED_STATUS : undefined),
       language,
     },
     value => value !== undefined
@@ -8,21 +8,33 @@
  */
 
 import { html, property, customElement, LitElement } from 'lit-element';
-import { breakpoints } from '@carbon/layout';
-import settings from 'carbon-components/es/globals/js/settings.js';
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
+import scrollAnimations, {
+  registerScrollAnimationPreset,
+} from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/scrollAnimations/scrollAnimations';
 import StableSelectorMixin from '../../globals/mixins/stable-selector';
-import { forEach } from '../../globals/internal/collection-helpers';
 import { ANIMATION_TYPE } from './defs';
 
-const { prefix } = settings;
+export { ANIMATION_TYPE, registerScrollAnimationPreset };
+
 const { stablePrefix: ddsPrefix } = ddsSettings;
 
 /**
- * Amount of columns used for calculation.
+ * @param value The value of `thresholds` attribute, e.g. `0.25` or `sm:0 lg:0.25`.
+ * @returns The threshold, or the thresholds keyed by the breakpoint.
  */
-
-const colSpan = 3;
+const parseThresholds = (value?: string): number | { [size: string]: number } => {
+  if (!value || value.indexOf(':') < 0) {
+    return Number(value) || 0;
+  }
+  return value
+    .trim()
+    .split(/[\s,]+/)
+    .reduce((acc, item) => {
+      const [size, threshold] = item.split(':');
+      return { ...acc, [size]: Number(threshold) };
+    }, {});
+};
 
 /**
  * Function component that handles fade or slide transition for selected elements.
@@ -49,242 +61,48 @@ const colSpan = 3;
  * For custom delay time, set within targeted class in the application's CSS code as such:
  *
  * .${prefix}--content-block {
- *   --#{$dds-prefix}--scroll-animations-delay: 250ms;
+ *   --#{$dds-prefix}--fade-in-out-delay: 250ms;
  * }
  *
+ * The animations are turned off for the users preferring reduced motion.
+ *
  * @element dds-scroll-animations
  */
 @customElement(`${ddsPrefix}-scroll-animations`)
 class DDSScrollAnimations extends StableSelectorMixin(LitElement) {
   /**
-   * Intersection Observer that watches outer viewport.
-   *
-   * @private
-   */
-  private _rootObserver: IntersectionObserver | null = null;
-
-  /**
-   * Intersection observer that watches the inner viewport.
-   *
-   * @private
-   */
-  private _innerObserver: IntersectionObserver | null = null;
-
-  /**
-   * Resize observer to trigger rootMargin recalculations
-   *
-   * @private
-   */
-  private _resizeObserver: any | null = null;
-
-  /**
-   * Scroll animation class to be applied when element is within viewport.
-   *
-   * @private
-   */
-  private _effectClass?: string;
-
-  /**
-   * Scroll animation to be applied when elements are out of view.
-   *
-   * @private
-   */
-  private _exitEffectClass?: string;
-
-  /**
-   * Cleans observers upon update or exit, and creates new instances if needed.
-   *
-   * @param [options] The options.
-   * @param [options.create] `true` to create the new intersection observer.
-   */
-  private _cleanAndCreateObservers({ create }: { create?: boolean } = {}) {
-    this._cleanAndCreateRootObserver();
-    this._cleanAndCreateInnerObserver();
-    this._cleanAndCreateResizeObserver();
-
-    if (create) {
-      this._cleanAndCreateRootObserver({ create: true });
-      this._cleanAndCreateResizeObserver({ create: true });
-
-      const { selectorTargets } = this;
-      if (selectorTargets) {
-        forEach(this.querySelectorAll(selectorTargets), item => {
-          this._rootObserver?.observe(item);
-        });
-      }
-      this._resizeObserver.observe(this.ownerDocument!.documentElement);
-    }
-  }
-
-  /**
-   * Cleans-up and creates the root intersection observer.
-   *
-   * @param [options] The options.
-   * @param [options.create] `true` to create the new intersection observer.
-   */
-  private _cleanAndCreateRootObserver({ create }: { create?: boolean } = {}) {
-    if (this._rootObserver) {
-      this._rootObserver.disconnect();
-      this._rootObserver = null;
-    }
-
-    if (create) {
-      this._rootObserver = new IntersectionObserver(this._handleExit.bind(this));
-    }
-  }
-
-  /**
-   * Cleans-up and creates the inner intersection observer.
-   *
-   * @param [options] The options.
-   * @param [options.create] `true` to create the new intersection observer.
-   * @param [options.viewportMargin] recalculated margin value for the observer
+   * The handle of the scroll animations engine.
    */
-  private _cleanAndCreateInnerObserver({ create, viewportMargin }: { create?: boolean; viewportMargin?: string } = {}) {
-    if (this._innerObserver) {
-      this._innerObserver.disconnect();
-      this._innerObserver = null;
-    }
-
-    if (create) {
-      this._innerObserver = new IntersectionObserver(this._handleEntrance.bind(this), { rootMargin: viewportMargin });
-      const { selectorTargets } = this;
-      if (selectorTargets) {
-        forEach(this.querySelectorAll(selectorTargets), item => {
-          this._innerObserver?.observe(item);
-        });
-      }
-    }
-  }
+  private _scrollAnimations: { update(changes?: object): void; replay(targets?: Element[]): void; release(): null } | null = null;
 
   /**
-   * Cleans-up and creates the resize observer.
-   *
-   * @param [options] The options.
-   * @param [options.create] `true` to create the new resize observer.
+   * @returns The options for the scroll animations engine.
    */
-  private _cleanAndCreateResizeObserver({ create }: { create?: boolean } = {}) {
-    if (this._resizeObserver) {
-      this._resizeObserver.disconnect();
-      this._resizeObserver = null;
-    }
-
-    if (create) {
-      // TODO: Wait for `.d.ts` update to support `ResizeObserver`
-      // @ts-ignore
-      this._resizeObserver = new ResizeObserver(this._handleResize.bind(this));
-    }
+  private _getScrollAnimationsOptions() {
+    const { animation, keepAnimation, selectorTargets, stagger, thresholds } = this;
+    return {
+      getTargets: () => (!selectorTargets ? [] : Array.from(this.querySelectorAll(selectorTargets))),
+      animation,
+      keepAnimation,
+      stagger,
+      thresholds: parseThresholds(thresholds),
+    };
   }
 
   /**
-   * Handler to add recalculated rootMargin to observer upon resize.
-   *
-   * This calculation is done to retrieve the best fitting top and bottom
-   * margin for the fade animation to trigger/remove from elements in a
-   * user's screen.
+   * Plays the animations of the given targets, or all targets, again.
    *
-   * The resulting value is the optimal point where a user's attention will be
-   * grabbed by the animation without restricting their view and perception of
-   * the adopting website. The displayed elements will keep the user's attention
-   * for a longer time as they scroll down the website.
-   *
-   * @private
+   * @param [targets] The targets.
    */
-  private _handleResize() {
-    this._cleanAndCreateInnerObserver({
-      create: true,
-      viewportMargin: `-${(
-        (this.ownerDocument!.documentElement.clientHeight * colSpan) /
-        breakpoints.max.columns
-      ).toString()}px 0px`,
-    });
+  replay(targets?: Element[]) {
+    this._scrollAnimations?.replay(targets);
   }
 
   /**
-   * Handler to add fade animation to element
-   *
-   * @param {*} records observed elements
-   * @private
+   * The name of the animation preset, one of the built-in ones, or one registered with `registerScrollAnimationPreset()`.
    */
-  private _handleEntrance = (records: IntersectionObserverEntry[]) => {
-    records.forEach(({ intersectionRatio, target }) => {
-      if (intersectionRatio > 0) {
-        target.classList.remove(`${this._exitEffectClass}`);
-        target.classList.add(`${this._effectClass}`);
-        if (!this.keepAnimation) {
-          this._rootObserver?.unobserve(target);
-          this._innerObserver?.unobserve(target);
-        }
-      }
-    });
-  };
-
-  /**
-   * Handler to remove element from view
-   *
-   * @param {*} records observed elements
-   *
-   * @private
-   */
-  // eslint-disable-next-line class-methods-use-this
-  private _handleExit(records: IntersectionObserverEntry[]) {
-    records.forEach(({ intersectionRatio, target }) => {
-      if (intersectionRatio === 0) {
-        target.classList.remove(`${this._effectClass}`);
-        target.classList.add(`${this._exitEffectClass}`);
-      }
-    });
-  }
-
-  /**
-   * Sets the proper class names to be applied when element is within/out of view.
-   *
-   * @private
-   */
-  private _setAnimationClasses() {
-    switch (this.animation) {
-      case ANIMATION_TYPE.SLIDE_UP:
-        this._effectClass = `${prefix}--slide-in`;
-        this._exitEffectClass = `${prefix}--slide-up`;
-        break;
-      case ANIMATION_TYPE.SLIDE_UP_RIGHT:
-        this._effectClass = `${prefix}--slide-in`;
-        this._exitEffectClass = `${prefix}--slide-up-right`;
-        break;
-      case ANIMATION_TYPE.SLIDE_RIGHT:
-        this._effectClass = `${prefix}--slide-in`;
-        this._exitEffectClass = `${prefix}--slide-right`;
-        break;
-      case ANIMATION_TYPE.SLIDE_DOWN_RIGHT:
-        this._effectClass = `${prefix}--slide-in`;
-        this._exitEffectClass = `${prefix}--slide-down-right`;
-        break;
-      case ANIMATION_TYPE.SLIDE_DOWN:
-        this._effectClass = `${prefix}--slide-in`;
-        this._exitEffectClass = `${prefix}--slide-down`;
-        break;
-      case ANIMATION_TYPE.SLIDE_DOWN_LEFT:
-        this._effectClass = `${prefix}--slide-in`;
-        this._exitEffectClass = `${prefix}--slide-down-left`;
-        break;
-      case ANIMATION_TYPE.SLIDE_LEFT:
-        this._effectClass = `${prefix}--slide-in`;
-        this._exitEffectClass = `${prefix}--slide-left`;
-        break;
-      case ANIMATION_TYPE.SLIDE_UP_LEFT:
-        this._effectClass = `${prefix}--slide-in`;
-        this._exitEffectClass = `${prefix}--slide-up-left`;
-        break;
-      case ANIMATION_TYPE.FADE:
-      default:
-        this._effectClass = `${prefix}--fade-in`;
-        this._exitEffectClass = `${prefix}--fade-out`;
-        break;
-    }
-  }
-
   @property()
-  animation?: string = 'fade';
+  animation?: string = ANIMATION_TYPE.FADE;
 
   /**
    * Iteration boolean for continuous play option.
@@ -302,19 +120,40 @@ class DDSScrollAnimations extends StableSelectorMixin(LitElement) {
   @property({ attribute: 'selector-targets' })
   selectorTargets?: string;
 
+  /**
+   * The delay in milliseconds between the siblings scrolling into view together.
+   */
+  @property({ type: Number })
+  stagger = 0;
+
+  /**
+   * The ratio of a target to be in the viewport to start its animation,
+   * or the ratios for the breakpoints, e.g. `sm:0 lg:0.25`.
+   */
+  @property()
+  thresholds?: string;
+
   connectedCallback() {
     super.connectedCallback();
-    this._cleanAndCreateObservers({ create: true });
+    if (!this._scrollAnimations) {
+      this._scrollAnimations = scrollAnimations(this._getScrollAnimationsOptions());
+    }
   }
 
   disconnectedCallback() {
-    this._cleanAndCreateObservers();
+    if (this._scrollAnimations) {
+      this._scrollAnimations = this._scrollAnimations.release();
+    }
     super.disconnectedCallback();
   }
 
   updated(changedProperties) {
-    if (changedProperties.has('animation')) {
-      this._setAnimationClasses();
+    const { _scrollAnimations: scrollAnimationsHandle } = this;
+    if (
+      scrollAnimationsHandle &&
+      ['animation', 'keepAnimation', 'selectorTargets', 'stagger', 'thresholds'].some(name => changedProperties.has(name))
+    ) {
+      scrollAnimationsHandle.update(this._getScrollAnimationsOptions());
     }
   }
 
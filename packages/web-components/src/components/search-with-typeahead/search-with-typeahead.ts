@@ -21,8 +21,9 @@ import { baseFontSize, breakpoints } from '@carbon/layout';
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
 import SearchTypeaheadAPI from '../../internal/vendor/@carbon/ibmdotcom-services/services/SearchTypeahead/SearchTypeahead';
 import { forEach, indexOf } from '../../globals/internal/collection-helpers';
-import { DDS_SCOPED_SEARCH } from '../../globals/internal/feature-flags';
+import { isFeatureFlagEnabled } from '../../globals/internal/feature-flags';
 import styles from './search-with-typeahead.scss';
+import FeatureFlagsMixin from '../../globals/mixins/feature-flags';
 import StableSelectorMixin from '../../globals/mixins/stable-selector';
 import './search-with-typeahead-item';
 
@@ -30,6 +31,11 @@ const { stablePrefix: ddsPrefix } = ddsSettings;
 const { prefix } = settings;
 const gridBreakpoint = parseFloat(breakpoints.lg.width) * baseFontSize;
 
+/**
+ * The time (in milliseconds) to wait for the user to stop typing before fetching the suggestions.
+ */
+const typeaheadDebounce = 150;
+
 /**
  * Search with Typeahead
  *
@@ -46,10 +52,17 @@ const gridBreakpoint = parseFloat(breakpoints.lg.width) * baseFontSize;
  *   The name of the custom event fired after this search box is toggled upon a user gesture.
  */
 @customElement(`${ddsPrefix}-search-with-typeahead`)
-class DDSSearchWithTypeahead extends HostListenerMixin(StableSelectorMixin(BXDropdown)) {
-  // eslint-disable-next-line class-methods-use-this
+class DDSSearchWithTypeahead extends FeatureFlagsMixin(HostListenerMixin(StableSelectorMixin(BXDropdown))) {
+  /**
+   * The search session, where a search query supersedes the previous ones without affecting other search boxes.
+   */
+  private _searchSession: {
+    getResults: typeof SearchTypeaheadAPI.getResults;
+    abort: () => void;
+  } = SearchTypeaheadAPI.createSession();
+
   async getResults(searchQuery) {
-    const response = await SearchTypeaheadAPI.getResults(searchQuery, this.scopeValue);
+    const response = await this._searchSession.getResults(searchQuery, this.scopeValue, { debounce: typeaheadDebounce });
     return response.map(res => res[0]);
   }
 
@@ -302,6 +315,19 @@ class DDSSearchWithTypeahead extends HostListenerMixin(StableSelectorMixin(BXDro
     this.scopeValue = event.detail.value;
   };
 
+  /**
+   * Handles an error from `.getResults()`.
+   * Ignores the error from the search query superseded by a newer one, as its results are no longer relevant.
+   *
+   * @param error The error.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  private _handleErrorGetResults(error: Error) {
+    if (error.name !== 'AbortError') {
+      throw error;
+    }
+  }
+
   /**
    * Handles `input` event in the search input.
    */
@@ -332,7 +358,7 @@ class DDSSearchWithTypeahead extends HostListenerMixin(StableSelectorMixin(BXDro
     if (!this.customTypeaheadAPI) {
       this.getResults(value).then(res => {
         this.searchResults = res;
-      });
+      }, this._handleErrorGetResults);
     }
 
     if (value) {
@@ -535,7 +561,7 @@ class DDSSearchWithTypeahead extends HostListenerMixin(StableSelectorMixin(BXDro
           @keydown="${handleKeydownInner}"
           @keypress="${handleKeypressInner}"
         >
-          ${this.scopeParameters && DDS_SCOPED_SEARCH
+          ${this.scopeParameters && isFeatureFlagEnabled('DDS_SCOPED_SEARCH')
             ? html`
                 <dds-scoped-search-dropdown value="${this.scopeValue}">
                   ${this.scopeParameters.map(
@@ -681,6 +707,11 @@ class DDSSearchWithTypeahead extends HostListenerMixin(StableSelectorMixin(BXDro
     }
   }
 
+  disconnectedCallback() {
+    this._searchSession.abort();
+    super.disconnectedCallback();
+  }
+
   firstUpdated() {
     this._setSearchParam();
     if (this.leadspaceSearch) {
@@ -715,7 +746,7 @@ class DDSSearchWithTypeahead extends HostListenerMixin(StableSelectorMixin(BXDro
       if (!this.customTypeaheadAPI) {
         this.getResults(this.value).then(res => {
           this.searchResults = res;
-        });
+        }, this._handleErrorGetResults);
       }
 
       const newPlaceholder = this.placeholderFormatter({
@@ -223,6 +223,71 @@ describe('dds-table-of-contents', function() {
     });
   });
 
+  describe('Auto mode', function() {
+    const autoTemplate = () => html`
+      <dds-table-of-contents auto>
+        <h2>Getting started</h2>
+        <h3>Install</h3>
+        <h3 id="configure">Configure</h3>
+        <h2>Getting started</h2>
+        <h2>Ünïcode &amp; more</h2>
+      </dds-table-of-contents>
+    `;
+
+    it('should generate the nested items from the headings with stable IDs', async function() {
+      render(autoTemplate(), document.body);
+      await Promise.resolve(); // Update cycle for the component
+      await Promise.resolve(); // The cycle where `slotchange` event is called
+      await Promise.resolve(); // Updating upon harvesting the headings
+      expect(Array.prototype.map.call(document.body.querySelectorAll('h2, h3'), elem => elem.id)).toEqual([
+        'getting-started',
+        'install',
+        'configure',
+        'getting-started-2',
+        'unicode-more',
+      ]);
+      const tableOfContents = document.querySelector('dds-table-of-contents') as DDSTableOfContents;
+      const sections = tableOfContents!.shadowRoot!.querySelectorAll('.bx--tableofcontents__desktop__section');
+      expect(sections.length).toBe(3);
+      expect(
+        Array.prototype.map.call(sections[0].querySelectorAll('.bx--tableofcontents__desktop__sublist a'), elem =>
+          elem.getAttribute('data-target')
+        )
+      ).toEqual(['install', 'configure']);
+      expect(sections[1].querySelector('.bx--tableofcontents__desktop__toggle')).toBeNull();
+    });
+
+    it('should expand/collapse the subsections', async function() {
+      render(autoTemplate(), document.body);
+      await Promise.resolve(); // Update cycle for the component
+      await Promise.resolve(); // The cycle where `slotchange` event is called
+      await Promise.resolve(); // Updating upon harvesting the headings
+      const tableOfContents = document.querySelector('dds-table-of-contents') as DDSTableOfContents;
+      const toggle = tableOfContents!.shadowRoot!.querySelector('.bx--tableofcontents__desktop__toggle') as HTMLElement;
+      const sublist = tableOfContents!.shadowRoot!.querySelector('.bx--tableofcontents__desktop__sublist') as HTMLElement;
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      expect(sublist.hidden).toBe(!expanded);
+      toggle.click();
+      await Promise.resolve();
+      expect(toggle.getAttribute('aria-expanded')).toBe(String(!expanded));
+      expect(sublist.hidden).toBe(expanded);
+    });
+
+    it('should keep the items in sync with the late-loaded content', async function() {
+      render(autoTemplate(), document.body);
+      await Promise.resolve(); // Update cycle for the component
+      await Promise.resolve(); // The cycle where `slotchange` event is called
+      await Promise.resolve(); // Updating upon harvesting the headings
+      const tableOfContents = document.querySelector('dds-table-of-contents') as DDSTableOfContents;
+      const section = document.createElement('div');
+      section.innerHTML = '<h2>Late section</h2>';
+      tableOfContents.appendChild(section);
+      await new Promise(resolve => setTimeout(resolve)); // Mutation observer callback
+      await Promise.resolve(); // Updating upon harvesting the headings
+      expect(tableOfContents!.shadowRoot!.querySelector('a[data-target="late-section"]')).not.toBeNull();
+    });
+  });
+
   afterEach(async function() {
     await render(undefined!, document.body);
     events.reset();
@@ -13,6 +13,7 @@ import { ifDefined } from 'lit-html/directives/if-defined.js';
 import { html, property, state, query, queryAll, customElement, LitElement } from 'lit-element';
 import CaretLeft20 from 'carbon-web-components/es/icons/caret--left/20.js';
 import CaretRight20 from 'carbon-web-components/es/icons/caret--right/20.js';
+import ChevronDown16 from 'carbon-web-components/es/icons/chevron--down/16.js';
 import settings from 'carbon-components/es/globals/js/settings.js';
 import { baseFontSize, breakpoints } from '@carbon/layout';
 import HostListener from 'carbon-web-components/es/globals/decorators/host-listener.js';
@@ -52,6 +53,60 @@ function findLastIndex<T>(a: T[], predicate: (search: T, index?: number, thisObj
   return -1;
 }
 
+/**
+ * @param elem A table of contents target.
+ * @returns The name of the given target, `name` attribute for the manually marked ones, `id` for the headings.
+ */
+function getTargetName(elem: HTMLElement) {
+  return elem.getAttribute('name') ?? elem.id;
+}
+
+/**
+ * @param elem A table of contents target.
+ * @returns The title of the given target.
+ */
+function getTargetTitle(elem: HTMLElement) {
+  return (elem.dataset.title ?? elem.textContent ?? '').trim();
+}
+
+/**
+ * @param elem A table of contents target candidate.
+ * @returns `true` if the given element has a non-empty title.
+ */
+function hasTitle(elem: HTMLElement) {
+  const notWhiteSpace = /[^\s\n\r]/g;
+  return Boolean(elem.innerText.match(notWhiteSpace) || elem.dataset.title?.match(notWhiteSpace));
+}
+
+/**
+ * @param text A heading text.
+ * @returns The URL-friendly slug of the given text, e.g. `getting-started` for `Getting started`.
+ */
+function slugify(text: string) {
+  return text
+    .trim()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * A section in the auto-generated table of contents.
+ */
+interface TableOfContentsSection {
+  /**
+   * The top-level heading.
+   */
+  target: HTMLElement;
+
+  /**
+   * The headings of the subsections.
+   */
+  children: HTMLElement[];
+}
+
 /**
  * Table of contents.
  *
@@ -75,6 +130,33 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
   @property({ reflect: true, attribute: 'toc-layout' })
   layout = TOC_TYPES.DEFAULT;
 
+  /**
+   * `true` to generate the table of contents from the headings in the content,
+   * instead of from the elements with `name` attribute.
+   */
+  @property({ type: Boolean, reflect: true })
+  auto = false;
+
+  /**
+   * The selector of the element to harvest the headings from in auto mode, the slotted content if not set.
+   */
+  @property({ attribute: 'content-root' })
+  contentRoot = '';
+
+  /**
+   * The comma-separated selectors of the headings to harvest in auto mode.
+   * The first one is for the top-level sections, and the rest are for the subsections.
+   */
+  @property({ attribute: 'heading-levels' })
+  headingLevels = 'h2,h3';
+
+  /**
+   * The formatter for the assistive text of the button that expands/collapses the subsections.
+   * Should be changed upon the locale the component is rendered with.
+   */
+  @property({ attribute: false })
+  formatToggleLabel = ({ title }: { title: string }) => `Subsections of ${title}`;
+
   /**
    * The current scroll position.
    */
@@ -167,6 +249,12 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
   @state()
   private _targets: HTMLElement[] = [];
 
+  /**
+   * The expanded state of the sections in auto mode, set by the user, keyed by the section name.
+   */
+  @state()
+  private _expandedSections: { [name: string]: boolean } = {};
+
   /**
    * The Element.tagName values that should never be used as a TOC target.
    * Typically added here because these elements have their own `[name]` attribute.
@@ -319,27 +407,107 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
    * Sets table of contents targets whenever any node tree mutation is observed.
    */
   private _contentObserverCallback() {
-    const shadowRoot = this.shadowRoot as ShadowRoot;
-    const defaultSlot = shadowRoot.querySelector(`.${prefix}--tableofcontents__content slot`) as HTMLSlotElement;
-    this._setTargets(Array.from(defaultSlot.assignedNodes()));
+    this._setTargets(this._getContentNodes());
+  }
+
+  /**
+   * @returns The nodes to harvest the targets from.
+   */
+  private _getContentNodes(): Node[] {
+    const { auto, contentRoot } = this;
+    if (auto && contentRoot) {
+      const contentRootNode = this.ownerDocument!.querySelector(contentRoot);
+      return contentRootNode ? [contentRootNode] : [];
+    }
+    const defaultSlot = this.shadowRoot?.querySelector(`.${prefix}--tableofcontents__content slot`) as HTMLSlotElement;
+    return !defaultSlot ? [] : Array.from(defaultSlot.assignedNodes());
+  }
+
+  /**
+   * Starts watching for changes to the given content nodes.
+   *
+   * @param nodes The content nodes.
+   */
+  private _observeContent(nodes: Node[]) {
+    this._contentMutationObserver.disconnect();
+    nodes.forEach(node => {
+      if (node instanceof HTMLElement) {
+        // Watches for the changes in the heading texts as well in auto mode
+        this._contentMutationObserver.observe(node, { subtree: true, childList: true, characterData: this.auto });
+      }
+    });
+  }
+
+  /**
+   * Harvests the headings for generating the table of contents in auto mode,
+   * and gives the headings without `id` the ones generated from their texts.
+   *
+   * @param nodes The nodes to harvest the headings from.
+   * @returns The headings.
+   */
+  private _harvestHeadings(nodes: Node[]) {
+    const { headingLevels, _tagNamesToAvoid: tagNamesToAvoid } = this;
+    const headings = nodes.reduce((acc, node) => {
+      if (node instanceof HTMLElement) {
+        const descendants = node.querySelectorAll(headingLevels) as NodeListOf<HTMLElement>;
+        acc.push(
+          ...[node, ...descendants].filter(
+            elem => elem.matches(headingLevels) && hasTitle(elem) && !tagNamesToAvoid.includes(elem.tagName.toLowerCase())
+          )
+        );
+      }
+      return acc;
+    }, [] as HTMLElement[]);
+
+    const usedIds = new Set(headings.map(heading => heading.id).filter(Boolean));
+    headings.forEach(heading => {
+      if (!heading.id) {
+        const base = slugify(getTargetTitle(heading)) || 'section';
+        let id = base;
+        for (let i = 2; usedIds.has(id) || this.ownerDocument!.getElementById(id); ++i) {
+          id = `${base}-${i}`;
+        }
+        heading.id = id;
+        usedIds.add(id);
+      }
+    });
+    return headings;
+  }
+
+  /**
+   * @returns The sections of the auto-generated table of contents, grouping the subsections by the top-level heading.
+   */
+  private _getSections() {
+    const [topLevel] = this.headingLevels.split(',');
+    return this._targets.reduce((acc, target) => {
+      const section = acc[acc.length - 1];
+      if (section && !target.matches(topLevel)) {
+        section.children.push(target);
+      } else {
+        acc.push({ target, children: [] });
+      }
+      return acc;
+    }, [] as TableOfContentsSection[]);
   }
 
   /**
    * Sets targets used for generating the table of contents.
    */
   private _setTargets(nodes: Node[]) {
+    if (this.auto) {
+      this._targets = this._harvestHeadings(nodes);
+      return;
+    }
     const { _tagNamesToAvoid: tagNamesToAvoid } = this;
     const { selectorTarget } = this.constructor as typeof DDSTableOfContents;
     this._targets = nodes.reduce((acc, node) => {
       if (node instanceof HTMLElement) {
         const descendants = node.querySelectorAll(selectorTarget) as NodeListOf<HTMLElement>;
         const elems = [node, ...descendants].filter(elem => {
-          const notWhiteSpace = /[^\s\n\r]/g;
-          const hasTitle = elem.innerText.match(notWhiteSpace) || elem.dataset.title?.match(notWhiteSpace);
           const hasNameAttr = elem.matches(selectorTarget);
           const notExcluded = !tagNamesToAvoid.includes(elem.tagName.toLowerCase());
 
-          return hasTitle && hasNameAttr && notExcluded;
+          return hasTitle(elem) && hasNameAttr && notExcluded;
         });
 
         acc.push(...(elems as HTMLElement[]));
@@ -351,21 +519,24 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
 
   /**
    * Handles `slotchange` event on the default `<slot>`.
-   *
-   * @param event The event.
    */
-  private _handleSlotChange(event: Event) {
+  private _handleSlotChange() {
+    const nodes = this._getContentNodes();
     // Handle changes to immediate slotted children.
-    const slottedElements = (event.target as HTMLSlotElement).assignedNodes().filter(node => node instanceof HTMLElement);
-    this._setTargets(slottedElements as HTMLElement[]);
-
+    this._setTargets(nodes);
     // Handle changes to slotted contents' children.
-    this._contentMutationObserver.disconnect();
-    (event.target as HTMLSlotElement).assignedNodes().forEach(node => {
-      if (node instanceof HTMLElement) {
-        this._contentMutationObserver.observe(node, { subtree: true, childList: true });
-      }
-    });
+    this._observeContent(nodes);
+  }
+
+  /**
+   * Handles `click` event on the button that expands/collapses the subsections.
+   *
+   * @param event The event.
+   */
+  private _handleClickToggleSection(event: MouseEvent) {
+    const { section } = (event.currentTarget as HTMLElement).dataset;
+    const expanded = (event.currentTarget as HTMLElement).getAttribute('aria-expanded') === 'true';
+    this._expandedSections = { ...this._expandedSections, [section!]: !expanded };
   }
 
   /**
@@ -383,7 +554,7 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
    * @param target The hash name.
    */
   private _handleUserInitiatedJump(target: string) {
-    const elem = this.querySelector(`[name="${target}"]`);
+    const elem = this._targets.find(item => getTargetName(item) === target);
     const masthead: HTMLElement | null = this.ownerDocument.querySelector(`${ddsPrefix}-masthead`);
     const mobilePadding = window.innerWidth < gridLgBreakpoint ? this._mobileContainerNode?.offsetHeight : 0;
 
@@ -583,7 +754,11 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
   @HostListener(`document:${ddsPrefix}-table-of-contents-reharvest`)
   // @ts-ignore: The decorator refers to this method but TS thinks this method is not referred to
   private _retriggerHarvest = () => {
-    this._targets = Array.from(this.querySelectorAll('[name]'));
+    if (this.auto) {
+      this._setTargets(this._getContentNodes());
+    } else {
+      this._targets = Array.from(this.querySelectorAll('[name]'));
+    }
   };
 
   connectedCallback() {
@@ -619,12 +794,91 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
       const { _currentTarget: currentTarget, _mobileSelectNode: mobileSelectNode } = this;
       // Ensures setting the `value` after rendering child `<option>`s when there is a change in `value`,
       // given reflecting `value` requires child `<option>`s being there beforehand
-      mobileSelectNode!.value = currentTarget?.getAttribute('name') ?? '';
+      mobileSelectNode!.value = currentTarget ? getTargetName(currentTarget) : '';
+    }
+    const autoChanged =
+      changedProperties.has('auto') || changedProperties.has('contentRoot') || changedProperties.has('headingLevels');
+    if (autoChanged && (this.auto || changedProperties.get('auto'))) {
+      this._handleSlotChange();
     }
   }
 
+  /**
+   * Renders the nested items of the auto-generated table of contents.
+   */
+  private _renderSections() {
+    const {
+      formatToggleLabel,
+      _currentTarget: currentTarget,
+      _expandedSections: expandedSections,
+      _handleClickItem: handleClickItem,
+      _handleClickToggleSection: handleClickToggleSection,
+    } = this;
+    const renderLink = (item: HTMLElement) => {
+      const name = getTargetName(item);
+      return html`
+        <a aria-current="${ifDefined(item !== currentTarget ? undefined : 'location')}" data-target="${name}" href="#${name}">
+          ${getTargetTitle(item)}
+        </a>
+      `;
+    };
+    return this._getSections().map(({ target, children }) => {
+      const name = getTargetName(target);
+      const title = getTargetTitle(target);
+      const expanded = expandedSections[name] ?? (target === currentTarget || children.includes(currentTarget!));
+      const itemClasses = classMap({
+        [`${prefix}--tableofcontents__desktop__item`]: true,
+        [`${prefix}--tableofcontents__desktop__item--active`]: target === currentTarget,
+        [`${prefix}--tableofcontents__desktop__item--expandable`]: children.length > 0,
+      });
+      return html`
+        <li class="${prefix}--tableofcontents__desktop__section">
+          <div class="${itemClasses}" @click="${handleClickItem}">
+            ${renderLink(target)}
+            ${children.length === 0
+              ? undefined
+              : html`
+                  <button
+                    type="button"
+                    class="${prefix}--tableofcontents__desktop__toggle"
+                    aria-expanded="${String(expanded)}"
+                    aria-controls="subsections-${name}"
+                    aria-label="${formatToggleLabel({ title })}"
+                    data-section="${name}"
+                    @click="${handleClickToggleSection}"
+                  >
+                    ${ChevronDown16()}
+                  </button>
+                `}
+          </div>
+          ${children.length === 0
+            ? undefined
+            : html`
+                <ul id="subsections-${name}" class="${prefix}--tableofcontents__desktop__sublist" ?hidden="${!expanded}">
+                  ${children.map(
+                    item => html`
+                      <li
+                        class="${classMap({
+                          [`${prefix}--tableofcontents__desktop__item`]: true,
+                          [`${prefix}--tableofcontents__desktop__item--sub`]: true,
+                          [`${prefix}--tableofcontents__desktop__item--active`]: item === currentTarget,
+                        })}"
+                        @click="${handleClickItem}"
+                      >
+                        ${renderLink(item)}
+                      </li>
+                    `
+                  )}
+                </ul>
+              `}
+        </li>
+      `;
+    });
+  }
+
   render() {
     const {
+      auto,
       stickyOffset,
       _currentTarget: currentTarget,
       _currentScrollPosition: currentScrollPosition,
@@ -668,8 +922,8 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
         ? html`
             <ul class="${prefix}--toc__print-styles">
               ${targets.map(item => {
-                const name = item.getAttribute('name');
-                const title = (item.dataset.title ?? item.textContent ?? '').trim();
+                const name = getTargetName(item);
+                const title = getTargetTitle(item);
                 const selected = item === currentTarget;
                 const itemClasses = classMap({
                   [`${prefix}--tableofcontents__desktop__item`]: true,
@@ -677,7 +931,7 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
                 });
                 return html`
                   <li class="${itemClasses}" @click="${handleClickItem}" @keydown="${handleOnKeyDown}">
-                    <a aria-current="${ifDefined(!selected ? undefined : 'location')}" data-target="${name!}" href="#${name}">
+                    <a aria-current="${ifDefined(!selected ? undefined : 'location')}" data-target="${name}" href="#${name}">
                       ${title}
                     </a>
                   </li>
@@ -751,22 +1005,28 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
                       <div class="${prefix}--sub-content-left"></div>
                     `}
                 <ul>
-                  ${targets.map(item => {
-                    const name = item.getAttribute('name');
-                    const title = (item.dataset.title ?? item.textContent ?? '').trim();
-                    const selected = item === currentTarget;
-                    const itemClasses = classMap({
-                      [`${prefix}--tableofcontents__desktop__item`]: true,
-                      [`${prefix}--tableofcontents__desktop__item--active`]: selected,
-                    });
-                    return html`
-                      <li class="${itemClasses}" @click="${handleClickItem}" @keydown="${handleOnKeyDown}">
-                        <a aria-current="${ifDefined(!selected ? undefined : 'location')}" data-target="${name!}" href="#${name}">
-                          ${title}
-                        </a>
-                      </li>
-                    `;
-                  })}
+                  ${auto && this.layout !== TOC_TYPES.HORIZONTAL
+                    ? this._renderSections()
+                    : targets.map(item => {
+                        const name = getTargetName(item);
+                        const title = getTargetTitle(item);
+                        const selected = item === currentTarget;
+                        const itemClasses = classMap({
+                          [`${prefix}--tableofcontents__desktop__item`]: true,
+                          [`${prefix}--tableofcontents__desktop__item--active`]: selected,
+                        });
+                        return html`
+                          <li class="${itemClasses}" @click="${handleClickItem}" @keydown="${handleOnKeyDown}">
+                            <a
+                              aria-current="${ifDefined(!selected ? undefined : 'location')}"
+                              data-target="${name}"
+                              href="#${name}"
+                            >
+                              ${title}
+                            </a>
+                          </li>
+                        `;
+                      })}
                 </ul>
                 ${pageIsRTL
                   ? html`
@@ -785,10 +1045,10 @@ class DDSTableOfContents extends HostListenerMixin(StableSelectorMixin(LitElemen
                   @change="${handleChangeSelect}"
                 >
                   ${targets.map(item => {
-                    const name = item.getAttribute('name');
-                    const title = (item.dataset.title ?? item.textContent ?? '').trim();
+                    const name = getTargetName(item);
+                    const title = getTargetTitle(item);
                     return html`
-                      <option class="${prefix}--tableofcontents__mobile__select__option" value="${name!}">
+                      <option class="${prefix}--tableofcontents__mobile__select__option" value="${name}">
                         ${title}
                       </option>
                     `;
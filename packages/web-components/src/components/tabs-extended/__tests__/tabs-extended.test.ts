@@ -1,14 +1,18 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2020, 2021
+ * Copyright IBM Corp. 2020, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
 import { html, render } from 'lit-html';
+/* eslint-disable import/no-duplicates */
+import DDSTabsExtended from '../tabs-extended';
+// Above import is interface-only ref and thus code won't be brought into the build
 import '../tabs-extended';
+/* eslint-enable import/no-duplicates */
 
 const template = (props?) => {
   const { children } = props ?? {};
@@ -41,6 +45,84 @@ describe('dds-tabs-extended', function() {
     });
   });
 
+  describe('URL synchronization', function() {
+    let origHref;
+
+    const syncTemplate = (props?) => {
+      const { urlSync } = props ?? {};
+      return html`
+        <dds-tabs-extended url-sync="${urlSync}">
+          <dds-tab id="overview" label="Overview"><p>Overview content</p></dds-tab>
+          <dds-tab id="specs" label="Specs"><p id="spec-weight">Weight</p></dds-tab>
+          <dds-tab label="Pricing"><p>Pricing content</p></dds-tab>
+        </dds-tabs-extended>
+      `;
+    };
+
+    const waitForUpdate = async () => {
+      await Promise.resolve(); // Update cycle for the component
+      await Promise.resolve(); // The cycle where `slotchange` event is called
+      await Promise.resolve(); // Updating upon `slotchange`
+    };
+
+    beforeEach(function() {
+      origHref = window.location.href;
+    });
+
+    it('should put the active tab to the query param', async function() {
+      render(syncTemplate({ urlSync: 'query' }), document.body);
+      await waitForUpdate();
+      const tabsExtended = document.body.querySelector('dds-tabs-extended') as DDSTabsExtended;
+      (tabsExtended.shadowRoot!.querySelector('#tab-link-2-default') as HTMLElement).click();
+      expect(new URLSearchParams(window.location.search).get('tab')).toBe('2');
+      (tabsExtended.shadowRoot!.querySelector('#tab-link-1-default') as HTMLElement).click();
+      expect(new URLSearchParams(window.location.search).get('tab')).toBe('specs');
+    });
+
+    it('should activate the tab in the hash upon load', async function() {
+      window.history.replaceState(null, '', '#specs');
+      render(syncTemplate({ urlSync: 'hash' }), document.body);
+      await waitForUpdate();
+      expect(document.body.querySelector('dds-tabs-extended')!.getAttribute('active-tab')).toBe('1');
+    });
+
+    it('should ignore the malformed hash', async function() {
+      window.history.replaceState(null, '', '#100%');
+      render(syncTemplate({ urlSync: 'hash' }), document.body);
+      await waitForUpdate();
+      expect(document.body.querySelector('dds-tabs-extended')!.getAttribute('active-tab')).toBe('0');
+    });
+
+    it('should activate the tab upon back/forward navigation', async function() {
+      render(syncTemplate({ urlSync: 'query' }), document.body);
+      await waitForUpdate();
+      const tabsExtended = document.body.querySelector('dds-tabs-extended') as DDSTabsExtended;
+      window.history.replaceState(null, '', '?tab=2');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+      await Promise.resolve();
+      expect(tabsExtended.getAttribute('active-tab')).toBe('2');
+      window.history.replaceState(null, '', window.location.pathname);
+      window.dispatchEvent(new PopStateEvent('popstate'));
+      await Promise.resolve();
+      expect(tabsExtended.getAttribute('active-tab')).toBe('0');
+    });
+
+    it('should open the tab containing the deep link target', async function() {
+      window.history.replaceState(null, '', '#spec-weight');
+      render(syncTemplate({ urlSync: 'query' }), document.body);
+      const target = document.getElementById('spec-weight') as HTMLElement;
+      spyOn(target, 'scrollIntoView');
+      await waitForUpdate();
+      await new Promise(resolve => setTimeout(resolve));
+      expect(document.body.querySelector('dds-tabs-extended')!.getAttribute('active-tab')).toBe('1');
+      expect(target.scrollIntoView).toHaveBeenCalled();
+    });
+
+    afterEach(function() {
+      window.history.replaceState(null, '', origHref);
+    });
+  });
+
   afterEach(async function() {
     await render(undefined!, document.body);
   });
@@ -1,7 +1,7 @@
 /**
  * @license
  *
- * Copyright IBM Corp. 2021
+ * Copyright IBM Corp. 2021, 2022
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -21,3 +21,23 @@ export enum ORIENTATION {
    */
   VERTICAL = 'vertical',
 }
+
+/**
+ * The part of the URL the active tab is synchronized with
+ */
+export enum URL_SYNC {
+  /**
+   * Not synchronized (default)
+   */
+  NONE = '',
+
+  /**
+   * The hash, e.g. `#specs`
+   */
+  HASH = 'hash',
+
+  /**
+   * A query param, e.g. `?tab=specs`
+   */
+  QUERY = 'query',
+}
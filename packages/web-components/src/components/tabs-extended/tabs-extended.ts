@@ -8,26 +8,56 @@
  */
 
 import settings from 'carbon-components/es/globals/js/settings.js';
-import { customElement, html, state, LitElement, TemplateResult, property } from 'lit-element';
+import { customElement, html, state, LitElement, TemplateResult, property, PropertyValues } from 'lit-element';
 import { unsafeHTML } from 'lit-html/directives/unsafe-html.js';
 import { classMap } from 'lit-html/directives/class-map.js';
 import ChevronRight20 from 'carbon-web-components/es/icons/chevron--right/20.js';
+import HostListener from 'carbon-web-components/es/globals/decorators/host-listener.js';
+import HostListenerMixin from 'carbon-web-components/es/globals/mixins/host-listener.js';
 import ddsSettings from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/settings/settings';
 import StableSelectorMixin from '../../globals/mixins/stable-selector';
 import DDSTab from './tab';
 import styles from './tabs-extended.scss';
-import { ORIENTATION } from './defs';
+import { ORIENTATION, URL_SYNC } from './defs';
+
+export { ORIENTATION, URL_SYNC };
 
 const { prefix } = settings;
 const { stablePrefix: ddsPrefix } = ddsSettings;
 
+/**
+ * @param tab A tab.
+ * @param index The index of the tab.
+ * @returns The key of the given tab in the URL, which is its ID if set, or its index otherwise.
+ */
+const getTabKey = (tab: DDSTab, index: number) => tab.id || String(index);
+
+/**
+ * @param hash The URL fragment, with `#`.
+ * @returns The decoded URL fragment, without `#`, or the raw one if it's malformed (e.g. `#100%`).
+ */
+const decodeFragment = (hash: string) => {
+  const fragment = hash.slice(1);
+  try {
+    return decodeURIComponent(fragment);
+  } catch (error) {
+    return fragment;
+  }
+};
+
+/**
+ * @param fragment The URL fragment, without `#`.
+ * @returns The element the given URL fragment links to.
+ */
+const getDeepLinkTarget = (fragment: string) => document.getElementById(fragment) ?? document.getElementsByName(fragment)[0];
+
 /**
  * A component to present content inside a tabbed layout.
  *
  * @element dds-tabs-extended
  */
 @customElement(`${ddsPrefix}-tabs-extended`)
-class DDSTabsExtended extends StableSelectorMixin(LitElement) {
+class DDSTabsExtended extends HostListenerMixin(StableSelectorMixin(LitElement)) {
   /**
    * Child tab components.
    */
@@ -46,6 +76,34 @@ class DDSTabsExtended extends StableSelectorMixin(LitElement) {
   @property({ attribute: 'active-tab', reflect: true })
   _activeTab: string = '0';
 
+  /**
+   * The active tab before it's synchronized with the URL, used when the URL has no tab.
+   */
+  private _defaultActiveTab?: string;
+
+  /**
+   * The part of the URL the active tab is synchronized with (hash | query).
+   * The tab is identified in the URL by its `id` if set, or its index otherwise.
+   * Not synchronized if not set.
+   */
+  @property({ attribute: 'url-sync', reflect: true })
+  urlSync = URL_SYNC.NONE;
+
+  /**
+   * The name of the query param the active tab is synchronized with, if `url-sync` is `query`.
+   */
+  @property({ attribute: 'url-param' })
+  urlParam = 'tab';
+
+  /**
+   * Handles `popstate` event on `window`, which is fired upon back/forward navigation or navigation to a URL fragment.
+   */
+  @HostListener('window:popstate')
+  // @ts-ignore: The decorator refers to this method but TS thinks this method is not referred to
+  private _handlePopState = () => {
+    this._syncFromLocation();
+  };
+
   /**
    * Handler for @slotChange, creates tabs from dds-tab components.
    *
@@ -57,6 +115,73 @@ class DDSTabsExtended extends StableSelectorMixin(LitElement) {
     this._tabItems.forEach((tab, index) => {
       this._activeTabIndex = (tab as DDSTab).selected ? index : this._activeTabIndex;
     });
+    this._syncFromLocation();
+  }
+
+  /**
+   * Activates the tab specified in the URL, or the tab containing the element the URL fragment links to.
+   */
+  protected _syncFromLocation() {
+    const { urlSync, urlParam, _tabItems: tabItems } = this;
+    if (!urlSync || tabItems.length === 0) {
+      return;
+    }
+    if (this._defaultActiveTab === undefined) {
+      this._defaultActiveTab = this._activeTab;
+    }
+
+    const { hash, search } = window.location;
+    const fragment = decodeFragment(hash);
+    const key = urlSync === URL_SYNC.QUERY ? new URLSearchParams(search).get(urlParam) : fragment;
+    const index = !key ? -1 : tabItems.findIndex((tab, i) => !tab.disabled && getTabKey(tab, i) === key);
+    if (index >= 0) {
+      this._activateTab(index);
+      return;
+    }
+
+    const target = fragment && getDeepLinkTarget(fragment);
+    const targetIndex = !target ? -1 : tabItems.findIndex(tab => !tab.disabled && tab.contains(target));
+    if (targetIndex >= 0) {
+      this._activateTab(targetIndex);
+      this._scrollToDeepLinkTarget(tabItems[targetIndex], target as HTMLElement);
+    } else if (!key) {
+      this._activeTab = this._defaultActiveTab;
+    }
+  }
+
+  /**
+   * Scrolls to the element the URL fragment links to, once the tab containing it is shown.
+   *
+   * @param tab The tab containing the element.
+   * @param target The element.
+   */
+  private async _scrollToDeepLinkTarget(tab: DDSTab, target: HTMLElement) {
+    await this.updateComplete;
+    await tab.updateComplete;
+    target.scrollIntoView();
+  }
+
+  /**
+   * Puts the given tab to the URL, as a new history entry.
+   *
+   * @param index The index of the tab.
+   */
+  private _updateLocation(index: number) {
+    const { urlSync, urlParam, _tabItems: tabItems } = this;
+    const tab = tabItems[index];
+    if (!urlSync || !tab) {
+      return;
+    }
+    const url = new URL(window.location.href);
+    const key = getTabKey(tab, index);
+    if (urlSync === URL_SYNC.QUERY) {
+      url.searchParams.set(urlParam, key);
+    } else {
+      url.hash = key;
+    }
+    if (url.href !== window.location.href) {
+      window.history.pushState(window.history.state, '', url.href);
+    }
   }
 
   private _handleClick(index, e) {
@@ -64,9 +189,14 @@ class DDSTabsExtended extends StableSelectorMixin(LitElement) {
     this._setActiveItem(index);
   }
 
-  private _setActiveItem(index: number) {
+  private _activateTab(index: number) {
     this._activeTabIndex = index;
     this._activeTab = index.toString();
+  }
+
+  private _setActiveItem(index: number) {
+    this._activateTab(index);
+    this._updateLocation(index);
     const newTabLink = this.shadowRoot?.querySelector(`
     [role="tablist"] li[role="tab"]:nth-child(${index + 1}) .bx--tabs__nav-link`);
     if (newTabLink instanceof HTMLElement) {
@@ -149,7 +279,10 @@ class DDSTabsExtended extends StableSelectorMixin(LitElement) {
     return tabItems;
   }
 
-  updated() {
+  updated(changedProperties: PropertyValues) {
+    if (changedProperties.has('urlSync') || changedProperties.has('urlParam')) {
+      this._syncFromLocation();
+    }
     this._isLTR = window.getComputedStyle(this).direction === 'ltr';
     this._activeTabIndex = parseInt(this._activeTab, 10);
 
@@ -7,12 +7,14 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import featureFlags from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/featureflag/featureFlags';
+
 /**
  * This file contains the list of the default values of compile-time feature flags.
+ * They are registered as the defaults of the runtime feature flags, that can be changed without a new build,
+ * e.g. with `window.ddsFeatureFlags` global or with `?ddsFeatureFlags=DDS_CLOUD_MASTHEAD` URL query parameter.
  */
 
-/* eslint-disable import/prefer-default-export */
-
 /**
  * This flag will determine if all feature flags should be enabled
  *
@@ -62,3 +64,21 @@ export const DDS_CUSTOM_PROFILE_LOGIN: boolean = process!.env.DDS_CUSTOM_PROFILE
  * @type {boolean}
  */
 export const DDS_PRICING_TABLE: boolean = process!.env.DDS_PRICING_TABLE === 'true' || DDS_FLAGS_ALL || false;
+
+featureFlags.define({
+  DDS_FLAGS_ALL,
+  DDS_CONTENT_BLOCK_HEADLINES,
+  DDS_CONTENT_BLOCK_CARD_STATIC,
+  DDS_SCOPED_SEARCH,
+  DDS_CLOUD_MASTHEAD,
+  DDS_CUSTOM_PROFILE_LOGIN,
+  DDS_PRICING_TABLE,
+});
+
+/**
+ * @param name The flag name, e.g. `DDS_CLOUD_MASTHEAD`.
+ * @returns `true` if the flag is enabled at runtime.
+ */
+export function isFeatureFlagEnabled(name: string): boolean {
+  return featureFlags.isEnabled(name);
+}
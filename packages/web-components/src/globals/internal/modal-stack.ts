@@ -0,0 +1,229 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * The z-index of the bottom-most modal, matching `z('modal')` of Carbon.
+ */
+const BASE_Z_INDEX = 9000;
+
+/**
+ * `true` if the browser supports modal `<dialog>`, and `:modal` pseudo-class for styling it.
+ */
+export const supportsDialog = Boolean(
+  typeof HTMLDialogElement !== 'undefined' &&
+    typeof HTMLDialogElement.prototype.showModal === 'function' &&
+    typeof CSS !== 'undefined' &&
+    CSS.supports?.('selector(:modal)')
+);
+
+/**
+ * Shows the given `<dialog>` as a modal dialog, or as a non-modal dialog.
+ * A modal dialog is put in the top layer and makes the rest of the page inert,
+ * so only the dialog of the modal on the top should be a modal dialog.
+ *
+ * @param dialog The `<dialog>`.
+ * @param asModal `true` to show the dialog as a modal dialog.
+ */
+function showDialog(dialog: HTMLDialogElement, asModal: boolean) {
+  if (dialog.open && dialog.matches(':modal') === asModal) {
+    return;
+  }
+  if (dialog.open) {
+    dialog.close();
+  }
+  if (asModal) {
+    dialog.showModal();
+  } else {
+    dialog.show();
+  }
+}
+
+/**
+ * An open modal in the stack.
+ */
+interface ModalStackEntry {
+  /**
+   * The modal.
+   */
+  modal: HTMLElement;
+
+  /**
+   * The element that had focus before the modal gets open.
+   */
+  launcher: Element | null;
+
+  /**
+   * The native `<dialog>` in the modal, if the modal uses one.
+   */
+  dialog: HTMLDialogElement | null;
+}
+
+/**
+ * Manages the open modals layered on top of each other, where:
+ *
+ * - The last open modal is on the top.
+ * - Only the modal on the top is interactive, by setting `inert` attribute to the rest of the page,
+ *   which takes effect where the browser (or a polyfill) supports it.
+ *   The native `<dialog>` of the modal on the top is shown as a modal dialog, and the ones of the others as non-modal dialogs.
+ * - Closing a modal restores the focus to the element that opened it, in the order the modals are opened.
+ * - The page is not scrollable while any modal is open.
+ */
+export class ModalStack {
+  /**
+   * The open modals, from the bottom-most one.
+   */
+  private _entries: ModalStackEntry[] = [];
+
+  /**
+   * The elements this stack has made inert.
+   */
+  private _inertNodes: Element[] = [];
+
+  /**
+   * The `overflow` style of `<body>` before the first modal gets open.
+   */
+  private _bodyOverflow = '';
+
+  /**
+   * Makes the elements out of the given modal inert.
+   *
+   * @param modal The modal.
+   */
+  private _makeOthersInert(modal: HTMLElement) {
+    const { body } = modal.ownerDocument;
+    let node: Element = modal;
+    while (node !== body) {
+      const parent = node.parentNode;
+      if (!parent || parent.nodeType === Node.DOCUMENT_NODE) {
+        break;
+      }
+      const current = node;
+      Array.prototype.forEach.call((parent as ParentNode).children, (sibling: Element) => {
+        if (sibling !== current && !sibling.hasAttribute('inert')) {
+          sibling.setAttribute('inert', '');
+          this._inertNodes.push(sibling);
+        }
+      });
+      node = parent instanceof ShadowRoot ? parent.host : (parent as Element);
+    }
+  }
+
+  /**
+   * Updates the layering and the inert state of the page, for the modal on the top to be interactive.
+   */
+  private _update() {
+    this._inertNodes.forEach(node => {
+      node.removeAttribute('inert');
+    });
+    this._inertNodes = [];
+    const { _entries: entries } = this;
+    entries.forEach(({ modal, dialog }, index) => {
+      // Keeps the bottom-most modal at the z-index from its style
+      modal.style.zIndex = index === 0 ? '' : String(BASE_Z_INDEX + index);
+      if (dialog) {
+        showDialog(dialog, index === entries.length - 1);
+      }
+    });
+    const { top } = this;
+    if (top) {
+      this._makeOthersInert(top);
+    }
+  }
+
+  /**
+   * The number of the open modals.
+   */
+  get size() {
+    return this._entries.length;
+  }
+
+  /**
+   * The modal on the top.
+   */
+  get top() {
+    const { _entries: entries } = this;
+    return entries[entries.length - 1]?.modal;
+  }
+
+  /**
+   * @param modal A modal.
+   * @returns The position of the given modal from the bottom of the stack, `-1` if the modal is not in the stack.
+   */
+  indexOf(modal: HTMLElement) {
+    return this._entries.findIndex(entry => entry.modal === modal);
+  }
+
+  /**
+   * @param modal A modal.
+   * @returns `true` if the given modal should handle user gestures, e.g. `Escape` key,
+   *   which means that the modal is on the top, or is not in the stack.
+   */
+  isTopmost(modal: HTMLElement) {
+    return this.indexOf(modal) < 0 || this.top === modal;
+  }
+
+  /**
+   * Puts the given modal on the top.
+   *
+   * @param modal The modal being open.
+   * @param launcher The element that had focus before the modal gets open.
+   * @param [dialog] The native `<dialog>` in the modal, if the modal uses one.
+   */
+  push(modal: HTMLElement, launcher: Element | null, dialog: HTMLDialogElement | null = null) {
+    if (this.indexOf(modal) >= 0) {
+      return;
+    }
+    if (this._entries.length === 0) {
+      const { style } = modal.ownerDocument.body;
+      this._bodyOverflow = style.overflow;
+      style.overflow = 'hidden';
+    }
+    this._entries.push({ modal, launcher, dialog });
+    this._update();
+  }
+
+  /**
+   * Removes the given modal from the stack,
+   * and restores the focus to the element that opened it if it's on the top.
+   *
+   * @param modal The modal being closed.
+   */
+  remove(modal: HTMLElement) {
+    const { _entries: entries } = this;
+    const index = this.indexOf(modal);
+    if (index < 0) {
+      return;
+    }
+    const [{ launcher, dialog }] = entries.splice(index, 1);
+    modal.style.zIndex = '';
+    if (dialog?.open) {
+      dialog.close();
+    }
+    this._update();
+    const next = entries[index];
+    if (next) {
+      // The modal above has been opened from the removed modal, it should restore the focus to the opener of the removed one
+      if (next.launcher && modal.contains(next.launcher)) {
+        next.launcher = launcher;
+      }
+    } else if (launcher && typeof (launcher as HTMLElement).focus === 'function') {
+      (launcher as HTMLElement).focus();
+    }
+    if (entries.length === 0) {
+      modal.ownerDocument.body.style.overflow = this._bodyOverflow;
+    }
+  }
+}
+
+/**
+ * The stack of the open modals in the page.
+ */
+const modalStack = new ModalStack();
+
+export default modalStack;
@@ -0,0 +1,50 @@
+/**
+ * @license
+ *
+ * Copyright IBM Corp. 2022
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import featureFlags from '../../internal/vendor/@carbon/ibmdotcom-utilities/utilities/featureflag/featureFlags';
+import { Constructor } from '../defs';
+
+/**
+ * @param Base The base class.
+ * @returns A mix-in that re-renders the component upon the change in feature flags at runtime.
+ */
+const FeatureFlagsMixin = <T extends Constructor<HTMLElement>>(Base: T) => {
+  abstract class FeatureFlagsMixinImpl extends Base {
+    /**
+     * The function to stop observing the feature flags.
+     *
+     * @private
+     */
+    _unsubscribeFeatureFlags: (() => void) | null = null;
+
+    connectedCallback() {
+      // TS seems to miss `HTMLElement.prototype.connectedCallback()` definition
+      // @ts-ignore
+      super.connectedCallback();
+      this._unsubscribeFeatureFlags = featureFlags.subscribe(() => {
+        // TODO: Figure out how to inherit `LitElement` for this mix-in class
+        // @ts-ignore
+        this.requestUpdate();
+      });
+    }
+
+    disconnectedCallback() {
+      if (this._unsubscribeFeatureFlags) {
+        this._unsubscribeFeatureFlags();
+        this._unsubscribeFeatureFlags = null;
+      }
+      // TS seems to miss `HTMLElement.prototype.disconnectedCallback()` definition
+      // @ts-ignore
+      super.disconnectedCallback();
+    }
+  }
+  return FeatureFlagsMixinImpl;
+};
+
+export default FeatureFlagsMixin;